@@ -26,6 +26,12 @@ const { connectMongoDB, connectRedis } = require('./config/database');
 const apiRoutes = require('./routes/index.routes');
 const messagingRoutes = require('./routes/messaging.routes');
 
+// Background jobs
+const profileNudgeService = require('./services/profileNudgeService');
+const eventWaitlistService = require('./services/eventWaitlistService');
+const eventSeriesService = require('./services/eventSeriesService');
+const mentorshipService = require('./services/mentorshipService');
+
 // Check if new routes exist
 let notificationRoutes, searchRoutes;
 try {
@@ -290,6 +296,20 @@ const startServer = async () => {
     } catch (redisError) {
       console.log('⚠️ Redis connection failed, continuing without cache:', redisError.message);
     }
+
+    // Scheduled reminders to finish incomplete profiles
+    profileNudgeService.start();
+
+    // Count seats on events from before seat counting, then pass unclaimed
+    // waitlist spots on to the next person
+    await eventWaitlistService.backfillSeatCounts();
+    eventWaitlistService.start();
+
+    // Register series subscribers for occurrences coming up
+    eventSeriesService.start();
+
+    // Count mentee slots on profiles from before they were counted
+    await mentorshipService.backfillActiveMentees();
     
     // Use server.listen instead of app.listen
     server.listen(PORT, () => {
@@ -92,6 +92,18 @@ const connectRedis = async () => {
   }
 };
 
+// Rate limit counters share the Redis database with the cache but must survive
+// cache flushes, or busting a cache would reset every brute-force limit
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+// Delete keys matching a glob pattern in batches, leaving rate limit counters alone
+const deleteMatching = async (pattern) => {
+  for await (const found of redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+    const keys = [].concat(found).filter(key => !key.startsWith(RATE_LIMIT_PREFIX));
+    if (keys.length) await redis.del(keys);
+  }
+};
+
 // Enhanced cache helper functions with better error handling
 const cache = {
   async get(key) {
@@ -136,13 +148,29 @@ const cache = {
     }
   },
   
+  // Every key matching a glob pattern, e.g. 'events:public:*'
+  async delPattern(pattern) {
+    try {
+      if (!redis.isReady) {
+        console.log('Redis not ready, skipping cache delete');
+        return false;
+      }
+      await deleteMatching(pattern);
+      return true;
+    } catch (error) {
+      console.error('Cache delete error:', error);
+      return false;
+    }
+  },
+
+  // Everything cached - prefer delPattern for the keys a change affects
   async flush() {
     try {
       if (!redis.isReady) {
         console.log('Redis not ready, skipping cache flush');
         return false;
       }
-      await redis.flushAll();
+      await deleteMatching('*');
       return true;
     } catch (error) {
       console.error('Cache flush error:', error);
@@ -151,9 +179,41 @@ const cache = {
   }
 };
 
+// Run work(session) in a MongoDB transaction and return its result. Transactions need
+// a replica set (Atlas always is); on a standalone server, as in local development,
+// the work runs without one.
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/i.test(error.message);
+};
+
+const withTransaction = async (work) => {
+  if (!transactionsSupported) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    console.warn('MongoDB transactions are not supported by this server - running without them');
+    transactionsSupported = false;
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
 module.exports = {
   connectMongoDB,
   connectRedis,
   cache,
-  redis
+  redis,
+  RATE_LIMIT_PREFIX,
+  withTransaction
 };
\ No newline at end of file
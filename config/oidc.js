@@ -0,0 +1,45 @@
+// config/oidc.js
+// OpenID Connect identity providers for single sign-on.
+//
+// OIDC_PROVIDERS lists provider keys (comma separated, e.g. "university").
+// Each key is configured through OIDC_<KEY>_* variables:
+//   OIDC_UNIVERSITY_ISSUER         https://login.atu.edu.gh (discovery is fetched from here)
+//   OIDC_UNIVERSITY_CLIENT_ID
+//   OIDC_UNIVERSITY_CLIENT_SECRET  optional for public clients - PKCE is always used
+//   OIDC_UNIVERSITY_REDIRECT_URI   defaults to FRONTEND_URL/auth/callback/<key>
+//   OIDC_UNIVERSITY_SCOPES         defaults to "openid email profile"
+//   OIDC_UNIVERSITY_NAME           label shown on the login button
+
+const loadProviders = () => {
+  const keys = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(key => key.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+
+  for (const key of keys) {
+    const prefix = `OIDC_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️ OIDC provider "${key}" skipped. Missing ${prefix}ISSUER or ${prefix}CLIENT_ID`);
+      continue;
+    }
+
+    providers[key] = {
+      key,
+      name: process.env[`${prefix}NAME`] || key,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${process.env.FRONTEND_URL}/auth/callback/${key}`,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+  }
+
+  return providers;
+};
+
+module.exports = { loadProviders };
@@ -0,0 +1,53 @@
+// config/permissions.js
+// Catalogue of named permissions and the default grants for built-in roles.
+// Roles can be edited (or custom roles created) through /api/admin/roles;
+// these defaults apply until a role document exists.
+
+const PERMISSIONS = {
+  'dashboard:view': 'View the admin dashboard and statistics',
+  'users:view': 'List and search user accounts',
+  'users:manage': 'Activate, deactivate, unlock and delete user accounts',
+  'alumni:verify': 'Import graduation records and review alumni verification claims',
+  'roles:manage': 'Manage roles and assign roles or permissions to users',
+  'security:manage': 'Change platform security policies such as mandatory 2FA',
+  'events:moderate': 'Approve, edit and remove events',
+  'jobs:moderate': 'Approve, edit and remove job postings',
+  'skills:manage': 'Manage the skills catalogue, aliases and categories',
+  'moderation:manage': 'Review reported users and resolve moderation cases',
+  'forums:manage': 'Create, edit, moderate and delete forums',
+  'surveys:manage': 'Create, edit and publish surveys and view their analytics',
+  'surveys:export': 'Export survey responses',
+  'communications:send': 'Send bulk email and SMS communications',
+  'audit:view': 'View admin audit logs'
+};
+
+// Roles that always exist and cannot be deleted
+const BUILT_IN_ROLES = ['alumni', 'staff', 'admin'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'], // Always has every permission
+  staff: ['dashboard:view', 'users:view', 'alumni:verify', 'events:moderate', 'jobs:moderate', 'skills:manage', 'moderation:manage'],
+  alumni: []
+};
+
+// A grant matches exactly, via "*", or via a resource wildcard such as "events:*"
+const grantsPermission = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*') || granted.includes(permission) || granted.includes(`${resource}:*`);
+};
+
+const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  if (PERMISSIONS[permission]) return true;
+
+  const [resource, action] = permission.split(':');
+  return action === '*' && Object.keys(PERMISSIONS).some(p => p.startsWith(`${resource}:`));
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  grantsPermission,
+  isValidPermission
+};
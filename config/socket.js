@@ -1,7 +1,8 @@
 // config/socket.js
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/authHelpers');
 
 let io;
 
@@ -30,7 +31,7 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
       
       // Handle different possible field names in the JWT token
       const userId = decoded.userId || decoded.id || decoded._id;
@@ -38,6 +39,10 @@ const initializeSocket = (server) => {
       if (!userId) {
         return next(new Error('Authentication error: Invalid token structure'));
       }
+
+      if (!(await Session.isSessionActive(decoded.sid))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
       
       const user = await User.findById(userId).select('-password');
       
@@ -46,6 +51,7 @@ const initializeSocket = (server) => {
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = decoded.sid.toString();
       socket.user = user;
       next();
     } catch (error) {
@@ -60,6 +66,11 @@ const initializeSocket = (server) => {
 
     // Join user to their personal room
     socket.join(`user:${socket.userId}`);
+
+    // Join session room so revoked sessions can be signed out remotely
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
     
     // Update user online status
     updateUserOnlineStatus(socket.userId, true);
@@ -109,6 +120,17 @@ const initializeSocket = (server) => {
     socket.on('send_message', async (data) => {
       try {
         const { chatId, content, type = 'text' } = data;
+        const mongoose = require('mongoose');
+        const Chat = require('../models/Chat');
+
+        // Same rules as the REST endpoint: participants only, and not across a block
+        const chat = mongoose.Types.ObjectId.isValid(chatId) && await Chat.findById(chatId);
+        if (!chat || !chat.isParticipant(socket.userId)) {
+          return socket.emit('message_error', { chatId, error: 'Chat not found' });
+        }
+        if (await chat.isBlockedFor(socket.userId)) {
+          return socket.emit('message_error', { chatId, error: 'You cannot message this user' });
+        }
         
         // Save message to database
         const Message = require('../models/Message');
@@ -123,7 +145,6 @@ const initializeSocket = (server) => {
         await message.populate('sender', 'firstName lastName profilePicture');
 
         // Update chat's last message
-        const Chat = require('../models/Chat');
         await Chat.findByIdAndUpdate(chatId, {
           lastMessage: message._id,
           lastActivity: new Date()
@@ -231,6 +252,31 @@ const initializeSocket = (server) => {
       });
     });
 
+    // Live check-in counts for an event's organizer and door staff
+    socket.on('join_event_checkin', async (eventId) => {
+      try {
+        const mongoose = require('mongoose');
+        const Event = require('../models/Event');
+        const eventTicketService = require('../services/eventTicketService');
+
+        const event = mongoose.Types.ObjectId.isValid(eventId) &&
+          await Event.findById(eventId).select('organizer checkInStaff');
+        if (!event || !eventTicketService.canManageCheckIn(event, socket.user)) {
+          return socket.emit('event_checkin_error', { error: 'You cannot follow check-in for this event' });
+        }
+
+        socket.join(`event:${eventId}`);
+        socket.emit('event_checkin', { eventId, ...(await eventTicketService.getCounts(eventId)), lastCheckIns: [] });
+      } catch (error) {
+        console.error('Join event check-in error:', error);
+        socket.emit('event_checkin_error', { error: 'Failed to join event check-in' });
+      }
+    });
+
+    socket.on('leave_event_checkin', (eventId) => {
+      socket.leave(`event:${eventId}`);
+    });
+
     // Handle real-time notifications
     socket.on('mark_notification_read', (notificationId) => {
       markNotificationAsRead(notificationId, socket.userId);
@@ -308,6 +354,13 @@ const socketService = {
     }
   },
 
+  // Send live check-in counts to an event's door staff
+  sendEventCheckIn: (eventId, update) => {
+    if (io) {
+      io.to(`event:${eventId}`).emit('event_checkin', update);
+    }
+  },
+
   // Broadcast to all users
   broadcast: (event, data) => {
     if (io) {
@@ -324,6 +377,16 @@ const socketService = {
     }
   },
 
+  // Disconnect every socket opened with one of the given sessions
+  disconnectSessions: (sessionIds) => {
+    if (io) {
+      sessionIds.forEach(sessionId => {
+        io.in(`session:${sessionId}`).emit('session_revoked', { sessionId: sessionId.toString() });
+        io.in(`session:${sessionId}`).disconnectSockets(true);
+      });
+    }
+  },
+
   // Get online users count
   getOnlineUsersCount: () => {
     return io ? io.engine.clientsCount : 0;
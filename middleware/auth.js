@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { cache } = require('../config/database');
+const { isTwoFactorRequired, hasPermission, verifyAccessToken } = require('../utils/authHelpers');
+const { getPasswordPolicy, isPasswordExpired } = require('../utils/passwordPolicy');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,7 +15,16 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Check if user exists in cache first
     let user = await cache.get(`user:${decoded.userId}`);
@@ -34,6 +45,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -51,25 +63,94 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = (req, res, next) => {
+// Privileged access is blocked until mandatory two-factor enrollment is done
+// and an expired password has been changed
+const privilegedAccessBlock = async (user) => {
+  if (!user.twoFactor?.enabled && await isTwoFactorRequired(user)) {
+    return {
+      message: 'Two-factor authentication must be enabled to access admin features.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    };
+  }
+
+  if (isPasswordExpired(user, await getPasswordPolicy())) {
+    return {
+      message: 'Your password has expired. Change it to access admin features.',
+      code: 'PASSWORD_EXPIRED'
+    };
+  }
+
+  return null;
+};
+
+const adminAuth = async (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Admin privileges required.'
     });
   }
+
+  try {
+    const block = await privilegedAccessBlock(req.user);
+    if (block) {
+      return res.status(403).json({ success: false, ...block });
+    }
+  } catch (error) {
+    console.error('Admin access policy check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify access'
+    });
+  }
+
   next();
 };
 
+// Require every listed permission, e.g. requirePermission('surveys:export')
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          return res.status(403).json({
+            success: false,
+            message: `Access denied. Missing permission: ${permission}`,
+            code: 'PERMISSION_DENIED'
+          });
+        }
+      }
+
+      const block = await privilegedAccessBlock(req.user);
+      if (block) {
+        return res.status(403).json({ success: false, ...block });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify access'
+      });
+    }
+  };
+};
+
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
+      if (!(await Session.isSessionActive(decoded.sid))) {
+        return next();
+      }
+
       const user = await User.findById(decoded.userId);
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     next();
@@ -79,4 +160,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, optionalAuth };
\ No newline at end of file
+module.exports = { auth, adminAuth, requirePermission, optionalAuth };
\ No newline at end of file
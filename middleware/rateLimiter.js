@@ -1,27 +1,168 @@
 // middleware/rateLimiter.js
-// Rate limiting disabled for development
-
-// Create mock middleware that does nothing
-const createMockLimiter = (name) => {
-  return (req, res, next) => {
-    // Just log and continue - no rate limiting
-    console.log(`📊 Rate limiter (${name}) - DISABLED for development`);
-    next();
-  };
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { redis, RATE_LIMIT_PREFIX } = require('../config/database');
+
+// Hit counter kept in Redis so limits hold across server instances.
+// Falls back to an in-process MemoryStore whenever Redis is not ready.
+class RedisFallbackStore {
+  constructor(name) {
+    this.prefix = `${RATE_LIMIT_PREFIX}${name}:`;
+    this.memoryStore = new MemoryStore();
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.memoryStore.init(options);
+  }
+
+  async get(key) {
+    if (!redis.isReady) return this.memoryStore.get(key);
+
+    try {
+      const [hits, ttl] = await redis.multi()
+        .get(this.prefix + key)
+        .pTTL(this.prefix + key)
+        .exec();
+
+      if (hits === null) return undefined;
+      return {
+        totalHits: parseInt(hits),
+        resetTime: new Date(Date.now() + Math.max(ttl, 0))
+      };
+    } catch (error) {
+      console.error('Rate limit store get error:', error);
+      return this.memoryStore.get(key);
+    }
+  }
+
+  async increment(key) {
+    if (!redis.isReady) return this.memoryStore.increment(key);
+
+    try {
+      const redisKey = this.prefix + key;
+      let [totalHits, ttl] = await redis.multi()
+        .incr(redisKey)
+        .pTTL(redisKey)
+        .exec();
+
+      // First hit in the window (or a key that lost its expiry)
+      if (ttl < 0) {
+        await redis.pExpire(redisKey, this.windowMs);
+        ttl = this.windowMs;
+      }
+
+      return {
+        totalHits,
+        resetTime: new Date(Date.now() + ttl)
+      };
+    } catch (error) {
+      console.error('Rate limit store increment error:', error);
+      return this.memoryStore.increment(key);
+    }
+  }
+
+  async decrement(key) {
+    if (!redis.isReady) return this.memoryStore.decrement(key);
+
+    try {
+      await redis.decr(this.prefix + key);
+    } catch (error) {
+      console.error('Rate limit store decrement error:', error);
+    }
+  }
+
+  async resetKey(key) {
+    await this.memoryStore.resetKey(key);
+    if (!redis.isReady) return;
+
+    try {
+      await redis.del(this.prefix + key);
+    } catch (error) {
+      console.error('Rate limit store reset error:', error);
+    }
+  }
+}
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+const createLimiter = (name, { windowMs, max, message, ...options }) => {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: new RedisFallbackStore(name),
+    skip: () => isDevelopment,
+    handler: (req, res, next, optionsUsed) => {
+      res.status(optionsUsed.statusCode).json({
+        success: false,
+        message,
+        code: 'RATE_LIMITED',
+        retryAfter: req.rateLimit?.resetTime
+          ? Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 0)
+          : Math.ceil(windowMs / 1000)
+      });
+    },
+    ...options
+  });
 };
 
-// Export mock limiters that don't actually limit
-const generalLimiter = createMockLimiter('general');
-const authLimiter = createMockLimiter('auth');
-const apiLimiter = createMockLimiter('api');
-const uploadLimiter = createMockLimiter('upload');
+// 100 requests per 15 minutes per IP
+const generalLimiter = createLimiter('general', {
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests. Please try again later.'
+});
+
+// 1000 requests per hour per IP
+const apiLimiter = createLimiter('api', {
+  windowMs: 60 * 60 * 1000,
+  max: 1000,
+  message: 'API rate limit exceeded. Please try again later.'
+});
 
-console.log('⚠️ RATE LIMITING DISABLED - Development Mode');
-console.log('💡 Re-enable rate limiting in production!');
+// 5 failed attempts per 15 minutes per IP - successful logins don't count
+const authLimiter = createLimiter('auth', {
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  skipSuccessfulRequests: true,
+  message: 'Too many authentication attempts. Please try again in 15 minutes.'
+});
+
+// 5 password reset / unlock emails per hour per target address (IP-wide abuse is
+// already covered by generalLimiter); stops mail-bombing a single account
+const passwordResetLimiter = createLimiter('password-reset', {
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => `email:${String(req.body?.email || '').trim().toLowerCase()}`,
+  message: 'Too many password reset requests. Please try again later.'
+});
+
+// 5 magic links / SMS login codes per hour per target address - SMS costs money
+const loginLinkLimiter = createLimiter('login-link', {
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => `email:${String(req.body?.email || '').trim().toLowerCase()}`,
+  message: 'Too many login link requests. Please try again later.'
+});
+
+// 10 uploads per hour per IP
+const uploadLimiter = createLimiter('upload', {
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Upload limit reached. Please try again later.'
+});
+
+if (isDevelopment) {
+  console.log('⚠️ RATE LIMITING DISABLED - Development Mode');
+}
 
 module.exports = {
   generalLimiter,
   authLimiter,
   apiLimiter,
-  uploadLimiter
-};
\ No newline at end of file
+  uploadLimiter,
+  passwordResetLimiter,
+  loginLinkLimiter
+};
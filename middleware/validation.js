@@ -1,4 +1,5 @@
 const { body, validationResult, query, param } = require('express-validator');
+const { validateNewPassword } = require('../utils/passwordPolicy');
 
 // Handle validation errors
 const handleValidation = (req, res, next) => {
@@ -16,7 +17,11 @@ const handleValidation = (req, res, next) => {
 // Auth validations
 const validateRegister = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('password').custom(async (password, { req }) => {
+    const errors = await validateNewPassword(password, req.body);
+    if (errors.length > 0) throw new Error(errors.join('. '));
+    return true;
+  }),
   body('firstName').trim().isLength({ min: 1, max: 50 }).withMessage('First name required (max 50 chars)'),
   body('lastName').trim().isLength({ min: 1, max: 50 }).withMessage('Last name required (max 50 chars)'),
   handleValidation
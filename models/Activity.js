@@ -1,5 +1,6 @@
 // models/Activity.js
 const mongoose = require('mongoose');
+const Connection = require('./Connection');
 
 const activitySchema = new mongoose.Schema({
   user: {
@@ -69,6 +70,7 @@ const activitySchema = new mongoose.Schema({
     newValue: mongoose.Schema.Types.Mixed,
     ipAddress: String,
     userAgent: String,
+    anonymous: Boolean, // profile_view by a viewer browsing anonymously
     location: {
       city: String,
       country: String,
@@ -100,6 +102,7 @@ activitySchema.index({ createdAt: -1 });
 activitySchema.index({ user: 1, createdAt: -1 });
 activitySchema.index({ type: 1, createdAt: -1 });
 activitySchema.index({ 'metadata.targetUser': 1 });
+activitySchema.index({ 'metadata.targetUser': 1, type: 1, createdAt: -1 });
 
 // Virtual for formatted date
 activitySchema.virtual('formattedDate').get(function() {
@@ -118,9 +121,9 @@ activitySchema.virtual('formattedDate').get(function() {
 });
 
 // Static method to create activity
-activitySchema.statics.createActivity = async function(data) {
+activitySchema.statics.createActivity = async function(data, { session } = {}) {
   const activity = new this(data);
-  await activity.save();
+  await activity.save({ session });
   
   // Populate user info before returning
   await activity.populate('user', 'firstName lastName profilePicture');
@@ -183,16 +186,8 @@ activitySchema.statics.getActivityFeed = async function(userId, options = {}) {
   } = options;
   
   try {
-    // Get user's connections from Profile model
-    const Profile = mongoose.model('Profile');
-    const userProfile = await Profile.findOne({ user: userId })
-      .select('connections')
-      .lean();
-    
-    // Get accepted connections
-    const connectionIds = userProfile?.connections
-      ?.filter(conn => conn.status === 'accepted')
-      ?.map(conn => conn.user) || [];
+    // Get user's accepted connections
+    const connectionIds = await Connection.getConnectionIds(userId);
     
     // Build query
     const userIds = includeOwn ? [...connectionIds, userId] : connectionIds;
@@ -0,0 +1,140 @@
+// models/AlumniVerification.js
+const mongoose = require('mongoose');
+
+// An alumnus' claim to a graduation record. Claims that match the register exactly
+// are approved automatically; everything else waits for manual review.
+const alumniVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Details as submitted by the alumnus
+  indexNumber: {
+    type: String,
+    required: [true, 'Student ID / index number is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Index number cannot exceed 30 characters']
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Full name as on your certificate is required'],
+    trim: true,
+    maxlength: [150, 'Full name cannot exceed 150 characters']
+  },
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    trim: true,
+    maxlength: [100, 'Program name cannot exceed 100 characters']
+  },
+  graduationYear: {
+    type: Number,
+    required: [true, 'Graduation year is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  // Why a claim was not auto-approved
+  reviewReason: {
+    type: String,
+    enum: ['no_record', 'details_mismatch', 'already_claimed']
+  },
+  mismatchedFields: [String],
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GraduationRecord'
+  },
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+alumniVerificationSchema.index({ status: 1, createdAt: 1 });
+
+// Approve the claim against a record: claim the record, badge the profile and
+// take graduation details from the register rather than the alumnus.
+alumniVerificationSchema.methods.approve = async function(record, { matchType, reviewer } = {}) {
+  const GraduationRecord = mongoose.model('GraduationRecord');
+  const Profile = mongoose.model('Profile');
+
+  // Atomic so two claims can't both win the same record
+  const claimed = await GraduationRecord.findOneAndUpdate(
+    { _id: record._id, $or: [{ claimedBy: null }, { claimedBy: this.user }] },
+    { claimedBy: this.user, claimedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new Error('Graduation record has already been claimed by another user');
+  }
+
+  this.status = 'approved';
+  this.record = claimed._id;
+  this.matchType = matchType;
+  this.reviewedBy = reviewer;
+  this.reviewedAt = reviewer ? new Date() : undefined;
+  this.rejectionReason = undefined;
+  await this.save();
+
+  const update = {
+    'alumniVerification.status': 'verified',
+    'alumniVerification.verifiedAt': new Date(),
+    'alumniVerification.record': claimed._id,
+    graduationYear: claimed.graduationYear,
+    program: claimed.program
+  };
+  if (claimed.degree) update.degree = claimed.degree;
+
+  await Profile.findOneAndUpdate(
+    { user: this.user },
+    { $set: update, $setOnInsert: { user: this.user } },
+    { upsert: true }
+  );
+  await Profile.refreshCompletion(this.user);
+
+  return this;
+};
+
+alumniVerificationSchema.methods.reject = async function(reason, reviewer) {
+  const Profile = mongoose.model('Profile');
+
+  this.status = 'rejected';
+  this.rejectionReason = reason;
+  this.reviewedBy = reviewer;
+  this.reviewedAt = new Date();
+  await this.save();
+
+  await Profile.findOneAndUpdate(
+    { user: this.user },
+    { 'alumniVerification.status': 'rejected' }
+  );
+  await Profile.refreshCompletion(this.user);
+
+  return this;
+};
+
+module.exports = mongoose.model('AlumniVerification', alumniVerificationSchema);
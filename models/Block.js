@@ -0,0 +1,47 @@
+// models/Block.js
+const mongoose = require('mongoose');
+
+// One user blocking another. Blocks work both ways: neither side sees the other in
+// search or suggestions, and they can't connect, chat or notify each other.
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// True when either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function(userA, userB) {
+  if (!userA || !userB) return false;
+
+  return !!(await this.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA }
+    ]
+  }));
+};
+
+// Ids of everyone a user has blocked or been blocked by, as strings
+blockSchema.statics.getHiddenIds = async function(userId) {
+  const blocks = await this.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ).toString());
+};
+
+module.exports = mongoose.model('Block', blockSchema);
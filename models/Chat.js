@@ -1,5 +1,6 @@
 // models/Chat.js
 const mongoose = require('mongoose');
+const Block = require('./Block');
 
 const chatSchema = new mongoose.Schema({
   type: {
@@ -212,6 +213,14 @@ chatSchema.methods.isParticipant = function(userId) {
   );
 };
 
+// Direct chats go quiet once either side blocks the other
+chatSchema.methods.isBlockedFor = async function(userId) {
+  if (this.type !== 'direct') return false;
+
+  const other = this.participants.find(p => (p.user._id || p.user).toString() !== userId.toString());
+  return !!other && Block.isBlockedBetween(userId, other.user._id || other.user);
+};
+
 // Instance method to get participant info
 chatSchema.methods.getParticipant = function(userId) {
   return this.participants.find(p => 
@@ -0,0 +1,155 @@
+// models/Connection.js
+const mongoose = require('mongoose');
+
+// One document per pair of alumni - the single source of truth for who is connected
+// to whom. Declined requests are deleted, so the pair can try again later.
+const connectionSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  addressee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Both user ids in sorted order - unique, so a pair can only ever have one connection
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  connectedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+connectionSchema.index({ requester: 1, status: 1 });
+connectionSchema.index({ addressee: 1, status: 1 });
+
+connectionSchema.statics.pairKey = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+};
+
+connectionSchema.pre('validate', function(next) {
+  if (this.requester && this.addressee) {
+    if (this.requester.toString() === this.addressee.toString()) {
+      return next(new Error('Cannot connect to yourself'));
+    }
+    this.pairKey = this.constructor.pairKey(this.requester, this.addressee);
+  }
+  next();
+});
+
+// The other side of the connection, from one user's point of view
+connectionSchema.methods.otherParty = function(userId) {
+  return this.requester.toString() === userId.toString() ? this.addressee : this.requester;
+};
+
+connectionSchema.statics.findBetween = function(userA, userB) {
+  return this.findOne({ pairKey: this.pairKey(userA, userB) });
+};
+
+connectionSchema.statics.areConnected = async function(userA, userB) {
+  return !!(await this.exists({ pairKey: this.pairKey(userA, userB), status: 'accepted' }));
+};
+
+// Accepted connection ids of one user, as strings
+connectionSchema.statics.getConnectionIds = async function(userId) {
+  const connections = await this.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { addressee: userId }]
+  }).select('requester addressee').lean();
+
+  return connections.map(conn => (
+    conn.requester.toString() === userId.toString() ? conn.addressee : conn.requester
+  ).toString());
+};
+
+// Map of user id -> accepted connection ids, for many users in one query
+connectionSchema.statics.getConnectionMap = async function(userIds) {
+  const ids = userIds.map(id => id.toString());
+  const wanted = new Set(ids);
+  const map = new Map(ids.map(id => [id, []]));
+
+  const connections = await this.find({
+    status: 'accepted',
+    $or: [{ requester: { $in: userIds } }, { addressee: { $in: userIds } }]
+  }).select('requester addressee').lean();
+
+  connections.forEach(conn => {
+    const requester = conn.requester.toString();
+    const addressee = conn.addressee.toString();
+    if (wanted.has(requester)) map.get(requester).push(addressee);
+    if (wanted.has(addressee)) map.get(addressee).push(requester);
+  });
+
+  return map;
+};
+
+connectionSchema.statics.countConnections = function(userId) {
+  return this.countDocuments({
+    status: 'accepted',
+    $or: [{ requester: userId }, { addressee: userId }]
+  });
+};
+
+// Everyone a user is connected to or has a pending request with, either way
+connectionSchema.statics.getRelatedIds = async function(userId) {
+  const connections = await this.find({ $or: [{ requester: userId }, { addressee: userId }] })
+    .select('requester addressee')
+    .lean();
+
+  return connections.map(conn => (
+    conn.requester.toString() === userId.toString() ? conn.addressee : conn.requester
+  ).toString());
+};
+
+// A user's connections in the shape profiles used to embed them:
+// { _id, user, status, message, createdAt, connectedAt }. Accepted connections plus
+// requests received (or sent, with direction 'outgoing').
+connectionSchema.statics.listForUser = async function(userId, { status, direction = 'incoming', userFields } = {}) {
+  const pendingSide = direction === 'outgoing' ? { requester: userId } : { addressee: userId };
+  const query = {
+    $or: [
+      { status: 'accepted', requester: userId },
+      { status: 'accepted', addressee: userId },
+      { status: 'pending', ...pendingSide }
+    ]
+  };
+  if (status) query.$or = query.$or.filter(clause => clause.status === status);
+
+  let find = this.find(query).sort({ connectedAt: -1, createdAt: -1 });
+  if (userFields) {
+    find = find.populate('requester', userFields).populate('addressee', userFields);
+  }
+  const connections = await find.lean();
+
+  return connections.map(conn => {
+    const isRequester = (conn.requester?._id || conn.requester).toString() === userId.toString();
+    return {
+      _id: conn._id,
+      user: isRequester ? conn.addressee : conn.requester,
+      status: conn.status,
+      direction: conn.status === 'pending' ? (isRequester ? 'outgoing' : 'incoming') : undefined,
+      message: conn.message,
+      createdAt: conn.createdAt,
+      connectedAt: conn.connectedAt
+    };
+  });
+};
+
+module.exports = mongoose.model('Connection', connectionSchema);
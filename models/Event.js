@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// pending waits for the organizer when the event requires approval; rejected
+// and cancelled registrations stay on the event for the record
+const ATTENDEE_STATUSES = ['pending', 'registered', 'attended', 'rejected', 'cancelled'];
+// Registrations that occupy a seat
+const SEAT_HOLDING_STATUSES = ['pending', 'registered', 'attended'];
+
 const eventSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -45,6 +51,17 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Seats in use: pending, registered and attended attendees plus seats held for
+  // waitlist offers. Only ever changed with $inc alongside the array update it accounts for.
+  seatsTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
   
   // Organizer
   organizer: {
@@ -52,13 +69,38 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Door staff who may check attendees in, besides the organizer and admins
+  checkInStaff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // Attendees
   attendees: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     registeredAt: { type: Date, default: Date.now },
-    status: { type: String, enum: ['registered', 'attended', 'cancelled'], default: 'registered' },
-    checkInTime: Date
+    status: { type: String, enum: ATTENDEE_STATUSES, default: 'registered' },
+    checkInTime: Date,
+    // Random id inside the signed ticket token; replaced if the user registers again.
+    // Anyone holding it could forge the QR code, so it is only read where tickets are handled.
+    ticketId: { type: String, select: false },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    checkInMethod: { type: String, enum: ['qr', 'manual', 'sync'] },
+    cancelledAt: Date,
+    // Organizer decision on a pending registration
+    reviewedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewMessage: { type: String, trim: true, maxlength: 500 }
+  }],
+
+  // Waitlist, in joining order. When a seat frees up the first waiting entry is
+  // offered it and has until offerExpiresAt to claim it.
+  waitlist: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    joinedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ['waiting', 'offered'], default: 'waiting' },
+    offeredAt: Date,
+    offerExpiresAt: Date
   }],
   
   // Event Status
@@ -68,6 +110,15 @@ const eventSchema = new mongoose.Schema({
     default: 'draft'
   },
   
+  // Set when the event is one occurrence of a recurring series, created the
+  // first time somebody registers for it. occurrenceStart is the start the
+  // rule gave it, which stays the same if the occurrence is moved.
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  occurrenceStart: Date,
+  
   // Additional Info
   tags: [String],
   imageUrl: String,
@@ -84,5 +135,36 @@ eventSchema.index({ startDate: 1 });
 eventSchema.index({ eventType: 1 });
 eventSchema.index({ status: 1 });
 eventSchema.index({ organizer: 1 });
+eventSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
+eventSchema.index(
+  { series: 1, occurrenceStart: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
+
+// 1-based place in the queue among waiting entries, or null
+eventSchema.methods.waitlistPosition = function(userId) {
+  const waiting = this.waitlist.filter(entry => entry.status === 'waiting');
+  const index = waiting.findIndex(entry => (entry.user?._id || entry.user).toString() === userId.toString());
+  return index === -1 ? null : index + 1;
+};
+
+// Recompute seatsTaken from the arrays, for events saved before it existed or
+// after a manual data fix
+eventSchema.statics.syncSeatCounts = function(filter = {}) {
+  return this.updateMany(filter, [{
+    $set: {
+      seatsTaken: {
+        $add: [
+          { $size: { $filter: { input: { $ifNull: ['$attendees', []] }, cond: { $in: ['$$this.status', SEAT_HOLDING_STATUSES] } } } },
+          { $size: { $filter: { input: { $ifNull: ['$waitlist', []] }, cond: { $eq: ['$$this.status', 'offered'] } } } }
+        ]
+      }
+    }
+  }]);
+};
+
+const Event = mongoose.model('Event', eventSchema);
+Event.ATTENDEE_STATUSES = ATTENDEE_STATUSES;
+Event.SEAT_HOLDING_STATUSES = SEAT_HOLDING_STATUSES;
 
-module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
+module.exports = Event;
\ No newline at end of file
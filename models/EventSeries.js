@@ -0,0 +1,200 @@
+// models/EventSeries.js
+const mongoose = require('mongoose');
+const { parseRule, expandRule, assertOccurs, toOccurrenceKey } = require('../utils/recurrence');
+
+const EVENT_TYPES = ['Networking', 'Career Development', 'Social', 'Academic', 'Alumni Meetup'];
+
+const locationFields = {
+  venue: String,
+  address: String,
+  city: String,
+  isOnline: { type: Boolean, default: false },
+  onlineLink: String
+};
+
+// Changes to one occurrence, keyed by its original start
+const overrideSchema = new mongoose.Schema({
+  occurrenceStart: {
+    type: Date,
+    required: true
+  },
+  startDate: Date, // Moved to another time
+  endDate: Date,
+  title: { type: String, trim: true, maxlength: 200 },
+  description: { type: String, maxlength: 2000 },
+  location: locationFields,
+  maxAttendees: { type: Number, min: 1 }
+}, { _id: false });
+
+// A repeating event. Occurrences are computed from the rule and only stored as
+// Event documents (with series and occurrenceStart set) once somebody registers,
+// so seats, waitlists and tickets work per occurrence as for any other event.
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  eventType: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+
+  // The first occurrence; later ones repeat its time of day
+  startDate: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: [5, 'Duration must be at least 5 minutes'],
+    max: [7 * 24 * 60, 'Duration cannot exceed a week']
+  },
+  // RRULE without the "RRULE:" prefix, e.g. FREQ=MONTHLY;BYDAY=1TU;COUNT=12
+  recurrenceRule: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Occurrence starts that don't happen (EXDATE)
+  exceptions: [Date],
+  overrides: [overrideSchema],
+
+  location: locationFields,
+
+  // Registration, per occurrence
+  maxAttendees: {
+    type: Number,
+    min: 1
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Registered for every occurrence, including ones added later
+  subscribers: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    subscribedAt: { type: Date, default: Date.now }
+  }],
+
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'cancelled'],
+    default: 'draft'
+  },
+
+  tags: [String],
+  imageUrl: String
+}, {
+  timestamps: true
+});
+
+eventSeriesSchema.index({ status: 1, startDate: 1 });
+eventSeriesSchema.index({ organizer: 1 });
+eventSeriesSchema.index({ 'subscribers.user': 1 });
+
+eventSeriesSchema.pre('validate', function(next) {
+  if (this.recurrenceRule && this.startDate) {
+    try {
+      parseRule(this.recurrenceRule, this.startDate);
+      assertOccurs(this.recurrenceRule, this.startDate);
+      this.recurrenceRule = this.recurrenceRule.replace(/^RRULE:/i, '');
+    } catch (error) {
+      this.invalidate('recurrenceRule', error.message);
+    }
+  }
+  next();
+});
+
+eventSeriesSchema.methods.findOverride = function(occurrenceStart) {
+  const time = new Date(occurrenceStart).getTime();
+  return this.overrides.find(override => override.occurrenceStart.getTime() === time);
+};
+
+eventSeriesSchema.methods.isException = function(occurrenceStart) {
+  const time = new Date(occurrenceStart).getTime();
+  return this.exceptions.some(exception => exception.getTime() === time);
+};
+
+// One occurrence as event fields, with its override applied
+eventSeriesSchema.methods.buildOccurrence = function(occurrenceStart) {
+  const override = this.findOverride(occurrenceStart) || {};
+  const startDate = override.startDate || occurrenceStart;
+  const endDate = override.endDate || new Date(new Date(startDate).getTime() + this.durationMinutes * 60 * 1000);
+
+  return {
+    series: this._id,
+    occurrenceStart,
+    occurrenceKey: toOccurrenceKey(occurrenceStart),
+    title: override.title || this.title,
+    description: override.description || this.description,
+    eventType: this.eventType,
+    startDate,
+    endDate,
+    location: override.location?.venue || override.location?.isOnline ? override.location : this.location,
+    maxAttendees: override.maxAttendees || this.maxAttendees,
+    requiresApproval: this.requiresApproval,
+    waitlistEnabled: this.waitlistEnabled,
+    organizer: this.organizer,
+    tags: this.tags,
+    imageUrl: this.imageUrl
+  };
+};
+
+// Occurrences (exceptions left out) whose original start is in [from, to]
+eventSeriesSchema.methods.getOccurrences = function({ from, to, limit } = {}) {
+  const skip = start => this.isException(start);
+  return expandRule(this.recurrenceRule, this.startDate, { from, to, limit, skip })
+    .map(start => this.buildOccurrence(start));
+};
+
+// Occurrences (exceptions left out) that start in [from, to] once overrides are
+// applied, by start date - an occurrence moved into the range is included and
+// one moved out of it isn't
+eventSeriesSchema.methods.getOccurrencesStarting = function({ from, to }) {
+  const skip = start => this.isException(start);
+  const movedIn = this.overrides
+    .filter(override => override.startDate >= from && override.startDate <= to)
+    .filter(override => this.hasOccurrence(override.occurrenceStart))
+    .map(override => override.occurrenceStart);
+
+  const seen = new Set();
+  return [...expandRule(this.recurrenceRule, this.startDate, { from, to, skip }), ...movedIn]
+    .filter(start => !seen.has(start.getTime()) && seen.add(start.getTime()))
+    .map(start => this.buildOccurrence(start))
+    .filter(occurrence => occurrence.startDate >= from && occurrence.startDate <= to)
+    .sort((a, b) => a.startDate - b.startDate);
+};
+
+// Whether a date is the original start of an occurrence that still happens
+eventSeriesSchema.methods.hasOccurrence = function(occurrenceStart) {
+  const time = new Date(occurrenceStart).getTime();
+  if (isNaN(time) || this.isException(occurrenceStart)) return false;
+
+  return expandRule(this.recurrenceRule, this.startDate, { from: new Date(time), to: new Date(time), limit: 1 })
+    .some(start => start.getTime() === time);
+};
+
+const EventSeries = mongoose.model('EventSeries', eventSeriesSchema);
+EventSeries.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventSeries;
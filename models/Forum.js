@@ -461,8 +461,7 @@ forumReplySchema.methods.editContent = function(newContent) {
 forumReplySchema.statics.getPostReplies = function(postId, options = {}) {
   const {
     page = 1,
-    limit = 20,
-    includeNested = true
+    limit = 20
   } = options;
 
   const skip = (page - 1) * limit;
@@ -472,18 +471,9 @@ forumReplySchema.statics.getPostReplies = function(postId, options = {}) {
     parentReply: null // Only top-level replies
   };
 
-  let populateOptions = 'author';
-  if (includeNested) {
-    populateOptions = [
-      {
-        path: 'author',
-        select: 'firstName lastName profilePicture'
-      }
-    ];
-  }
-
+  // Only public fields - reply authors are visible to every reader of the forum
   return this.find(query)
-    .populate(populateOptions)
+    .populate('author', 'firstName lastName profilePicture')
     .sort({ createdAt: 1 })
     .skip(skip)
     .limit(limit);
@@ -0,0 +1,105 @@
+// models/GraduationRecord.js
+const mongoose = require('mongoose');
+
+// One row of the official graduation register, imported by admins.
+// Alumni prove they graduated by claiming the record that carries their index number.
+const graduationRecordSchema = new mongoose.Schema({
+  indexNumber: {
+    type: String,
+    required: [true, 'Index number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Index number cannot exceed 30 characters']
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    maxlength: [150, 'Full name cannot exceed 150 characters']
+  },
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    trim: true,
+    maxlength: [100, 'Program name cannot exceed 100 characters']
+  },
+  graduationYear: {
+    type: Number,
+    required: [true, 'Graduation year is required'],
+    min: [1950, 'Graduation year must be after 1950'],
+    max: [new Date().getFullYear() + 1, 'Graduation year cannot be in the future']
+  },
+  degree: {
+    type: String,
+    enum: ['Bachelor', 'Master', 'PhD', 'Diploma', 'Certificate', 'Other']
+  },
+  // Set once an alumnus has been verified against this record
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: Date,
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+graduationRecordSchema.index({ graduationYear: 1, program: 1 });
+graduationRecordSchema.index({ fullName: 'text' });
+graduationRecordSchema.index({ claimedBy: 1 }, { sparse: true });
+
+// Index numbers are printed with all sorts of spacing ("ATU/ 18 / 0042")
+graduationRecordSchema.statics.normalizeIndexNumber = function(indexNumber) {
+  return String(indexNumber || '').toUpperCase().replace(/\s+/g, '');
+};
+
+const nameTokens = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(/[^a-z\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(token => token.length > 1);
+};
+
+const normalizeProgram = (program) => {
+  return String(program || '')
+    .toLowerCase()
+    .replace(/\b(bsc|btech|hnd|diploma|in|of|and|the)\b/g, ' ')
+    .replace(/[^a-z0-9]/g, '');
+};
+
+graduationRecordSchema.pre('validate', function(next) {
+  if (this.indexNumber) {
+    this.indexNumber = this.constructor.normalizeIndexNumber(this.indexNumber);
+  }
+  next();
+});
+
+// Fields of a claim that don't agree with this record. Names match in any order and
+// may leave out middle names; programs match ignoring degree prefixes and punctuation.
+graduationRecordSchema.methods.findMismatches = function({ fullName, program, graduationYear }) {
+  const mismatches = [];
+
+  const recordTokens = nameTokens(this.fullName);
+  const claimTokens = nameTokens(fullName);
+  const nameMatches = claimTokens.length >= 2 && claimTokens.every(token => recordTokens.includes(token));
+  if (!nameMatches) mismatches.push('fullName');
+
+  const recordProgram = normalizeProgram(this.program);
+  const claimProgram = normalizeProgram(program);
+  if (!claimProgram || !(recordProgram.includes(claimProgram) || claimProgram.includes(recordProgram))) {
+    mismatches.push('program');
+  }
+
+  if (parseInt(graduationYear) !== this.graduationYear) mismatches.push('graduationYear');
+
+  return mismatches;
+};
+
+module.exports = mongoose.model('GraduationRecord', graduationRecordSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Skill = require('./Skill');
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -99,4 +100,11 @@ jobSchema.index({ 'location.city': 1 });
 jobSchema.index({ skills: 1 });
 jobSchema.index({ createdAt: -1 });
 
+// Store catalogue names so jobs and profiles match on the same skill
+jobSchema.pre('validate', async function() {
+  if (this.isModified('skills')) {
+    this.skills = await Skill.normalizeList(this.skills);
+  }
+});
+
 module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
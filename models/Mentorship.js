@@ -0,0 +1,209 @@
+// models/Mentorship.js
+const mongoose = require('mongoose');
+const Profile = require('./Profile');
+
+// pending -> active -> completed, or pending -> declined / cancelled.
+// An active mentorship can also be cancelled by either side.
+const MENTORSHIP_STATUSES = ['pending', 'active', 'declined', 'cancelled', 'completed'];
+const OPEN_STATUSES = ['pending', 'active'];
+
+const MAX_GOALS = 10;
+const MAX_SESSIONS = 200;
+
+const feedbackSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const goalsField = {
+  type: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Each goal cannot exceed 200 characters']
+  }],
+  validate: [goals => goals.length <= MAX_GOALS, `At most ${MAX_GOALS} goals`]
+};
+
+// One meeting between mentor and mentee, logged by either of them
+const sessionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Session date is required']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [5, 'Duration must be at least 5 minutes'],
+    max: [480, 'Duration cannot exceed 8 hours']
+  },
+  format: {
+    type: String,
+    enum: Profile.MENTORING_FORMATS
+  },
+  goals: goalsField, // What the session set out to cover
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentorFeedback: feedbackSchema,
+  menteeFeedback: feedbackSchema
+}, {
+  timestamps: true
+});
+
+const mentorshipSchema = new mongoose.Schema({
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: MENTORSHIP_STATUSES,
+    default: 'pending'
+  },
+  // The mentee's request
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  areas: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Each area cannot exceed 50 characters']
+  }],
+  goals: goalsField,
+  preferredFormat: {
+    type: String,
+    enum: Profile.MENTORING_FORMATS
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  respondedAt: Date,
+  startedAt: Date,
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessions: {
+    type: [sessionSchema],
+    validate: [sessions => sessions.length <= MAX_SESSIONS, `At most ${MAX_SESSIONS} sessions per mentorship`]
+  },
+  lastSessionAt: Date
+}, {
+  timestamps: true
+});
+
+mentorshipSchema.index({ mentor: 1, status: 1 });
+mentorshipSchema.index({ mentee: 1, status: 1 });
+mentorshipSchema.index({ status: 1, startedAt: -1 });
+
+mentorshipSchema.pre('validate', function(next) {
+  if (this.mentor && this.mentee && this.mentor.toString() === this.mentee.toString()) {
+    return next(new Error('You cannot mentor yourself'));
+  }
+  next();
+});
+
+mentorshipSchema.virtual('sessionCount').get(function() {
+  return this.sessions ? this.sessions.length : 0;
+});
+
+// 'mentor', 'mentee' or null when the user is not part of this mentorship
+mentorshipSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if ((this.mentor?._id || this.mentor).toString() === id) return 'mentor';
+  if ((this.mentee?._id || this.mentee).toString() === id) return 'mentee';
+  return null;
+};
+
+mentorshipSchema.statics.countActiveMentees = function(mentorId, { session } = {}) {
+  return this.countDocuments({ mentor: mentorId, status: 'active' }).session(session || null);
+};
+
+// Take one of the mentor's mentee slots before activating a mentorship. Returns
+// false when they're at capacity (or have no profile). The check and increment
+// are one update, so concurrent accepts can't both take the last slot.
+mentorshipSchema.statics.claimMenteeSlot = async function(mentorId) {
+  const profile = await Profile.findOneAndUpdate(
+    {
+      user: mentorId,
+      $expr: { $lt: [{ $ifNull: ['$mentoring.activeMentees', 0] }, { $ifNull: ['$mentoring.capacity', 2] }] }
+    },
+    { $inc: { 'mentoring.activeMentees': 1 } },
+    { projection: { _id: 1 } }
+  );
+  return !!profile;
+};
+
+// Give a slot back once a mentorship stops being active (or wasn't activated after all)
+mentorshipSchema.statics.releaseMenteeSlot = function(mentorId) {
+  return Profile.updateOne(
+    { user: mentorId, 'mentoring.activeMentees': { $gt: 0 } },
+    { $inc: { 'mentoring.activeMentees': -1 } }
+  );
+};
+
+// Recount mentoring.activeMentees from the mentorships, for profiles saved before
+// the counter existed or after a manual data fix
+mentorshipSchema.statics.syncActiveMentees = async function(profileFilter = {}) {
+  const profiles = await Profile.find(profileFilter).select('user').lean();
+  if (!profiles.length) return { modifiedCount: 0 };
+
+  const counts = await this.getActiveCounts(profiles.map(profile => profile.user));
+  return Profile.bulkWrite(profiles.map(profile => ({
+    updateOne: {
+      filter: { _id: profile._id },
+      update: { $set: { 'mentoring.activeMentees': counts.get(profile.user.toString()) || 0 } }
+    }
+  })));
+};
+
+// Map of mentor id -> active mentee count, for many mentors in one query
+mentorshipSchema.statics.getActiveCounts = async function(mentorIds) {
+  const counts = await this.aggregate([
+    { $match: { mentor: { $in: mentorIds }, status: 'active' } },
+    { $group: { _id: '$mentor', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// The pending or active mentorship between a mentor and mentee, if any
+mentorshipSchema.statics.findOpen = function(mentorId, menteeId) {
+  return this.findOne({ mentor: mentorId, mentee: menteeId, status: { $in: OPEN_STATUSES } });
+};
+
+const Mentorship = mongoose.model('Mentorship', mentorshipSchema);
+Mentorship.STATUSES = MENTORSHIP_STATUSES;
+Mentorship.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Mentorship;
@@ -0,0 +1,122 @@
+// models/ModerationCase.js
+const mongoose = require('mongoose');
+
+const REPORT_CATEGORIES = [
+  'harassment',
+  'spam',
+  'scam_or_fraud',
+  'impersonation',
+  'fake_profile',
+  'inappropriate_content',
+  'hate_speech',
+  'other'
+];
+
+const CASE_STATUSES = ['open', 'under_review', 'resolved', 'dismissed'];
+
+// What the moderator did about it
+const RESOLUTION_ACTIONS = ['no_action', 'warning_sent', 'content_removed', 'account_deactivated'];
+
+const MAX_EVIDENCE = 10;
+
+// A user's report about another user, reviewed by admins
+const moderationCaseSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: REPORT_CATEGORIES,
+    required: [true, 'Reason category is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe what happened'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Links to the offending content: messages, posts, external pages or screenshots
+  evidence: {
+    type: [{
+      url: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^https?:\/\/\S+$/i, 'Evidence links must be http(s) URLs']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Evidence description cannot exceed 200 characters']
+      }
+    }],
+    validate: [evidence => evidence.length <= MAX_EVIDENCE, `At most ${MAX_EVIDENCE} evidence links`]
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Internal moderator notes - never shown to the reporter
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolution: {
+    action: {
+      type: String,
+      enum: RESOLUTION_ACTIONS
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resolution summary cannot exceed 1000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+moderationCaseSchema.index({ status: 1, createdAt: 1 });
+moderationCaseSchema.index({ reportedUser: 1, status: 1 });
+moderationCaseSchema.index({ reporter: 1, reportedUser: 1, status: 1 });
+
+moderationCaseSchema.virtual('isOpen').get(function() {
+  return ['open', 'under_review'].includes(this.status);
+});
+
+const ModerationCase = mongoose.model('ModerationCase', moderationCaseSchema);
+ModerationCase.CATEGORIES = REPORT_CATEGORIES;
+ModerationCase.STATUSES = CASE_STATUSES;
+ModerationCase.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+
+module.exports = ModerationCase;
@@ -1,5 +1,6 @@
 // models/Notification.js
 const mongoose = require('mongoose');
+const Block = require('./Block');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -12,7 +13,8 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: function() {
-      return this.type !== 'system';
+      // Profile view digests summarise several (possibly anonymous) viewers
+      return !['system', 'profile_view'].includes(this.type);
     }
   },
   type: {
@@ -29,7 +31,10 @@ const notificationSchema = new mongoose.Schema({
       'admin_message',
       'profile_view',
       'new_job_posting',
-      'event_invitation'
+      'event_invitation',
+      'event_waitlist',
+      'mentorship_request',
+      'mentorship_update'
     ],
     required: true,
     index: true
@@ -106,7 +111,12 @@ notificationSchema.methods.markAsRead = function() {
 };
 
 // Static method to create notification
+// Returns null (and creates nothing) when the sender and recipient have a block
 notificationSchema.statics.createNotification = async function(data) {
+  if (data.sender && await Block.isBlockedBetween(data.sender, data.recipient)) {
+    return null;
+  }
+
   const notification = new this(data);
   await notification.save();
   
@@ -118,6 +128,11 @@ notificationSchema.statics.createNotification = async function(data) {
 
 // Static method to create bulk notifications
 notificationSchema.statics.createBulkNotifications = async function(recipients, notificationData) {
+  if (notificationData.sender) {
+    const hiddenIds = new Set(await Block.getHiddenIds(notificationData.sender));
+    recipients = recipients.filter(recipientId => !hiddenIds.has(recipientId.toString()));
+  }
+
   const notifications = recipients.map(recipientId => ({
     ...notificationData,
     recipient: recipientId
@@ -162,6 +177,7 @@ notificationSchema.pre('save', function(next) {
       case 'event_reminder':
       case 'event_rsvp':
       case 'event_invitation':
+      case 'event_waitlist':
         this.actionUrl = `/events/${this.data.eventId}`;
         break;
       case 'job_application':
@@ -172,8 +188,12 @@ notificationSchema.pre('save', function(next) {
       case 'survey_invitation':
         this.actionUrl = `/surveys/${this.data.surveyId}`;
         break;
+      case 'mentorship_request':
+      case 'mentorship_update':
+        this.actionUrl = `/mentorship/${this.data.mentorshipId}`;
+        break;
       case 'profile_view':
-        this.actionUrl = `/alumni/me/profile`;
+        this.actionUrl = `/alumni/me/profile/views`;
         break;
       default:
         this.actionUrl = '/dashboard';
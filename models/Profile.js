@@ -1,5 +1,142 @@
 // models/Profile.js
 const mongoose = require('mongoose');
+const Skill = require('./Skill');
+const { evaluateProfile } = require('../utils/profileCompleteness');
+
+const DEGREES = ['Bachelor', 'Master', 'PhD', 'Diploma', 'Certificate', 'Other'];
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'self-employed', 'contract', 'internship'];
+
+// employmentStatus implied by a current position's type
+const EMPLOYMENT_STATUS_BY_TYPE = {
+  'full-time': 'Employed full-time',
+  'contract': 'Employed full-time',
+  'part-time': 'Employed part-time',
+  'internship': 'Employed part-time',
+  'self-employed': 'Self-employed'
+};
+const EMPLOYED_STATUSES = ['Employed full-time', 'Employed part-time', 'Self-employed'];
+
+// Vanity slugs for public profile links (/alumni/p/:slug)
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/;
+const RESERVED_SLUGS = ['admin', 'api', 'alumni', 'me', 'profile', 'settings', 'search', 'login', 'register', 'atu', 'support', 'help'];
+
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// How mentors are willing to meet their mentees
+const MENTORING_FORMATS = ['video', 'in-person', 'phone', 'chat'];
+const MAX_MENTORING_AREAS = 10;
+
+const MAX_EDUCATION_ENTRIES = 10;
+const MAX_POSITIONS = 30;
+
+// One qualification - the ATU degree or any other
+const educationSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: [true, 'Institution is required'],
+    trim: true,
+    maxlength: [150, 'Institution cannot exceed 150 characters']
+  },
+  program: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Program name cannot exceed 100 characters']
+  },
+  degree: {
+    type: String,
+    enum: DEGREES
+  },
+  startYear: {
+    type: Number,
+    min: [1950, 'Start year must be after 1950'],
+    max: [new Date().getFullYear() + 1, 'Start year cannot be in the future']
+  },
+  endYear: {
+    type: Number,
+    min: [1950, 'End year must be after 1950'],
+    max: [new Date().getFullYear() + 10, 'End year cannot be too far in the future']
+  },
+  current: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+educationSchema.pre('validate', function(next) {
+  if (this.startYear && this.endYear && this.endYear < this.startYear) {
+    this.invalidate('endYear', 'End year cannot be before start year');
+  }
+  next();
+});
+
+// One job, current or past
+const positionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Job title is required'],
+    trim: true,
+    maxlength: [100, 'Position cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    required: [true, 'Company is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  industry: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Industry cannot exceed 50 characters']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  employmentType: {
+    type: String,
+    enum: EMPLOYMENT_TYPES,
+    default: 'full-time'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: Date,
+  current: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+positionSchema.pre('validate', function(next) {
+  if (this.current) {
+    this.endDate = undefined;
+  } else if (!this.endDate) {
+    this.invalidate('endDate', 'End date is required unless this is a current position');
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  if (this.startDate && this.startDate > new Date()) {
+    this.invalidate('startDate', 'Start date cannot be in the future');
+  }
+  next();
+});
 
 const profileSchema = new mongoose.Schema({
   user: {
@@ -8,6 +145,18 @@ const profileSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Profile link must be 3-40 letters, numbers or hyphens and cannot start or end with a hyphen'],
+    validate: {
+      validator: slug => !RESERVED_SLUGS.includes(slug),
+      message: 'This profile link is reserved'
+    }
+  },
   phone: {
     type: String,
     trim: true,
@@ -62,7 +211,7 @@ const profileSchema = new mongoose.Schema({
   },
   degree: {
     type: String,
-    enum: ['Bachelor', 'Master', 'PhD', 'Diploma', 'Certificate', 'Other'],
+    enum: DEGREES,
     default: 'Bachelor'
   },
   gpa: {
@@ -70,8 +219,39 @@ const profileSchema = new mongoose.Schema({
     min: 0,
     max: 4.0
   },
+  // Proof of graduation against the official register - managed by the verification flow
+  alumniVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'verified', 'rejected'],
+      default: 'unverified'
+    },
+    verifiedAt: Date,
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GraduationRecord'
+    }
+  },
+  
+  // Full academic history, most recent first
+  education: {
+    type: [educationSchema],
+    validate: [
+      entries => entries.length <= MAX_EDUCATION_ENTRIES,
+      `Cannot have more than ${MAX_EDUCATION_ENTRIES} education entries`
+    ]
+  },
   
   // Employment Information
+  // Work history, current positions first then most recent. When present,
+  // currentPosition, currentCompany and employmentStatus are derived from it.
+  positions: {
+    type: [positionSchema],
+    validate: [
+      entries => entries.length <= MAX_POSITIONS,
+      `Cannot have more than ${MAX_POSITIONS} positions`
+    ]
+  },
   employmentStatus: {
     type: String,
     enum: ['Employed full-time', 'Employed part-time', 'Self-employed', 'Unemployed - seeking work', 'Unemployed - not seeking work', 'Student', 'Retired'],
@@ -99,11 +279,41 @@ const profileSchema = new mongoose.Schema({
   },
   
   // Skills and Interests
+  // Canonical names from the skills catalogue (models/Skill.js) - normalised on save
   skills: [{
     type: String,
     trim: true,
     maxlength: [30, 'Each skill cannot exceed 30 characters']
   }],
+  // Self-assessed proficiency for some or all of `skills`
+  skillLevels: [{
+    _id: false,
+    skill: {
+      type: String,
+      required: true
+    },
+    proficiency: {
+      type: String,
+      enum: PROFICIENCY_LEVELS,
+      required: true
+    }
+  }],
+  // Connections vouching for a skill - one per endorser per skill
+  endorsements: [{
+    skill: {
+      type: String,
+      required: true
+    },
+    endorser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   interests: [{
     type: String,
     trim: true,
@@ -141,6 +351,40 @@ const profileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Mentor settings - only used while availableForMentoring is on
+  mentoring: {
+    areas: {
+      type: [{
+        type: String,
+        trim: true,
+        maxlength: [50, 'Each mentoring area cannot exceed 50 characters']
+      }],
+      validate: [areas => areas.length <= MAX_MENTORING_AREAS, `At most ${MAX_MENTORING_AREAS} mentoring areas`]
+    },
+    // Active mentees at a time
+    capacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+      max: [10, 'Capacity cannot exceed 10'],
+      default: 2
+    },
+    // Active mentorships as mentor. Only ever changed with $inc alongside the
+    // mentorship status change it accounts for, so accepting can check capacity atomically.
+    activeMentees: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    formats: [{
+      type: String,
+      enum: MENTORING_FORMATS
+    }],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Mentoring note cannot exceed 500 characters']
+    }
+  },
   openToNetworking: {
     type: Boolean,
     default: true
@@ -160,27 +404,19 @@ const profileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // View other profiles without appearing in their "who viewed my profile"
+  browseAnonymously: {
+    type: Boolean,
+    default: false
+  },
   
-  // Connections
-  connections: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'accepted', 'blocked'],
-      default: 'pending'
-    },
-    connectedAt: {
-      type: Date
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Weighted completeness score (0-100), recalculated on every save - see utils/profileCompleteness.js
+  completionPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
   
   // Statistics
   profileViews: {
@@ -204,60 +440,124 @@ profileSchema.index({ employmentStatus: 1, currentCompany: 1 });
 profileSchema.index({ location: 1, openToOpportunities: 1 });
 profileSchema.index({ skills: 1 });
 profileSchema.index({ profileVisibility: 1, lastActiveAt: -1 });
-profileSchema.index({ 'connections.user': 1, 'connections.status': 1 });
+profileSchema.index({ 'alumniVerification.status': 1 });
+profileSchema.index({ 'positions.company': 1 });
+profileSchema.index({ completionPercentage: 1 });
+profileSchema.index({ 'endorsements.endorser': 1 });
 
-// Virtual for connection count
-profileSchema.virtual('connectionCount').get(function() {
-  return this.connections.filter(conn => conn.status === 'accepted').length;
+// Virtual for the verified-alumnus badge
+profileSchema.virtual('isVerifiedAlumnus').get(function() {
+  return this.alumniVerification?.status === 'verified';
 });
 
-// Virtual for profile completion percentage
-profileSchema.virtual('completionPercentage').get(function() {
-  let completion = 0;
-  const fields = [
-    'phone', 'location', 'bio', 'graduationYear', 'program', 
-    'currentPosition', 'currentCompany', 'skills', 'profilePicture'
-  ];
-  
-  fields.forEach(field => {
-    if (field === 'skills') {
-      if (this.skills && this.skills.length > 0) completion += 10;
-    } else if (this[field]) {
-      completion += 10;
-    }
+// Keep the stored completeness score current
+profileSchema.pre('save', async function() {
+  const { score } = await evaluateProfile(this);
+  this.completionPercentage = score;
+});
+
+// Skills with their proficiency and endorsements, for display
+profileSchema.virtual('skillDetails').get(function() {
+  if (!this.skills) return undefined;
+
+  return this.skills.map(name => {
+    const level = (this.skillLevels || []).find(entry => entry.skill === name);
+    const endorsements = (this.endorsements || []).filter(entry => entry.skill === name);
+    return {
+      name,
+      proficiency: level?.proficiency || null,
+      endorsementCount: endorsements.length,
+      endorsedBy: endorsements.map(entry => entry.endorser)
+    };
   });
-  
-  return Math.min(completion, 100);
 });
 
-// Method to add connection
-profileSchema.methods.addConnection = function(userId, status = 'pending') {
-  const existingConnection = this.connections.find(
-    conn => conn.user.toString() === userId.toString()
-  );
-  
-  if (existingConnection) {
-    existingConnection.status = status;
-    if (status === 'accepted') {
-      existingConnection.connectedAt = new Date();
-    }
-  } else {
-    this.connections.push({
-      user: userId,
-      status,
-      connectedAt: status === 'accepted' ? new Date() : undefined
+// Map skills to catalogue names, and carry proficiency and endorsements over to the
+// new names. Entries for skills that were removed are dropped.
+profileSchema.pre('validate', async function() {
+  if (!this.isModified('skills') && !this.isModified('skillLevels') && !this.isModified('endorsements')) return;
+
+  const names = await Skill.resolveNames([
+    ...this.skills,
+    ...this.skillLevels.map(entry => entry.skill),
+    ...this.endorsements.map(entry => entry.skill)
+  ]);
+  this.skills = Skill.dedupeNames(this.skills.map(value => names.get(String(value).trim().replace(/\s+/g, ' ')) || value));
+
+  // Levels and endorsements follow the kept spelling, e.g. "Javascript" -> "JavaScript"
+  const keptByKey = new Map(this.skills.map(name => [Skill.normalizeKey(name), name]));
+  const kept = new Set(this.skills);
+  const canonical = value => keptByKey.get(Skill.normalizeKey(names.get(String(value).trim().replace(/\s+/g, ' ')) || value)) || value;
+
+  const levelSeen = new Set();
+  this.skillLevels = this.skillLevels
+    .map(entry => ({ skill: canonical(entry.skill), proficiency: entry.proficiency }))
+    .filter(entry => kept.has(entry.skill) && !levelSeen.has(entry.skill) && levelSeen.add(entry.skill));
+
+  const endorsementSeen = new Set();
+  this.endorsements = this.endorsements
+    .map(entry => ({ _id: entry._id, skill: canonical(entry.skill), endorser: entry.endorser, createdAt: entry.createdAt }))
+    .filter(entry => {
+      const key = `${entry.skill}:${entry.endorser}`;
+      return kept.has(entry.skill) && !endorsementSeen.has(key) && endorsementSeen.add(key);
     });
+});
+
+// Keep history ordered and the flat employment fields in step with it
+profileSchema.pre('validate', function(next) {
+  if (this.isModified('positions')) {
+    this.positions.sort((a, b) =>
+      (b.current - a.current) ||
+      ((b.endDate || Date.now()) - (a.endDate || Date.now())) ||
+      (b.startDate - a.startDate)
+    );
+  }
+  if (this.isModified('education')) {
+    this.education.sort((a, b) =>
+      (b.current - a.current) ||
+      ((b.endYear || 0) - (a.endYear || 0)) ||
+      ((b.startYear || 0) - (a.startYear || 0))
+    );
   }
-  
-  return this.save();
-};
 
-// Method to remove connection
-profileSchema.methods.removeConnection = function(userId) {
-  this.connections = this.connections.filter(
-    conn => conn.user.toString() !== userId.toString()
-  );
-  return this.save();
+  this.syncEmployment();
+  next();
+});
+
+// Derive currentPosition, currentCompany and employmentStatus from the work history.
+// Profiles that have never added positions keep their manually entered values.
+profileSchema.methods.syncEmployment = function() {
+  if (this.positions.length === 0) {
+    if (this.isModified('positions')) {
+      this.currentPosition = undefined;
+      this.currentCompany = undefined;
+    }
+    return this;
+  }
+
+  const current = this.positions.find(position => position.current);
+
+  if (current) {
+    this.currentPosition = current.title;
+    this.currentCompany = current.company;
+    if (current.industry) this.industry = current.industry;
+    this.employmentStatus = EMPLOYMENT_STATUS_BY_TYPE[current.employmentType];
+    return this;
+  }
+
+  this.currentPosition = undefined;
+  this.currentCompany = undefined;
+
+  // No current job - only correct a status that claims one (Retired etc. are left alone)
+  if (!this.employmentStatus || EMPLOYED_STATUSES.includes(this.employmentStatus)) {
+    if (this.education.some(entry => entry.current)) {
+      this.employmentStatus = 'Student';
+    } else {
+      this.employmentStatus = this.openToOpportunities ? 'Unemployed - seeking work' : 'Unemployed - not seeking work';
+    }
+  }
+
+  return this;
 };
 
 // Method to update last active
@@ -266,6 +566,42 @@ profileSchema.methods.updateLastActive = function() {
   return this.save();
 };
 
+// Turn a name into a slug candidate ("Ama Owusu-Ansah" -> "ama-owusu-ansah")
+profileSchema.statics.slugify = function(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+};
+
+// Whether a slug is well formed, not reserved and not used by another profile
+profileSchema.statics.isSlugAvailable = async function(slug, excludeProfileId = null) {
+  if (!SLUG_PATTERN.test(slug) || RESERVED_SLUGS.includes(slug)) return false;
+
+  const query = { slug };
+  if (excludeProfileId) query._id = { $ne: excludeProfileId };
+  return !(await this.exists(query));
+};
+
+// First free slug based on a name: ama-owusu, ama-owusu-2, ama-owusu-3...
+profileSchema.statics.generateSlug = async function(firstName, lastName, excludeProfileId = null) {
+  let base = this.slugify(`${firstName} ${lastName}`);
+  if (base.length < 3) base = `alumnus-${base}`.replace(/-+$/, '');
+  base = base.slice(0, 36).replace(/-+$/, '');
+
+  for (let suffix = 1; suffix <= 50; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    if (await this.isSlugAvailable(candidate, excludeProfileId)) return candidate;
+  }
+
+  // Very common name - fall back to a random suffix
+  return `${base}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
 // Static method to find profiles with filters
 profileSchema.statics.findWithFilters = function(filters = {}) {
   const query = { profileVisibility: { $ne: 'private' } };
@@ -286,6 +622,11 @@ profileSchema.statics.findWithFilters = function(filters = {}) {
     query.employmentStatus = filters.employmentStatus;
   }
   
+  if (filters.employer) {
+    const employer = new RegExp(filters.employer, 'i');
+    query.$or = [{ currentCompany: employer }, { 'positions.company': employer }];
+  }
+  
   if (filters.skills && Array.isArray(filters.skills)) {
     query.skills = { $in: filters.skills };
   }
@@ -293,7 +634,28 @@ profileSchema.statics.findWithFilters = function(filters = {}) {
   return this.find(query).populate('user', 'firstName lastName email role');
 };
 
-// Pre-save middleware to update profile completion in User model
+// Recalculate completeness after an update that bypassed save (findOneAndUpdate etc.)
+profileSchema.statics.refreshCompletion = async function(userId) {
+  const profile = await this.findOne({ user: userId });
+  if (profile) await profile.save();
+  return profile;
+};
+
+// Recalculate every stored score - after the completeness weights change
+profileSchema.statics.recalculateCompletion = async function() {
+  let updated = 0;
+  for await (const profile of this.find().cursor()) {
+    try {
+      await profile.save();
+      updated++;
+    } catch (error) {
+      console.error(`Failed to recalculate completion for profile ${profile._id}:`, error.message);
+    }
+  }
+  return updated;
+};
+
+// Post-save middleware to mirror profile completion onto the User model
 profileSchema.post('save', async function(doc) {
   try {
     const User = mongoose.model('User');
@@ -305,4 +667,8 @@ profileSchema.post('save', async function(doc) {
   }
 });
 
-module.exports = mongoose.model('Profile', profileSchema);
\ No newline at end of file
+const Profile = mongoose.model('Profile', profileSchema);
+Profile.PROFICIENCY_LEVELS = PROFICIENCY_LEVELS;
+Profile.MENTORING_FORMATS = MENTORING_FORMATS;
+
+module.exports = Profile;
\ No newline at end of file
@@ -0,0 +1,72 @@
+// models/Role.js
+const mongoose = require('mongoose');
+const { cache } = require('../config/database');
+const { BUILT_IN_ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name must be 2-40 lowercase letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  isSystem: {
+    type: Boolean, // Built-in roles cannot be deleted or renamed
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the permissions granted by a role (cached for 5 minutes)
+roleSchema.statics.getPermissions = async function(name) {
+  if (name === 'admin') return DEFAULT_ROLE_PERMISSIONS.admin;
+
+  const cached = await cache.get(`role:${name}`);
+  if (cached) return cached.permissions;
+
+  const role = await this.findOne({ name }).lean();
+  const permissions = role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[name] || []);
+  await cache.set(`role:${name}`, { permissions }, 300);
+  return permissions;
+};
+
+// Static method to make sure built-in roles have documents (used by the roles API)
+roleSchema.statics.ensureBuiltInRoles = async function() {
+  await Promise.all(BUILT_IN_ROLES.map(name =>
+    this.updateOne(
+      { name },
+      {
+        $setOnInsert: {
+          name,
+          permissions: DEFAULT_ROLE_PERMISSIONS[name],
+          isSystem: true,
+          description: `Built-in ${name} role`
+        }
+      },
+      { upsert: true }
+    )
+  ));
+};
+
+// Static method to drop a role's cached permissions after it changes
+roleSchema.statics.clearCache = function(name) {
+  return cache.del(`role:${name}`);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
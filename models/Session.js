@@ -0,0 +1,111 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const { cache } = require('../config/database');
+
+// One document per login. The session is the refresh token "family":
+// every refresh rotates `jti`, and presenting an older jti revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  jti: {
+    type: String, // ID of the only refresh token currently valid for this session
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // MongoDB TTL index
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'user_revoked', 'admin_revoked', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+const cacheKey = (sessionId) => `session:${sessionId}`;
+
+// Sign out live sockets of revoked sessions (required lazily - socket config loads models)
+const disconnectSockets = (sessionIds) => {
+  try {
+    const { socketService } = require('../config/socket');
+    socketService.disconnectSessions(sessionIds);
+  } catch (error) {
+    console.error('Failed to disconnect revoked session sockets:', error);
+  }
+};
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke this session
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  await cache.del(cacheKey(this._id));
+  disconnectSockets([this._id]);
+  return this;
+};
+
+// Static method to check whether a session can still be used (cached for 5 minutes)
+sessionSchema.statics.isSessionActive = async function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const cached = await cache.get(cacheKey(sessionId));
+  if (cached) return cached.active;
+
+  const session = await this.findById(sessionId).select('revokedAt expiresAt');
+  const active = !!session && session.isActive;
+  await cache.set(cacheKey(sessionId), { active }, 300);
+  return active;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, { except, reason = 'user_revoked' } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const sessions = await this.find(query).select('_id');
+  if (sessions.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await Promise.all(sessions.map(s => cache.del(cacheKey(s._id))));
+  disconnectSockets(sessions.map(s => s._id));
+
+  return sessions.map(s => s._id);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
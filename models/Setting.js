@@ -0,0 +1,47 @@
+// models/Setting.js
+const mongoose = require('mongoose');
+const { cache } = require('../config/database');
+
+// Platform-wide settings managed by admins, stored as key/value pairs
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting (cached for 5 minutes)
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = await cache.get(`setting:${key}`);
+  if (cached) return cached.value;
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : defaultValue;
+  await cache.set(`setting:${key}`, { value }, 300);
+  return value;
+};
+
+// Static method to write a setting
+settingSchema.statics.setValue = async function(key, value, updatedBy) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+  await cache.del(`setting:${key}`);
+  return setting;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
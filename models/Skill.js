@@ -0,0 +1,145 @@
+// models/Skill.js
+const mongoose = require('mongoose');
+
+const SKILL_CATEGORIES = [
+  'Programming Languages',
+  'Frameworks & Libraries',
+  'Data & Analytics',
+  'Design',
+  'Engineering',
+  'Business & Management',
+  'Finance & Accounting',
+  'Marketing & Sales',
+  'Communication',
+  'Hospitality',
+  'Health & Science',
+  'Other'
+];
+
+// Managed catalogue entry. Profiles and jobs store the canonical `name`; anything
+// typed that matches the name or an alias (ignoring case, spaces and punctuation)
+// is rewritten to it when they are saved.
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Skill name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [30, 'Skill name cannot exceed 30 characters']
+  },
+  // Normalised form of the name - what lookups match against
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Each alias cannot exceed 30 characters']
+  }],
+  // Normalised aliases, kept in step with `aliases`
+  aliasKeys: {
+    type: [String],
+    index: true
+  },
+  category: {
+    type: String,
+    enum: SKILL_CATEGORIES,
+    default: 'Other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+skillSchema.index({ category: 1, name: 1 });
+
+// "Node.js", "node js" and "NodeJS" all become "nodejs". + and # are kept for C++ / C#.
+skillSchema.statics.normalizeKey = function(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+};
+
+skillSchema.pre('validate', function(next) {
+  const normalizeKey = this.constructor.normalizeKey;
+
+  this.key = normalizeKey(this.name);
+  this.aliases = [...new Set((this.aliases || []).map(alias => alias.trim()).filter(Boolean))];
+  this.aliasKeys = [...new Set(this.aliases.map(normalizeKey).filter(key => key && key !== this.key))];
+  next();
+});
+
+// Map free-text skill names to catalogue names: returns a Map of each trimmed input to
+// its canonical name. Unknown skills map to themselves.
+skillSchema.statics.resolveNames = async function(values = []) {
+  const clean = [...new Set(values.map(value => String(value || '').trim().replace(/\s+/g, ' ')).filter(Boolean))];
+  const keys = [...new Set(clean.map(value => this.normalizeKey(value)).filter(Boolean))];
+
+  const skills = keys.length === 0 ? [] : await this.find({ $or: [{ key: { $in: keys } }, { aliasKeys: { $in: keys } }] })
+    .select('name key aliasKeys')
+    .lean();
+
+  const canonicalByKey = new Map();
+  skills.forEach(skill => canonicalByKey.set(skill.key, skill.name));
+  skills.forEach(skill => skill.aliasKeys.forEach(key => {
+    if (!canonicalByKey.has(key)) canonicalByKey.set(key, skill.name);
+  }));
+
+  return new Map(clean.map(value => [value, canonicalByKey.get(this.normalizeKey(value)) || value]));
+};
+
+// Canonical names for a list of free-text skills. Duplicates - including different
+// spellings of the same skill - are dropped; order is kept.
+skillSchema.statics.normalizeList = async function(values = []) {
+  const names = await this.resolveNames(values);
+  return this.dedupeNames(values.map(value => names.get(String(value || '').trim().replace(/\s+/g, ' '))));
+};
+
+skillSchema.statics.dedupeNames = function(names) {
+  const seen = new Set();
+  return names.filter(name => {
+    const key = this.normalizeKey(name);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Re-save profiles and jobs whose skills no longer match the catalogue (after an
+// admin adds a skill or alias). Runs in the background - returns counts when done.
+skillSchema.statics.renormalizeAll = async function() {
+  const counts = {};
+
+  for (const modelName of ['Profile', 'Job']) {
+    const Model = mongoose.model(modelName);
+    counts[modelName] = 0;
+
+    for await (const doc of Model.find({ 'skills.0': { $exists: true } }).cursor()) {
+      const normalized = await this.normalizeList(doc.skills);
+      if (normalized.join('\n') === doc.skills.join('\n')) continue;
+
+      try {
+        doc.skills = normalized;
+        await doc.save();
+        counts[modelName]++;
+      } catch (error) {
+        console.error(`Failed to normalise skills for ${modelName} ${doc._id}:`, error.message);
+      }
+    }
+  }
+
+  return counts;
+};
+
+const Skill = mongoose.model('Skill', skillSchema);
+Skill.CATEGORIES = SKILL_CATEGORIES;
+
+module.exports = Skill;
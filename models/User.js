@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { BUILT_IN_ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -31,23 +32,52 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['alumni', 'admin', 'staff'],
-    default: 'alumni'
+    default: 'alumni',
+    validate: {
+      // Built-in roles plus any custom role created through the roles API
+      validator: async function(value) {
+        if (BUILT_IN_ROLES.includes(value)) return true;
+        return !!(await mongoose.model('Role').exists({ name: value }));
+      },
+      message: 'Role {VALUE} does not exist'
+    }
   },
+  permissions: [{
+    type: String, // Individual grants on top of the role's permissions
+    trim: true
+  }],
   isVerified: {
     type: Boolean,
     default: false
   },
+  // External single sign-on accounts linked to this user
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String, // The provider's stable "sub" claim
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastLoginAt: Date
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
   profileCompletion: {
-    type: Number,
-    default: 20,
+    type: Number, // Mirrors Profile.completionPercentage
+    default: 0,
     min: 0,
     max: 100
   },
+  profileNudgeSentAt: Date, // Last profile completeness reminder email
   lastLoginAt: {
     type: Date
   },
@@ -69,19 +99,98 @@ const userSchema = new mongoose.Schema({
       default: true
     }
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Awaiting confirmation during enrollment
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // Last accepted TOTP time step, prevents code replay
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lockCount: {
+    type: Number, // Consecutive lockouts, drives the progressive lock duration
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  unlockToken: String,
+  unlockTokenExpires: Date,
+  passwordChangedAt: Date,
+  passwordHistory: {
+    type: [{
+      hash: String, // bcrypt hashes of previous passwords, oldest first
+      changedAt: Date
+    }],
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  // Passwordless login - SHA-256 of the emailed link token or the SMS code
+  loginToken: {
+    type: String,
+    select: false
+  },
+  loginTokenMethod: {
+    type: String,
+    enum: ['email', 'sms']
+  },
+  loginTokenExpires: Date,
   emailVerificationToken: String,
-  emailVerificationExpires: Date
+  emailVerificationExpires: Date,
+  // Email change waiting for confirmation from the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: Date
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordHistory;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
       delete ret.emailVerificationToken;
       delete ret.emailVerificationExpires;
+      delete ret.emailChangeToken;
+      delete ret.emailChangeExpires;
+      delete ret.unlockToken;
+      delete ret.unlockTokenExpires;
+      delete ret.loginToken;
+      delete ret.loginTokenMethod;
+      delete ret.loginTokenExpires;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       return ret;
     }
   }
@@ -91,14 +200,36 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }); // Single index for email
 userSchema.index({ role: 1, isActive: 1 }); // Compound index for queries
 userSchema.index({ createdAt: -1 }); // Index for sorting by creation date
+userSchema.index({ lockUntil: 1 }, { sparse: true }); // Admin view of locked accounts
+userSchema.index({ loginToken: 1 }, { sparse: true }); // Magic link lookup
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }); // SSO login lookup
+
+// Lockout policy: lock after MAX_LOGIN_ATTEMPTS failures, doubling the lock each time (capped)
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const MAX_PASSWORD_HISTORY = 24; // Upper bound for the policy's reuse window
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    // Remember the outgoing hash so the password policy can block reuse
+    if (!this.isNew) {
+      const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+      if (previous?.password) {
+        this.passwordHistory = [
+          ...(previous.passwordHistory || []),
+          { hash: previous.password, changedAt: previous.passwordChangedAt || previous.createdAt }
+        ].slice(-MAX_PASSWORD_HISTORY);
+      }
+    }
+
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -114,6 +245,57 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Account lock virtual
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Record a failed login; locks the account once the attempt limit is reached.
+// Returns true when this failure triggered a new lock.
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  if (updated.failedLoginAttempts < MAX_LOGIN_ATTEMPTS) {
+    return false;
+  }
+
+  const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockCount, MAX_LOCK_MINUTES);
+
+  this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  this.lockCount = updated.lockCount + 1;
+  this.failedLoginAttempts = 0;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      lockUntil: this.lockUntil,
+      lockCount: this.lockCount,
+      failedLoginAttempts: 0
+    }
+  );
+
+  return true;
+};
+
+// Clear failed attempts and any lock (successful login or unlock)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpires = undefined;
+};
+
 // Full name virtual
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -8,12 +8,30 @@ const Job = require('../models/Job');
 const { Survey, SurveyResponse } = require('../models/Survey');
 const { Forum, ForumPost, ForumReply } = require('../models/Forum');
 const Activity = require('../models/Activity');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { PERMISSIONS, BUILT_IN_ROLES, isValidPermission } = require('../config/permissions');
+const { getUserPermissions, hasPermission } = require('../utils/authHelpers');
 const { validatePagination, validateSurvey, validateEvent, validateJob } = require('../middleware/validation');
 const { cache } = require('../config/database');
 const emailService = require('../services/emailService');
 const Communication = require('../models/Communication'); 
 const smsService = require('../services/smsService');
+const Setting = require('../models/Setting');
+const { DEFAULT_POLICY, MIN_ALLOWED_LENGTH, MAX_LENGTH, getPasswordPolicy } = require('../utils/passwordPolicy');
+const GraduationRecord = require('../models/GraduationRecord');
+const AlumniVerification = require('../models/AlumniVerification');
+const Notification = require('../models/Notification');
+const Skill = require('../models/Skill');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const ModerationCase = require('../models/ModerationCase');
+const Mentorship = require('../models/Mentorship');
+const EventSeries = require('../models/EventSeries');
+const { CRITERIA, getCompletenessWeights, validateWeights } = require('../utils/profileCompleteness');
+const profileNudgeService = require('../services/profileNudgeService');
+const eventWaitlistService = require('../services/eventWaitlistService');
+const eventSeriesService = require('../services/eventSeriesService');
 
 
 
@@ -47,7 +65,7 @@ const createAuditLog = async (adminId, action, targetType, targetId, metadata =
 
 // ===================== DASHBOARD =====================
 
-router.get('/dashboard', [auth, adminAuth], async (req, res) => {
+router.get('/dashboard', [auth, requirePermission('dashboard:view')], async (req, res) => {
   try {
     const cacheKey = 'admin:dashboard';
     let cachedData = await cache.get(cacheKey);
@@ -160,48 +178,1789 @@ router.get('/dashboard', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// Where alumni work and have worked. Uses employment history where alumni have
+// added it and falls back to the single currentCompany field otherwise.
+router.get('/analytics/employers', [auth, requirePermission('dashboard:view')], async (req, res) => {
+  try {
+    const { graduationYear, program, status = 'all', limit = 20 } = req.query;
+
+    if (!['all', 'current', 'past'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be one of: all, current, past'
+      });
+    }
+
+    const profileMatch = {};
+    if (graduationYear) profileMatch.graduationYear = parseInt(graduationYear);
+    if (program) profileMatch.program = { $regex: program, $options: 'i' };
+
+    const pipeline = [
+      { $match: profileMatch },
+      {
+        $project: {
+          user: 1,
+          employers: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$positions', []] } }, 0] },
+              {
+                $map: {
+                  input: '$positions',
+                  as: 'position',
+                  in: { company: '$$position.company', current: '$$position.current' }
+                }
+              },
+              {
+                $cond: [
+                  { $gt: [{ $strLenCP: { $ifNull: ['$currentCompany', ''] } }, 0] },
+                  [{ company: '$currentCompany', current: true }],
+                  []
+                ]
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: '$employers' }
+    ];
+
+    if (status !== 'all') {
+      pipeline.push({ $match: { 'employers.current': status === 'current' } });
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$employers.company' } } },
+          company: { $first: '$employers.company' },
+          alumni: { $addToSet: '$user' },
+          current: { $addToSet: { $cond: ['$employers.current', '$user', null] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          company: 1,
+          totalAlumni: { $size: '$alumni' },
+          currentAlumni: { $size: { $setDifference: ['$current', [null]] } }
+        }
+      },
+      { $sort: { totalAlumni: -1, company: 1 } },
+      { $limit: Math.min(parseInt(limit) || 20, 100) }
+    );
+
+    const employers = await Profile.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      data: {
+        employers,
+        filters: { graduationYear, program, status }
+      }
+    });
+
+  } catch (error) {
+    console.error('Employer analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch employer analytics'
+    });
+  }
+});
+
 // ===================== USER MANAGEMENT =====================
 
-router.get('/users', [auth, adminAuth, validatePagination], async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      search,
-      role,
-      status,
-      isVerified
-    } = req.query;
+router.get('/users', [auth, requirePermission('users:view'), validatePagination], async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      status,
+      isVerified
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    let query = {};
+
+    if (search) {
+      query.$or = [
+        { firstName: { $regex: search, $options: 'i' } },
+        { lastName: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (isVerified === 'true') query.isVerified = true;
+    if (isVerified === 'false') query.isVerified = false;
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+router.get('/users/locked', [auth, requirePermission('users:view')], async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('firstName lastName email role lockUntil lockCount lastFailedLoginAt')
+      .sort({ lockUntil: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: users
+    });
+
+  } catch (error) {
+    console.error('Get locked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch locked users'
+    });
+  }
+});
+
+router.post('/users/:id/unlock', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousLockUntil = user.lockUntil;
+    user.resetLoginAttempts();
+    await user.save();
+    await cache.del(`user:${user._id}`);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'User account unlocked', 'User', user._id, { previousLockUntil });
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+});
+
+router.put('/users/:id/status', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const { isActive, isVerified } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change the status of admin users'
+      });
+    }
+
+    const changes = {};
+    if (typeof isActive === 'boolean') {
+      changes.isActive = { from: user.isActive, to: isActive };
+      user.isActive = isActive;
+    }
+    if (typeof isVerified === 'boolean') {
+      changes.isVerified = { from: user.isVerified, to: isVerified };
+      user.isVerified = isVerified;
+    }
+
+    await user.save();
+    await cache.del(`user:${user._id}`);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'User status updated', 'User', user._id, { changes });
+
+    res.json({
+      success: true,
+      message: 'User status updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+});
+
+router.delete('/users/:id', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot delete admin users'
+      });
+    }
+
+    // Cascade delete
+    await Profile.findOneAndDelete({ user: user._id });
+    await Connection.deleteMany({ $or: [{ requester: user._id }, { addressee: user._id }] });
+    await Block.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] });
+    // Their mentors get the mentee slot back
+    const mentors = await Mentorship.distinct('mentor', { mentee: user._id, status: 'active' });
+    await Mentorship.deleteMany({ $or: [{ mentor: user._id }, { mentee: user._id }] });
+    await Mentorship.syncActiveMentees({ user: { $in: mentors } });
+    await eventWaitlistService.removeUser(user._id);
+    await eventSeriesService.removeUser(user._id);
+    await Job.updateMany(
+      { 'applications.applicant': user._id },
+      { $pull: { applications: { applicant: user._id } } }
+    );
+    await SurveyResponse.deleteMany({ respondent: user._id });
+    
+    // Audit log before deletion
+    await createAuditLog(req.user._id, 'User deleted', 'User', user._id, {
+      deletedUser: {
+        email: user.email,
+        name: `${user.firstName} ${user.lastName}`
+      }
+    });
+
+    await User.findByIdAndDelete(req.params.id);
+    await cache.flush();
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user'
+    });
+  }
+});
+
+// ===================== SECURITY SETTINGS =====================
+
+const TWO_FACTOR_ROLES = ['admin', 'staff'];
+
+router.get('/security/two-factor', [auth, requirePermission('security:manage')], async (req, res) => {
+  try {
+    const requiredRoles = await Setting.getValue('twoFactorRequiredRoles', []);
+
+    const enrollment = await User.aggregate([
+      { $match: { role: { $in: TWO_FACTOR_ROLES }, isActive: true } },
+      {
+        $group: {
+          _id: '$role',
+          total: { $sum: 1 },
+          enabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requiredRoles,
+        availableRoles: TWO_FACTOR_ROLES,
+        enrollment
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor policy'
+    });
+  }
+});
+
+router.put('/security/two-factor', [auth, requirePermission('security:manage')], async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles must be an array containing only: ${TWO_FACTOR_ROLES.join(', ')}`
+      });
+    }
+
+    // Don't let an admin lock themselves out of the admin area
+    if (requiredRoles.includes('admin') && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for admins'
+      });
+    }
+
+    const previousRoles = await Setting.getValue('twoFactorRequiredRoles', []);
+    await Setting.setValue('twoFactorRequiredRoles', [...new Set(requiredRoles)], req.user._id);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Two-factor policy updated', 'Setting', null, {
+      changes: { requiredRoles: { from: previousRoles, to: requiredRoles } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: { requiredRoles: [...new Set(requiredRoles)] }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy'
+    });
+  }
+});
+
+router.get('/security/password-policy', [auth, requirePermission('security:manage')], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        policy: await getPasswordPolicy(),
+        defaults: DEFAULT_POLICY
+      }
+    });
+
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch password policy'
+    });
+  }
+});
+
+router.put('/security/password-policy', [auth, requirePermission('security:manage')], async (req, res) => {
+  try {
+    const current = await getPasswordPolicy();
+    const updates = {};
+    const errors = [];
+
+    const integerFields = {
+      minLength: [MIN_ALLOWED_LENGTH, MAX_LENGTH],
+      historySize: [0, 24],
+      maxAgeDays: [0, 3650]
+    };
+    for (const [field, [min, max]] of Object.entries(integerFields)) {
+      if (req.body[field] === undefined) continue;
+      const value = Number(req.body[field]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${field} must be a whole number between ${min} and ${max}`);
+      } else {
+        updates[field] = value;
+      }
+    }
+
+    for (const field of ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'blockCommonPasswords']) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'boolean') {
+        errors.push(`${field} must be true or false`);
+      } else {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (req.body.maxAgeRoles !== undefined) {
+      if (!Array.isArray(req.body.maxAgeRoles) || req.body.maxAgeRoles.some(role => typeof role !== 'string')) {
+        errors.push('maxAgeRoles must be an array of role names');
+      } else {
+        updates.maxAgeRoles = [...new Set(req.body.maxAgeRoles)];
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const policy = { ...current, ...updates };
+    await Setting.setValue('passwordPolicy', policy, req.user._id);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Password policy updated', 'Setting', null, {
+      changes: Object.fromEntries(
+        Object.keys(updates).map(field => [field, { from: current[field], to: updates[field] }])
+      )
+    });
+
+    res.json({
+      success: true,
+      message: 'Password policy updated successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Update password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update password policy'
+    });
+  }
+});
+
+// ===================== ROLES & PERMISSIONS =====================
+
+// Non-admins may only hand out permissions they hold themselves
+const findUngrantablePermissions = async (grantor, permissions) => {
+  if (grantor.role === 'admin') return [];
+
+  const ungrantable = [];
+  for (const permission of permissions) {
+    if (permission === '*' || !(await hasPermission(grantor, permission))) {
+      ungrantable.push(permission);
+    }
+  }
+  return ungrantable;
+};
+
+const validatePermissionList = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+  const invalid = permissions.filter(p => typeof p !== 'string' || !isValidPermission(p));
+  return invalid.length > 0 ? `Unknown permissions: ${invalid.join(', ')}` : null;
+};
+
+router.get('/permissions', [auth, requirePermission('roles:manage')], async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+router.get('/roles', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    await Role.ensureBuiltInRoles();
+
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({
+        ...role,
+        userCount: userCounts.find(c => c._id === role.name)?.count || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+router.post('/roles', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const permissionError = validatePermissionList(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const ungrantable = await findUngrantablePermissions(req.user, permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+      });
+    }
+
+    if (BUILT_IN_ROLES.includes(String(name).toLowerCase()) || await Role.exists({ name: String(name).toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.user._id
+    });
+    await role.save();
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Role created', 'Role', role._id, {
+      name: role.name,
+      permissions: role.permissions
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+router.put('/roles/:name', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    const name = req.params.name.toLowerCase();
+
+    if (name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission and cannot be edited'
+      });
+    }
+
+    await Role.ensureBuiltInRoles();
+    const role = await Role.findOne({ name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const changes = {};
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissionList(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      const added = permissions.filter(p => !role.permissions.includes(p));
+      const ungrantable = await findUngrantablePermissions(req.user, added);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+        });
+      }
+
+      changes.permissions = { from: [...role.permissions], to: [...new Set(permissions)] };
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) {
+      changes.description = { from: role.description, to: description };
+      role.description = description;
+    }
+
+    role.updatedBy = req.user._id;
+    await role.save();
+    await Role.clearCache(role.name);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Role updated', 'Role', role._id, { name: role.name, changes });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+router.delete('/roles/:name', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (BUILT_IN_ROLES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const assignedCount = await User.countDocuments({ role: name });
+    if (assignedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a role assigned to ${assignedCount} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    await Role.clearCache(name);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Role deleted', 'Role', role._id, { name });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+router.get('/users/:id/permissions', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('firstName lastName email role permissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        role: user.role,
+        rolePermissions: await Role.getPermissions(user.role),
+        userPermissions: user.permissions,
+        effectivePermissions: await getUserPermissions(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user permissions'
+    });
+  }
+});
+
+router.put('/users/:id/role', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if ((role === 'admin' || user.role === 'admin') && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can grant or remove the admin role'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (req.user.role !== 'admin') {
+      const ungrantable = await findUngrantablePermissions(req.user, await Role.getPermissions(role));
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+        });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await cache.del(`user:${user._id}`);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'User role changed', 'User', user._id, {
+      changes: { role: { from: previousRole, to: role } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { role: user.role }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+router.put('/users/:id/permissions', [auth, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    const permissionError = validatePermissionList(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const added = permissions.filter(p => !(user.permissions || []).includes(p));
+    const ungrantable = await findUngrantablePermissions(req.user, added);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+      });
+    }
+
+    const previousPermissions = [...(user.permissions || [])];
+    user.permissions = [...new Set(permissions)];
+    await user.save();
+    await cache.del(`user:${user._id}`);
+
+    // Audit log
+    await createAuditLog(req.user._id, 'User permissions changed', 'User', user._id, {
+      changes: { permissions: { from: previousPermissions, to: user.permissions } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User permissions updated successfully',
+      data: {
+        userPermissions: user.permissions,
+        effectivePermissions: await getUserPermissions(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user permissions'
+    });
+  }
+});
+
+// ===================== ALUMNI VERIFICATION =====================
+
+const GRADUATION_IMPORT_LIMIT = 5000;
+
+// Parse a CSV export of the graduation register. The header row names the columns
+// (indexNumber, fullName, program, graduationYear and optionally degree).
+const parseGraduationCSV = (csv) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+
+    if (inQuotes) {
+      if (char === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  const [header = [], ...data] = rows;
+  const columns = header.map(name => name.trim());
+  return data.map(values => columns.reduce((record, column, index) => {
+    record[column] = values[index]?.trim();
+    return record;
+  }, {}));
+};
+
+// Import or update graduation register entries, matched on index number
+router.post('/graduation-records/import', [auth, requirePermission('alumni:verify')], async (req, res) => {
+  try {
+    const { records, csv } = req.body;
+    const rows = csv ? parseGraduationCSV(String(csv)) : records;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide graduation records as a "records" array or a "csv" string'
+      });
+    }
+
+    if (rows.length > GRADUATION_IMPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Import at most ${GRADUATION_IMPORT_LIMIT} records at a time`
+      });
+    }
+
+    const errors = [];
+    const operations = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const record = new GraduationRecord({
+        indexNumber: GraduationRecord.normalizeIndexNumber(row.indexNumber),
+        fullName: row.fullName,
+        program: row.program,
+        graduationYear: parseInt(row.graduationYear),
+        degree: row.degree || undefined,
+        importedBy: req.user._id
+      });
+
+      const validationError = record.validateSync();
+      if (validationError) {
+        errors.push({
+          row: index + 1,
+          indexNumber: row.indexNumber,
+          errors: Object.values(validationError.errors).map(err => err.message)
+        });
+        return;
+      }
+
+      if (seen.has(record.indexNumber)) {
+        errors.push({ row: index + 1, indexNumber: record.indexNumber, errors: ['Duplicate index number in import'] });
+        return;
+      }
+      seen.add(record.indexNumber);
+
+      // Never touch claimedBy - re-importing the register must not undo verifications
+      const { indexNumber, fullName, program, graduationYear, degree, importedBy } = record;
+      operations.push({
+        updateOne: {
+          filter: { indexNumber },
+          update: { $set: { fullName, program, graduationYear, degree, importedBy } },
+          upsert: true
+        }
+      });
+    });
+
+    let result = { upsertedCount: 0, modifiedCount: 0 };
+    if (operations.length > 0) {
+      result = await GraduationRecord.bulkWrite(operations, { ordered: false });
+    }
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Graduation records imported', 'GraduationRecord', null, {
+      received: rows.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      rejected: errors.length
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${operations.length} of ${rows.length} graduation records`,
+      data: {
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        unchanged: operations.length - result.upsertedCount - result.modifiedCount,
+        rejected: errors.length,
+        errors: errors.slice(0, 100)
+      }
+    });
+
+  } catch (error) {
+    console.error('Import graduation records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import graduation records'
+    });
+  }
+});
+
+router.get('/graduation-records', [auth, requirePermission('alumni:verify'), validatePagination], async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      graduationYear,
+      program,
+      claimed
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    let query = {};
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { fullName: { $regex: escaped, $options: 'i' } },
+        { indexNumber: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    if (graduationYear) query.graduationYear = parseInt(graduationYear);
+    if (program) query.program = { $regex: program.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (claimed === 'true') query.claimedBy = { $ne: null };
+    if (claimed === 'false') query.claimedBy = null;
+
+    const [records, total] = await Promise.all([
+      GraduationRecord.find(query)
+        .populate('claimedBy', 'firstName lastName email')
+        .sort({ graduationYear: -1, fullName: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GraduationRecord.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        records,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get graduation records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch graduation records'
+    });
+  }
+});
+
+// Verification claims waiting for (or past) manual review
+router.get('/verifications', [auth, requirePermission('alumni:verify'), validatePagination], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const skip = (page - 1) * limit;
+    const query = status === 'all' ? {} : { status };
+
+    const [claims, total] = await Promise.all([
+      AlumniVerification.find(query)
+        .populate('user', 'firstName lastName email createdAt')
+        .populate('record')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 }) // Oldest pending first
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AlumniVerification.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        claims,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get verifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification requests'
+    });
+  }
+});
+
+// Approve a claim, optionally against a different record than the one it matched
+router.put('/verifications/:id/approve', [auth, requirePermission('alumni:verify')], async (req, res) => {
+  try {
+    const claim = await AlumniVerification.findById(req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found'
+      });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Verification request has already been ${claim.status}`
+      });
+    }
+
+    const recordId = req.body.recordId || claim.record;
+    const record = recordId && await GraduationRecord.findById(recordId);
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select the graduation record to verify this alumnus against'
+      });
+    }
+
+    if (record.claimedBy && record.claimedBy.toString() !== claim.user.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This graduation record has already been claimed by another user'
+      });
+    }
+
+    await claim.approve(record, { matchType: 'manual', reviewer: req.user._id });
+    await cache.del(`user:${claim.user}`);
+
+    await Notification.createNotification({
+      recipient: claim.user,
+      sender: req.user._id,
+      type: 'system',
+      title: 'You are now a verified alumnus',
+      message: `Your graduation from ${record.program} (${record.graduationYear}) has been verified.`,
+      actionUrl: '/profile'
+    });
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Alumni verification approved', 'AlumniVerification', claim._id, {
+      user: claim.user,
+      record: record._id,
+      indexNumber: record.indexNumber
+    });
+
+    res.json({
+      success: true,
+      message: 'Alumnus verified successfully',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Approve verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve verification request'
+    });
+  }
+});
+
+router.put('/verifications/:id/reject', [auth, requirePermission('alumni:verify')], async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required so the alumnus knows what to fix'
+      });
+    }
+
+    const claim = await AlumniVerification.findById(req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found'
+      });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Verification request has already been ${claim.status}`
+      });
+    }
+
+    await claim.reject(reason, req.user._id);
+
+    await Notification.createNotification({
+      recipient: claim.user,
+      sender: req.user._id,
+      type: 'system',
+      title: 'Alumni verification unsuccessful',
+      message: `We could not verify your graduation: ${reason}`.slice(0, 500),
+      actionUrl: '/profile/verification'
+    });
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Alumni verification rejected', 'AlumniVerification', claim._id, {
+      user: claim.user,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification request rejected',
+      data: claim
+    });
+
+  } catch (error) {
+    console.error('Reject verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject verification request'
+    });
+  }
+});
+
+// ===================== PROFILE COMPLETENESS =====================
+
+const COMPLETENESS_COHORTS = ['graduationYear', 'program'];
+
+// Least complete cohorts first
+router.get('/profile-completeness/report', [auth, requirePermission('dashboard:view')], async (req, res) => {
+  try {
+    const { groupBy = 'graduationYear', minSize = 5, limit = 20 } = req.query;
+    const threshold = parseInt(req.query.threshold) || profileNudgeService.threshold;
+
+    const fields = String(groupBy).split(',').map(field => field.trim());
+    if (fields.some(field => !COMPLETENESS_COHORTS.includes(field))) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one or more of: ${COMPLETENESS_COHORTS.join(', ')}`
+      });
+    }
+
+    const cohortKey = Object.fromEntries(fields.map(field => [field, `$profile.${field}`]));
+
+    const [summary, cohorts] = await Promise.all([
+      User.aggregate([
+        { $match: { role: 'alumni', isActive: true } },
+        {
+          $group: {
+            _id: null,
+            alumni: { $sum: 1 },
+            averageScore: { $avg: '$profileCompletion' },
+            belowThreshold: { $sum: { $cond: [{ $lt: ['$profileCompletion', threshold] }, 1, 0] } },
+            complete: { $sum: { $cond: [{ $gte: ['$profileCompletion', 100] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0, alumni: 1, averageScore: { $round: ['$averageScore', 1] }, belowThreshold: 1, complete: 1 } }
+      ]),
+      User.aggregate([
+        { $match: { role: 'alumni', isActive: true } },
+        {
+          $lookup: {
+            from: 'profiles',
+            localField: '_id',
+            foreignField: 'user',
+            as: 'profile'
+          }
+        },
+        { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
+        {
+          $group: {
+            _id: cohortKey,
+            alumni: { $sum: 1 },
+            averageScore: { $avg: '$profileCompletion' },
+            belowThreshold: { $sum: { $cond: [{ $lt: ['$profileCompletion', threshold] }, 1, 0] } }
+          }
+        },
+        { $match: { alumni: { $gte: parseInt(minSize) || 1 } } },
+        {
+          $project: {
+            _id: 0,
+            cohort: '$_id',
+            alumni: 1,
+            averageScore: { $round: ['$averageScore', 1] },
+            belowThreshold: 1
+          }
+        },
+        { $sort: { averageScore: 1, alumni: -1 } },
+        { $limit: Math.min(parseInt(limit) || 20, 100) }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: summary[0] || { alumni: 0, averageScore: 0, belowThreshold: 0, complete: 0 },
+        cohorts,
+        groupBy: fields,
+        threshold
+      }
+    });
+
+  } catch (error) {
+    console.error('Profile completeness report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate profile completeness report'
+    });
+  }
+});
+
+router.get('/profile-completeness/weights', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        weights: await getCompletenessWeights(),
+        criteria: CRITERIA.map(({ key, label, weight, suggestion }) => ({ key, label, defaultWeight: weight, suggestion }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get completeness weights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile completeness weights'
+    });
+  }
+});
+
+router.put('/profile-completeness/weights', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const { weights } = req.body;
+
+    const errors = validateWeights(weights);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const current = await getCompletenessWeights();
+    const updated = { ...current, ...weights };
+    await Setting.setValue('profileCompletenessWeights', updated, req.user._id);
+
+    // Stored scores were calculated with the old weights - refresh them in the background
+    Profile.recalculateCompletion()
+      .then(count => console.log(`📝 Recalculated completeness for ${count} profiles`))
+      .catch(error => console.error('Completeness recalculation error:', error));
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Profile completeness weights updated', 'Setting', null, {
+      changes: Object.fromEntries(
+        Object.keys(weights)
+          .filter(key => current[key] !== weights[key])
+          .map(key => [key, { from: current[key], to: weights[key] }])
+      )
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile completeness weights updated. Scores are being recalculated.',
+      data: { weights: updated }
+    });
+
+  } catch (error) {
+    console.error('Update completeness weights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile completeness weights'
+    });
+  }
+});
+
+// Run the reminder emails now instead of waiting for the schedule
+router.post('/profile-completeness/nudges', [auth, requirePermission('communications:send')], async (req, res) => {
+  try {
+    const threshold = req.body.threshold !== undefined ? Number(req.body.threshold) : undefined;
+
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 1 || threshold > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a whole number between 1 and 100'
+      });
+    }
+
+    const result = await profileNudgeService.sendNudges({ threshold });
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Profile completeness nudges sent', 'User', null, {
+      threshold: threshold ?? profileNudgeService.threshold,
+      ...result
+    });
+
+    res.json({
+      success: true,
+      message: `${result.sent} reminder emails sent`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Send profile nudges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send profile reminders'
+    });
+  }
+});
+
+// ===================== SKILLS CATALOGUE =====================
+
+// Profiles and jobs are re-saved against the catalogue after every change
+const renormalizeSkills = () => {
+  Skill.renormalizeAll()
+    .then(counts => console.log(`🏷️ Skills renormalised: ${counts.Profile} profiles, ${counts.Job} jobs`))
+    .catch(error => console.error('Skills renormalisation error:', error));
+};
+
+// Returns an error message when a name or alias already belongs to another skill
+const findSkillConflict = async (name, aliases, excludeId = null) => {
+  const keys = [name, ...aliases].map(value => Skill.normalizeKey(value)).filter(Boolean);
+  const conflict = await Skill.findOne({
+    _id: { $ne: excludeId },
+    $or: [{ key: { $in: keys } }, { aliasKeys: { $in: keys } }]
+  }).select('name');
+
+  return conflict ? `"${conflict.name}" already uses this name or one of these aliases` : null;
+};
+
+const sendSkillValidationError = (res, error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+router.get('/skills', [auth, requirePermission('skills:manage')], validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, category } = req.query;
+    const skip = (page - 1) * limit;
+    const query = {};
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { name: { $regex: escaped, $options: 'i' } },
+        { aliases: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+    if (category) query.category = category;
+
+    const [skills, total] = await Promise.all([
+      Skill.find(query)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ category: 1, name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Skill.countDocuments(query)
+    ]);
+
+    const names = skills.map(skill => skill.name);
+    const [profileUsage, jobUsage] = await Promise.all([
+      Profile.aggregate([
+        { $match: { skills: { $in: names } } },
+        { $unwind: '$skills' },
+        { $match: { skills: { $in: names } } },
+        { $group: { _id: '$skills', count: { $sum: 1 } } }
+      ]),
+      Job.aggregate([
+        { $match: { skills: { $in: names } } },
+        { $unwind: '$skills' },
+        { $match: { skills: { $in: names } } },
+        { $group: { _id: '$skills', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const profileCounts = new Map(profileUsage.map(row => [row._id, row.count]));
+    const jobCounts = new Map(jobUsage.map(row => [row._id, row.count]));
+
+    res.json({
+      success: true,
+      data: {
+        skills: skills.map(skill => ({
+          ...skill,
+          profileCount: profileCounts.get(skill.name) || 0,
+          jobCount: jobCounts.get(skill.name) || 0
+        })),
+        categories: Skill.CATEGORIES,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get skills catalogue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch skills catalogue'
+    });
+  }
+});
+
+// Most used free-text skills that don't match the catalogue - candidates to add or alias
+router.get('/skills/uncatalogued', [auth, requirePermission('skills:manage')], async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const usage = await Profile.aggregate([
+      { $unwind: '$skills' },
+      { $group: { _id: '$skills', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit * 4 }
+    ]);
+
+    const resolved = await Skill.resolveNames(usage.map(row => row._id));
+    const catalogued = new Set(
+      (await Skill.find({ name: { $in: [...resolved.values()] } }).select('name').lean()).map(skill => skill.name)
+    );
+
+    const skills = usage
+      .filter(row => !catalogued.has(resolved.get(row._id)))
+      .slice(0, limit)
+      .map(row => ({ name: row._id, profileCount: row.count }));
+
+    res.json({
+      success: true,
+      data: { skills }
+    });
+
+  } catch (error) {
+    console.error('Get uncatalogued skills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch uncatalogued skills'
+    });
+  }
+});
+
+router.post('/skills', [auth, requirePermission('skills:manage')], async (req, res) => {
+  try {
+    const { name, aliases = [], category, description } = req.body;
+
+    if (!name || !Array.isArray(aliases)) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required and aliases must be an array'
+      });
+    }
+
+    const conflict = await findSkillConflict(name, aliases);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const skill = new Skill({ name, aliases, category, description, createdBy: req.user._id });
+
+    try {
+      await skill.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError') return sendSkillValidationError(res, saveError);
+      throw saveError;
+    }
+
+    renormalizeSkills();
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Skill created', 'Skill', skill._id, {
+      name: skill.name,
+      aliases: skill.aliases,
+      category: skill.category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill added to the catalogue. Profiles and jobs are being updated.',
+      data: { skill }
+    });
+
+  } catch (error) {
+    console.error('Create skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create skill'
+    });
+  }
+});
+
+// Renaming keeps the old name as an alias, so existing profiles follow the new name
+router.put('/skills/:id', [auth, requirePermission('skills:manage')], async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id);
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    const { name, aliases, category, description } = req.body;
+
+    if (aliases !== undefined && !Array.isArray(aliases)) {
+      return res.status(400).json({
+        success: false,
+        message: 'aliases must be an array'
+      });
+    }
+
+    const previous = { name: skill.name, aliases: [...skill.aliases], category: skill.category };
+    const newName = name ? String(name).trim() : skill.name;
+    const newAliases = aliases !== undefined ? aliases : [...skill.aliases];
+
+    if (newName !== skill.name && !newAliases.includes(skill.name)) {
+      newAliases.push(skill.name);
+    }
+
+    const conflict = await findSkillConflict(newName, newAliases, skill._id);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    skill.name = newName;
+    skill.aliases = newAliases;
+    if (category !== undefined) skill.category = category;
+    if (description !== undefined) skill.description = description;
+
+    try {
+      await skill.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError') return sendSkillValidationError(res, saveError);
+      throw saveError;
+    }
+
+    renormalizeSkills();
 
-    const skip = (page - 1) * limit;
-    let query = {};
+    // Audit log
+    await createAuditLog(req.user._id, 'Skill updated', 'Skill', skill._id, {
+      from: previous,
+      to: { name: skill.name, aliases: skill.aliases, category: skill.category }
+    });
 
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+    res.json({
+      success: true,
+      message: 'Skill updated. Profiles and jobs are being updated.',
+      data: { skill }
+    });
+
+  } catch (error) {
+    console.error('Update skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update skill'
+    });
+  }
+});
+
+// Profiles and jobs keep the skill as free text
+router.delete('/skills/:id', [auth, requirePermission('skills:manage')], async (req, res) => {
+  try {
+    const skill = await Skill.findByIdAndDelete(req.params.id);
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
     }
 
-    if (role) query.role = role;
-    if (status === 'active') query.isActive = true;
-    if (status === 'inactive') query.isActive = false;
-    if (isVerified === 'true') query.isVerified = true;
-    if (isVerified === 'false') query.isVerified = false;
+    // Audit log
+    await createAuditLog(req.user._id, 'Skill deleted', 'Skill', skill._id, {
+      name: skill.name,
+      aliases: skill.aliases
+    });
 
-    const users = await User.find(query)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    res.json({
+      success: true,
+      message: 'Skill removed from the catalogue'
+    });
 
-    const total = await User.countDocuments(query);
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete skill'
+    });
+  }
+});
+
+// ===================== MODERATION =====================
+
+const CASE_USER_FIELDS = 'firstName lastName email profilePicture role isActive';
+
+router.get('/moderation/cases', [auth, requirePermission('moderation:manage')], validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, category, reportedUser, assignedTo } = req.query;
+    const skip = (page - 1) * limit;
+    const query = {};
+
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (reportedUser) query.reportedUser = reportedUser;
+    if (assignedTo) query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+
+    const [cases, total, statusCounts] = await Promise.all([
+      ModerationCase.find(query)
+        .select('-notes')
+        .populate('reporter', CASE_USER_FIELDS)
+        .populate('reportedUser', CASE_USER_FIELDS)
+        .populate('assignedTo', 'firstName lastName')
+        .sort({ createdAt: 1 }) // Oldest first - a queue
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ModerationCase.countDocuments(query),
+      ModerationCase.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
 
     res.json({
       success: true,
       data: {
-        users,
+        cases,
+        counts: Object.fromEntries(ModerationCase.STATUSES.map(caseStatus => [
+          caseStatus,
+          statusCounts.find(row => row._id === caseStatus)?.count || 0
+        ])),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -213,115 +1972,322 @@ router.get('/users', [auth, adminAuth, validatePagination], async (req, res) =>
     });
 
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Get moderation cases error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch users'
+      message: 'Failed to fetch moderation cases'
     });
   }
 });
 
-router.put('/users/:id/status', [auth, adminAuth], async (req, res) => {
+// A case with its notes and the reported user's history
+router.get('/moderation/cases/:id', [auth, requirePermission('moderation:manage')], async (req, res) => {
   try {
-    const { isActive, isVerified } = req.body;
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
+    const moderationCase = await ModerationCase.findById(req.params.id)
+      .populate('reporter', CASE_USER_FIELDS)
+      .populate('reportedUser', `${CASE_USER_FIELDS} createdAt lastLoginAt`)
+      .populate('assignedTo', 'firstName lastName')
+      .populate('notes.author', 'firstName lastName')
+      .populate('resolution.resolvedBy', 'firstName lastName');
+
+    if (!moderationCase) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Case not found'
       });
     }
 
-    const changes = {};
-    if (typeof isActive === 'boolean') {
-      changes.isActive = { from: user.isActive, to: isActive };
-      user.isActive = isActive;
-    }
-    if (typeof isVerified === 'boolean') {
-      changes.isVerified = { from: user.isVerified, to: isVerified };
-      user.isVerified = isVerified;
-    }
-
-    await user.save();
-    await cache.del(`user:${user._id}`);
-
-    // Audit log
-    await createAuditLog(req.user._id, 'User status updated', 'User', user._id, { changes });
+    const reportedUserId = moderationCase.reportedUser?._id || moderationCase.reportedUser;
+    const [otherCases, blockedByCount] = await Promise.all([
+      ModerationCase.find({ reportedUser: reportedUserId, _id: { $ne: moderationCase._id } })
+        .select('category status resolution.action createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Block.countDocuments({ blocked: reportedUserId })
+    ]);
 
     res.json({
       success: true,
-      message: 'User status updated successfully',
-      data: user
+      data: {
+        case: moderationCase,
+        reportedUserHistory: {
+          otherCases,
+          blockedByCount
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Update user status error:', error);
+    console.error('Get moderation case error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update user status'
+      message: 'Failed to fetch moderation case'
     });
   }
 });
 
-router.delete('/users/:id', [auth, adminAuth], async (req, res) => {
+// Triage, annotate and resolve a case:
+// { status, assignedTo, note, resolution: { action, summary } }
+router.put('/moderation/cases/:id', [auth, requirePermission('moderation:manage')], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { status, assignedTo, note, resolution } = req.body;
 
-    if (!user) {
+    const moderationCase = await ModerationCase.findById(req.params.id);
+    if (!moderationCase) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Case not found'
       });
     }
 
-    if (user.role === 'admin') {
-      return res.status(403).json({
+    if (status !== undefined && !ModerationCase.STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Cannot delete admin users'
+        message: `status must be one of: ${ModerationCase.STATUSES.join(', ')}`
       });
     }
 
-    // Cascade delete
-    await Profile.findOneAndDelete({ user: user._id });
-    await Event.updateMany(
-      { 'attendees.user': user._id },
-      { $pull: { attendees: { user: user._id } } }
-    );
-    await Job.updateMany(
-      { 'applications.applicant': user._id },
-      { $pull: { applications: { applicant: user._id } } }
-    );
-    await SurveyResponse.deleteMany({ respondent: user._id });
-    
-    // Audit log before deletion
-    await createAuditLog(req.user._id, 'User deleted', 'User', user._id, {
-      deletedUser: {
-        email: user.email,
-        name: `${user.firstName} ${user.lastName}`
+    const closing = ['resolved', 'dismissed'].includes(status) && moderationCase.isOpen;
+    const action = resolution?.action || (status === 'dismissed' ? 'no_action' : undefined);
+
+    if (closing && !ModerationCase.RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Resolving a case needs resolution.action, one of: ${ModerationCase.RESOLUTION_ACTIONS.join(', ')}`
+      });
+    }
+
+    // Deactivating is a user-management action, whoever is moderating
+    const reportedUser = await User.findById(moderationCase.reportedUser);
+    if (closing && action === 'account_deactivated') {
+      if (!(await hasPermission(req.user, 'users:manage'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Deactivating accounts requires the users:manage permission'
+        });
+      }
+      if (reportedUser?.role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin accounts cannot be deactivated from a moderation case'
+        });
       }
+    }
+
+    const changes = {};
+    if (status !== undefined && status !== moderationCase.status) {
+      changes.status = { from: moderationCase.status, to: status };
+      moderationCase.status = status;
+    }
+    if (assignedTo !== undefined) {
+      changes.assignedTo = { from: moderationCase.assignedTo, to: assignedTo || null };
+      moderationCase.assignedTo = assignedTo || undefined;
+    }
+    if (note) {
+      moderationCase.notes.push({ author: req.user._id, note });
+    }
+    if (closing) {
+      moderationCase.resolution = {
+        action,
+        summary: resolution?.summary,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+      changes.resolution = action;
+    }
+
+    try {
+      await moderationCase.save();
+    } catch (saveError) {
+      if (saveError.name !== 'ValidationError') throw saveError;
+
+      const errors = {};
+      Object.keys(saveError.errors).forEach(key => {
+        errors[key] = saveError.errors[key].message;
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (closing && action === 'account_deactivated' && reportedUser?.isActive) {
+      reportedUser.isActive = false;
+      await reportedUser.save();
+      await cache.del(`user:${reportedUser._id}`);
+
+      await createAuditLog(req.user._id, 'User status updated', 'User', reportedUser._id, {
+        changes: { isActive: { from: true, to: false } },
+        moderationCase: moderationCase._id
+      });
+    }
+
+    // Audit log
+    await createAuditLog(req.user._id, 'Moderation case updated', 'ModerationCase', moderationCase._id, {
+      reportedUser: moderationCase.reportedUser,
+      changes,
+      noteAdded: !!note
     });
 
-    await User.findByIdAndDelete(req.params.id);
-    await cache.flush();
+    res.json({
+      success: true,
+      message: closing ? `Case ${moderationCase.status}` : 'Case updated',
+      data: { case: moderationCase }
+    });
+
+  } catch (error) {
+    console.error('Update moderation case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update moderation case'
+    });
+  }
+});
+
+// ===================== MENTORSHIP =====================
+
+const STALE_MENTORSHIP_DAYS = 45; // Active pairs with no session logged for this long
+
+// Programme overview plus the active pairs, least recently met first
+router.get('/mentorship/report', [auth, requirePermission('dashboard:view'), validatePagination], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, staleOnly } = req.query;
+    const staleBefore = new Date(Date.now() - STALE_MENTORSHIP_DAYS * 24 * 60 * 60 * 1000);
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    // Stale: no session since the cut-off, or none at all and started before it
+    const staleMatch = {
+      status: 'active',
+      $or: [
+        { lastSessionAt: { $lt: staleBefore } },
+        { lastSessionAt: { $exists: false }, startedAt: { $lt: staleBefore } }
+      ]
+    };
+    const pairQuery = staleOnly === 'true' ? staleMatch : { status: 'active' };
+
+    const [statusCounts, mentorCapacity, sessionStats, staleCount, pairs, totalPairs] = await Promise.all([
+      Mentorship.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Profile.aggregate([
+        { $match: { availableForMentoring: true } },
+        {
+          $lookup: {
+            from: 'mentorships',
+            let: { mentor: '$user' },
+            pipeline: [
+              { $match: { $expr: { $and: [{ $eq: ['$mentor', '$$mentor'] }, { $eq: ['$status', 'active'] }] } } },
+              { $count: 'count' }
+            ],
+            as: 'active'
+          }
+        },
+        {
+          $project: {
+            active: { $ifNull: [{ $first: '$active.count' }, 0] },
+            capacity: { $ifNull: ['$mentoring.capacity', 2] }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            availableMentors: { $sum: 1 },
+            atCapacity: { $sum: { $cond: [{ $gte: ['$active', '$capacity'] }, 1, 0] } },
+            totalCapacity: { $sum: '$capacity' },
+            filledSpots: { $sum: { $min: ['$active', '$capacity'] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]),
+      Mentorship.aggregate([
+        { $unwind: '$sessions' },
+        {
+          $group: {
+            _id: null,
+            totalSessions: { $sum: 1 },
+            sessionsLast30Days: { $sum: { $cond: [{ $gte: ['$sessions.date', since] }, 1, 0] } },
+            totalMinutes: { $sum: { $ifNull: ['$sessions.durationMinutes', 0] } },
+            averageMenteeRating: { $avg: '$sessions.menteeFeedback.rating' },
+            averageMentorRating: { $avg: '$sessions.mentorFeedback.rating' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            totalSessions: 1,
+            sessionsLast30Days: 1,
+            totalHours: { $round: [{ $divide: ['$totalMinutes', 60] }, 1] },
+            averageMenteeRating: { $round: ['$averageMenteeRating', 2] },
+            averageMentorRating: { $round: ['$averageMentorRating', 2] }
+          }
+        }
+      ]),
+      Mentorship.countDocuments(staleMatch),
+      Mentorship.find(pairQuery)
+        .select('mentor mentee areas startedAt lastSessionAt sessions.date')
+        .populate('mentor', 'firstName lastName email')
+        .populate('mentee', 'firstName lastName email')
+        .sort({ lastSessionAt: 1, startedAt: 1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Mentorship.countDocuments(pairQuery)
+    ]);
+
+    const byStatus = Object.fromEntries(Mentorship.STATUSES.map(status => [status, 0]));
+    statusCounts.forEach(entry => { byStatus[entry._id] = entry.count; });
+
+    // Of the requests mentors answered, how many they accepted
+    const answered = byStatus.active + byStatus.completed + byStatus.declined;
+    const acceptanceRate = answered
+      ? Math.round(((byStatus.active + byStatus.completed) / answered) * 1000) / 10
+      : null;
 
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      data: {
+        summary: {
+          byStatus,
+          acceptanceRate,
+          stalePairs: staleCount,
+          staleAfterDays: STALE_MENTORSHIP_DAYS,
+          mentors: mentorCapacity[0] || { availableMentors: 0, atCapacity: 0, totalCapacity: 0, filledSpots: 0 },
+          sessions: sessionStats[0] || {
+            totalSessions: 0,
+            sessionsLast30Days: 0,
+            totalHours: 0,
+            averageMenteeRating: null,
+            averageMentorRating: null
+          }
+        },
+        activePairs: pairs.map(({ sessions, ...pair }) => ({
+          ...pair,
+          sessionCount: sessions.length,
+          isStale: (pair.lastSessionAt || pair.startedAt) < staleBefore
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalPairs / parseInt(limit)),
+          totalItems: totalPairs,
+          hasNext: parseInt(page) < Math.ceil(totalPairs / parseInt(limit)),
+          hasPrev: parseInt(page) > 1
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Delete user error:', error);
+    console.error('Mentorship report error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete user'
+      message: 'Failed to generate mentorship report'
     });
   }
 });
 
 // ===================== SURVEY MANAGEMENT =====================
 
-router.get('/surveys', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/surveys', [auth, requirePermission('surveys:manage'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -367,7 +2333,7 @@ router.get('/surveys', [auth, adminAuth, validatePagination], async (req, res) =
   }
 });
 
-router.post('/surveys', [auth, adminAuth, validateSurvey], async (req, res) => {
+router.post('/surveys', [auth, requirePermission('surveys:manage'), validateSurvey], async (req, res) => {
   try {
     const surveyData = {
       ...req.body,
@@ -401,7 +2367,7 @@ router.post('/surveys', [auth, adminAuth, validateSurvey], async (req, res) => {
   }
 });
 
-router.put('/surveys/:id', [auth, adminAuth, validateSurvey], async (req, res) => {
+router.put('/surveys/:id', [auth, requirePermission('surveys:manage'), validateSurvey], async (req, res) => {
   try {
     const survey = await Survey.findById(req.params.id);
 
@@ -442,7 +2408,7 @@ router.put('/surveys/:id', [auth, adminAuth, validateSurvey], async (req, res) =
   }
 });
 
-router.patch('/surveys/:id/status', [auth, adminAuth], async (req, res) => {
+router.patch('/surveys/:id/status', [auth, requirePermission('surveys:manage')], async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -490,7 +2456,7 @@ router.patch('/surveys/:id/status', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.delete('/surveys/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/surveys/:id', [auth, requirePermission('surveys:manage')], async (req, res) => {
   try {
     const survey = await Survey.findById(req.params.id);
 
@@ -530,7 +2496,7 @@ router.delete('/surveys/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.get('/surveys/:id/analytics', [auth, adminAuth], async (req, res) => {
+router.get('/surveys/:id/analytics', [auth, requirePermission('surveys:manage')], async (req, res) => {
   try {
     const survey = await Survey.findById(req.params.id);
 
@@ -566,7 +2532,7 @@ router.get('/surveys/:id/analytics', [auth, adminAuth], async (req, res) => {
 
 
 
-router.get('/surveys/:id', [auth, adminAuth], async (req, res) => {
+router.get('/surveys/:id', [auth, requirePermission('surveys:manage')], async (req, res) => {
   try {
     const survey = await Survey.findById(req.params.id)
       .populate('createdBy', 'firstName lastName email');
@@ -592,7 +2558,7 @@ router.get('/surveys/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.get('/surveys/:id/responses', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/surveys/:id/responses', [auth, requirePermission('surveys:manage'), validatePagination], async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
@@ -630,7 +2596,7 @@ router.get('/surveys/:id/responses', [auth, adminAuth, validatePagination], asyn
 
 // ===================== EVENT MANAGEMENT =====================
 
-router.get('/events', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/events', [auth, requirePermission('events:moderate'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -676,7 +2642,7 @@ router.get('/events', [auth, adminAuth, validatePagination], async (req, res) =>
   }
 });
 
-router.put('/events/:id/status', [auth, adminAuth], async (req, res) => {
+router.put('/events/:id/status', [auth, requirePermission('events:moderate')], async (req, res) => {
   try {
     const { status } = req.body;
     const eventId = req.params.id;
@@ -715,7 +2681,7 @@ router.put('/events/:id/status', [auth, adminAuth], async (req, res) => {
       eventTitle: event.title
     });
     
-    await cache.flush();
+    await cache.delPattern('events:public:*');
     
     res.json({
       success: true,
@@ -732,7 +2698,7 @@ router.put('/events/:id/status', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.delete('/events/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/events/:id', [auth, requirePermission('events:moderate')], async (req, res) => {
   try {
     const eventId = req.params.id;
     
@@ -751,7 +2717,7 @@ router.delete('/events/:id', [auth, adminAuth], async (req, res) => {
     });
     
     await Event.findByIdAndDelete(eventId);
-    await cache.flush();
+    await cache.delPattern('events:public:*');
     
     res.json({
       success: true,
@@ -767,7 +2733,7 @@ router.delete('/events/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.post('/events/bulk', [auth, adminAuth], async (req, res) => {
+router.post('/events/bulk', [auth, requirePermission('events:moderate')], async (req, res) => {
   try {
     const { action, eventIds } = req.body;
     
@@ -818,7 +2784,7 @@ router.post('/events/bulk', [auth, adminAuth], async (req, res) => {
       affectedCount: result.modifiedCount || result.deletedCount || 0
     });
     
-    await cache.flush();
+    await cache.delPattern('events:public:*');
     
     res.json({
       success: true,
@@ -837,9 +2803,104 @@ router.post('/events/bulk', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// ===================== EVENT SERIES =====================
+
+router.get('/event-series', [auth, requirePermission('events:moderate'), validatePagination], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, eventType } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (eventType) query.eventType = eventType;
+
+    const [seriesList, total] = await Promise.all([
+      EventSeries.find(query)
+        .select('-subscribers')
+        .populate('organizer', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EventSeries.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        series: seriesList,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event series'
+    });
+  }
+});
+
+// Publishing makes the occurrences visible; cancelling also cancels upcoming
+// occurrences people registered for
+router.put('/event-series/:id/status', [auth, requirePermission('events:moderate')], async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['draft', 'published', 'cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const previousStatus = series.status;
+    series.status = status;
+    await series.save();
+
+    const synced = await eventSeriesService.syncMaterialized(series);
+
+    await createAuditLog(req.user._id, 'Event series status changed', 'EventSeries', series._id, {
+      previousStatus,
+      newStatus: status,
+      seriesTitle: series.title,
+      cancelledOccurrences: synced.cancelled
+    });
+
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: `Event series ${status} successfully`,
+      data: { series, ...synced }
+    });
+
+  } catch (error) {
+    console.error('Update event series status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event series status'
+    });
+  }
+});
+
 // ===================== JOB MANAGEMENT =====================
 
-router.get('/jobs', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/jobs', [auth, requirePermission('jobs:moderate'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -883,7 +2944,7 @@ router.get('/jobs', [auth, adminAuth, validatePagination], async (req, res) => {
   }
 });
 
-router.patch('/jobs/:id/status', [auth, adminAuth], async (req, res) => {
+router.patch('/jobs/:id/status', [auth, requirePermission('jobs:moderate')], async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -933,7 +2994,7 @@ router.patch('/jobs/:id/status', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.delete('/jobs/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/jobs/:id', [auth, requirePermission('jobs:moderate')], async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
 
@@ -968,7 +3029,7 @@ router.delete('/jobs/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.post('/jobs/bulk', [auth, adminAuth], async (req, res) => {
+router.post('/jobs/bulk', [auth, requirePermission('jobs:moderate')], async (req, res) => {
   try {
     const { action, jobIds } = req.body;
 
@@ -1042,7 +3103,7 @@ router.post('/jobs/bulk', [auth, adminAuth], async (req, res) => {
 
 // ===================== FORUM MANAGEMENT =====================
 
-router.get('/forums', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/forums', [auth, requirePermission('forums:manage'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -1087,7 +3148,7 @@ router.get('/forums', [auth, adminAuth, validatePagination], async (req, res) =>
   }
 });
 
-router.post('/forums', [auth, adminAuth], async (req, res) => {
+router.post('/forums', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const forumData = {
       ...req.body,
@@ -1121,7 +3182,7 @@ router.post('/forums', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.put('/forums/:id', [auth, adminAuth], async (req, res) => {
+router.put('/forums/:id', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const forum = await Forum.findById(req.params.id);
 
@@ -1153,7 +3214,7 @@ router.put('/forums/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-router.delete('/forums/:id', [auth, adminAuth], async (req, res) => {
+router.delete('/forums/:id', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const forum = await Forum.findById(req.params.id);
 
@@ -1194,7 +3255,7 @@ router.delete('/forums/:id', [auth, adminAuth], async (req, res) => {
 });
 
 // Forum moderation
-router.post('/forums/:forumId/moderators', [auth, adminAuth], async (req, res) => {
+router.post('/forums/:forumId/moderators', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const { userId, action } = req.body; // action: 'add' or 'remove'
     
@@ -1242,7 +3303,7 @@ router.post('/forums/:forumId/moderators', [auth, adminAuth], async (req, res) =
 
 // ===================== AUDIT LOGS =====================
 
-router.get('/audit-logs', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/audit-logs', [auth, requirePermission('audit:view'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -1377,7 +3438,7 @@ function analyzeQuestionResponses(questions, responses) {
 // Add this after the GET /surveys/:id/responses endpoint (around line 450)
 
 // Export survey responses
-router.get('/surveys/:id/export', [auth, adminAuth], async (req, res) => {
+router.get('/surveys/:id/export', [auth, requirePermission('surveys:export')], async (req, res) => {
   try {
     const { format = 'csv' } = req.query;
     const surveyId = req.params.id;
@@ -1486,7 +3547,7 @@ function generateSurveyResponsesCSV(survey, responses) {
 
 
 // admin.routes.js - Updated getAllUsers endpoint
-router.get('/users/all', [auth, adminAuth], async (req, res) => {
+router.get('/users/all', [auth, requirePermission('users:view')], async (req, res) => {
   try {
     console.log('=== FETCHING ALL USERS VIA PROFILES ===');
     
@@ -1614,7 +3675,7 @@ router.get('/users/all', [auth, adminAuth], async (req, res) => {
 });
 
 // Also update the regular /users endpoint for paginated results
-router.get('/users', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/users', [auth, requirePermission('users:view'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -1739,7 +3800,7 @@ router.get('/users', [auth, adminAuth, validatePagination], async (req, res) =>
 
 
 // ===================== BULK COMMUNICATIONS =====================
-router.post('/communications/send', [auth, adminAuth], async (req, res) => {
+router.post('/communications/send', [auth, requirePermission('communications:send')], async (req, res) => {
   console.log('=== COMMUNICATION SEND ENDPOINT HIT ===');
   console.log('Request received at:', new Date().toISOString());
   
@@ -2057,7 +4118,7 @@ router.post('/communications/send', [auth, adminAuth], async (req, res) => {
 });
 
 // Also add this test endpoint to verify the route is working
-router.get('/communications/test', [auth, adminAuth], (req, res) => {
+router.get('/communications/test', [auth, requirePermission('communications:send')], (req, res) => {
   console.log('Communication test endpoint accessed');
   res.json({
     success: true,
@@ -2068,7 +4129,7 @@ router.get('/communications/test', [auth, adminAuth], (req, res) => {
 });
 
 // Add endpoint to check SMS balance
-router.get('/communications/sms-balance', [auth, adminAuth], async (req, res) => {
+router.get('/communications/sms-balance', [auth, requirePermission('communications:send')], async (req, res) => {
   try {
     const balance = await smsService.checkBalance();
     
@@ -2086,7 +4147,7 @@ router.get('/communications/sms-balance', [auth, adminAuth], async (req, res) =>
 });
 
 // Test SMS endpoint
-router.post('/communications/test-sms', [auth, adminAuth], async (req, res) => {
+router.post('/communications/test-sms', [auth, requirePermission('communications:send')], async (req, res) => {
   try {
     const { phone } = req.body;
     const result = await smsService.sendTestSMS(phone);
@@ -2107,7 +4168,7 @@ router.post('/communications/test-sms', [auth, adminAuth], async (req, res) => {
 });
 
 // Get communication history
-router.get('/communications/history', [auth, adminAuth, validatePagination], async (req, res) => {
+router.get('/communications/history', [auth, requirePermission('communications:send'), validatePagination], async (req, res) => {
   try {
     const {
       page = 1,
@@ -2170,7 +4231,7 @@ router.get('/communications/history', [auth, adminAuth, validatePagination], asy
 });
 
 // Get communication details
-router.get('/communications/:id', [auth, adminAuth], async (req, res) => {
+router.get('/communications/:id', [auth, requirePermission('communications:send')], async (req, res) => {
   try {
     const communication = await Communication.findById(req.params.id)
       .populate('sentBy', 'firstName lastName email')
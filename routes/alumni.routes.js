@@ -1,14 +1,43 @@
 // routes/alumni.routes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Activity = require('../models/Activity'); // NEW - Added Activity model
+const GraduationRecord = require('../models/GraduationRecord');
+const Skill = require('../models/Skill');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const ModerationCase = require('../models/ModerationCase');
+const AlumniVerification = require('../models/AlumniVerification');
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validateProfile, validatePagination } = require('../middleware/validation');
-const { cache } = require('../config/database');
+const { cache, withTransaction } = require('../config/database');
+const {
+  PUBLIC_USER_FIELDS,
+  buildViewerContext,
+  getRelationship,
+  canViewProfile,
+  visibilityMatch,
+  viewableProfileMatch,
+  isHidden,
+  blockedMatch,
+  canSearchByEmail,
+  filterUser,
+  filterProfile,
+  filterAlumnus
+} = require('../utils/privacy');
+const { evaluateProfile } = require('../utils/profileCompleteness');
+const notificationService = require('../services/notificationService');
+const connectionGraphService = require('../services/connectionGraphService');
+const { INSTITUTION_NAME, toVCard, toJsonResume, toPdf } = require('../utils/profileExport');
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROFILE_VIEW_DEDUPE_MS = 60 * 60 * 1000;
+const PROFILE_VIEW_WINDOWS = [7, 30, 90]; // Days
+
 // Helper function to update last active time
 const updateLastActive = async (userId) => {
   try {
@@ -32,11 +61,13 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
       program,
       location,
       employmentStatus,
-      skills
+      skills,
+      employer // Current or past
     } = req.query;
 
     const skip = (page - 1) * limit;
     const currentUserId = req.user?._id || req.user?.id;
+    const viewer = await buildViewerContext(req.user);
     
     // Build search query
     let searchQuery = {};
@@ -45,22 +76,34 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
     if (search) {
       searchQuery.$or = [
         { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
+        { lastName: { $regex: search, $options: 'i' } }
       ];
+      if (canSearchByEmail(viewer)) {
+        searchQuery.$or.push({ email: { $regex: search, $options: 'i' } });
+      }
     }
 
-    if (graduationYear) profileQuery.graduationYear = graduationYear;
-    if (program) profileQuery.program = { $regex: program, $options: 'i' };
-    if (location) profileQuery.location = { $regex: location, $options: 'i' };
-    if (employmentStatus) profileQuery.employmentStatus = employmentStatus;
-    if (skills) profileQuery.skills = { $in: Array.isArray(skills) ? skills : [skills] };
+    // Matched after the profile lookup, so paths are prefixed with `profile.`
+    if (graduationYear) profileQuery['profile.graduationYear'] = parseInt(graduationYear);
+    if (program) profileQuery['profile.program'] = { $regex: program, $options: 'i' };
+    if (location) profileQuery['profile.location'] = { $regex: location, $options: 'i' };
+    if (employmentStatus) profileQuery['profile.employmentStatus'] = employmentStatus;
+    if (skills) profileQuery['profile.skills'] = { $in: await Skill.normalizeList(Array.isArray(skills) ? skills : [skills]) };
+    if (employer) {
+      profileQuery.$or = [
+        { 'profile.currentCompany': { $regex: employer, $options: 'i' } },
+        { 'profile.positions.company': { $regex: employer, $options: 'i' } }
+      ];
+    }
 
-    // Create cache key WITHOUT user-specific data
-    const cacheKey = `alumni:${JSON.stringify({ page, limit, search, graduationYear, program, location, employmentStatus, skills })}`;
+    // Create cache key WITHOUT user-specific data - only the audience changes which rows match
+    const audience = viewer.isAdmin ? 'admin' : (viewer.userId ? 'member' : 'anonymous');
+    const cacheKey = `alumni:${JSON.stringify({ audience, page, limit, search, graduationYear, program, location, employmentStatus, skills, employer })}`;
     
-    // Check cache first (but we'll add user-specific data after)
-    let cachedResult = await cache.get(cacheKey);
+    // Check cache first (but we'll add user-specific data after). Viewers with blocks
+    // see a different list, so theirs is never cached.
+    const cacheable = Object.keys(blockedMatch(viewer)).length === 0;
+    let cachedResult = cacheable ? await cache.get(cacheKey) : null;
     let alumni;
     let total;
     
@@ -70,7 +113,7 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
     } else {
       // Get users with profiles
       const pipeline = [
-        { $match: { ...searchQuery, role: 'alumni', isActive: true } },
+        { $match: { ...searchQuery, role: 'alumni', isActive: true, ...blockedMatch(viewer) } },
         {
           $lookup: {
             from: 'profiles',
@@ -81,6 +124,7 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
         },
         { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
         { $match: profileQuery },
+        { $match: visibilityMatch(viewer) },
         {
           $project: {
             _id: 1,
@@ -103,7 +147,11 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
               currentPosition: 1,
               currentCompany: 1,
               skills: 1,
-              lastActiveAt: 1
+              lastActiveAt: 1,
+              profileVisibility: 1,
+              showEmail: 1,
+              showPhone: 1,
+              alumniVerification: 1
             }
           }
         },
@@ -134,82 +182,38 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
         }
       };
 
-      await cache.set(cacheKey, basicResult, 300);
+      if (cacheable) await cache.set(cacheKey, basicResult, 300);
     }
     
     // If user is authenticated, add connection status
     if (currentUserId) {
-      // Get current user's profile with connections
-      const currentUserProfile = await Profile.findOne({ user: currentUserId });
-      
-      // Debug logging
-      console.log('Current user ID:', currentUserId.toString());
-      console.log('Current user connections:', currentUserProfile?.connections?.map(c => ({
-        id: c._id,
-        userId: c.user.toString(),
-        status: c.status
-      })));
-      
-      // Add connection status to each alumni
+      const alumniIds = alumni.map(a => a._id);
+      const connections = await Connection.find({
+        $or: [
+          { requester: currentUserId, addressee: { $in: alumniIds } },
+          { addressee: currentUserId, requester: { $in: alumniIds } }
+        ]
+      }).lean();
+
+      const connectionByUser = new Map(connections.map(conn => [
+        (conn.requester.toString() === currentUserId.toString() ? conn.addressee : conn.requester).toString(),
+        conn
+      ]));
+
       alumni.forEach(alumnus => {
-        // First check if current user has received a connection from this alumni
-        const receivedConnection = currentUserProfile?.connections?.find(
-          conn => conn.user.toString() === alumnus._id.toString() && conn.status === 'pending'
-        );
-        
-        if (receivedConnection) {
-          // Current user received a pending connection from this alumni
+        const connection = connectionByUser.get(alumnus._id.toString());
+        alumnus.isConnected = connection?.status === 'accepted';
+
+        if (!connection) {
+          alumnus.connectionStatus = null;
+        } else if (connection.status === 'accepted') {
+          alumnus.connectionStatus = 'accepted';
+        } else if (connection.addressee.toString() === currentUserId.toString()) {
+          // Current user received a pending request from this alumnus
           alumnus.connectionStatus = 'received';
-          alumnus.isConnected = false;
-          alumnus.receivedConnectionId = receivedConnection._id.toString();
-          
-          console.log(`Found received connection from ${alumnus.firstName} ${alumnus.lastName}:`, {
-            connectionId: receivedConnection._id.toString(),
-            status: receivedConnection.status
-          });
+          alumnus.receivedConnectionId = connection._id.toString();
         } else {
-          // Check if already connected
-          const existingConnection = currentUserProfile?.connections?.find(
-            conn => conn.user.toString() === alumnus._id.toString() && conn.status === 'accepted'
-          );
-          
-          if (existingConnection) {
-            alumnus.connectionStatus = 'accepted';
-            alumnus.isConnected = true;
-          } else {
-            alumnus.connectionStatus = null;
-            alumnus.isConnected = false;
-          }
-        }
-      });
-      
-      // Now check for sent connections (where current user sent the request to alumni)
-      const alumniIds = alumni.map(a => a._id);
-      const alumniProfiles = await Profile.find({ 
-        user: { $in: alumniIds }
-      }).select('user connections');
-      
-      alumni.forEach(alumnus => {
-        // Only check if we haven't already found a received connection
-        if (!alumnus.connectionStatus || alumnus.connectionStatus === null) {
-          const alumniProfile = alumniProfiles.find(
-            p => p.user.toString() === alumnus._id.toString()
-          );
-          
-          if (alumniProfile) {
-            const sentConnection = alumniProfile.connections?.find(
-              conn => conn.user.toString() === currentUserId.toString()
-            );
-            
-            if (sentConnection) {
-              if (sentConnection.status === 'pending') {
-                alumnus.connectionStatus = 'pending'; // Current user sent request
-              } else if (sentConnection.status === 'accepted') {
-                alumnus.connectionStatus = 'accepted';
-                alumnus.isConnected = true;
-              }
-            }
-          }
+          alumnus.connectionStatus = 'pending'; // Current user sent the request
         }
       });
     }
@@ -217,7 +221,7 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
     const result = {
       success: true,
       data: {
-        alumni,
+        alumni: alumni.map(alumnus => filterAlumnus(alumnus, viewer)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -249,8 +253,7 @@ router.get('/me/profile', auth, async (req, res) => {
     // Update last active when user views their profile
     await updateLastActive(userId);
     
-    const profile = await Profile.findOne({ user: userId })
-      .populate('connections.user', 'firstName lastName email role');
+    const profile = await Profile.findOne({ user: userId });
 
     if (!profile) {
       return res.json({
@@ -260,9 +263,14 @@ router.get('/me/profile', auth, async (req, res) => {
       });
     }
 
+    const data = profile.toJSON();
+    data.connections = (await Connection.listForUser(userId, { userFields: `${PUBLIC_USER_FIELDS} role` }))
+      .filter(conn => conn.user);
+    data.connectionCount = data.connections.filter(conn => conn.status === 'accepted').length;
+
     res.json({
       success: true,
-      data: profile
+      data
     });
 
   } catch (error) {
@@ -274,81 +282,362 @@ router.get('/me/profile', auth, async (req, res) => {
   }
 });
 
+// How complete my profile is, what's missing and what to do next
+router.get('/me/profile/completeness', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const profile = await Profile.findOne({ user: userId });
+    const { score, completed, missing, nextSteps } = await evaluateProfile(profile);
 
-router.get('/connections', auth, async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        score,
+        completed,
+        missing,
+        nextSteps
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile completeness error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate profile completeness'
+    });
+  }
+});
+
+// Who viewed my profile: totals per time window and a breakdown of the chosen window.
+// Viewers browsing anonymously are counted but never identified or broken down.
+router.get('/me/profile/views', auth, async (req, res) => {
+  try {
+    const ownerId = new mongoose.Types.ObjectId(req.user._id || req.user.id);
+    const days = parseInt(req.query.days) || 30;
+
+    if (!PROFILE_VIEW_WINDOWS.includes(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be one of: ${PROFILE_VIEW_WINDOWS.join(', ')}`
+      });
+    }
+
+    const now = Date.now();
+    const windowStarts = Object.fromEntries(PROFILE_VIEW_WINDOWS.map(window => [window, new Date(now - window * DAY_MS)]));
+    const viewMatch = {
+      type: 'profile_view',
+      'metadata.targetUser': ownerId,
+      'metadata.targetPost': { $exists: false } // Forum post views share the activity type
+    };
+
+    // Totals for every window in one pass
+    const windowGroup = { _id: null };
+    PROFILE_VIEW_WINDOWS.forEach(window => {
+      const inWindow = { $gte: ['$createdAt', windowStarts[window]] };
+      windowGroup[`views${window}`] = { $sum: { $cond: [inWindow, 1, 0] } };
+      windowGroup[`viewers${window}`] = { $addToSet: { $cond: [inWindow, '$user', null] } };
+    });
+
+    // Viewers are only named when the owner could look them up themselves
+    const context = await buildViewerContext(req.user);
+
+    // Named viewers the owner may see, one row each - blocked people, inactive
+    // accounts and profiles the owner couldn't open are gone before anything is counted
+    const visibleViewers = [
+      { $match: { 'metadata.anonymous': { $ne: true } } },
+      { $group: { _id: '$user', views: { $sum: 1 }, lastViewedAt: { $max: '$createdAt' } } },
+      { $match: blockedMatch(context) },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true } },
+      { $lookup: { from: 'profiles', localField: '_id', foreignField: 'user', as: 'profile' } },
+      { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
+      { $match: viewableProfileMatch(context) }
+    ];
+
+    const [[totals], [breakdown], profile] = await Promise.all([
+      Activity.aggregate([
+        { $match: { ...viewMatch, createdAt: { $gte: windowStarts[Math.max(...PROFILE_VIEW_WINDOWS)] } } },
+        { $group: windowGroup }
+      ]),
+      Activity.aggregate([
+        { $match: { ...viewMatch, createdAt: { $gte: windowStarts[days] } } },
+        {
+          $facet: {
+            timeline: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                  views: { $sum: 1 },
+                  viewers: { $addToSet: '$user' }
+                }
+              },
+              { $project: { _id: 0, date: '$_id', views: 1, uniqueViewers: { $size: '$viewers' } } },
+              { $sort: { date: 1 } }
+            ],
+            anonymous: [
+              { $match: { 'metadata.anonymous': true } },
+              { $group: { _id: null, views: { $sum: 1 }, viewers: { $addToSet: '$user' } } }
+            ],
+            recentViewers: [
+              ...visibleViewers,
+              { $sort: { lastViewedAt: -1 } },
+              { $limit: 20 },
+              {
+                $project: {
+                  _id: 0,
+                  views: 1,
+                  lastViewedAt: 1,
+                  viewer: {
+                    _id: '$user._id',
+                    firstName: '$user.firstName',
+                    lastName: '$user.lastName',
+                    profilePicture: '$profile.profilePicture',
+                    currentPosition: '$profile.currentPosition',
+                    currentCompany: '$profile.currentCompany'
+                  }
+                }
+              }
+            ],
+            companies: [
+              ...visibleViewers,
+              { $match: { 'profile.currentCompany': { $nin: [null, ''] } } },
+              { $group: { _id: '$profile.currentCompany', viewers: { $sum: 1 } } },
+              { $sort: { viewers: -1, _id: 1 } },
+              { $limit: 10 },
+              { $project: { _id: 0, company: '$_id', viewers: 1 } }
+            ],
+            programs: [
+              ...visibleViewers,
+              { $match: { 'profile.program': { $nin: [null, ''] } } },
+              { $group: { _id: '$profile.program', viewers: { $sum: 1 } } },
+              { $sort: { viewers: -1, _id: 1 } },
+              { $limit: 10 },
+              { $project: { _id: 0, program: '$_id', viewers: 1 } }
+            ]
+          }
+        }
+      ]),
+      Profile.findOne({ user: ownerId }).select('profileViews browseAnonymously').lean()
+    ]);
+
+    const windows = PROFILE_VIEW_WINDOWS.map(window => ({
+      days: window,
+      views: totals?.[`views${window}`] || 0,
+      uniqueViewers: (totals?.[`viewers${window}`] || []).filter(viewer => viewer !== null).length
+    }));
+    const selected = windows.find(window => window.days === days);
+
+    res.json({
+      success: true,
+      data: {
+        windows,
+        days,
+        views: selected.views,
+        uniqueViewers: selected.uniqueViewers,
+        anonymousViews: breakdown.anonymous[0]?.views || 0,
+        anonymousViewers: breakdown.anonymous[0]?.viewers.length || 0,
+        timeline: breakdown.timeline,
+        recentViewers: breakdown.recentViewers,
+        viewerCompanies: breakdown.companies,
+        viewerPrograms: breakdown.programs,
+        publicLinkViews: profile?.profileViews || 0, // Signed-out visits to /alumni/p/:slug
+        browseAnonymously: !!profile?.browseAnonymously
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile views'
+    });
+  }
+});
+
+// Get my alumni verification status and latest claim
+router.get('/verification', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const { status } = req.query;
-    
-    // First, get the current user's profile with basic user population
-    const profile = await Profile.findOne({ user: userId })
-      .populate({
-        path: 'connections.user',
-        select: 'firstName lastName email profilePicture lastLoginAt'
+
+    const [profile, claim] = await Promise.all([
+      Profile.findOne({ user: userId }).select('alumniVerification'),
+      AlumniVerification.findOne({ user: userId })
+        .sort({ createdAt: -1 })
+        .select('-mismatchedFields -reviewedBy')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        status: profile?.alumniVerification?.status || 'unverified',
+        verifiedAt: profile?.alumniVerification?.verifiedAt,
+        claim
+      }
+    });
+
+  } catch (error) {
+    console.error('Get verification status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification status'
+    });
+  }
+});
+
+// Claim a graduation record - auto-approved on an exact match, otherwise queued for review
+router.post('/verification', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { indexNumber, fullName, program, graduationYear, notes } = req.body;
+
+    if (!indexNumber || !fullName || !program || !graduationYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Index number, full name, program and graduation year are required'
+      });
+    }
+
+    const profile = await Profile.findOne({ user: userId }).select('alumniVerification');
+    if (profile?.alumniVerification?.status === 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a verified alumnus'
       });
+    }
 
-    if (!profile) {
-      return res.json({
-        success: true,
-        data: []
+    if (await AlumniVerification.exists({ user: userId, status: 'pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a verification request under review'
       });
     }
 
-    let connections = profile.connections;
-    
-    // Filter by status if provided
-    if (status) {
-      connections = connections.filter(conn => conn.status === status);
-    }
-
-    // Filter out connections where user is null (deleted users)
-    connections = connections.filter(conn => conn.user !== null);
-
-    // Now manually populate the profile data for each connection
-    const populatedConnections = await Promise.all(
-      connections.map(async (conn) => {
-        try {
-          // Check if user exists
-          if (!conn.user || !conn.user._id) {
-            console.log('Skipping connection with missing user:', conn._id);
-            return null; // Will be filtered out later
-          }
+    const normalizedIndex = GraduationRecord.normalizeIndexNumber(indexNumber);
+    const claim = new AlumniVerification({
+      user: userId,
+      indexNumber: normalizedIndex,
+      fullName,
+      program,
+      graduationYear,
+      notes
+    });
 
-          // Get the profile for this connection
-          const connProfile = await Profile.findOne({ user: conn.user._id })
-            .select('currentPosition currentCompany location bio skills graduationYear program')
-            .lean();
-          
-          // Return the connection with populated profile data
-          return {
-            _id: conn._id,
-            user: {
-              _id: conn.user._id,
-              firstName: conn.user.firstName,
-              lastName: conn.user.lastName,
-              email: conn.user.email,
-              profilePicture: conn.user.profilePicture,
-              lastLoginAt: conn.user.lastLoginAt,
-              profile: connProfile || null
-            },
-            status: conn.status,
-            createdAt: conn.createdAt,
-            connectedAt: conn.connectedAt
-          };
-        } catch (err) {
-          console.error('Error populating connection profile:', err);
-          // Return null for connections that fail to populate
-          return null;
+    const validationError = claim.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(validationError.errors).map(err => err.message)
+      });
+    }
+
+    const record = await GraduationRecord.findOne({ indexNumber: normalizedIndex });
+
+    if (!record) {
+      claim.reviewReason = 'no_record';
+    } else if (record.claimedBy && record.claimedBy.toString() !== userId.toString()) {
+      claim.record = record._id;
+      claim.reviewReason = 'already_claimed';
+    } else {
+      claim.record = record._id;
+      claim.mismatchedFields = record.findMismatches(claim);
+      if (claim.mismatchedFields.length > 0) {
+        claim.reviewReason = 'details_mismatch';
+      }
+    }
+
+    let verified = false;
+    if (record && !claim.reviewReason) {
+      try {
+        await claim.approve(record, { matchType: 'auto' });
+        verified = true;
+      } catch (approveError) {
+        // Lost a race for the record - leave it to a reviewer
+        claim.reviewReason = 'already_claimed';
+      }
+    }
+
+    if (!verified) {
+      await claim.save();
+      await Profile.findOneAndUpdate(
+        { user: userId },
+        { $set: { 'alumniVerification.status': 'pending' }, $setOnInsert: { user: userId } },
+        { upsert: true }
+      );
+    }
+
+    await cache.del(`user:${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: verified
+        ? 'Your graduation has been verified. Welcome, verified alumnus!'
+        : 'Your verification request has been submitted for review.',
+      data: {
+        status: verified ? 'verified' : 'pending',
+        claim: {
+          _id: claim._id,
+          indexNumber: claim.indexNumber,
+          fullName: claim.fullName,
+          program: claim.program,
+          graduationYear: claim.graduationYear,
+          status: claim.status,
+          createdAt: claim.createdAt
         }
-      })
-    );
+      }
+    });
 
-    // Filter out null connections (failed to populate or deleted users)
-    const validConnections = populatedConnections.filter(conn => conn !== null);
+  } catch (error) {
+    console.error('Submit verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit verification request'
+    });
+  }
+});
+
+router.get('/connections', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { status, direction = 'incoming' } = req.query;
+
+    // Pending requests are the ones received unless direction=outgoing
+    const connections = (await Connection.listForUser(userId, {
+      status,
+      direction,
+      userFields: 'firstName lastName email profilePicture lastLoginAt'
+    })).filter(conn => conn.user !== null); // Deleted users
+
+    const profiles = await Profile.find({ user: { $in: connections.map(conn => conn.user._id) } })
+      .select('user currentPosition currentCompany location bio skills graduationYear program profileVisibility showEmail showPhone')
+      .lean();
+    const profileByUser = new Map(profiles.map(connProfile => [connProfile.user.toString(), connProfile]));
+
+    const populatedConnections = connections.map(conn => {
+      const connProfile = profileByUser.get(conn.user._id.toString()) || null;
+
+      // Pending requests are with people who aren't connections yet
+      const relationship = conn.status === 'accepted' ? 'connection' : 'member';
+
+      return {
+        _id: conn._id,
+        user: {
+          ...filterUser(conn.user, relationship, connProfile),
+          profile: connProfile ? filterProfile(connProfile, relationship) : null
+        },
+        status: conn.status,
+        direction: conn.direction,
+        message: conn.message,
+        createdAt: conn.createdAt,
+        connectedAt: conn.connectedAt
+      };
+    });
 
     res.json({
       success: true,
-      data: validConnections
+      data: populatedConnections
     });
 
   } catch (error) {
@@ -360,6 +649,81 @@ router.get('/connections', auth, async (req, res) => {
   }
 });
 
+// ===================== CONNECTION GRAPH =====================
+
+const CARD_PROFILE_FIELDS = 'user currentPosition currentCompany location program graduationYear profileVisibility showEmail showPhone';
+
+// Users (in the given order) with a short profile card, filtered for the viewer
+const loadPeopleCards = async (userIds, viewer) => {
+  const [users, profiles] = await Promise.all([
+    User.find({ _id: { $in: userIds }, isActive: true }).select(`${PUBLIC_USER_FIELDS} email`).lean(),
+    Profile.find({ user: { $in: userIds } }).select(CARD_PROFILE_FIELDS).lean()
+  ]);
+
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+  const profileByUser = new Map(profiles.map(profile => [profile.user.toString(), profile]));
+
+  return userIds
+    .map(id => id.toString())
+    .filter(id => userById.has(id) && !isHidden(viewer, id))
+    .map(id => {
+      const relationship = getRelationship(viewer, id);
+      const profile = profileByUser.get(id) || null;
+      return {
+        ...filterUser(userById.get(id), relationship, profile),
+        profile: profile ? filterProfile(profile, relationship) : null
+      };
+    });
+};
+
+// 404 unless the alumnus exists and the viewer may see their profile
+const findVisibleAlumnus = async (id, viewer) => {
+  if (!mongoose.Types.ObjectId.isValid(id) || isHidden(viewer, id)) return null;
+
+  const [user, profile] = await Promise.all([
+    User.findOne({ _id: id, isActive: true }).select('_id').lean(),
+    Profile.findOne({ user: id }).select('profileVisibility').lean()
+  ]);
+
+  if (!user || !canViewProfile(profile?.profileVisibility, getRelationship(viewer, id))) return null;
+  return user;
+};
+
+// People you may know - ranked by mutual connections, program, class, company and skills
+router.get('/connections/suggestions', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const [viewer, suggestions] = await Promise.all([
+      buildViewerContext(req.user),
+      connectionGraphService.getSuggestions(userId, { limit })
+    ]);
+
+    const cards = await loadPeopleCards(suggestions.map(suggestion => suggestion.userId), viewer);
+    const cardById = new Map(cards.map(card => [card._id.toString(), card]));
+
+    res.json({
+      success: true,
+      data: suggestions
+        .filter(suggestion => cardById.has(suggestion.userId))
+        .map(({ userId: suggestedId, score, mutualConnections, reasons }) => ({
+          user: cardById.get(suggestedId),
+          score,
+          mutualConnections,
+          reasons
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get connection suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch connection suggestions'
+    });
+  }
+});
+
 // Search alumni - MOVED BEFORE DYNAMIC ROUTES
 router.get('/search', [auth, validatePagination], async (req, res) => {
   try {
@@ -374,6 +738,8 @@ router.get('/search', [auth, validatePagination], async (req, res) => {
 
     const searchRegex = new RegExp(q.trim(), 'i');
     const skip = (page - 1) * limit;
+    const viewer = await buildViewerContext(req.user);
+    const emailMatch = canSearchByEmail(viewer) ? [{ email: searchRegex }] : [];
 
     // Search in both User and Profile collections
     const pipeline = [
@@ -381,10 +747,11 @@ router.get('/search', [auth, validatePagination], async (req, res) => {
         $match: {
           role: 'alumni',
           isActive: true,
+          ...blockedMatch(viewer),
           $or: [
             { firstName: searchRegex },
             { lastName: searchRegex },
-            { email: searchRegex }
+            ...emailMatch
           ]
         }
       },
@@ -397,14 +764,17 @@ router.get('/search', [auth, validatePagination], async (req, res) => {
         }
       },
       { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
+      { $match: visibilityMatch(viewer) },
       {
         $match: {
           $or: [
             { firstName: searchRegex },
             { lastName: searchRegex },
-            { email: searchRegex },
+            ...emailMatch,
             { 'profile.currentPosition': searchRegex },
             { 'profile.currentCompany': searchRegex },
+            { 'profile.positions.company': searchRegex },
+            { 'profile.positions.title': searchRegex },
             { 'profile.location': searchRegex },
             { 'profile.skills': searchRegex }
           ]
@@ -412,8 +782,7 @@ router.get('/search', [auth, validatePagination], async (req, res) => {
       },
       {
         $project: {
-          password: 0,
-          'profile.connections': 0
+          password: 0
         }
       },
       { $sort: { 'profile.lastActiveAt': -1, createdAt: -1 } },
@@ -431,7 +800,7 @@ router.get('/search', [auth, validatePagination], async (req, res) => {
     res.json({
       success: true,
       data: {
-        results,
+        results: results.map(result => filterAlumnus(result, viewer)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -472,6 +841,27 @@ router.put('/profile', auth, async (req, res) => {
 
     // Check if profile exists
     let profile = await Profile.findOne({ user: userId });
+
+    // Verification is only granted through the verification flow, and a verified
+    // alumnus' graduation details come from the graduation register
+    Object.keys(cleanData)
+      .filter(key => key.startsWith('alumniVerification'))
+      .forEach(key => delete cleanData[key]);
+    // Skills go through PUT /profile/skills so they're mapped to the catalogue,
+    // endorsements only come from connections through the endorsement routes, and
+    // mentoring is set through PUT /mentorship/mentor-profile
+    Object.keys(cleanData)
+      .filter(key => ['skills', 'skillLevels', 'endorsements', 'mentoring'].some(field => key === field || key.startsWith(`${field}.`)))
+      .forEach(key => delete cleanData[key]);
+    // History entries have their own endpoints so their ids stay stable
+    delete cleanData.education;
+    delete cleanData.positions;
+    delete cleanData.slug; // Set through PUT /profile/slug, which checks availability
+    if (profile?.alumniVerification?.status === 'verified') {
+      delete cleanData.graduationYear;
+      delete cleanData.program;
+      delete cleanData.degree;
+    }
     
     if (!profile) {
       // Create new profile
@@ -544,11 +934,7 @@ router.put('/profile', auth, async (req, res) => {
       console.error('Failed to create profile update activity:', activityError);
     }
 
-    // Calculate and update profile completion
-    const completionPercentage = calculateProfileCompletion(req.user, profile);
-    await User.findByIdAndUpdate(userId, { profileCompletion: completionPercentage });
-
-    // Clear user cache
+    // Clear user cache - profileCompletion was updated by the profile save
     if (cache && cache.del) {
       await cache.del(`user:${userId}`);
     }
@@ -574,147 +960,913 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
-// Accept/reject connection request - MOVED BEFORE DYNAMIC ROUTES
-router.put('/connections/:connectionId/:action', auth, async (req, res) => {
+// ===================== SKILLS & ENDORSEMENTS =====================
+
+const MAX_PROFILE_SKILLS = 50;
+const PROFICIENCY_LEVELS = Profile.PROFICIENCY_LEVELS;
+
+// Browse the skills catalogue (autocomplete for profile and job forms)
+router.get('/skills', async (req, res) => {
+  try {
+    const { q, category, limit = 20 } = req.query;
+    const query = {};
+
+    if (q) {
+      const escaped = String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { name: { $regex: escaped, $options: 'i' } },
+        { aliases: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+    if (category) query.category = category;
+
+    const skills = await Skill.find(query)
+      .select('name aliases category')
+      .sort({ name: 1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      data: {
+        skills,
+        categories: Skill.CATEGORIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get skills catalogue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch skills'
+    });
+  }
+});
+
+// Replace my skills, optionally with a proficiency for each:
+// { skills: ["JavaScript", { name: "Python", proficiency: "advanced" }] }
+router.put('/profile/skills', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const { connectionId, action } = req.params;
+    const { skills } = req.body;
 
-    if (!['accept', 'reject'].includes(action)) {
+    if (!Array.isArray(skills) || skills.length > MAX_PROFILE_SKILLS) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid action'
+        message: `skills must be an array of at most ${MAX_PROFILE_SKILLS} entries`
       });
     }
 
-    const profile = await Profile.findOne({ user: userId });
-    const connection = profile.connections.id(connectionId);
+    const entries = skills.map(entry => (typeof entry === 'string' ? { name: entry } : entry || {}));
+    const invalid = entries.find(entry =>
+      typeof entry.name !== 'string' || !entry.name.trim() ||
+      (entry.proficiency !== undefined && entry.proficiency !== null && !PROFICIENCY_LEVELS.includes(entry.proficiency))
+    );
 
-    if (!connection) {
-      return res.status(404).json({
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        message: 'Connection not found'
+        message: `Each skill needs a name, and proficiency must be one of: ${PROFICIENCY_LEVELS.join(', ')}`
       });
     }
 
-    // Get the other user's details for activity tracking
-    const otherUser = await User.findById(connection.user).select('firstName lastName');
-
-    if (action === 'accept') {
-      connection.status = 'accepted';
-      connection.connectedAt = new Date();
+    const profile = await Profile.findOne({ user: userId }) || new Profile({ user: userId });
 
-      // Add reciprocal connection
-      const otherProfile = await Profile.findOne({ user: connection.user });
-      if (otherProfile) {
-        otherProfile.connections.push({
-          user: userId,
-          status: 'accepted',
-          connectedAt: new Date()
-        });
-        await otherProfile.save();
-      }
+    // Names are mapped to the catalogue (and levels/endorsements carried over) on save
+    profile.skills = entries.map(entry => entry.name.trim());
+    profile.skillLevels = entries
+      .filter(entry => entry.proficiency)
+      .map(entry => ({ skill: entry.name.trim(), proficiency: entry.proficiency }));
 
-      // Create activity for connection acceptance - NEW
-      try {
-        // Activity for current user
-        await Activity.createActivity({
-          user: userId,
-          type: 'connection_accepted',
-          action: `Connected with ${otherUser.firstName} ${otherUser.lastName}`,
-          description: `connected with <strong>${otherUser.firstName} ${otherUser.lastName}</strong>`,
-          metadata: {
-            targetUser: connection.user,
-            connectionId: connection._id,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
-          },
-          visibility: 'connections',
-          points: 10
-        });
+    try {
+      await profile.save();
+    } catch (saveError) {
+      if (saveError.name !== 'ValidationError') throw saveError;
 
-        // Activity for the other user
-        await Activity.createActivity({
-          user: connection.user,
-          type: 'connection_accepted',
-          action: `Connected with ${req.user.firstName} ${req.user.lastName}`,
-          description: `connected with <strong>${req.user.firstName} ${req.user.lastName}</strong>`,
-          metadata: {
-            targetUser: userId,
-            connectionId: connection._id
-          },
-          visibility: 'connections',
-          points: 10,
-          isSystemGenerated: true
-        });
-      } catch (activityError) {
-        console.error('Failed to create connection activity:', activityError);
-      }
-    } else {
-      profile.connections.pull(connectionId);
+      const errors = {};
+      Object.keys(saveError.errors).forEach(key => {
+        errors[key] = saveError.errors[key].message;
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
     }
 
-    await profile.save();
+    await cache.del(`user:${userId}`);
 
     res.json({
       success: true,
-      message: `Connection ${action}ed successfully`
+      message: 'Skills updated successfully',
+      data: {
+        skills: profile.skills,
+        skillDetails: profile.skillDetails
+      }
     });
 
   } catch (error) {
-    console.error('Connection action error:', error);
+    console.error('Update skills error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process connection'
+      message: 'Failed to update skills'
     });
   }
 });
 
-// ===== DYNAMIC ROUTES - MUST BE LAST =====
+// Finds the profile's stored spelling of a skill, whatever spelling was asked for
+const findProfileSkill = async (profile, requested) => {
+  const [canonical] = await Skill.normalizeList([requested]);
+  const key = Skill.normalizeKey(canonical);
+  return profile.skills.find(skill => skill === canonical || Skill.normalizeKey(skill) === key);
+};
 
-// Get single alumnus profile
-router.get('/:id/profile', optionalAuth, async (req, res) => {
+// Endorse one of a connection's skills
+router.post('/:id/endorsements', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const currentUserId = req.user?._id || req.user?.id;
-    
-    const user = await User.findById(id).select('-password');
-    if (!user) {
+    const endorserId = req.user._id || req.user.id;
+    const { skill } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(404).json({
         success: false,
-        message: 'Alumni not found'
+        message: 'User profile not found'
       });
     }
 
-    const profile = await Profile.findOne({ user: id })
-      .populate('connections.user', 'firstName lastName email');
+    if (!skill || typeof skill !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Skill is required'
+      });
+    }
 
-    // Track profile view if not viewing own profile - NEW
-    if (currentUserId && currentUserId.toString() !== id) {
-      try {
-        await Activity.createActivity({
-          user: currentUserId,
-          type: 'profile_view',
-          action: `Viewed ${user.firstName} ${user.lastName}'s profile`,
-          description: `viewed a profile`,
-          metadata: {
-            targetUser: id,
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
-          },
-          visibility: 'private',
-          points: 0
-        });
-      } catch (activityError) {
-        console.error('Failed to create profile view activity:', activityError);
-      }
+    if (id === endorserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot endorse your own skills'
+      });
     }
 
-    res.json({
+    const [profile, isConnection] = await Promise.all([
+      Profile.findOne({ user: id }).select('user skills endorsements'),
+      Connection.areConnected(id, endorserId)
+    ]);
+
+    if (!profile || !isConnection) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only endorse skills of your connections'
+      });
+    }
+
+    const skillName = await findProfileSkill(profile, skill);
+    if (!skillName) {
+      return res.status(404).json({
+        success: false,
+        message: 'This skill is not on their profile'
+      });
+    }
+
+    // Atomic so double clicks can't endorse twice
+    const result = await Profile.updateOne(
+      {
+        _id: profile._id,
+        endorsements: { $not: { $elemMatch: { skill: skillName, endorser: endorserId } } }
+      },
+      { $push: { endorsements: { skill: skillName, endorser: endorserId, createdAt: new Date() } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already endorsed this skill'
+      });
+    }
+
+    try {
+      await notificationService.createSkillEndorsement(
+        endorserId, id, `${req.user.firstName} ${req.user.lastName}`, skillName
+      );
+    } catch (notificationError) {
+      console.error('Failed to create endorsement notification:', notificationError);
+    }
+
+    const endorsementCount = profile.endorsements.filter(entry => entry.skill === skillName).length + 1;
+
+    res.status(201).json({
+      success: true,
+      message: `Endorsed ${skillName}`,
+      data: { skill: skillName, endorsementCount }
+    });
+
+  } catch (error) {
+    console.error('Endorse skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to endorse skill'
+    });
+  }
+});
+
+// Withdraw my endorsement: DELETE /:id/endorsements?skill=JavaScript
+router.delete('/:id/endorsements', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const endorserId = req.user._id || req.user.id;
+    const { skill } = req.query;
+
+    const profile = skill && mongoose.Types.ObjectId.isValid(id) &&
+      await Profile.findOne({ user: id }).select('skills');
+    const skillName = profile && await findProfileSkill(profile, skill);
+
+    const result = skillName && await Profile.updateOne(
+      { _id: profile._id },
+      { $pull: { endorsements: { skill: skillName, endorser: endorserId } } }
+    );
+
+    if (!result || result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endorsement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Endorsement withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Withdraw endorsement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw endorsement'
+    });
+  }
+});
+
+// ===================== PUBLIC PROFILE LINKS =====================
+
+const publicProfileUrl = (slug) => `${process.env.FRONTEND_URL}/p/${slug}`;
+
+// Everything a public profile page shows. Activity, mentoring details and who
+// endorsed what stay inside the network - the page only gets endorsement counts.
+const PUBLIC_PROFILE_FIELDS = [
+  '_id', 'slug', 'bio', 'location', 'profilePicture', 'phone',
+  'graduationYear', 'program', 'degree', 'education', 'positions',
+  'employmentStatus', 'currentPosition', 'currentCompany', 'industry', 'workExperience',
+  'skills', 'interests', 'linkedIn', 'github', 'twitter', 'website',
+  'openToOpportunities', 'availableForMentoring', 'openToNetworking', 'alumniVerification'
+];
+
+const toPublicProfile = (profile) => {
+  // Still filtered as for a stranger first, so phone and verification details
+  // follow the owner's settings
+  const data = filterProfile(profile, 'anonymous');
+  const publicProfile = {};
+  PUBLIC_PROFILE_FIELDS
+    .filter(field => data[field] !== undefined)
+    .forEach(field => { publicProfile[field] = data[field]; });
+
+  publicProfile.skillDetails = (data.skillDetails || [])
+    .map(({ name, proficiency, endorsementCount }) => ({ name, proficiency, endorsementCount }));
+  return publicProfile;
+};
+
+// Open Graph tags and a schema.org Person for link previews - built from the
+// already filtered public data only
+const buildProfileMetadata = (user, profile, url) => {
+  const name = `${user.firstName} ${user.lastName}`;
+  const headline = [profile.currentPosition, profile.currentCompany].filter(Boolean).join(' at ');
+  const description = profile.bio || headline || `${name} on the ATU Alumni Network`;
+  const image = profile.profilePicture || user.profilePicture;
+  const sameAs = [profile.linkedIn, profile.github, profile.twitter, profile.website].filter(Boolean);
+
+  const openGraph = {
+    'og:type': 'profile',
+    'og:title': headline ? `${name} - ${headline}` : name,
+    'og:description': description,
+    'og:url': url,
+    'og:site_name': 'ATU Alumni Network',
+    'profile:first_name': user.firstName,
+    'profile:last_name': user.lastName
+  };
+  if (image) openGraph['og:image'] = image;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name,
+    givenName: user.firstName,
+    familyName: user.lastName,
+    url,
+    alumniOf: {
+      '@type': 'CollegeOrUniversity',
+      name: INSTITUTION_NAME
+    }
+  };
+  if (image) jsonLd.image = image;
+  if (profile.bio) jsonLd.description = profile.bio;
+  if (profile.currentPosition) jsonLd.jobTitle = profile.currentPosition;
+  if (profile.currentCompany) jsonLd.worksFor = { '@type': 'Organization', name: profile.currentCompany };
+  if (profile.location) jsonLd.address = { '@type': 'PostalAddress', addressLocality: profile.location };
+  if (profile.skills?.length) jsonLd.knowsAbout = profile.skills;
+  if (sameAs.length) jsonLd.sameAs = sameAs;
+
+  return { canonicalUrl: url, openGraph, jsonLd };
+};
+
+// Claim a vanity slug for my public profile link - generated from my name when none is given
+router.put('/profile/slug', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const requested = req.body.slug ? String(req.body.slug).trim().toLowerCase() : null;
+
+    const profile = await Profile.findOne({ user: userId });
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found. Please complete your profile first.'
+      });
+    }
+
+    let slug = requested;
+    if (!slug) {
+      slug = await Profile.generateSlug(req.user.firstName, req.user.lastName, profile._id);
+    } else if (!await Profile.isSlugAvailable(slug, profile._id)) {
+      // Tell a malformed slug apart from one that's taken
+      profile.slug = slug;
+      const validationError = profile.validateSync(['slug']);
+      return res.status(validationError ? 400 : 409).json({
+        success: false,
+        message: validationError ? validationError.errors.slug.message : 'This profile link is already taken'
+      });
+    }
+
+    profile.slug = slug;
+    try {
+      await profile.save();
+    } catch (saveError) {
+      // Lost a race for the same slug
+      if (saveError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This profile link is already taken'
+        });
+      }
+      throw saveError;
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile link updated successfully',
+      data: {
+        slug: profile.slug,
+        url: publicProfileUrl(profile.slug),
+        // Only public profiles can be seen through the link
+        isPublic: profile.profileVisibility === 'public'
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile link'
+    });
+  }
+});
+
+// Public read-only profile page data for a vanity link
+router.get('/p/:slug', optionalAuth, async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+
+    const profile = await Profile.findOne({ slug, profileVisibility: 'public' });
+    const user = profile && await User.findOne({ _id: profile.user, isActive: true });
+
+    // Same answer for unknown, non-public and deactivated profiles
+    if (!profile || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    // Count anonymous visits (e.g. from a CV), once per visitor per hour
+    if (!req.user) {
+      const viewKey = `profile-view:${profile._id}:${req.ip}`;
+      if (!await cache.get(viewKey)) {
+        await cache.set(viewKey, true, 3600);
+        await Profile.updateOne({ _id: profile._id }, { $inc: { profileViews: 1 } });
+      }
+    }
+
+    // Served as anyone on the internet would see it, whoever is asking
+    const publicUser = filterUser(user, 'anonymous', profile);
+    const publicProfile = toPublicProfile(profile);
+    publicProfile.connectionCount = await Connection.countConnections(profile.user);
+
+    res.json({
+      success: true,
+      data: {
+        user: publicUser,
+        profile: publicProfile,
+        meta: buildProfileMetadata(publicUser, publicProfile, publicProfileUrl(profile.slug))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+// ===================== EDUCATION & EMPLOYMENT HISTORY =====================
+
+// Fields alumni may set on each kind of history entry
+const HISTORY_FIELDS = {
+  education: ['institution', 'program', 'degree', 'startYear', 'endYear', 'current', 'description'],
+  positions: ['title', 'company', 'industry', 'location', 'employmentType', 'startDate', 'endDate', 'current', 'description']
+};
+
+const HISTORY_LABELS = {
+  education: 'Education entry',
+  positions: 'Position'
+};
+
+const pickHistoryFields = (section, body) => {
+  const data = {};
+  HISTORY_FIELDS[section].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? undefined : body[field];
+  });
+  return data;
+};
+
+// Saves a profile after a history change; answers 400 on validation errors
+const saveHistory = async (profile, res) => {
+  try {
+    await profile.save();
+    return true;
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+    return false;
+  }
+};
+
+const historyResponse = (profile) => ({
+  education: profile.education,
+  positions: profile.positions,
+  currentPosition: profile.currentPosition,
+  currentCompany: profile.currentCompany,
+  employmentStatus: profile.employmentStatus
+});
+
+// Add an education entry or position to the current user's profile
+router.post('/profile/:section(education|positions)', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { section } = req.params;
+
+    const profile = await Profile.findOne({ user: userId }) || new Profile({ user: userId });
+    profile[section].push(pickHistoryFields(section, req.body));
+    const entry = profile[section][profile[section].length - 1];
+
+    if (!await saveHistory(profile, res)) return;
+
+    await cache.del(`user:${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${HISTORY_LABELS[section]} added successfully`,
+      data: {
+        entry: profile[section].id(entry._id),
+        ...historyResponse(profile)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add profile history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add history entry'
+    });
+  }
+});
+
+// Update one education entry or position
+router.put('/profile/:section(education|positions)/:entryId', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { section, entryId } = req.params;
+
+    const profile = await Profile.findOne({ user: userId });
+    const entry = profile?.[section].id(entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `${HISTORY_LABELS[section]} not found`
+      });
+    }
+
+    entry.set(pickHistoryFields(section, req.body));
+
+    if (!await saveHistory(profile, res)) return;
+
+    await cache.del(`user:${userId}`);
+
+    res.json({
+      success: true,
+      message: `${HISTORY_LABELS[section]} updated successfully`,
+      data: {
+        entry,
+        ...historyResponse(profile)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update history entry'
+    });
+  }
+});
+
+// Remove one education entry or position
+router.delete('/profile/:section(education|positions)/:entryId', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { section, entryId } = req.params;
+
+    const profile = await Profile.findOne({ user: userId });
+    const entry = profile?.[section].id(entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `${HISTORY_LABELS[section]} not found`
+      });
+    }
+
+    entry.deleteOne();
+
+    if (!await saveHistory(profile, res)) return;
+
+    await cache.del(`user:${userId}`);
+
+    res.json({
+      success: true,
+      message: `${HISTORY_LABELS[section]} removed successfully`,
+      data: historyResponse(profile)
+    });
+
+  } catch (error) {
+    console.error('Delete profile history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove history entry'
+    });
+  }
+});
+
+// Accept/reject connection request - MOVED BEFORE DYNAMIC ROUTES
+router.put('/connections/:connectionId/:action', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { connectionId, action } = req.params;
+
+    if (!['accept', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(connectionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connection not found'
+      });
+    }
+
+    const connection = await withTransaction(async (session) => {
+      // Only the addressee can answer, and only while the request is pending
+      const pendingRequest = { _id: connectionId, addressee: userId, status: 'pending' };
+
+      if (action === 'reject') {
+        return Connection.findOneAndDelete(pendingRequest, { session });
+      }
+
+      const accepted = await Connection.findOneAndUpdate(
+        pendingRequest,
+        { status: 'accepted', connectedAt: new Date() },
+        { new: true, session }
+      );
+      if (!accepted) return null;
+
+      const otherUser = await User.findById(accepted.requester).select('firstName lastName').session(session);
+
+      // Activity for current user
+      await Activity.createActivity({
+        user: userId,
+        type: 'connection_accepted',
+        action: `Connected with ${otherUser.firstName} ${otherUser.lastName}`,
+        description: `connected with <strong>${otherUser.firstName} ${otherUser.lastName}</strong>`,
+        metadata: {
+          targetUser: accepted.requester,
+          connectionId: accepted._id,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        },
+        visibility: 'connections',
+        points: 10
+      }, { session });
+
+      // Activity for the other user
+      await Activity.createActivity({
+        user: accepted.requester,
+        type: 'connection_accepted',
+        action: `Connected with ${req.user.firstName} ${req.user.lastName}`,
+        description: `connected with <strong>${req.user.firstName} ${req.user.lastName}</strong>`,
+        metadata: {
+          targetUser: userId,
+          connectionId: accepted._id
+        },
+        visibility: 'connections',
+        points: 10,
+        isSystemGenerated: true
+      }, { session });
+
+      return accepted;
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connection not found'
+      });
+    }
+
+    await connectionGraphService.invalidate(userId, connection.requester);
+
+    res.json({
+      success: true,
+      message: `Connection ${action}ed successfully`
+    });
+
+  } catch (error) {
+    console.error('Connection action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process connection'
+    });
+  }
+});
+
+// ===================== BLOCKING & REPORTING =====================
+
+// People I have blocked
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const blocks = await Block.find({ blocker: userId })
+      .populate('blocked', PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: blocks
+        .filter(block => block.blocked) // Deleted users
+        .map(block => ({ user: block.blocked, blockedAt: block.createdAt }))
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blocked users'
+    });
+  }
+});
+
+// Reports I have made and where they stand - moderator notes stay internal
+router.get('/reports', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const reports = await ModerationCase.find({ reporter: userId })
+      .select('reportedUser category status createdAt resolution.resolvedAt')
+      .populate('reportedUser', PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        categories: ModerationCase.CATEGORIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reports'
+    });
+  }
+});
+
+// Blocking removes any connection or pending request between the two users
+const blockUser = async (blockerId, blockedId) => {
+  await withTransaction(async (session) => {
+    await Block.updateOne(
+      { blocker: blockerId, blocked: blockedId },
+      { $setOnInsert: { blocker: blockerId, blocked: blockedId } },
+      { upsert: true, session }
+    );
+    await Connection.deleteOne({ pairKey: Connection.pairKey(blockerId, blockedId) }, { session });
+  });
+
+  await connectionGraphService.invalidate(blockerId, blockedId);
+};
+
+// ===== DYNAMIC ROUTES - MUST BE LAST =====
+
+// Connections I share with an alumnus
+router.get('/:id/mutual-connections', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id || req.user.id;
+    const viewer = await buildViewerContext(req.user);
+
+    if (!await findVisibleAlumnus(id, viewer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alumni not found'
+      });
+    }
+
+    const mutualIds = id === userId.toString()
+      ? []
+      : await connectionGraphService.getMutualConnectionIds(userId, id);
+    const connections = await loadPeopleCards(mutualIds, viewer);
+
+    res.json({
+      success: true,
+      data: {
+        count: connections.length,
+        connections
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mutual connections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mutual connections'
+    });
+  }
+});
+
+// Shortest chain of connections from me to an alumnus, up to 3 degrees
+router.get('/:id/connection-path', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id || req.user.id;
+    const viewer = await buildViewerContext(req.user);
+
+    if (!await findVisibleAlumnus(id, viewer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alumni not found'
+      });
+    }
+
+    const path = await connectionGraphService.findPath(userId, id);
+    if (!path) {
+      return res.json({
+        success: true,
+        data: { degree: null, path: [] }
+      });
+    }
+
+    // Someone in the chain deactivated or has a block with me - leave it out
+    const people = await loadPeopleCards(path, viewer);
+    if (people.length !== path.length) {
+      return res.json({
+        success: true,
+        data: { degree: null, path: [] }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        degree: path.length - 1,
+        path: people
+      }
+    });
+
+  } catch (error) {
+    console.error('Get connection path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find a connection path'
+    });
+  }
+});
+
+// Get single alumnus profile
+router.get('/:id/profile', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUserId = req.user?._id || req.user?.id;
+    
+    const viewer = await buildViewerContext(req.user);
+    const relationship = getRelationship(viewer, id);
+
+    const user = mongoose.Types.ObjectId.isValid(id) && await User.findById(id).select('-password');
+    // Deactivated accounts are hidden from everyone but themselves and admins, and
+    // blocked users from each other
+    if (!user || isHidden(viewer, id) || (!user.isActive && !['self', 'admin'].includes(relationship))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alumni not found'
+      });
+    }
+
+    const profile = await Profile.findOne({ user: id })
+      .populate('endorsements.endorser', PUBLIC_USER_FIELDS);
+
+    // The privacy filter keeps the list for the owner and admins and turns it into a count for everyone else
+    const profileData = profile && {
+      ...profile.toJSON(),
+      connections: (await Connection.listForUser(id, { userFields: PUBLIC_USER_FIELDS })).filter(conn => conn.user)
+    };
+
+    // Track profile view if not viewing own profile - NEW
+    if (currentUserId && currentUserId.toString() !== id) {
+      try {
+        // Repeat visits within the hour count as one view
+        const recentView = await Activity.exists({
+          user: currentUserId,
+          type: 'profile_view',
+          'metadata.targetUser': id,
+          'metadata.targetPost': { $exists: false },
+          createdAt: { $gte: new Date(Date.now() - PROFILE_VIEW_DEDUPE_MS) }
+        });
+
+        if (!recentView) {
+          const viewerProfile = await Profile.findOne({ user: currentUserId }).select('browseAnonymously').lean();
+
+          await Activity.createActivity({
+            user: currentUserId,
+            type: 'profile_view',
+            action: `Viewed ${user.firstName} ${user.lastName}'s profile`,
+            description: `viewed a profile`,
+            metadata: {
+              targetUser: id,
+              anonymous: !!viewerProfile?.browseAnonymously,
+              ipAddress: req.ip,
+              userAgent: req.get('user-agent')
+            },
+            visibility: 'private',
+            points: 0
+          });
+
+          notificationService.sendProfileViewDigest(id)
+            .catch(err => console.error('Profile view digest failed:', err.message));
+        }
+      } catch (activityError) {
+        console.error('Failed to create profile view activity:', activityError);
+      }
+    }
+
+    res.json({
       success: true,
       data: {
-        user,
-        profile
+        user: filterUser(user, relationship, profile),
+        profile: filterProfile(profileData, relationship)
       }
     });
 
@@ -727,11 +1879,84 @@ router.get('/:id/profile', optionalAuth, async (req, res) => {
   }
 });
 
+const EXPORT_FORMATS = ['vcard', 'jsonresume', 'pdf'];
+
+// Download a profile as a contact card, JSON Resume or PDF - with the same
+// fields the viewer would see on the profile page
+router.get('/:id/profile/export', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'vcard' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const viewer = await buildViewerContext(req.user);
+    const relationship = getRelationship(viewer, id);
+
+    const user = mongoose.Types.ObjectId.isValid(id) && await User.findById(id);
+    if (!user || isHidden(viewer, id) || (!user.isActive && !['self', 'admin'].includes(relationship))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alumni not found'
+      });
+    }
+
+    const profile = await Profile.findOne({ user: id });
+    const exportProfile = profile ? filterProfile(profile, relationship) : {};
+
+    if (exportProfile.restricted) {
+      return res.status(403).json({
+        success: false,
+        message: 'This profile is not visible to you'
+      });
+    }
+
+    const exportUser = filterUser(user, relationship, profile);
+    const profileUrl = profile?.slug && profile.profileVisibility === 'public'
+      ? publicProfileUrl(profile.slug)
+      : `${process.env.FRONTEND_URL}/alumni/${id}`;
+    const filename = profile?.slug || Profile.slugify(`${user.firstName} ${user.lastName}`) || 'profile';
+
+    if (format === 'vcard') {
+      res.set({
+        'Content-Type': 'text/vcard; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.vcf"`
+      });
+      return res.send(toVCard(exportUser, exportProfile, { profileUrl }));
+    }
+
+    if (format === 'jsonresume') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.resume.json"`);
+      // Stringify to drop the undefined keys JSON Resume validators complain about
+      return res.type('application/json').send(JSON.stringify(toJsonResume(exportUser, exportProfile, { profileUrl }), null, 2));
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    toPdf(exportUser, exportProfile, { profileUrl }).pipe(res);
+
+  } catch (error) {
+    console.error('Export profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export profile'
+    });
+  }
+});
+
 // Send connection request
 router.post('/:id/connect', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
     const targetUserId = req.params.id;
+    const { message } = req.body;
 
     // Update last active when user sends connection request
     await updateLastActive(userId);
@@ -743,7 +1968,8 @@ router.post('/:id/connect', auth, async (req, res) => {
       });
     }
 
-    const targetProfile = await Profile.findOne({ user: targetUserId });
+    const targetProfile = mongoose.Types.ObjectId.isValid(targetUserId) &&
+      await Profile.findOne({ user: targetUserId }).select('_id');
     if (!targetProfile) {
       return res.status(404).json({
         success: false,
@@ -751,31 +1977,27 @@ router.post('/:id/connect', auth, async (req, res) => {
       });
     }
 
-    // Check if connection already exists
-    const existingConnection = targetProfile.connections.find(
-      conn => conn.user.toString() === userId.toString()
-    );
-
-    if (existingConnection) {
-      return res.status(400).json({
+    // Deliberately vague - doesn't say who blocked whom
+    if (await Block.isBlockedBetween(userId, targetUserId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Connection request already sent'
+        message: 'You cannot connect with this user'
       });
     }
 
     // Get target user details for activity
     const targetUser = await User.findById(targetUserId).select('firstName lastName');
 
-    // Add connection request
-    targetProfile.connections.push({
-      user: userId,
-      status: 'pending'
-    });
+    const result = await withTransaction(async (session) => {
+      const existingConnection = await Connection.findBetween(userId, targetUserId).session(session);
+      if (existingConnection) return { existingConnection };
 
-    await targetProfile.save();
+      const [connection] = await Connection.create([{
+        requester: userId,
+        addressee: targetUserId,
+        message
+      }], { session });
 
-    // Create activity for connection request - NEW
-    try {
       await Activity.createActivity({
         user: userId,
         type: 'connection_request',
@@ -783,22 +2005,56 @@ router.post('/:id/connect', auth, async (req, res) => {
         description: `sent a connection request`,
         metadata: {
           targetUser: targetUserId,
+          connectionId: connection._id,
           ipAddress: req.ip,
           userAgent: req.get('user-agent')
         },
         visibility: 'private',
         points: 5
+      }, { session });
+
+      return { connection };
+    });
+
+    const { existingConnection } = result;
+    if (existingConnection) {
+      let existingMessage = 'Connection request already sent';
+      if (existingConnection.status === 'accepted') {
+        existingMessage = 'You are already connected';
+      } else if (existingConnection.requester.toString() !== userId.toString()) {
+        existingMessage = 'This alumnus has already sent you a connection request';
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: existingMessage,
+        data: { connectionId: existingConnection._id, status: existingConnection.status }
       });
-    } catch (activityError) {
-      console.error('Failed to create connection request activity:', activityError);
     }
 
+    await connectionGraphService.invalidate(userId, targetUserId);
+
     res.json({
       success: true,
-      message: 'Connection request sent successfully'
+      message: 'Connection request sent successfully',
+      data: { connectionId: result.connection._id }
     });
 
   } catch (error) {
+    // Two requests for the same pair raced - the unique pair index stopped the second
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Connection request already sent'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
     console.error('Send connection error:', error);
     res.status(500).json({
       success: false,
@@ -807,35 +2063,192 @@ router.post('/:id/connect', auth, async (req, res) => {
   }
 });
 
+// Block a user
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { id } = req.params;
+
+    if (id === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(id) && await User.findById(id).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await blockUser(userId, id);
+
+    res.json({
+      success: true,
+      message: 'User blocked. You will no longer see each other or be able to connect or chat.'
+    });
+
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to block user'
+    });
+  }
+});
+
+// Unblock a user - any previous connection is not restored
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { id } = req.params;
+
+    const result = mongoose.Types.ObjectId.isValid(id) &&
+      await Block.deleteOne({ blocker: userId, blocked: id });
+
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not blocked this user'
+      });
+    }
+
+    await connectionGraphService.invalidate(userId, id);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unblock user'
+    });
+  }
+});
+
+// Report a user to the moderators, optionally blocking them too:
+// { category, description, evidence: ["https://..." | { url, description }], block: true }
+router.post('/:id/report', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { id } = req.params;
+    const { category, description, evidence = [], block = false } = req.body;
+
+    if (id === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(id) && await User.findById(id).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!Array.isArray(evidence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'evidence must be an array of links'
+      });
+    }
+
+    // One open case per reporter and user - more evidence belongs in the same case
+    const openCase = await ModerationCase.exists({
+      reporter: userId,
+      reportedUser: id,
+      status: { $in: ['open', 'under_review'] }
+    });
+
+    if (openCase) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open report about this user'
+      });
+    }
+
+    const moderationCase = new ModerationCase({
+      reporter: userId,
+      reportedUser: id,
+      category,
+      description,
+      evidence: evidence.map(item => (typeof item === 'string' ? { url: item } : item))
+    });
+
+    try {
+      await moderationCase.save();
+    } catch (saveError) {
+      if (saveError.name !== 'ValidationError') throw saveError;
+
+      const errors = {};
+      Object.keys(saveError.errors).forEach(key => {
+        errors[key] = saveError.errors[key].message;
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        categories: ModerationCase.CATEGORIES
+      });
+    }
+
+    if (block) await blockUser(userId, id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you. Our moderators will review your report.',
+      data: {
+        reportId: moderationCase._id,
+        status: moderationCase.status,
+        blocked: !!block
+      }
+    });
+
+  } catch (error) {
+    console.error('Report user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit report'
+    });
+  }
+});
+
 // Remove connection
 router.delete('/connections/:userId', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
     const targetUserId = req.params.userId;
 
-    const profile = await Profile.findOne({ user: userId });
-    if (!profile) {
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
       return res.status(404).json({
         success: false,
-        message: 'Profile not found'
+        message: 'Connection not found'
       });
     }
 
-    // Remove connection from current user's profile
-    profile.connections = profile.connections.filter(
-      conn => conn.user.toString() !== targetUserId
+    // Also withdraws a request I sent that hasn't been answered yet
+    const connection = await withTransaction(session =>
+      Connection.findOneAndDelete({ pairKey: Connection.pairKey(userId, targetUserId) }, { session })
     );
-    await profile.save();
 
-    // Remove reciprocal connection
-    const targetProfile = await Profile.findOne({ user: targetUserId });
-    if (targetProfile) {
-      targetProfile.connections = targetProfile.connections.filter(
-        conn => conn.user.toString() !== userId.toString()
-      );
-      await targetProfile.save();
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connection not found'
+      });
     }
 
+    await connectionGraphService.invalidate(userId, targetUserId);
+
     res.json({
       success: true,
       message: 'Connection removed successfully'
@@ -850,22 +2263,4 @@ router.delete('/connections/:userId', auth, async (req, res) => {
   }
 });
 
-// Helper function to calculate profile completion
-function calculateProfileCompletion(user, profile) {
-  let completion = 20; // Base for account creation
-  
-  if (profile) {
-    if (profile.phone) completion += 10;
-    if (profile.location) completion += 10;
-    if (profile.bio) completion += 15;
-    if (profile.currentPosition) completion += 10;
-    if (profile.currentCompany) completion += 10;
-    if (profile.graduationYear) completion += 10;
-    if (profile.program) completion += 10;
-    if (profile.skills && profile.skills.length > 0) completion += 5;
-  }
-  
-  return Math.min(completion, 100);
-}
-
 module.exports = router;
\ No newline at end of file
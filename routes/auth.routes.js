@@ -1,14 +1,22 @@
 // routes/auth.routes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Activity = require('../models/Activity'); // NEW
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, optionalAuth } = require('../middleware/auth');
 const { validateRegister, validateLogin } = require('../middleware/validation');
-const { authLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, passwordResetLimiter, loginLinkLimiter } = require('../middleware/rateLimiter');
 const emailService = require('../services/emailService');
+const smsService = require('../services/smsService');
+const oidcService = require('../services/oidcService');
+const { isTwoFactorRequired, TOKEN_AUDIENCES } = require('../utils/authHelpers');
+const totp = require('../utils/totp');
+const { getPasswordPolicy, validateNewPassword, isPasswordExpired, MAX_LENGTH } = require('../utils/passwordPolicy');
+const { cache } = require('../config/database');
 
 const router = express.Router();
 
@@ -26,23 +34,227 @@ const updateLastActive = async (userId) => {
   }
 };
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
+// Sign an access/refresh token pair bound to a session
+const signTokens = (userId, session) => {
   const accessToken = jwt.sign(
-    { userId },
+    { userId, sid: session._id },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    { audience: TOKEN_AUDIENCES.access, expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
   );
 
   const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, sid: session._id, jti: session.jti, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    { audience: TOKEN_AUDIENCES.refresh, expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
   );
 
   return { accessToken, refreshToken };
 };
 
+// Start a new session for the user and generate its first JWT tokens
+const generateTokens = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    jti: crypto.randomUUID(),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  const tokens = signTokens(userId, session);
+  session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+  await session.save();
+
+  return tokens;
+};
+
+// Record a successful login and respond with the user and a fresh token pair
+const completeLogin = async (user, req, res) => {
+  // Update last login and clear failed attempts
+  user.lastLoginAt = new Date();
+  user.resetLoginAttempts();
+  await user.save();
+
+  // Update profile last active
+  await updateLastActive(user._id);
+
+  // Create login activity - NEW
+  try {
+    await Activity.createActivity({
+      user: user._id,
+      type: 'login',
+      action: 'Logged into the platform',
+      description: 'logged in',
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        location: req.headers['x-forwarded-for'] || req.ip
+      },
+      visibility: 'private',
+      points: 1,
+      isSystemGenerated: true
+    });
+  } catch (activityError) {
+    console.error('Failed to create login activity:', activityError);
+  }
+
+  // Generate tokens
+  const tokens = await generateTokens(user._id, req);
+
+  // Remove sensitive data
+  const userResponse = user.toJSON();
+  delete userResponse.password;
+
+  res.json({
+    success: true,
+    message: 'Login successful!',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: `${user.firstName} ${user.lastName}`,
+        role: user.role,
+        isVerified: user.isVerified,
+        isActive: user.isActive,
+        profileCompletion: user.profileCompletion,
+        lastLoginAt: user.lastLoginAt,
+        createdAt: user.createdAt,
+        preferences: user.preferences,
+        twoFactorEnabled: !!user.twoFactor?.enabled
+      },
+      tokens,
+      twoFactorSetupRequired: !user.twoFactor?.enabled && await isTwoFactorRequired(user),
+      passwordChangeRequired: isPasswordExpired(user, await getPasswordPolicy())
+    }
+  });
+};
+
+// Count a failed login; when it locks the account, email the owner an unlock link
+const handleFailedLogin = async (user) => {
+  const locked = await user.registerFailedLogin();
+
+  if (locked) {
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        unlockToken,
+        unlockTokenExpires: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      }
+    );
+
+    emailService.sendAccountLockedEmail(user, unlockToken).catch(err =>
+      console.log('Account locked email failed:', err.message)
+    );
+  }
+
+  return locked;
+};
+
+const accountLockedResponse = (res, user) => {
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil: user.lockUntil
+  });
+};
+
+// Check a TOTP code or a one-time recovery code for a user loaded with 2FA secrets.
+// Consumed recovery codes and the used time step are persisted so neither can be replayed.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// Short-lived challenge handed out instead of tokens when a second factor is required
+const twoFactorChallengeResponse = (res, user) => {
+  const challengeToken = jwt.sign(
+    { userId: user._id, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { audience: TOKEN_AUDIENCES.twoFactorChallenge, expiresIn: '5m' }
+  );
+
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken
+    }
+  });
+};
+
+// Passwordless login: emailed links and SMS codes are single use and short-lived
+const MAGIC_LINK_EXPIRES_MINUTES = 15;
+const SMS_CODE_EXPIRES_MINUTES = 5;
+
+const hashLoginToken = (token) => {
+  return crypto.createHash('sha256').update(String(token).trim()).digest('hex');
+};
+
+// Find the user for a verified SSO identity: by linked identity first, then by verified
+// email (linking the identity), otherwise create a new account
+const findOrCreateSsoUser = async (providerKey, claims) => {
+  const email = claims.email.toLowerCase();
+  let isNewUser = false;
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: providerKey, subject: claims.sub } }
+  });
+
+  if (!user) {
+    user = await User.findOne({ email });
+
+    if (user) {
+      user.identities.push({ provider: providerKey, subject: claims.sub, email });
+    } else {
+      const [nameFirst, ...nameRest] = (claims.name || '').trim().split(/\s+/);
+      user = new User({
+        email,
+        password: crypto.randomBytes(32).toString('hex'), // Unusable until reset
+        firstName: (claims.given_name || nameFirst || email.split('@')[0]).slice(0, 50),
+        lastName: (claims.family_name || nameRest.join(' ') || '-').slice(0, 50),
+        identities: [{ provider: providerKey, subject: claims.sub, email }]
+      });
+      isNewUser = true;
+    }
+  }
+
+  const identity = user.identities.find(i => i.provider === providerKey && i.subject === claims.sub);
+  identity.email = email;
+  identity.lastLoginAt = new Date();
+
+  // The identity provider vouches for this address
+  if (user.email === email) {
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+  }
+
+  await user.save();
+  return { user, isNewUser };
+};
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
 // User Registration
 router.post('/register', [authLimiter, validateRegister], async (req, res) => {
   try {
@@ -68,7 +280,7 @@ router.post('/register', [authLimiter, validateRegister], async (req, res) => {
     await user.save();
 
     // Generate tokens
-    const tokens = generateTokens(user._id);
+    const tokens = await generateTokens(user._id, req);
 
     // Create account creation activity - NEW
     // routes/auth.routes.js - Fix the activity creation
@@ -172,70 +384,30 @@ router.post('/login', [authLimiter, validateLogin], async (req, res) => {
       });
     }
 
+    // Locked accounts can't log in until the lock expires or is lifted
+    if (user.isLocked) {
+      return accountLockedResponse(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      if (await handleFailedLogin(user)) {
+        return accountLockedResponse(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
-
-    // Update profile last active
-    await updateLastActive(user._id);
-
-    // Create login activity - NEW
-    try {
-      await Activity.createActivity({
-        user: user._id,
-        type: 'login',
-        action: 'Logged into the platform',
-        description: 'logged in',
-        metadata: {
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent'),
-          location: req.headers['x-forwarded-for'] || req.ip
-        },
-        visibility: 'private',
-        points: 1,
-        isSystemGenerated: true
-      });
-    } catch (activityError) {
-      console.error('Failed to create login activity:', activityError);
+    // Second factor required - hand out a short-lived challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      return twoFactorChallengeResponse(res, user);
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user._id);
-
-    // Remove sensitive data
-    const userResponse = user.toJSON();
-    delete userResponse.password;
-
-    res.json({
-      success: true,
-      message: 'Login successful!',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: `${user.firstName} ${user.lastName}`,
-          role: user.role,
-          isVerified: user.isVerified,
-          isActive: user.isActive,
-          profileCompletion: user.profileCompletion,
-          lastLoginAt: user.lastLoginAt,
-          createdAt: user.createdAt,
-          preferences: user.preferences
-        },
-        tokens
-      }
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -246,135 +418,75 @@ router.post('/login', [authLimiter, validateLogin], async (req, res) => {
   }
 });
 
-// Get Current User
-router.get('/me', auth, async (req, res) => {
+// Complete a login that returned a two-factor challenge
+router.post('/login/2fa', authLimiter, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id || req.user.id)
-      .select('-password')
-      .lean();
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!user) {
-      return res.status(404).json({
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Challenge token and authentication code are required'
       });
     }
 
-    // Update last active when user checks their profile
-    await updateLastActive(user._id);
-
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: `${user.firstName} ${user.lastName}`,
-          role: user.role,
-          isVerified: user.isVerified,
-          isActive: user.isActive,
-          profileCompletion: user.profileCompletion,
-          lastLoginAt: user.lastLoginAt,
-          createdAt: user.createdAt,
-          preferences: user.preferences
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get current user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch user information'
-    });
-  }
-});
-
-// Refresh Token
-router.post('/refresh', async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCES.twoFactorChallenge });
+    } catch (error) {
       return res.status(401).json({
         success: false,
-        message: 'Refresh token is required'
+        message: 'Login challenge expired. Please login again.',
+        code: 'CHALLENGE_EXPIRED'
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(
-      refreshToken, 
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-    );
-
-    if (decoded.type !== 'refresh') {
+    if (decoded.type !== '2fa_challenge') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid challenge token'
       });
     }
 
-    // Check if user still exists and is active
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive'
+        message: 'Invalid challenge token'
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
+    if (user.isLocked) {
+      return accountLockedResponse(res, user);
+    }
 
-    res.json({
-      success: true,
-      message: 'Tokens refreshed successfully',
-      data: { tokens }
-    });
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      if (await handleFailedLogin(user)) {
+        return accountLockedResponse(res, user);
+      }
 
-  } catch (error) {
-    console.error('Refresh token error:', error);
-    
-    if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Refresh token expired. Please login again.',
-        code: 'REFRESH_TOKEN_EXPIRED'
+        message: 'Invalid authentication code'
       });
     }
 
-    res.status(401).json({
-      success: false,
-      message: 'Invalid refresh token'
-    });
-  }
-});
+    await completeLogin(user, req, res);
 
-// Logout
-router.post('/logout', async (req, res) => {
-  try {
-    // In a stateless JWT system, we just send a success response
-    // In a production app, you might want to blacklist the token
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Logout failed'
+      message: 'Login failed. Please try again.'
     });
   }
 });
 
-// Forgot Password
-router.post('/forgot-password', async (req, res) => {
+// Request a passwordless login - a one-time link by email or a 6-digit code by SMS
+router.post('/passwordless/request', loginLinkLimiter, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, method = 'email' } = req.body;
 
     if (!email) {
       return res.status(400).json({
@@ -383,81 +495,835 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-    
-    // Always return success to prevent email enumeration
-    if (!user) {
-      return res.json({
-        success: true,
-        message: 'If an account exists with that email, a password reset link has been sent.'
+    if (!['email', 'sms'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Method must be either email or sms'
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-    
-    await user.save();
+    // Always return the same response to prevent account enumeration
+    const genericResponse = {
+      success: true,
+      message: method === 'sms'
+        ? 'If an account exists with a phone number on file, a login code has been sent.'
+        : 'If an account exists with that email, a login link has been sent.'
+    };
 
-    // Send reset email (non-blocking)
-    emailService.sendPasswordResetEmail(user, resetToken).catch(err => 
-      console.log('Password reset email failed:', err.message)
-    );
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.isActive || user.isLocked) {
+      return res.json(genericResponse);
+    }
 
-    res.json({
-      success: true,
-      message: 'If an account exists with that email, a password reset link has been sent.'
-    });
+    if (method === 'sms') {
+      const profile = await Profile.findOne({ user: user._id }).select('phone');
+      if (!profile?.phone) {
+        return res.json(genericResponse);
+      }
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      user.loginToken = hashLoginToken(code);
+      user.loginTokenMethod = 'sms';
+      user.loginTokenExpires = new Date(Date.now() + SMS_CODE_EXPIRES_MINUTES * 60 * 1000);
+      await user.save();
+
+      smsService.sendSMS(
+        profile.phone,
+        `Your ATU Alumni login code is ${code}. It expires in ${SMS_CODE_EXPIRES_MINUTES} minutes. Do not share it with anyone.`
+      ).then(result => {
+        if (!result.success) console.log('Login code SMS failed:', result.error);
+      });
+    } else {
+      const loginToken = crypto.randomBytes(32).toString('hex');
+      user.loginToken = hashLoginToken(loginToken);
+      user.loginTokenMethod = 'email';
+      user.loginTokenExpires = new Date(Date.now() + MAGIC_LINK_EXPIRES_MINUTES * 60 * 1000);
+      await user.save();
+
+      emailService.sendMagicLinkEmail(user, loginToken, MAGIC_LINK_EXPIRES_MINUTES).catch(err =>
+        console.log('Magic link email failed:', err.message)
+      );
+    }
+
+    res.json(genericResponse);
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Passwordless request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process password reset request'
+      message: 'Failed to send login link'
     });
   }
 });
 
-// Reset Password
-router.post('/reset-password', async (req, res) => {
+// Redeem a magic link token ({ token }) or an SMS code ({ email, code }) for a token pair
+router.post('/passwordless/verify', authLimiter, async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
+    const { token, email, code } = req.body;
 
-    if (!token || !newPassword) {
+    if (!token && !(email && code)) {
       return res.status(400).json({
         success: false,
-        message: 'Token and new password are required'
+        message: 'A login token, or email and code, are required'
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
+    // Clearing the token in the same atomic update makes it redeemable only once
+    const consume = {
+      $unset: { loginToken: 1, loginTokenMethod: 1, loginTokenExpires: 1 }
+    };
+    let user;
+
+    if (token) {
+      user = await User.findOneAndUpdate(
+        {
+          loginToken: hashLoginToken(token),
+          loginTokenMethod: 'email',
+          loginTokenExpires: { $gt: new Date() }
+        },
+        consume,
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired login link'
+        });
+      }
+    } else {
+      const candidate = await User.findOne({ email: String(email).toLowerCase() });
+
+      if (candidate?.isLocked) {
+        return accountLockedResponse(res, candidate);
+      }
+
+      user = candidate && await User.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          loginToken: hashLoginToken(code),
+          loginTokenMethod: 'sms',
+          loginTokenExpires: { $gt: new Date() }
+        },
+        consume,
+        { new: true }
+      );
+
+      if (!user) {
+        // Wrong codes count towards the account lockout like wrong passwords
+        if (candidate && await handleFailedLogin(candidate)) {
+          return accountLockedResponse(res, candidate);
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired login code'
+        });
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: 'Account has been deactivated. Please contact support.'
       });
     }
 
-    // Find user with valid reset token
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: new Date() }
-    });
+    if (user.isLocked) {
+      return accountLockedResponse(res, user);
+    }
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired reset token'
-      });
+    // Passwordless replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      return twoFactorChallengeResponse(res, user);
     }
 
-    // Update password
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Passwordless verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// List single sign-on providers for the login page
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: oidcService.listProviders()
+  });
+});
+
+// Start single sign-on - returns the provider URL and a flow token to send back to the callback
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const request = await oidcService.createAuthorizationRequest(req.params.provider);
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    if (error instanceof oidcService.OidcError) {
+      return res.status(error.code === 'OIDC_UNKNOWN_PROVIDER' ? 404 : 502).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start single sign-on'
+    });
+  }
+});
+
+// Finish single sign-on with the code and state the provider redirected back with
+router.post('/oidc/:provider/callback', authLimiter, async (req, res) => {
+  try {
+    const { code, state, flowToken, error: providerError, error_description: providerErrorDescription } = req.body;
+
+    if (providerError) {
+      return res.status(401).json({
+        success: false,
+        message: providerErrorDescription || 'Sign-in was cancelled or denied by the identity provider',
+        code: 'OIDC_PROVIDER_ERROR'
+      });
+    }
+
+    if (!code || !state || !flowToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code, state and flow token are required'
+      });
+    }
+
+    const provider = oidcService.getProvider(req.params.provider);
+    const claims = await oidcService.completeAuthorization(provider.key, { code, state, flowToken });
+
+    // Only a verified email can be trusted to link to an existing account
+    if (!claims.email || !(claims.email_verified === true || claims.email_verified === 'true')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your university account has no verified email address',
+        code: 'OIDC_EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const { user, isNewUser } = await findOrCreateSsoUser(provider.key, claims);
+
+    if (isNewUser) {
+      emailService.sendWelcomeEmail(user).catch(err =>
+        console.log('Welcome email failed:', err.message)
+      );
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
+
+    if (user.isLocked) {
+      return accountLockedResponse(res, user);
+    }
+
+    if (user.twoFactor?.enabled) {
+      return twoFactorChallengeResponse(res, user);
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    if (error instanceof oidcService.OidcError) {
+      return res.status(error.code === 'OIDC_UNKNOWN_PROVIDER' ? 404 : 401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed. Please try again.'
+    });
+  }
+});
+
+// Start two-factor enrollment - returns the secret and provisioning URI for the QR code
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id || req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpAuthUri({ secret, accountName: user.email })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with a first code - returns recovery codes once
+router.post('/2fa/verify', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id || req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor setup in progress'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await cache.del(`user:${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Regenerate recovery codes (invalidates the old ones)
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id || req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isValid = await verifySecondFactor(user, { code });
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// Turn off two-factor authentication
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id || req.user.id)
+      .select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = isPasswordValid && await verifySecondFactor(user, { code, recoveryCode });
+    if (!isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await cache.del(`user:${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Get Current User
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id || req.user.id)
+      .select('-password')
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Update last active when user checks their profile
+    await updateLastActive(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          fullName: `${user.firstName} ${user.lastName}`,
+          role: user.role,
+          isVerified: user.isVerified,
+          isActive: user.isActive,
+          profileCompletion: user.profileCompletion,
+          lastLoginAt: user.lastLoginAt,
+          createdAt: user.createdAt,
+          preferences: user.preferences,
+          twoFactorEnabled: !!user.twoFactor?.enabled
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user information'
+    });
+  }
+});
+
+// List current user's active sessions (signed-in devices)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        isCurrent: !!req.sessionId && session._id.toString() === req.sessionId.toString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Sign out every session except the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const revokedIds = await Session.revokeAllForUser(userId, {
+      except: req.sessionId,
+      reason: 'user_revoked'
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: { revokedCount: revokedIds.length }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other sessions'
+    });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+});
+
+// Refresh Token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Verify refresh token
+    const decoded = jwt.verify(
+      refreshToken, 
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+      { audience: TOKEN_AUDIENCES.refresh }
+    );
+
+    if (decoded.type !== 'refresh') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Tokens issued before sessions existed cannot be rotated or revoked
+    if (!decoded.sid || !decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Check if user still exists and is active
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    // Rotate: only the current refresh token of a live session may be exchanged
+    const nextJti = crypto.randomUUID();
+    const tokens = signTokens(user._id, { _id: decoded.sid, jti: nextJti });
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: user._id,
+        jti: decoded.jti,
+        revokedAt: null
+      },
+      {
+        jti: nextJti,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(jwt.decode(tokens.refreshToken).exp * 1000),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const existingSession = await Session.findById(decoded.sid);
+
+      // A superseded token was replayed - assume it leaked and kill the whole family
+      if (existingSession && !existingSession.revokedAt) {
+        await existingSession.revoke('reuse_detected');
+        console.warn(`⚠️ Refresh token reuse detected for session ${existingSession._id} (user ${user._id})`);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used. Please login again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tokens refreshed successfully',
+      data: { tokens }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token expired. Please login again.',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      });
+    }
+
+    res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token'
+    });
+  }
+});
+
+// Logout - revokes the session of the access token or of the given refresh token
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    let sessionId = req.sessionId;
+
+    if (!sessionId && req.body.refreshToken) {
+      try {
+        const decoded = jwt.verify(
+          req.body.refreshToken,
+          process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+          { audience: TOKEN_AUDIENCES.refresh, ignoreExpiration: true }
+        );
+        if (decoded.type === 'refresh') {
+          sessionId = decoded.sid;
+        }
+      } catch (error) {
+        // Nothing to revoke for a token we did not issue
+      }
+    }
+
+    if (sessionId) {
+      const session = await Session.findById(sessionId);
+      if (session) {
+        await session.revoke('logout');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Forgot Password
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    
+    // Always return success to prevent email enumeration
+    if (!user) {
+      return res.json({
+        success: true,
+        message: 'If an account exists with that email, a password reset link has been sent.'
+      });
+    }
+
+    // Generate reset token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.resetPasswordToken = resetToken;
+    user.resetPasswordExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    
+    await user.save();
+
+    // Send reset email (non-blocking)
+    emailService.sendPasswordResetEmail(user, resetToken).catch(err => 
+      console.log('Password reset email failed:', err.message)
+    );
+
+    res.json({
+      success: true,
+      message: 'If an account exists with that email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// Reset Password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    // Find user with valid reset token
+    const user = await User.findOne({
+      resetPasswordToken: token,
+      resetPasswordExpires: { $gt: new Date() }
+    }).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const passwordErrors = await validateNewPassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors[0],
+        errors: passwordErrors,
+        code: 'PASSWORD_POLICY'
+      });
+    }
+
+    // Update password
     user.password = newPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     
     await user.save();
 
+    // Whoever knew the old password is signed out everywhere
+    await Session.revokeAllForUser(user._id, { reason: 'password_changed' });
+    await cache.del(`user:${user._id}`);
+
     res.json({
       success: true,
       message: 'Password reset successfully. You can now login with your new password.'
@@ -472,6 +1338,305 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Change Password (signed in) - other sessions are signed out
+router.post('/change-password', [auth, authLimiter], async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id || req.user.id).select('+password +passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordErrors = await validateNewPassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors[0],
+        errors: passwordErrors,
+        code: 'PASSWORD_POLICY'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, { except: req.sessionId, reason: 'password_changed' });
+    await cache.del(`user:${user._id}`);
+
+    emailService.sendPasswordChangedEmail(user).catch(err =>
+      console.log('Password changed email failed:', err.message)
+    );
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. You have been signed out on other devices.'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Change Email (signed in) - the switch happens once the new address is confirmed
+router.post('/change-email', [auth, authLimiter], async (req, res) => {
+  try {
+    const { newEmail, currentPassword } = req.body;
+
+    if (!newEmail || !currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email and current password are required'
+      });
+    }
+
+    const email = String(newEmail).trim().toLowerCase();
+    if (!/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+
+    const user = await User.findById(req.user._id || req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const changeToken = crypto.randomBytes(32).toString('hex');
+    user.pendingEmail = email;
+    user.emailChangeToken = hashLoginToken(changeToken);
+    user.emailChangeExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    await user.save();
+    await cache.del(`user:${user._id}`);
+
+    emailService.sendEmailChangeConfirmation(user, email, changeToken).catch(err =>
+      console.log('Email change confirmation failed:', err.message)
+    );
+    emailService.sendEmailChangeRequestedNotice(user, email).catch(err =>
+      console.log('Email change notice failed:', err.message)
+    );
+
+    res.json({
+      success: true,
+      message: `We sent a confirmation link to ${email}. Your email will change once you confirm it.`,
+      data: { pendingEmail: email }
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start email change'
+    });
+  }
+});
+
+// Confirm Email Change (link sent to the new address)
+router.post('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required'
+      });
+    }
+
+    const user = await User.findOne({
+      emailChangeToken: hashLoginToken(token),
+      emailChangeExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    // Someone may have registered the address since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+      await user.save();
+
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.isVerified = true; // The new address was just proven
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await cache.del(`user:${user._id}`);
+
+    try {
+      await Activity.createActivity({
+        user: user._id,
+        type: 'profile_update',
+        action: 'Changed account email',
+        description: 'changed their account email',
+        metadata: {
+          previousEmail,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        },
+        visibility: 'private',
+        points: 0,
+        isSystemGenerated: true
+      });
+    } catch (activityError) {
+      console.error('Failed to create email change activity:', activityError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address updated successfully',
+      data: { email: user.email }
+    });
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm email change'
+    });
+  }
+});
+
+// Current password rules, so clients can show them before the user types
+router.get('/password-policy', async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        minLength: policy.minLength,
+        maxLength: MAX_LENGTH,
+        requireUppercase: policy.requireUppercase,
+        requireLowercase: policy.requireLowercase,
+        requireNumber: policy.requireNumber,
+        requireSymbol: policy.requireSymbol,
+        historySize: policy.historySize,
+        blockCommonPasswords: policy.blockCommonPasswords
+      }
+    });
+
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch password policy'
+    });
+  }
+});
+
+// Unlock Account (link from the account locked email)
+router.post('/unlock', authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock token is required'
+      });
+    }
+
+    const user = await User.findOne({
+      unlockToken: token,
+      unlockTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can now login.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
 // Verify Email
 router.post('/verify-email', async (req, res) => {
   try {
@@ -0,0 +1,492 @@
+// routes/eventSeries.routes.js - recurring events (USER OPERATIONS ONLY)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+const { cache } = require('../config/database');
+const { isOwnerOrAdmin } = require('../utils/authHelpers');
+const { describeRule, fromOccurrenceKey, toOccurrenceKey } = require('../utils/recurrence');
+const eventSeriesService = require('../services/eventSeriesService');
+
+const router = express.Router();
+
+const UPCOMING_OCCURRENCES = 10; // Shown on the series page
+// Fields organizers set; status goes through admin approval like single events
+const EDITABLE_FIELDS = [
+  'title', 'description', 'eventType', 'startDate', 'durationMinutes', 'recurrenceRule',
+  'location', 'maxAttendees', 'requiresApproval', 'waitlistEnabled', 'tags', 'imageUrl'
+];
+const OVERRIDE_FIELDS = ['startDate', 'endDate', 'title', 'description', 'location', 'maxAttendees'];
+
+const sendValidationError = (res, error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+const pick = (body, fields) => fields.reduce((picked, field) => {
+  if (body[field] !== undefined) picked[field] = body[field];
+  return picked;
+}, {});
+
+// The series, if the user organizes it. Returns { series } or { status, message }.
+const findOwnSeries = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return { status: 404, message: 'Event series not found' };
+
+  const series = await EventSeries.findById(req.params.id);
+  if (!series) return { status: 404, message: 'Event series not found' };
+
+  if (!isOwnerOrAdmin(series, req.user._id, req.user.role)) {
+    return { status: 403, message: 'You can only manage your own event series' };
+  }
+
+  return { series };
+};
+
+// Next occurrences with their event id - the real one once materialized
+const getUpcoming = async (series, limit = UPCOMING_OCCURRENCES) => {
+  const occurrences = series.getOccurrences({ from: new Date(), limit });
+  const events = await Event.find({
+    series: series._id,
+    occurrenceStart: { $in: occurrences.map(o => o.occurrenceStart) }
+  }).select('occurrenceStart status seatsTaken maxAttendees').lean();
+
+  return occurrences.map(occurrence => {
+    const event = events.find(e => e.occurrenceStart.getTime() === occurrence.occurrenceStart.getTime());
+    return {
+      id: event ? event._id : eventSeriesService.occurrenceId(series._id, occurrence.occurrenceStart),
+      occurrenceKey: occurrence.occurrenceKey,
+      startDate: occurrence.startDate,
+      endDate: occurrence.endDate,
+      title: occurrence.title,
+      location: occurrence.location,
+      maxAttendees: occurrence.maxAttendees,
+      seatsTaken: event ? event.seatsTaken : 0,
+      status: event ? event.status : series.status,
+      isModified: !!series.findOverride(occurrence.occurrenceStart)
+    };
+  });
+};
+
+const withRuleText = (series) => {
+  const data = series.toObject();
+  data.recurrenceText = describeRule(series.recurrenceRule, series.startDate);
+  delete data.subscribers;
+  return data;
+};
+
+// Get published series (public)
+router.get('/', [optionalAuth, validatePagination], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, eventType, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'published' };
+    if (eventType) query.eventType = eventType;
+    if (search) {
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [seriesList, total] = await Promise.all([
+      EventSeries.find(query)
+        .populate('organizer', 'firstName lastName')
+        .sort({ startDate: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EventSeries.countDocuments(query)
+    ]);
+
+    const series = seriesList.map(item => {
+      const [next] = item.getOccurrences({ from: new Date(), limit: 1 });
+      return { ...withRuleText(item), nextOccurrence: next ? next.startDate : null };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event series'
+    });
+  }
+});
+
+// Series the user organizes or has subscribed to
+router.get('/me/series', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { type = 'all' } = req.query;
+
+    const query = type === 'organized' ? { organizer: userId }
+      : type === 'subscribed' ? { 'subscribers.user': userId }
+      : { $or: [{ organizer: userId }, { 'subscribers.user': userId }] };
+
+    const seriesList = await EventSeries.find(query)
+      .populate('organizer', 'firstName lastName')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: seriesList.map(withRuleText)
+    });
+
+  } catch (error) {
+    console.error('Get my event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your event series'
+    });
+  }
+});
+
+// Get one series with its upcoming occurrences
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await EventSeries.findById(req.params.id).populate('organizer', 'firstName lastName email')
+      : null;
+
+    const userId = req.user && (req.user._id || req.user.id).toString();
+    const isOrganizer = !!series && !!userId && (series.organizer._id.toString() === userId || req.user.role === 'admin');
+
+    // Drafts and cancelled series are only visible to their organizer
+    if (!series || (series.status !== 'published' && !isOrganizer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: withRuleText(series),
+        upcoming: await getUpcoming(series, Math.min(parseInt(req.query.limit) || UPCOMING_OCCURRENCES, 50)),
+        isSubscribed: !!userId && series.subscribers.some(s => s.user.toString() === userId),
+        subscriberCount: isOrganizer ? series.subscribers.length : undefined,
+        isOrganizer
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event series'
+    });
+  }
+});
+
+// Create a series (any authenticated user). Starts as a draft until approved.
+router.post('/', auth, async (req, res) => {
+  try {
+    const series = new EventSeries({
+      ...pick(req.body, EDITABLE_FIELDS),
+      organizer: req.user._id || req.user.id,
+      status: 'draft'
+    });
+    await series.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Event series created successfully. It will be visible after admin approval.',
+      data: withRuleText(series)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create event series'
+    });
+  }
+});
+
+// Update own series - changes carry over to occurrences people registered for
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { series, status, message } = await findOwnSeries(req);
+    if (!series) return res.status(status).json({ success: false, message });
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled series cannot be changed'
+      });
+    }
+
+    Object.assign(series, pick(req.body, EDITABLE_FIELDS));
+    await series.save();
+
+    const synced = await eventSeriesService.syncMaterialized(series);
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: synced.cancelled
+        ? `Event series updated. ${synced.cancelled} occurrence(s) no longer in the schedule were cancelled`
+        : 'Event series updated successfully',
+      data: { series: withRuleText(series), ...synced }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event series'
+    });
+  }
+});
+
+// Delete own series, with the occurrences created from it
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { series, status, message } = await findOwnSeries(req);
+    if (!series) return res.status(status).json({ success: false, message });
+
+    const hasAttendees = await Event.exists({
+      series: series._id,
+      'attendees.status': { $in: Event.SEAT_HOLDING_STATUSES }
+    });
+    if (hasAttendees) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a series with registered attendees'
+      });
+    }
+
+    await Event.deleteMany({ series: series._id });
+    await series.deleteOne();
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: 'Event series deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete event series'
+    });
+  }
+});
+
+// ===================== OCCURRENCES =====================
+
+// The occurrence start for :key, if the series has that occurrence
+const findOccurrenceStart = (series, key) => {
+  const occurrenceStart = fromOccurrenceKey(key);
+  return occurrenceStart && series.hasOccurrence(occurrenceStart) ? occurrenceStart : null;
+};
+
+// Change one occurrence (time, title, venue, capacity...), or { reset: true } to undo changes
+router.put('/:id/occurrences/:key', auth, async (req, res) => {
+  try {
+    const { series, status, message } = await findOwnSeries(req);
+    if (!series) return res.status(status).json({ success: false, message });
+
+    const occurrenceStart = findOccurrenceStart(series, req.params.key);
+    if (!occurrenceStart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    series.overrides = series.overrides.filter(o => o.occurrenceStart.getTime() !== occurrenceStart.getTime());
+
+    if (!req.body.reset) {
+      const override = pick(req.body, OVERRIDE_FIELDS);
+      if (!Object.keys(override).length) {
+        return res.status(400).json({
+          success: false,
+          message: `Nothing to change - give one of ${OVERRIDE_FIELDS.join(', ')}`
+        });
+      }
+
+      // A moved occurrence keeps the series duration unless an end is given
+      if (override.startDate && !override.endDate) {
+        override.endDate = new Date(new Date(override.startDate).getTime() + series.durationMinutes * 60 * 1000);
+      }
+      const start = new Date(override.startDate || occurrenceStart);
+      if (override.endDate && new Date(override.endDate) <= start) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must be after the start date'
+        });
+      }
+
+      series.overrides.push({ ...override, occurrenceStart });
+    }
+
+    await series.save();
+    await eventSeriesService.syncMaterialized(series);
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: req.body.reset ? 'Occurrence reset to the series schedule' : 'Occurrence updated successfully',
+      data: series.buildOccurrence(occurrenceStart)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrence'
+    });
+  }
+});
+
+// Cancel one occurrence (an exception to the rule); anyone registered is told
+router.delete('/:id/occurrences/:key', auth, async (req, res) => {
+  try {
+    const { series, status, message } = await findOwnSeries(req);
+    if (!series) return res.status(status).json({ success: false, message });
+
+    const occurrenceStart = findOccurrenceStart(series, req.params.key);
+    if (!occurrenceStart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    series.exceptions.push(occurrenceStart);
+    await series.save();
+
+    const synced = await eventSeriesService.syncMaterialized(series);
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: 'Occurrence cancelled',
+      data: { occurrenceKey: toOccurrenceKey(occurrenceStart), cancelledEvents: synced.cancelled }
+    });
+
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel occurrence'
+    });
+  }
+});
+
+// ===================== SERIES RSVP =====================
+
+// RSVP for every occurrence. Single occurrences use POST /api/events/:occurrenceId/rsvp.
+router.post('/:id/rsvp', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const result = await eventSeriesService.subscribe(req.params.id, userId);
+
+    if (result.outcome === 'unavailable') {
+      return res.status(400).json({
+        success: false,
+        message: 'Event series is not available for registration'
+      });
+    }
+    if (result.outcome === 'already_subscribed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Already registered for this series'
+      });
+    }
+
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: 'Registered for the series - you will get a seat for each new occurrence',
+      data: { occurrences: result.occurrences }
+    });
+
+  } catch (error) {
+    console.error('Series RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register for event series'
+    });
+  }
+});
+
+// Leave the series and give up seats in its upcoming occurrences
+router.delete('/:id/rsvp', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const left = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await eventSeriesService.unsubscribe(req.params.id, userId);
+    if (!left) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not registered for this series'
+      });
+    }
+
+    await cache.delPattern('events:public:*');
+
+    res.json({
+      success: true,
+      message: 'Successfully cancelled series registration'
+    });
+
+  } catch (error) {
+    console.error('Cancel series RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel series registration'
+    });
+  }
+});
+
+module.exports = router;
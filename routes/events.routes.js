@@ -1,15 +1,25 @@
 // routes/events.routes.js - USER OPERATIONS ONLY
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
+const User = require('../models/User');
 const Activity = require('../models/Activity');
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validateEvent, validatePagination } = require('../middleware/validation');
 const { cache } = require('../config/database');
 const { isOwnerOrAdmin } = require('../utils/authHelpers'); // New helper
+const eventWaitlistService = require('../services/eventWaitlistService');
+const notificationService = require('../services/notificationService');
+const eventTicketService = require('../services/eventTicketService');
+const eventSeriesService = require('../services/eventSeriesService');
 
 const router = express.Router();
 
+// How deep GET /events pages once series occurrences are merged in - each page
+// needs every stored event before it
+const MAX_MERGED_EVENTS = 500;
+
 // Get all published events (public)
 router.get('/', [optionalAuth, validatePagination], async (req, res) => {
   try {
@@ -18,14 +28,16 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
       limit = 20,
       eventType,
       upcoming = true,
-      search
+      search,
+      includeSeries = 'true'
     } = req.query;
 
     const skip = (page - 1) * limit;
+    const upcomingOnly = String(upcoming) === 'true'; // The default is a boolean, query values are strings
     let query = { status: 'published' }; // Only show published events to users
 
     if (eventType) query.eventType = eventType;
-    if (upcoming === 'true') query.startDate = { $gte: new Date() };
+    if (upcomingOnly) query.startDate = { $gte: new Date() };
     
     if (search) {
       query.$or = [
@@ -34,30 +46,54 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
       ];
     }
 
-    const cacheKey = `events:public:${JSON.stringify({ page, limit, eventType, upcoming, search })}`;
+    const cacheKey = `events:public:${JSON.stringify({ page, limit, eventType, upcoming, search, includeSeries })}`;
     let cachedResult = await cache.get(cacheKey);
     
     if (cachedResult) {
       return res.json(cachedResult);
     }
 
+    // Occurrences of recurring series nobody has registered for yet aren't
+    // stored - expand them and merge them into the page by start date
+    const occurrences = includeSeries === 'false' ? [] : await eventSeriesService.listOccurrences({
+      eventType,
+      search,
+      from: upcomingOnly ? new Date() : undefined
+    });
+
+    // With occurrences in the mix, the page can only be cut after merging
+    if (occurrences.length && skip + parseInt(limit) > MAX_MERGED_EVENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Only the first ${MAX_MERGED_EVENTS} events can be paged through - narrow the search or filter by type`
+      });
+    }
+
     const events = await Event.find(query)
       .populate('organizer', 'firstName lastName')
       .sort({ startDate: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Event.countDocuments(query);
+      .skip(occurrences.length ? 0 : skip)
+      .limit(occurrences.length ? skip + parseInt(limit) : parseInt(limit));
+
+    const total = await Event.countDocuments(query) + occurrences.length;
+    const totalPages = occurrences.length
+      ? Math.min(Math.ceil(total / limit), Math.floor(MAX_MERGED_EVENTS / limit))
+      : Math.ceil(total / limit);
+    const pageItems = occurrences.length
+      ? [...events, ...occurrences]
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+        .slice(skip, skip + parseInt(limit))
+      : events;
 
     const result = {
       success: true,
       data: {
-        events,
+        events: pageItems,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
+          totalPages,
           totalItems: total,
-          hasNext: page * limit < total,
+          hasNext: page < totalPages,
           hasPrev: page > 1
         }
       }
@@ -76,12 +112,42 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
   }
 });
 
-// Get single event
+// Get single event - or an occurrence of a series, by "<seriesId>_<occurrence key>"
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
+    let eventId = req.params.id;
+
+    if (eventSeriesService.isOccurrenceId(eventId)) {
+      const occurrence = await eventSeriesService.findOccurrence(eventId);
+      if (!occurrence) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      // Not materialized yet: nobody is registered, so there's nothing user-specific
+      if (!occurrence.event) {
+        const { series, occurrenceStart } = occurrence;
+        await series.populate('organizer', 'firstName lastName email');
+
+        return res.json({
+          success: true,
+          data: {
+            event: eventSeriesService.toVirtualEvent(series, series.buildOccurrence(occurrenceStart)),
+            userRegistration: null,
+            userWaitlist: null,
+            isOrganizer: !!req.user && series.organizer._id.toString() === (req.user._id || req.user.id).toString()
+          }
+        });
+      }
+
+      eventId = occurrence.event._id;
+    }
+
+    const event = await Event.findById(eventId)
       .populate('organizer', 'firstName lastName email')
-      .populate('attendees.user', 'firstName lastName email');
+      .populate('attendees.user', 'firstName lastName profilePicture');
 
     if (!event) {
       return res.status(404).json({
@@ -90,12 +156,23 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if current user is registered
+    // Check if current user is registered or waiting
     let userRegistration = null;
+    let userWaitlist = null;
     if (req.user) {
+      const currentUserId = (req.user._id || req.user.id).toString();
       userRegistration = event.attendees.find(
-        a => a.user._id.toString() === (req.user._id || req.user.id).toString()
+        a => a.user?._id.toString() === currentUserId
       );
+
+      const waitlistEntry = event.waitlist.find(entry => entry.user.toString() === currentUserId);
+      if (waitlistEntry) {
+        userWaitlist = {
+          status: waitlistEntry.status,
+          position: event.waitlistPosition(currentUserId),
+          offerExpiresAt: waitlistEntry.offerExpiresAt
+        };
+      }
     }
 
     res.json({
@@ -103,6 +180,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       data: {
         event,
         userRegistration,
+        userWaitlist,
         isOrganizer: req.user && event.organizer._id.toString() === (req.user._id || req.user.id).toString()
       }
     });
@@ -119,8 +197,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // Create new event (any authenticated user)
 router.post('/', [auth, validateEvent], async (req, res) => {
   try {
+    // Seats, the waitlist and door staff have their own endpoints, and only a
+    // series creates its occurrences
+    const { attendees, waitlist, seatsTaken, checkInStaff, series, occurrenceStart, ...body } = req.body;
     const eventData = {
-      ...req.body,
+      ...body,
       organizer: req.user._id || req.user.id,
       status: 'draft' // New events start as draft
     };
@@ -150,7 +231,7 @@ router.post('/', [auth, validateEvent], async (req, res) => {
     }
 
     // Clear events cache
-    await cache.flush();
+    await cache.delPattern('events:public:*');
 
     res.status(201).json({
       success: true,
@@ -189,13 +270,48 @@ router.put('/:id', [auth, validateEvent], async (req, res) => {
     }
 
     // Users can't change certain fields
-    const { status, approvedAt, approvedBy, ...updateData } = req.body;
+    const { status, approvedAt, approvedBy, attendees, waitlist, seatsTaken, checkInStaff, series, occurrenceStart, ...updateData } = req.body;
 
+    const requiredApproval = event.requiresApproval;
     Object.assign(event, updateData);
-    await event.save();
+
+    // Seats already taken stay taken - a lower capacity would overbook the event
+    const seatsError = `${event.seatsTaken} seats are already taken - capacity cannot be lower`;
+    const capacityLowered = event.isModified('maxAttendees') && event.maxAttendees;
+    if (capacityLowered && event.maxAttendees < event.seatsTaken) {
+      return res.status(400).json({
+        success: false,
+        message: seatsError,
+        errors: { maxAttendees: seatsError }
+      });
+    }
+
+    // Only saved if nobody took the remaining seats in the meantime
+    if (capacityLowered) event.$where = { seatsTaken: { $lte: event.maxAttendees } };
+    try {
+      await event.save();
+    } catch (saveError) {
+      if (saveError.name !== 'DocumentNotFoundError') throw saveError;
+      return res.status(409).json({
+        success: false,
+        message: 'More seats were taken while you edited - reload the event and try again'
+      });
+    }
+
+    // Without approval nobody is left to review the queue - the pending
+    // registrations already hold seats, so they're approved and told
+    if (requiredApproval && !event.requiresApproval) {
+      const pendingIds = event.attendees.filter(a => a.status === 'pending').map(a => a.user.toString());
+      for (const pendingId of pendingIds) {
+        await decideRegistration(req, event, pendingId, true);
+      }
+    }
+
+    // Raising the capacity opens seats for the waitlist
+    await eventWaitlistService.fillOpenSeats(event._id);
 
     // Clear cache
-    await cache.flush();
+    await cache.delPattern('events:public:*');
 
     res.json({
       success: true,
@@ -234,7 +350,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Can't delete if event has attendees
-    if (event.attendees.length > 0) {
+    if (event.attendees.some(a => Event.SEAT_HOLDING_STATUSES.includes(a.status))) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete event with registered attendees'
@@ -244,7 +360,7 @@ router.delete('/:id', auth, async (req, res) => {
     await event.deleteOne();
 
     // Clear cache
-    await cache.flush();
+    await cache.delPattern('events:public:*');
 
     res.json({
       success: true,
@@ -260,11 +376,70 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// RSVP to event
+// Registration messages by waitlist service outcome
+const RSVP_ERRORS = {
+  unavailable: 'Event is not available for registration',
+  already_registered: 'Already registered for this event',
+  already_pending: 'Your registration is awaiting organizer approval',
+  rejected: 'Your registration for this event was not approved',
+  already_waitlisted: 'Already on the waitlist for this event',
+  full: 'Event is full'
+};
+
+// A registration is confirmed: record the activity and email the ticket.
+// requestMeta is the attendee's own ip/user agent - left out when an organizer approves them
+// The caller's own registration - RSVP responses never carry the other attendees
+const ownRegistration = (event, userId) => ({
+  eventId: event._id,
+  registration: event.attendees.find(a => a.user.toString() === userId.toString() && a.status !== 'cancelled')
+});
+
+const confirmRegistration = async (event, userId, requestMeta = {}) => {
+  eventTicketService.sendTicket(event._id, userId)
+    .catch(err => console.error('Event ticket email failed:', err.message));
+
+  try {
+    await Activity.createActivity({
+      user: userId,
+      type: 'event_registration',
+      action: `Registered for ${event.title}`,
+      description: `registered for <strong>${event.title}</strong>`,
+      metadata: {
+        targetEvent: event._id,
+        eventType: event.eventType,
+        eventDate: event.startDate,
+        ...requestMeta
+      },
+      visibility: 'public',
+      points: 15,
+      isSystemGenerated: !requestMeta.ipAddress
+    });
+  } catch (activityError) {
+    console.error('Failed to create RSVP activity:', activityError);
+  }
+};
+
+// RSVP to event - takes a seat, or a place on the waitlist when the event is full.
+// For one occurrence of a series, pass its occurrence id; RSVP to the whole
+// series is POST /api/event-series/:id/rsvp.
 router.post('/:id/rsvp', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const event = await Event.findById(req.params.id);
+    let eventId = req.params.id;
+
+    if (eventSeriesService.isOccurrenceId(eventId)) {
+      const occurrence = await eventSeriesService.findOccurrence(eventId);
+      if (!occurrence) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      eventId = (occurrence.event || await eventSeriesService.materialize(occurrence.series, occurrence.occurrenceStart))._id;
+    }
+
+    const event = await Event.findById(eventId).select('status registrationDeadline');
 
     if (!event) {
       return res.status(404).json({
@@ -280,62 +455,51 @@ router.post('/:id/rsvp', auth, async (req, res) => {
       });
     }
 
-    // Check if already registered
-    const existingRSVP = event.attendees.find(
-      a => a.user.toString() === userId.toString()
-    );
-
-    if (existingRSVP) {
+    // Check registration deadline
+    if (event.registrationDeadline && new Date() > event.registrationDeadline) {
       return res.status(400).json({
         success: false,
-        message: 'Already registered for this event'
+        message: 'Registration deadline has passed'
       });
     }
 
-    // Check capacity
-    if (event.maxAttendees && event.attendees.length >= event.maxAttendees) {
+    const result = await eventWaitlistService.register(event._id, userId);
+
+    if (RSVP_ERRORS[result.outcome]) {
       return res.status(400).json({
         success: false,
-        message: 'Event is full'
+        message: RSVP_ERRORS[result.outcome],
+        data: result.position ? { waitlistPosition: result.position } : undefined
       });
     }
 
-    // Check registration deadline
-    if (event.registrationDeadline && new Date() > event.registrationDeadline) {
-      return res.status(400).json({
-        success: false,
-        message: 'Registration deadline has passed'
+    if (result.outcome === 'pending') {
+      return res.status(202).json({
+        success: true,
+        message: 'Registration received and awaiting organizer approval',
+        data: { ...ownRegistration(result.event, userId), registrationStatus: 'pending' }
       });
     }
 
-    event.attendees.push({ user: userId });
-    await event.save();
-
-    // Create activity for event registration
-    try {
-      await Activity.createActivity({
-        user: userId,
-        type: 'event_registration',
-        action: `Registered for ${event.title}`,
-        description: `registered for <strong>${event.title}</strong>`,
-        metadata: {
-          targetEvent: event._id,
-          eventType: event.eventType,
-          eventDate: event.startDate,
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent')
-        },
-        visibility: 'public',
-        points: 15
+    if (result.outcome === 'waitlisted') {
+      return res.status(202).json({
+        success: true,
+        message: result.offer
+          ? 'A spot just opened up - claim it before your offer expires'
+          : `Event is full. You are number ${result.position} on the waitlist`,
+        data: {
+          waitlistPosition: result.position,
+          offerExpiresAt: result.offer?.offerExpiresAt
+        }
       });
-    } catch (activityError) {
-      console.error('Failed to create RSVP activity:', activityError);
     }
 
+    await confirmRegistration(result.event, userId, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+
     res.json({
       success: true,
       message: 'Successfully registered for event',
-      data: { event }
+      data: { ...ownRegistration(result.event, userId), registrationStatus: 'registered' }
     });
 
   } catch (error) {
@@ -347,32 +511,34 @@ router.post('/:id/rsvp', auth, async (req, res) => {
   }
 });
 
-// Cancel RSVP
+// Cancel RSVP - the seat is offered to the first person on the waitlist
 router.delete('/:id/rsvp', auth, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const event = await Event.findById(req.params.id);
+    let eventId = req.params.id;
 
-    if (!event) {
+    // An occurrence id only has registrations once it's materialized
+    if (eventSeriesService.isOccurrenceId(eventId)) {
+      const occurrence = await eventSeriesService.findOccurrence(eventId);
+      eventId = occurrence?.event?._id.toString() || '';
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(eventId) || !await Event.exists({ _id: eventId })) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
       });
     }
 
-    const attendeeIndex = event.attendees.findIndex(
-      a => a.user.toString() === userId.toString()
-    );
-
-    if (attendeeIndex === -1) {
+    const event = await eventWaitlistService.cancelRegistration(eventId, userId);
+    if (!event) {
       return res.status(400).json({
         success: false,
         message: 'Not registered for this event'
       });
     }
 
-    event.attendees.splice(attendeeIndex, 1);
-    await event.save();
+    await cache.delPattern('events:public:*');
 
     res.json({
       success: true,
@@ -388,6 +554,328 @@ router.delete('/:id/rsvp', auth, async (req, res) => {
   }
 });
 
+// Claim a seat offered from the waitlist
+router.post('/:id/waitlist/claim', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const result = await eventWaitlistService.claimOffer(req.params.id, userId);
+
+    if (result.outcome === 'expired') {
+      return res.status(410).json({
+        success: false,
+        message: 'Your offer has expired and the spot was passed on'
+      });
+    }
+
+    if (result.outcome === 'no_offer') {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no spot on offer for this event'
+      });
+    }
+
+    if (result.status === 'pending') {
+      return res.json({
+        success: true,
+        message: 'Spot claimed - your registration is awaiting organizer approval',
+        data: { ...ownRegistration(result.event, userId), registrationStatus: 'pending' }
+      });
+    }
+
+    await confirmRegistration(result.event, userId, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+
+    res.json({
+      success: true,
+      message: 'Spot claimed - you are registered for this event',
+      data: { ...ownRegistration(result.event, userId), registrationStatus: 'registered' }
+    });
+
+  } catch (error) {
+    console.error('Claim waitlist spot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim spot'
+    });
+  }
+});
+
+// Leave the waitlist, or decline an offered spot
+router.delete('/:id/waitlist', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const removed = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await eventWaitlistService.leaveWaitlist(req.params.id, userId);
+    if (!removed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not on the waitlist for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: removed === 'offered' ? 'Spot declined' : 'Left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist'
+    });
+  }
+});
+
+// Waitlist in order (for event organizers and admins)
+router.get('/:id/waitlist', auth, async (req, res) => {
+  try {
+    const event = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Event.findById(req.params.id)
+        .select('organizer maxAttendees seatsTaken waitlist')
+        .populate('waitlist.user', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(event, req.user._id, req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only event organizers can view the waitlist'
+      });
+    }
+
+    let position = 0;
+    res.json({
+      success: true,
+      data: {
+        maxAttendees: event.maxAttendees,
+        seatsTaken: event.seatsTaken,
+        waitlist: event.waitlist.map(entry => ({
+          user: entry.user,
+          joinedAt: entry.joinedAt,
+          status: entry.status,
+          position: entry.status === 'waiting' ? ++position : null,
+          offerExpiresAt: entry.offerExpiresAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+});
+
+// ===================== REGISTRATION REVIEW =====================
+// For events with requiresApproval, RSVPs wait as pending until the organizer
+// (or an admin) approves or rejects them
+
+const MAX_BULK_APPROVALS = 200;
+const MAX_REVIEW_MESSAGE = 500;
+
+const reviewMessageError = (message) => (
+  message !== undefined && (typeof message !== 'string' || message.length > MAX_REVIEW_MESSAGE)
+    ? `Message must be text of at most ${MAX_REVIEW_MESSAGE} characters`
+    : null
+);
+
+// The event, if the current user organizes it or is an admin
+const findManagedEvent = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return { status: 404, message: 'Event not found' };
+
+  const event = await Event.findById(req.params.id);
+  if (!event) return { status: 404, message: 'Event not found' };
+
+  if (!isOwnerOrAdmin(event, req.user._id, req.user.role)) {
+    return { status: 403, message: 'Only event organizers can manage registrations' };
+  }
+
+  return { event };
+};
+
+// Approve or reject one pending registration and tell the applicant
+const decideRegistration = async (req, event, userId, approve, message) => {
+  const updated = await eventWaitlistService.reviewRegistration(event._id, userId, {
+    approve,
+    reviewerId: req.user._id,
+    message
+  });
+  if (!updated) return false;
+
+  if (approve) await confirmRegistration(event, userId);
+
+  notificationService.createRegistrationDecision(event._id, event.title, userId, approve, message, req.user._id)
+    .catch(err => console.error('Registration decision notification failed:', err.message));
+
+  return true;
+};
+
+// Registrations by status - pending (the review queue) by default
+router.get('/:id/registrations', auth, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (status !== 'all' && !Event.ATTENDEE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be all or one of: ${Event.ATTENDEE_STATUSES.join(', ')}`
+      });
+    }
+
+    const { event, status: errorStatus, message } = await findManagedEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    await event.populate('attendees.user', 'firstName lastName email profilePicture');
+
+    const registrations = event.attendees
+      .filter(a => status === 'all' || a.status === status)
+      .sort((a, b) => a.registeredAt - b.registeredAt);
+
+    res.json({
+      success: true,
+      data: {
+        registrations,
+        pendingCount: event.attendees.filter(a => a.status === 'pending').length,
+        requiresApproval: event.requiresApproval
+      }
+    });
+
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
+
+// Approve several pending registrations at once - the given userIds, or everyone pending
+router.post('/:id/registrations/bulk-approve', auth, async (req, res) => {
+  try {
+    const { userIds, message } = req.body;
+
+    if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be a non-empty array'
+      });
+    }
+
+    if (reviewMessageError(message)) {
+      return res.status(400).json({
+        success: false,
+        message: reviewMessageError(message)
+      });
+    }
+
+    const { event, status: errorStatus, message: errorMessage } = await findManagedEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message: errorMessage
+      });
+    }
+
+    const wanted = userIds && new Set(userIds.map(String));
+    const pendingIds = event.attendees
+      .filter(a => a.status === 'pending' && (!wanted || wanted.has(a.user.toString())))
+      .map(a => a.user.toString());
+
+    if (pendingIds.length > MAX_BULK_APPROVALS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BULK_APPROVALS} registrations can be approved at once`
+      });
+    }
+
+    const approved = [];
+    for (const userId of pendingIds) {
+      if (await decideRegistration(req, event, userId, true, message)) approved.push(userId);
+    }
+
+    res.json({
+      success: true,
+      message: `${approved.length} registration${approved.length === 1 ? '' : 's'} approved`,
+      data: {
+        approved,
+        notPending: wanted ? [...wanted].filter(id => !approved.includes(id)) : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk approve registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve registrations'
+    });
+  }
+});
+
+// Approve or reject one pending registration, with an optional message to the applicant
+router.put('/:id/registrations/:userId/:decision(approve|reject)', auth, async (req, res) => {
+  try {
+    const { userId, decision } = req.params;
+    const { message } = req.body;
+
+    if (reviewMessageError(message)) {
+      return res.status(400).json({
+        success: false,
+        message: reviewMessageError(message)
+      });
+    }
+
+    const { event, status: errorStatus, message: errorMessage } = await findManagedEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message: errorMessage
+      });
+    }
+
+    const decided = mongoose.Types.ObjectId.isValid(userId) &&
+      await decideRegistration(req, event, userId, decision === 'approve', message);
+    if (!decided) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending registration for this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Registration approved' : 'Registration rejected'
+    });
+
+  } catch (error) {
+    console.error('Review registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review registration'
+    });
+  }
+});
+
 // Get user's events (organized or attending)
 router.get('/me/events', auth, async (req, res) => {
   try {
@@ -395,15 +883,19 @@ router.get('/me/events', auth, async (req, res) => {
     const { type = 'all' } = req.query;
 
     let query = {};
+    // Cancelled and rejected registrations stay on the event but don't count as attending
+    const attending = { attendees: { $elemMatch: { user: userId, status: { $in: Event.SEAT_HOLDING_STATUSES } } } };
     
     if (type === 'organized') {
       query.organizer = userId;
     } else if (type === 'attending') {
-      query['attendees.user'] = userId;
+      query = attending;
+    } else if (type === 'waitlisted') {
+      query['waitlist.user'] = userId;
     } else {
       query.$or = [
         { organizer: userId },
-        { 'attendees.user': userId }
+        attending
       ];
     }
 
@@ -425,7 +917,318 @@ router.get('/me/events', auth, async (req, res) => {
   }
 });
 
-// Mark attendance (for event organizers only)
+// ===================== TICKETS & CHECK-IN =====================
+
+const MAX_SYNC_CHECK_INS = 500;
+
+const CHECK_IN_MESSAGES = {
+  checked_in: 'Checked in',
+  already_checked_in: 'Ticket already used',
+  invalid: 'Invalid or expired ticket',
+  not_registered: 'This ticket is no longer valid - the registration was cancelled or replaced'
+};
+
+const recordAttendanceActivity = async (event, userId, markedBy) => {
+  try {
+    await Activity.createActivity({
+      user: userId,
+      type: 'event_attendance',
+      action: `Attended ${event.title}`,
+      description: `attended <strong>${event.title}</strong>`,
+      metadata: {
+        targetEvent: event._id,
+        markedBy
+      },
+      visibility: 'public',
+      points: 25
+    });
+  } catch (activityError) {
+    console.error('Failed to create attendance activity:', activityError);
+  }
+};
+
+// The event, if the current user may check attendees in
+const findCheckInEvent = async (req) => {
+  const event = mongoose.Types.ObjectId.isValid(req.params.id) && await Event.findById(req.params.id);
+  if (!event) return { status: 404, message: 'Event not found' };
+
+  if (!eventTicketService.canManageCheckIn(event, req.user)) {
+    return { status: 403, message: 'Only event organizers and door staff can check attendees in' };
+  }
+
+  return { event };
+};
+
+// My ticket - JSON with the token, or the QR code with ?format=png|svg
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const ticket = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await eventTicketService.getTicket(req.params.id, req.user._id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no confirmed registration for this event'
+      });
+    }
+
+    if (format === 'png') {
+      res.set('Content-Type', 'image/png');
+      return res.send(await eventTicketService.renderQr(ticket.token, 'png'));
+    }
+
+    if (format === 'svg') {
+      res.set('Content-Type', 'image/svg+xml');
+      return res.send(await eventTicketService.renderQr(ticket.token, 'svg'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: ticket.token,
+        status: ticket.attendee.status,
+        checkInTime: ticket.attendee.checkInTime,
+        event: {
+          _id: ticket.event._id,
+          title: ticket.event.title,
+          startDate: ticket.event.startDate,
+          endDate: ticket.event.endDate,
+          location: ticket.event.location
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket'
+    });
+  }
+});
+
+// Scan a ticket at the door - each ticket checks in once
+router.post('/:id/check-in', auth, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket token is required'
+      });
+    }
+
+    const { event, status: errorStatus, message } = await findCheckInEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    const result = await eventTicketService.checkIn(event._id, token, { staffId: req.user._id, method: 'qr' });
+
+    if (result.result === 'checked_in') {
+      await recordAttendanceActivity(event, result.userId, req.user._id);
+      await eventTicketService.broadcastCounts(event._id, [{ userId: result.userId, checkInTime: result.checkInTime }]);
+    }
+
+    const statusCodes = { checked_in: 200, already_checked_in: 409, invalid: 400, not_registered: 404 };
+    res.status(statusCodes[result.result]).json({
+      success: result.result === 'checked_in',
+      message: CHECK_IN_MESSAGES[result.result],
+      data: result.userId ? {
+        attendee: await User.findById(result.userId).select('firstName lastName profilePicture'),
+        checkInTime: result.checkInTime
+      } : undefined
+    });
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+});
+
+// Upload scans made offline. Safe to resend - tickets already redeemed come
+// back as already_checked_in.
+router.post('/:id/check-in/sync', auth, async (req, res) => {
+  try {
+    const { checkIns } = req.body;
+
+    if (!Array.isArray(checkIns) || checkIns.length === 0 || checkIns.length > MAX_SYNC_CHECK_INS) {
+      return res.status(400).json({
+        success: false,
+        message: `checkIns must be an array of 1 to ${MAX_SYNC_CHECK_INS} scans`
+      });
+    }
+
+    const { event, status: errorStatus, message } = await findCheckInEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    const results = [];
+    const newCheckIns = [];
+    for (const scan of checkIns) {
+      const result = await eventTicketService.checkIn(event._id, scan?.token, {
+        staffId: req.user._id,
+        method: 'sync',
+        scannedAt: scan?.scannedAt
+      });
+
+      if (result.result === 'checked_in') {
+        newCheckIns.push({ userId: result.userId, checkInTime: result.checkInTime });
+        await recordAttendanceActivity(event, result.userId, req.user._id);
+      }
+      results.push({ token: scan?.token, ...result });
+    }
+
+    const counts = newCheckIns.length
+      ? await eventTicketService.broadcastCounts(event._id, newCheckIns)
+      : await eventTicketService.getCounts(event._id);
+
+    const summary = {};
+    results.forEach(({ result }) => { summary[result] = (summary[result] || 0) + 1; });
+
+    res.json({
+      success: true,
+      message: `${newCheckIns.length} new check-in${newCheckIns.length === 1 ? '' : 's'} recorded`,
+      data: { results, summary, counts }
+    });
+
+  } catch (error) {
+    console.error('Check-in sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync check-ins'
+    });
+  }
+});
+
+// Everything a door device needs to check people in without a connection:
+// decode a scanned token (no secret needed) and match its tid to ticketId here.
+// Redeem the scans later through /check-in/sync.
+router.get('/:id/check-in/manifest', auth, async (req, res) => {
+  try {
+    const { event, status: errorStatus, message } = await findCheckInEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    // Registrations from before tickets existed get their ticket id now
+    const { attendees } = await Event.findById(event._id)
+      .select('attendees.user attendees.status attendees.ticketId')
+      .lean();
+    const confirmed = attendees.filter(a => ['registered', 'attended'].includes(a.status));
+    for (const attendee of confirmed.filter(a => !a.ticketId)) {
+      await eventTicketService.findTicketHolder(event._id, attendee.user);
+    }
+
+    const latest = await Event.findById(event._id)
+      .select('title startDate endDate attendees')
+      .populate('attendees.user', 'firstName lastName profilePicture');
+
+    res.json({
+      success: true,
+      data: {
+        event: { _id: latest._id, title: latest.title, startDate: latest.startDate, endDate: latest.endDate },
+        tickets: latest.attendees
+          .filter(a => a.user && ['registered', 'attended'].includes(a.status))
+          .map(a => ({
+            ticketId: a.ticketId,
+            user: a.user,
+            status: a.status,
+            checkInTime: a.checkInTime
+          })),
+        generatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('Check-in manifest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build check-in manifest'
+    });
+  }
+});
+
+// Checked-in and remaining counts (live updates come over the socket)
+router.get('/:id/check-in/stats', auth, async (req, res) => {
+  try {
+    const { event, status: errorStatus, message } = await findCheckInEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await eventTicketService.getCounts(event._id)
+    });
+
+  } catch (error) {
+    console.error('Check-in stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-in stats'
+    });
+  }
+});
+
+// Choose door staff (organizer and admins only)
+router.put('/:id/check-in/staff', auth, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be an array of user ids'
+      });
+    }
+
+    const { event, status: errorStatus, message } = await findManagedEvent(req);
+    if (!event) {
+      return res.status(errorStatus).json({
+        success: false,
+        message
+      });
+    }
+
+    const staff = await User.find({ _id: { $in: userIds }, isActive: true }).select('firstName lastName email');
+    event.checkInStaff = staff.map(user => user._id);
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Door staff updated',
+      data: { checkInStaff: staff }
+    });
+
+  } catch (error) {
+    console.error('Update check-in staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update door staff'
+    });
+  }
+});
+
+// Mark attendance by hand, for attendees without their ticket
 router.post('/:id/attendance/:userId', auth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -437,8 +1240,7 @@ router.post('/:id/attendance/:userId', auth, async (req, res) => {
       });
     }
 
-    // Check if user is organizer
-    if (event.organizer.toString() !== (req.user._id || req.user.id).toString()) {
+    if (!eventTicketService.canManageCheckIn(event, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Only event organizers can mark attendance'
@@ -447,7 +1249,7 @@ router.post('/:id/attendance/:userId', auth, async (req, res) => {
 
     // Find attendee
     const attendee = event.attendees.find(
-      a => a.user.toString() === req.params.userId
+      a => a.user.toString() === req.params.userId && ['registered', 'attended'].includes(a.status)
     );
 
     if (!attendee) {
@@ -457,27 +1259,31 @@ router.post('/:id/attendance/:userId', auth, async (req, res) => {
       });
     }
 
-    // Update attendance
-    attendee.status = 'attended';
-    attendee.checkInTime = new Date();
-    await event.save();
-
-    // Create activity for event attendance
-    try {
-      await Activity.createActivity({
-        user: req.params.userId,
-        type: 'event_attendance',
-        action: `Attended ${event.title}`,
-        description: `attended <strong>${event.title}</strong>`,
-        metadata: {
-          targetEvent: event._id,
-          markedBy: req.user._id
-        },
-        visibility: 'public',
-        points: 25
+    if (attendee.status === 'attended') {
+      return res.json({
+        success: true,
+        message: 'Attendee is already checked in',
+        data: { checkInTime: attendee.checkInTime }
       });
-    } catch (activityError) {
-      console.error('Failed to create attendance activity:', activityError);
+    }
+
+    // Conditional on still being registered, so it can't race a ticket scan
+    const checkInTime = new Date();
+    const updated = await Event.updateOne(
+      { _id: event._id, attendees: { $elemMatch: { user: attendee.user, status: 'registered' } } },
+      {
+        $set: {
+          'attendees.$.status': 'attended',
+          'attendees.$.checkInTime': checkInTime,
+          'attendees.$.checkedInBy': req.user._id,
+          'attendees.$.checkInMethod': 'manual'
+        }
+      }
+    );
+
+    if (updated.modifiedCount) {
+      await recordAttendanceActivity(event, req.params.userId, req.user._id);
+      await eventTicketService.broadcastCounts(event._id, [{ userId: req.params.userId, checkInTime }]);
     }
 
     res.json({
@@ -3,12 +3,42 @@
 const express = require('express');
 const { Forum, ForumPost, ForumReply } = require('../models/Forum');
 const Activity = require('../models/Activity'); // NEW
-const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { hasPermission, isVerifiedAlumnus } = require('../utils/authHelpers');
 const { validatePagination } = require('../middleware/validation');
 const { cache } = require('../config/database');
+const { buildViewerContext, filterPeople } = require('../utils/privacy');
 
 const router = express.Router();
 
+// Populated people in forum responses, filtered for the reader
+const POST_PEOPLE = ['author', 'approvedBy'];
+const FORUM_PEOPLE = ['createdBy', 'moderators'];
+
+// Whether a user may see a forum: verified_only forums need a proven graduate
+const canAccessForum = async (forum, user) => {
+  if (forum.visibility === 'public') return true;
+  if (!user) return false;
+
+  const userId = (user._id || user.id).toString();
+  const isModerator = forum.moderators.some(mod => (mod._id || mod).toString() === userId);
+  if (isModerator || await hasPermission(user, 'forums:manage')) return true;
+
+  if (forum.visibility === 'alumni_only') return true;
+  if (forum.visibility === 'verified_only') return isVerifiedAlumnus(user);
+  return false;
+};
+
+const forumAccessDenied = (res, forum) => {
+  return res.status(403).json({
+    success: false,
+    message: forum.visibility === 'verified_only'
+      ? 'This forum is only open to verified alumni. Verify your graduation to join.'
+      : 'Access denied to this forum',
+    code: forum.visibility === 'verified_only' ? 'ALUMNI_VERIFICATION_REQUIRED' : undefined
+  });
+};
+
 // ==================== SEARCH & FILTER ROUTES (MUST COME FIRST) ====================
 
 // Search posts
@@ -55,11 +85,12 @@ router.get('/search', [optionalAuth, validatePagination], async (req, res) => {
       .limit(parseInt(limit));
 
     const total = await ForumPost.countDocuments(query);
+    const context = await buildViewerContext(req.user);
 
     res.json({
       success: true,
       data: {
-        posts,
+        posts: posts.map(post => filterPeople(post, context, POST_PEOPLE)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -96,9 +127,11 @@ router.get('/trending', [optionalAuth, validatePagination], async (req, res) =>
     .sort({ views: -1, likeCount: -1, replyCount: -1 })
     .limit(parseInt(limit));
 
+    const context = await buildViewerContext(req.user);
+
     res.json({
       success: true,
-      data: posts
+      data: posts.map(post => filterPeople(post, context, POST_PEOPLE))
     });
 
   } catch (error) {
@@ -152,7 +185,7 @@ router.get('/posts/:id', optionalAuth, async (req, res) => {
 
     res.json({
       success: true,
-      data: post
+      data: filterPeople(post, await buildViewerContext(req.user), POST_PEOPLE)
     });
 
   } catch (error) {
@@ -181,7 +214,7 @@ router.put('/posts/:id', auth, async (req, res) => {
     const isModerator = forum.moderators.some(mod => mod.toString() === req.user._id.toString());
     const isAuthor = post.author.toString() === req.user._id.toString();
 
-    if (!isAuthor && !isModerator && req.user.role !== 'admin') {
+    if (!isAuthor && !isModerator && !(await hasPermission(req.user, 'forums:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only edit your own posts'
@@ -223,7 +256,7 @@ router.delete('/posts/:id', auth, async (req, res) => {
     const isModerator = forum.moderators.some(mod => mod.toString() === req.user._id.toString());
     const isAuthor = post.author.toString() === req.user._id.toString();
 
-    if (!isAuthor && !isModerator && req.user.role !== 'admin') {
+    if (!isAuthor && !isModerator && !(await hasPermission(req.user, 'forums:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own posts'
@@ -420,7 +453,7 @@ router.put('/replies/:id', auth, async (req, res) => {
     }
 
     // Check if user is author
-    if (reply.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (reply.author.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'forums:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only edit your own replies'
@@ -462,7 +495,7 @@ router.delete('/replies/:id', auth, async (req, res) => {
     const isModerator = forum.moderators.some(mod => mod.toString() === req.user._id.toString());
     const isAuthor = reply.author.toString() === req.user._id.toString();
 
-    if (!isAuthor && !isModerator && req.user.role !== 'admin') {
+    if (!isAuthor && !isModerator && !(await hasPermission(req.user, 'forums:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own replies'
@@ -549,8 +582,15 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
     // Filter by visibility based on user status
     if (!req.user) {
       query.visibility = 'public';
-    } else if (!req.user.isVerified) {
-      query.visibility = { $in: ['public', 'alumni_only'] };
+    } else if (!(await hasPermission(req.user, 'forums:manage'))) {
+      const visible = ['public', 'alumni_only'];
+      if (await isVerifiedAlumnus(req.user)) visible.push('verified_only');
+
+      // Private forums stay visible to their moderators
+      query.$or = [
+        { visibility: { $in: visible } },
+        { moderators: req.user._id }
+      ];
     }
 
     if (category) query.category = category;
@@ -564,11 +604,12 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
       .limit(parseInt(limit));
 
     const total = await Forum.countDocuments(query);
+    const context = await buildViewerContext(req.user);
 
     res.json({
       success: true,
       data: {
-        forums,
+        forums: forums.map(forum => filterPeople(forum, context, FORUM_PEOPLE)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -588,8 +629,8 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
   }
 });
 
-// Create forum (admin only)
-router.post('/', [auth, adminAuth], async (req, res) => {
+// Create forum (forum managers only)
+router.post('/', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const forumData = {
       ...req.body,
@@ -632,16 +673,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     // Check visibility permissions
-    if (forum.visibility === 'private' && (!req.user || !forum.moderators.includes(req.user._id))) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this forum'
-      });
+    if (!(await canAccessForum(forum, req.user))) {
+      return forumAccessDenied(res, forum);
     }
 
     res.json({
       success: true,
-      data: forum
+      data: filterPeople(forum, await buildViewerContext(req.user), FORUM_PEOPLE)
     });
 
   } catch (error) {
@@ -665,9 +703,9 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user is admin or moderator
+    // Check if user is a forum manager or moderator
     const isModerator = forum.moderators.some(mod => mod.toString() === req.user._id.toString());
-    if (!req.user.role === 'admin' && !isModerator) {
+    if (!isModerator && !(await hasPermission(req.user, 'forums:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'Only admins and moderators can update forums'
@@ -692,8 +730,8 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete forum (admin only)
-router.delete('/:id', [auth, adminAuth], async (req, res) => {
+// Delete forum (forum managers only)
+router.delete('/:id', [auth, requirePermission('forums:manage')], async (req, res) => {
   try {
     const forum = await Forum.findById(req.params.id);
 
@@ -740,6 +778,18 @@ router.get('/:forumId/posts', [optionalAuth, validatePagination], async (req, re
       search
     } = req.query;
 
+    const forum = await Forum.findById(req.params.forumId).select('visibility moderators');
+    if (!forum) {
+      return res.status(404).json({
+        success: false,
+        message: 'Forum not found'
+      });
+    }
+
+    if (!(await canAccessForum(forum, req.user))) {
+      return forumAccessDenied(res, forum);
+    }
+
     const options = { 
       page: parseInt(page), 
       limit: parseInt(limit), 
@@ -752,11 +802,12 @@ router.get('/:forumId/posts', [optionalAuth, validatePagination], async (req, re
       forum: req.params.forumId, 
       status: 'published' 
     });
+    const context = await buildViewerContext(req.user);
 
     res.json({
       success: true,
       data: {
-        posts,
+        posts: posts.map(post => filterPeople(post, context, POST_PEOPLE)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -788,6 +839,10 @@ router.post('/:forumId/posts', auth, async (req, res) => {
       });
     }
 
+    if (!(await canAccessForum(forum, req.user))) {
+      return forumAccessDenied(res, forum);
+    }
+
     if (!forum.allowPosts) {
       return res.status(403).json({
         success: false,
@@ -878,6 +933,7 @@ router.get('/posts/:postId/replies', [optionalAuth, validatePagination], async (
     };
 
     const replies = await ForumReply.getPostReplies(req.params.postId, options);
+    const context = await buildViewerContext(req.user);
     
     // Convert to plain objects and get nested replies if requested
     const repliesWithNested = [];
@@ -885,7 +941,7 @@ router.get('/posts/:postId/replies', [optionalAuth, validatePagination], async (
     if (options.includeNested) {
       for (let reply of replies) {
         // Convert Mongoose document to plain object
-        const replyObj = reply.toObject();
+        const replyObj = filterPeople(reply, context, ['author']);
         
         // Get nested replies for this reply
         const nestedReplies = await ForumReply.find({ 
@@ -896,12 +952,12 @@ router.get('/posts/:postId/replies', [optionalAuth, validatePagination], async (
         .sort({ createdAt: 1 });
         
         // Add nested replies to the reply object
-        replyObj.nestedReplies = nestedReplies;
+        replyObj.nestedReplies = nestedReplies.map(nested => filterPeople(nested, context, ['author']));
         repliesWithNested.push(replyObj);
       }
     } else {
       // If not including nested, just convert to plain objects
-      repliesWithNested.push(...replies.map(r => r.toObject()));
+      repliesWithNested.push(...replies.map(r => filterPeople(r, context, ['author'])));
     }
 
     const total = await ForumReply.countDocuments({ 
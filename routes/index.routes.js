@@ -7,12 +7,14 @@ const router = express.Router();
 const authRoutes = require('./auth.routes');
 const alumniRoutes = require('./alumni.routes');
 const eventsRoutes = require('./events.routes');
+const eventSeriesRoutes = require('./eventSeries.routes');
 const jobsRoutes = require('./jobs.routes');
 const surveysRoutes = require('./surveys.routes');
 const adminRoutes = require('./admin.routes');
 const uploadRoutes = require('./upload.routes');
 const forumRoutes = require('./forum.routes');
 const activitiesRoutes = require('./activities.routes'); // NEW
+const mentorshipRoutes = require('./mentorship.routes');
 
 // Import rate limiters
 const { generalLimiter, apiLimiter } = require('../middleware/rateLimiter');
@@ -35,30 +37,94 @@ router.get('/', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        loginTwoFactor: 'POST /api/auth/login/2fa',
+        passwordlessRequest: 'POST /api/auth/passwordless/request',
+        passwordlessVerify: 'POST /api/auth/passwordless/verify',
+        ssoProviders: 'GET /api/auth/oidc/providers',
+        ssoAuthorize: 'GET /api/auth/oidc/:provider/authorize',
+        ssoCallback: 'POST /api/auth/oidc/:provider/callback',
+        twoFactorSetup: 'POST /api/auth/2fa/setup',
+        twoFactorVerify: 'POST /api/auth/2fa/verify',
+        twoFactorRecoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+        twoFactorDisable: 'POST /api/auth/2fa/disable',
         refresh: 'POST /api/auth/refresh',
         logout: 'POST /api/auth/logout',
         me: 'GET /api/auth/me',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:sessionId',
+        revokeOtherSessions: 'DELETE /api/auth/sessions',
         forgotPassword: 'POST /api/auth/forgot-password',
         resetPassword: 'POST /api/auth/reset-password',
+        changePassword: 'POST /api/auth/change-password',
+        changeEmail: 'POST /api/auth/change-email',
+        confirmEmailChange: 'POST /api/auth/confirm-email-change',
+        passwordPolicy: 'GET /api/auth/password-policy',
+        unlockAccount: 'POST /api/auth/unlock',
         verifyEmail: 'POST /api/auth/verify-email'
       },
       alumni: {
         list: 'GET /api/alumni',
         profile: 'GET /api/alumni/:id',
         updateProfile: 'PUT /api/alumni/profile',
+        addHistory: 'POST /api/alumni/profile/:section (education|positions)',
+        history: 'PUT|DELETE /api/alumni/profile/:section/:entryId',
         myProfile: 'GET /api/alumni/me/profile',
+        profileCompleteness: 'GET /api/alumni/me/profile/completeness',
+        profileViews: 'GET /api/alumni/me/profile/views',
+        exportProfile: 'GET /api/alumni/:id/profile/export?format=vcard|jsonresume|pdf',
+        publicProfile: 'GET /api/alumni/p/:slug',
+        skillsCatalogue: 'GET /api/alumni/skills?q=&category=',
+        updateSkills: 'PUT /api/alumni/profile/skills',
+        endorseSkill: 'POST /api/alumni/:id/endorsements',
+        withdrawEndorsement: 'DELETE /api/alumni/:id/endorsements?skill=',
+        profileSlug: 'PUT /api/alumni/profile/slug',
+        verification: 'GET|POST /api/alumni/verification',
         connect: 'POST /api/alumni/:id/connect',
-        connections: 'PUT /api/alumni/connections/:connectionId/:action'
+        connectionSuggestions: 'GET /api/alumni/connections/suggestions',
+        mutualConnections: 'GET /api/alumni/:id/mutual-connections',
+        connectionPath: 'GET /api/alumni/:id/connection-path',
+        myConnections: 'GET /api/alumni/connections?status=&direction=incoming|outgoing',
+        connections: 'PUT /api/alumni/connections/:connectionId/:action',
+        removeConnection: 'DELETE /api/alumni/connections/:userId',
+        blockedUsers: 'GET /api/alumni/blocked',
+        block: 'POST|DELETE /api/alumni/:id/block',
+        report: 'POST /api/alumni/:id/report',
+        myReports: 'GET /api/alumni/reports'
       },
       events: {
-        list: 'GET /api/events',
+        list: 'GET /api/events?includeSeries=true|false',
         create: 'POST /api/events',
         details: 'GET /api/events/:id',
         update: 'PUT /api/events/:id',
-        rsvp: 'POST /api/events/:id/rsvp',
+        rsvp: 'POST /api/events/:id/rsvp (:id may be a series occurrence id)',
         cancelRsvp: 'DELETE /api/events/:id/rsvp',
+        waitlist: 'GET /api/events/:id/waitlist (Organizer)',
+        claimWaitlistSpot: 'POST /api/events/:id/waitlist/claim',
+        leaveWaitlist: 'DELETE /api/events/:id/waitlist',
+        registrations: 'GET /api/events/:id/registrations?status=pending (Organizer)',
+        reviewRegistration: 'PUT /api/events/:id/registrations/:userId/approve|reject (Organizer)',
+        bulkApproveRegistrations: 'POST /api/events/:id/registrations/bulk-approve (Organizer)',
+        ticket: 'GET /api/events/:id/ticket?format=json|png|svg',
+        checkIn: 'POST /api/events/:id/check-in (Organizer/Door staff)',
+        syncCheckIns: 'POST /api/events/:id/check-in/sync (Organizer/Door staff)',
+        checkInManifest: 'GET /api/events/:id/check-in/manifest (Organizer/Door staff)',
+        checkInStats: 'GET /api/events/:id/check-in/stats (Organizer/Door staff)',
+        checkInStaff: 'PUT /api/events/:id/check-in/staff (Organizer)',
+        markAttendance: 'POST /api/events/:id/attendance/:userId (Organizer/Door staff)',
         myEvents: 'GET /api/events/me/events'
       },
+      eventSeries: {
+        list: 'GET /api/event-series',
+        create: 'POST /api/event-series',
+        details: 'GET /api/event-series/:id',
+        update: 'PUT /api/event-series/:id',
+        delete: 'DELETE /api/event-series/:id',
+        updateOccurrence: 'PUT /api/event-series/:id/occurrences/:key',
+        cancelOccurrence: 'DELETE /api/event-series/:id/occurrences/:key',
+        rsvp: 'POST /api/event-series/:id/rsvp',
+        cancelRsvp: 'DELETE /api/event-series/:id/rsvp',
+        mySeries: 'GET /api/event-series/me/series?type=organized|subscribed'
+      },
       jobs: {
         list: 'GET /api/jobs',
         create: 'POST /api/jobs',
@@ -105,6 +171,18 @@ router.get('/', (req, res) => {
         ],
         visibility: ['public', 'connections', 'private']
       },
+      mentorship: {
+        mentorProfile: 'GET|PUT /api/mentorship/mentor-profile',
+        matches: 'GET /api/mentorship/matches?area=&limit=',
+        requestMentor: 'POST /api/mentorship/requests',
+        requests: 'GET /api/mentorship/requests?role=mentor|mentee',
+        respondToRequest: 'PUT /api/mentorship/requests/:id/accept|decline|cancel',
+        myMentorships: 'GET /api/mentorship?role=&status=',
+        mentorship: 'GET /api/mentorship/:id',
+        endMentorship: 'PUT /api/mentorship/:id/end',
+        logSession: 'POST /api/mentorship/:id/sessions',
+        sessionFeedback: 'PUT /api/mentorship/:id/sessions/:sessionId/feedback'
+      },
       forums: {
         // Forum management
         listForums: 'GET /api/forums',
@@ -144,13 +222,39 @@ router.get('/', (req, res) => {
       },
       admin: {
         dashboard: 'GET /api/admin/dashboard',
+        employerAnalytics: 'GET /api/admin/analytics/employers',
         users: 'GET /api/admin/users',
         updateUserStatus: 'PUT /api/admin/users/:id/status',
+        lockedUsers: 'GET /api/admin/users/locked',
+        unlockUser: 'POST /api/admin/users/:id/unlock',
         deleteUser: 'DELETE /api/admin/users/:id',
         events: 'GET /api/admin/events',
+        eventSeries: 'GET /api/admin/event-series',
+        eventSeriesStatus: 'PUT /api/admin/event-series/:id/status',
         jobs: 'GET /api/admin/jobs',
         sendBulkEmail: 'POST /api/admin/send-email',
-        export: 'GET /api/admin/export/:type'
+        export: 'GET /api/admin/export/:type',
+        twoFactorPolicy: 'GET|PUT /api/admin/security/two-factor',
+        passwordPolicy: 'GET|PUT /api/admin/security/password-policy',
+        permissions: 'GET /api/admin/permissions',
+        roles: 'GET|POST /api/admin/roles',
+        role: 'PUT|DELETE /api/admin/roles/:name',
+        userRole: 'PUT /api/admin/users/:id/role',
+        userPermissions: 'GET|PUT /api/admin/users/:id/permissions',
+        importGraduationRecords: 'POST /api/admin/graduation-records/import',
+        graduationRecords: 'GET /api/admin/graduation-records',
+        verifications: 'GET /api/admin/verifications',
+        approveVerification: 'PUT /api/admin/verifications/:id/approve',
+        rejectVerification: 'PUT /api/admin/verifications/:id/reject',
+        completenessReport: 'GET /api/admin/profile-completeness/report',
+        completenessWeights: 'GET|PUT /api/admin/profile-completeness/weights',
+        sendCompletenessNudges: 'POST /api/admin/profile-completeness/nudges',
+        skills: 'GET|POST /api/admin/skills',
+        uncataloguedSkills: 'GET /api/admin/skills/uncatalogued',
+        manageSkill: 'PUT|DELETE /api/admin/skills/:id',
+        moderationCases: 'GET /api/admin/moderation/cases',
+        moderationCase: 'GET|PUT /api/admin/moderation/cases/:id',
+        mentorshipReport: 'GET /api/admin/mentorship/report'
       }
     },
     documentation: 'Check individual endpoints for detailed usage',
@@ -165,7 +269,10 @@ router.get('/', (req, res) => {
     rateLimit: {
       general: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '100 requests per 15 minutes',
       api: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '1000 requests per hour (authenticated)',
-      auth: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '5 attempts per 15 minutes',
+      auth: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '5 failed attempts per 15 minutes',
+      passwordReset: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '5 requests per hour per email',
+      loginLink: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '5 requests per hour per email',
+      accountLockout: `${process.env.LOGIN_MAX_ATTEMPTS || 5} failed logins, doubling from ${process.env.LOGIN_LOCK_MINUTES || 15} minutes`,
       uploads: process.env.NODE_ENV === 'development' ? 'DISABLED (Development)' : '10 uploads per hour'
     }
   });
@@ -175,11 +282,13 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/alumni', apiLimiter, alumniRoutes);
 router.use('/events', apiLimiter, eventsRoutes);
+router.use('/event-series', apiLimiter, eventSeriesRoutes);
 router.use('/jobs', apiLimiter, jobsRoutes);
 router.use('/surveys', apiLimiter, surveysRoutes);
 router.use('/forums', apiLimiter, forumRoutes);
 router.use('/uploads', apiLimiter, uploadRoutes);
 router.use('/activities', apiLimiter, activitiesRoutes); // NEW
+router.use('/mentorship', apiLimiter, mentorshipRoutes);
 router.use('/admin', apiLimiter, adminRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 const express = require('express');
 const Job = require('../models/Job');
+const Skill = require('../models/Skill');
 const Activity = require('../models/Activity'); // NEW
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validateJob, validatePagination } = require('../middleware/validation');
 const { cache } = require('../config/database');
+const { hasPermission } = require('../utils/authHelpers');
 
 const router = express.Router();
 
@@ -48,7 +50,8 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
       ];
     }
     if (skills) {
-      query.skills = { $in: Array.isArray(skills) ? skills : [skills] };
+      // "JS" finds jobs asking for JavaScript
+      query.skills = { $in: await Skill.normalizeList(Array.isArray(skills) ? skills : [skills]) };
     }
 
     // Salary range filter
@@ -209,8 +212,8 @@ router.put('/:id', [auth, validateJob], async (req, res) => {
       });
     }
 
-    // Check if user is job poster or admin
-    if (job.postedBy.toString() !== userId.toString() && req.user.role !== 'admin') {
+    // Check if user is job poster or a job moderator
+    if (job.postedBy.toString() !== userId.toString() && !(await hasPermission(req.user, 'jobs:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this job'
@@ -427,8 +430,8 @@ router.put('/:id/applications/:applicationId', auth, async (req, res) => {
       });
     }
 
-    // Check if user is job poster or admin
-    if (job.postedBy.toString() !== userId.toString() && req.user.role !== 'admin') {
+    // Check if user is job poster or a job moderator
+    if (job.postedBy.toString() !== userId.toString() && !(await hasPermission(req.user, 'jobs:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update applications'
@@ -506,8 +509,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user is job poster or admin
-    if (job.postedBy.toString() !== userId.toString() && req.user.role !== 'admin') {
+    // Check if user is job poster or a job moderator
+    if (job.postedBy.toString() !== userId.toString() && !(await hasPermission(req.user, 'jobs:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this job'
@@ -532,7 +535,7 @@ router.delete('/:id', auth, async (req, res) => {
           deletedJobId: req.params.id,
           jobTitle: jobTitle,
           company: jobCompany,
-          deletedBy: req.user.role === 'admin' ? 'admin' : 'poster',
+          deletedBy: job.postedBy.toString() === userId.toString() ? 'poster' : 'moderator',
           ipAddress: req.ip,
           userAgent: req.get('user-agent')
         },
@@ -584,8 +587,8 @@ router.patch('/:id/status', auth, async (req, res) => {
       });
     }
 
-    // Check if user is job poster or admin
-    if (job.postedBy.toString() !== userId.toString() && req.user.role !== 'admin') {
+    // Check if user is job poster or a job moderator
+    if (job.postedBy.toString() !== userId.toString() && !(await hasPermission(req.user, 'jobs:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update job status'
@@ -610,7 +613,7 @@ router.patch('/:id/status', auth, async (req, res) => {
             company: job.company,
             previousStatus,
             newStatus: status,
-            changedBy: req.user.role === 'admin' ? 'admin' : 'poster'
+            changedBy: job.postedBy.toString() === userId.toString() ? 'poster' : 'moderator'
           },
           visibility: 'private',
           points: 0
@@ -643,11 +646,12 @@ router.post('/bulk', auth, async (req, res) => {
   try {
     const { action, jobIds } = req.body;
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
+    // Check if user can moderate jobs
+    if (!(await hasPermission(req.user, 'jobs:moderate'))) {
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'Access denied. Missing permission: jobs:moderate',
+        code: 'PERMISSION_DENIED'
       });
     }
 
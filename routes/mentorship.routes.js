@@ -0,0 +1,638 @@
+// routes/mentorship.routes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Mentorship = require('../models/Mentorship');
+const Block = require('../models/Block');
+const { auth } = require('../middleware/auth');
+const { validatePagination } = require('../middleware/validation');
+const { PUBLIC_USER_FIELDS } = require('../utils/privacy');
+const notificationService = require('../services/notificationService');
+const mentorshipService = require('../services/mentorshipService');
+
+const router = express.Router();
+
+const MAX_PENDING_REQUESTS = 5; // Open requests a mentee can have waiting at once
+const MENTOR_CARD_FIELDS = 'user currentPosition currentCompany program graduationYear industry mentoring';
+
+const sendValidationError = (res, error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+// Trimmed, non-empty strings from a string or array body field
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// The mentorship, if the user is its mentor or mentee
+const findOwnMentorship = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const mentorship = await Mentorship.findById(id);
+  return mentorship && mentorship.roleOf(userId) ? mentorship : null;
+};
+
+// ===================== MENTOR PROFILE =====================
+
+// Get my mentor settings
+router.get('/mentor-profile', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const profile = await Profile.findOne({ user: userId })
+      .select('availableForMentoring mentoring')
+      .lean();
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    const activeMentees = await Mentorship.countActiveMentees(userId);
+
+    res.json({
+      success: true,
+      data: {
+        availableForMentoring: profile.availableForMentoring,
+        mentoring: profile.mentoring || {},
+        activeMentees,
+        formats: Profile.MENTORING_FORMATS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mentor profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mentor profile'
+    });
+  }
+});
+
+// Update my mentor settings
+router.put('/mentor-profile', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { availableForMentoring, areas, capacity, formats, note } = req.body;
+
+    const profile = await Profile.findOne({ user: userId });
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Create your profile before offering mentoring'
+      });
+    }
+
+    if (availableForMentoring !== undefined) profile.availableForMentoring = availableForMentoring === true || availableForMentoring === 'true';
+    if (areas !== undefined) profile.mentoring.areas = [...new Set(toList(areas))];
+    if (capacity !== undefined) profile.mentoring.capacity = capacity;
+    if (formats !== undefined) profile.mentoring.formats = [...new Set(toList(formats))];
+    if (note !== undefined) profile.mentoring.note = note;
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Mentor profile updated successfully',
+      data: {
+        availableForMentoring: profile.availableForMentoring,
+        mentoring: profile.mentoring
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update mentor profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update mentor profile'
+    });
+  }
+});
+
+// ===================== MATCHING =====================
+
+// Mentors ranked for the current user by program, industry and skills
+router.get('/matches', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { area } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const matches = await mentorshipService.findMatches(userId, { area, limit });
+    const mentorIds = matches.map(match => match.userId);
+
+    const [users, profiles] = await Promise.all([
+      User.find({ _id: { $in: mentorIds } }).select(PUBLIC_USER_FIELDS).lean(),
+      Profile.find({ user: { $in: mentorIds } }).select(MENTOR_CARD_FIELDS).lean()
+    ]);
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+    const profileByUser = new Map(profiles.map(profile => [profile.user.toString(), profile]));
+
+    res.json({
+      success: true,
+      data: matches
+        .filter(match => userById.has(match.userId))
+        .map(({ userId: mentorId, score, reasons, capacity, activeMentees }) => ({
+          mentor: {
+            ...userById.get(mentorId),
+            profile: profileByUser.get(mentorId) || null
+          },
+          score,
+          reasons,
+          spotsLeft: capacity - activeMentees
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get mentor matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find mentors'
+    });
+  }
+});
+
+// ===================== REQUESTS =====================
+
+// Ask an alumnus to be my mentor
+router.post('/requests', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { mentorId, message, goals, areas, preferredFormat } = req.body;
+
+    if (!mentorId || !mongoose.Types.ObjectId.isValid(mentorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid mentorId is required'
+      });
+    }
+
+    if (mentorId.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot mentor yourself'
+      });
+    }
+
+    const [mentor, mentorProfile] = await Promise.all([
+      User.findOne({ _id: mentorId, isActive: true }).select('firstName lastName').lean(),
+      Profile.findOne({ user: mentorId }).select('availableForMentoring mentoring.capacity').lean()
+    ]);
+    if (!mentor || !mentorProfile?.availableForMentoring) {
+      return res.status(404).json({
+        success: false,
+        message: 'This alumnus is not available for mentoring'
+      });
+    }
+
+    // Deliberately vague - doesn't say who blocked whom
+    if (await Block.isBlockedBetween(userId, mentorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot request mentoring from this user'
+      });
+    }
+
+    const [existing, pendingCount, activeMentees] = await Promise.all([
+      Mentorship.findOpen(mentorId, userId),
+      Mentorship.countDocuments({ mentee: userId, status: 'pending' }),
+      Mentorship.countActiveMentees(mentorId)
+    ]);
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.status === 'active'
+          ? 'This alumnus is already your mentor'
+          : 'You already have a pending request with this mentor',
+        data: { mentorshipId: existing._id }
+      });
+    }
+
+    if (pendingCount >= MAX_PENDING_REQUESTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_PENDING_REQUESTS} pending mentorship requests`
+      });
+    }
+
+    if (activeMentees >= (mentorProfile.mentoring?.capacity || 2)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This mentor has no space for new mentees right now'
+      });
+    }
+
+    const mentorship = await Mentorship.create({
+      mentor: mentorId,
+      mentee: userId,
+      message,
+      goals: goals === undefined ? undefined : toList(goals),
+      areas: areas === undefined ? undefined : toList(areas),
+      preferredFormat
+    });
+
+    notificationService.createMentorshipRequest(
+      userId, mentorId, `${req.user.firstName} ${req.user.lastName}`, mentorship._id
+    ).catch(err => console.error('Mentorship request notification failed:', err.message));
+
+    res.status(201).json({
+      success: true,
+      message: 'Mentorship request sent',
+      data: mentorship
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create mentorship request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send mentorship request'
+    });
+  }
+});
+
+// Pending requests I received (role=mentor, default) or sent (role=mentee)
+router.get('/requests', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const role = req.query.role === 'mentee' ? 'mentee' : 'mentor';
+    const otherSide = role === 'mentor' ? 'mentee' : 'mentor';
+
+    const requests = await Mentorship.find({ [role]: userId, status: 'pending' })
+      .select('-sessions')
+      .populate(otherSide, PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get mentorship requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mentorship requests'
+    });
+  }
+});
+
+// Accept or decline (mentor) or withdraw (mentee) a pending request
+router.put('/requests/:id/:action(accept|decline|cancel)', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { id, action } = req.params;
+
+    const mentorship = await findOwnMentorship(id, userId);
+    if (!mentorship || mentorship.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Mentorship request not found'
+      });
+    }
+
+    const role = mentorship.roleOf(userId);
+    if ((action === 'cancel') !== (role === 'mentee')) {
+      return res.status(403).json({
+        success: false,
+        message: action === 'cancel'
+          ? 'Only the mentee can withdraw a request'
+          : 'Only the mentor can respond to a request'
+      });
+    }
+
+    if (action === 'accept' && await Block.isBlockedBetween(mentorship.mentor, mentorship.mentee)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot mentor this user'
+      });
+    }
+
+    const now = new Date();
+    const update = {
+      accept: { status: 'active', respondedAt: now, startedAt: now },
+      decline: { status: 'declined', respondedAt: now },
+      cancel: { status: 'cancelled', endedAt: now, endedBy: userId }
+    }[action];
+    if (action === 'decline' && req.body.reason) update.declineReason = req.body.reason;
+
+    // The mentor's slot is taken first and given back if the request was
+    // answered in the meantime
+    if (action === 'accept' && !await Mentorship.claimMenteeSlot(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are at your mentee capacity. Raise it or complete a mentorship first.'
+      });
+    }
+
+    // Conditional on still being pending, so a double click can't apply twice
+    let updated;
+    try {
+      updated = await Mentorship.findOneAndUpdate(
+        { _id: mentorship._id, status: 'pending' },
+        update,
+        { new: true, runValidators: true }
+      );
+    } finally {
+      if (action === 'accept' && !updated) await Mentorship.releaseMenteeSlot(userId);
+    }
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mentorship request not found'
+      });
+    }
+
+    const recipientId = role === 'mentor' ? mentorship.mentee : mentorship.mentor;
+    notificationService.createMentorshipUpdate(
+      userId, recipientId, `${req.user.firstName} ${req.user.lastName}`, mentorship._id, updated.status
+    ).catch(err => console.error('Mentorship update notification failed:', err.message));
+
+    res.json({
+      success: true,
+      message: {
+        accept: 'Mentorship request accepted',
+        decline: 'Mentorship request declined',
+        cancel: 'Mentorship request withdrawn'
+      }[action],
+      data: updated
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Mentorship request action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process mentorship request'
+    });
+  }
+});
+
+// ===================== MENTORSHIPS =====================
+
+// My mentorships, as mentor and mentee
+router.get('/', [auth, validatePagination], async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { role, status = 'active', page = 1, limit = 20 } = req.query;
+
+    const query = role === 'mentor' || role === 'mentee'
+      ? { [role]: userId }
+      : { $or: [{ mentor: userId }, { mentee: userId }] };
+    if (status !== 'all') query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [mentorships, total] = await Promise.all([
+      Mentorship.find(query)
+        .select('-sessions.notes')
+        .populate('mentor', PUBLIC_USER_FIELDS)
+        .populate('mentee', PUBLIC_USER_FIELDS)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Mentorship.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        mentorships: mentorships.map(mentorship => ({
+          ...mentorship,
+          role: mentorship.mentor?._id?.toString() === userId.toString() ? 'mentor' : 'mentee',
+          sessionCount: mentorship.sessions.length
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mentorships error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mentorships'
+    });
+  }
+});
+
+// One mentorship with its sessions
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const mentorship = await findOwnMentorship(req.params.id, userId);
+    if (!mentorship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mentorship not found'
+      });
+    }
+
+    await mentorship.populate([
+      { path: 'mentor', select: PUBLIC_USER_FIELDS },
+      { path: 'mentee', select: PUBLIC_USER_FIELDS },
+      { path: 'sessions.loggedBy', select: PUBLIC_USER_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...mentorship.toObject({ virtuals: true }),
+        role: mentorship.roleOf(userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get mentorship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mentorship'
+    });
+  }
+});
+
+// End an active mentorship: completed (goals met) or cancelled
+router.put('/:id/end', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const outcome = req.body.outcome || 'completed';
+
+    if (!['completed', 'cancelled'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be completed or cancelled'
+      });
+    }
+
+    const mentorship = await findOwnMentorship(req.params.id, userId);
+    if (!mentorship || mentorship.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active mentorship not found'
+      });
+    }
+
+    // Conditional on still being active, so the mentor's slot is only given back once
+    const ended = await Mentorship.findOneAndUpdate(
+      { _id: mentorship._id, status: 'active' },
+      { status: outcome, endedAt: new Date(), endedBy: userId },
+      { new: true }
+    );
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active mentorship not found'
+      });
+    }
+    await Mentorship.releaseMenteeSlot(ended.mentor);
+
+    const recipientId = mentorship.roleOf(userId) === 'mentor' ? mentorship.mentee : mentorship.mentor;
+    notificationService.createMentorshipUpdate(
+      userId, recipientId, `${req.user.firstName} ${req.user.lastName}`, mentorship._id, outcome
+    ).catch(err => console.error('Mentorship update notification failed:', err.message));
+
+    res.json({
+      success: true,
+      message: outcome === 'completed' ? 'Mentorship completed' : 'Mentorship cancelled',
+      data: ended
+    });
+
+  } catch (error) {
+    console.error('End mentorship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end mentorship'
+    });
+  }
+});
+
+// ===================== SESSIONS =====================
+
+// Log a session
+router.post('/:id/sessions', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { date, durationMinutes, format, goals, notes } = req.body;
+
+    const mentorship = await findOwnMentorship(req.params.id, userId);
+    if (!mentorship || mentorship.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active mentorship not found'
+      });
+    }
+
+    if (date && new Date(date) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions can only be logged once they have happened'
+      });
+    }
+
+    mentorship.sessions.push({
+      date,
+      durationMinutes,
+      format,
+      goals: goals === undefined ? undefined : toList(goals),
+      notes,
+      loggedBy: userId
+    });
+    const session = mentorship.sessions[mentorship.sessions.length - 1];
+
+    const sessionDate = new Date(date);
+    if (!isNaN(sessionDate) && (!mentorship.lastSessionAt || sessionDate > mentorship.lastSessionAt)) {
+      mentorship.lastSessionAt = sessionDate;
+    }
+
+    await mentorship.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Session logged successfully',
+      data: session
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Log mentorship session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log session'
+    });
+  }
+});
+
+// Rate a session - each side leaves their own feedback
+router.put('/:id/sessions/:sessionId/feedback', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { rating, comment } = req.body;
+
+    const mentorship = await findOwnMentorship(req.params.id, userId);
+    const session = mongoose.Types.ObjectId.isValid(req.params.sessionId) &&
+      mentorship?.sessions.id(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const field = `${mentorship.roleOf(userId)}Feedback`;
+    session[field] = { rating, comment, submittedAt: new Date() };
+    await mentorship.save();
+
+    res.json({
+      success: true,
+      message: 'Feedback saved',
+      data: session
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Session feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save feedback'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,13 +3,19 @@ const express = require('express');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const Activity = require('../models/Activity'); // NEW
+const Block = require('../models/Block');
 const { auth } = require('../middleware/auth');
 const { validatePagination } = require('../middleware/validation');
 const { socketService } = require('../config/socket');
 const { upload } = require('../middleware/upload');
+const { buildViewerContext, filterPeople } = require('../utils/privacy');
 
 const router = express.Router();
 
+// Populated people in chat and message responses, filtered for the participant asking
+const CHAT_PEOPLE = ['participants.user'];
+const MESSAGE_PEOPLE = ['sender', 'reactions.user'];
+
 // Get user's chats
 router.get('/chats', [auth, validatePagination], async (req, res) => {
   try {
@@ -30,6 +36,8 @@ router.get('/chats', [auth, validatePagination], async (req, res) => {
       includeArchived: includeArchived === 'true'
     });
 
+    const context = await buildViewerContext(req.user);
+
     // Get unread message counts for each chat
     const chatsWithUnread = await Promise.all(
       chats.map(async (chat) => {
@@ -38,14 +46,14 @@ router.get('/chats', [auth, validatePagination], async (req, res) => {
           
           // Chat is already a plain object from .lean(), no need for toObject()
           return {
-            ...chat,
+            ...filterPeople(chat, context, CHAT_PEOPLE),
             unreadCount: unreadCount || 0
           };
         } catch (error) {
           console.error(`Error getting unread count for chat ${chat._id}:`, error);
           // Return chat with 0 unread count if error occurs
           return {
-            ...chat,
+            ...filterPeople(chat, context, CHAT_PEOPLE),
             unreadCount: 0
           };
         }
@@ -97,6 +105,13 @@ router.post('/chats', auth, async (req, res) => {
         });
       }
 
+      if (await Block.isBlockedBetween(userId, participantIds[0])) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
       chat = await Chat.createDirectChat(userId, participantIds[0]);
     } else {
       if (!name || !participantIds || participantIds.length === 0) {
@@ -106,6 +121,15 @@ router.post('/chats', auth, async (req, res) => {
         });
       }
 
+      // Nobody can be added to a group by someone they have a block with
+      const hiddenIds = new Set(await Block.getHiddenIds(userId));
+      if (participantIds.some(id => hiddenIds.has(id.toString()))) {
+        return res.status(403).json({
+          success: false,
+          message: 'One or more participants cannot be added to this chat'
+        });
+      }
+
       chat = await Chat.createGroupChat(userId, name, participantIds, {
         description,
         isPrivate,
@@ -130,7 +154,7 @@ router.post('/chats', auth, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: { chat }
+      data: { chat: filterPeople(chat, await buildViewerContext(req.user), CHAT_PEOPLE) }
     });
 
   } catch (error) {
@@ -184,7 +208,7 @@ router.get('/chats/:chatId', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: { chat }
+      data: { chat: filterPeople(chat, await buildViewerContext(req.user), CHAT_PEOPLE) }
     });
 
   } catch (error) {
@@ -233,11 +257,12 @@ router.get('/chats/:chatId/messages', [auth, validatePagination], async (req, re
 
     const messages = await Message.getChatMessages(chatId, parseInt(page), parseInt(limit));
     const total = await Message.countDocuments({ chatId, isDeleted: false });
+    const context = await buildViewerContext(req.user);
 
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(), // Reverse to show oldest first
+        messages: messages.reverse().map(message => filterPeople(message, context, MESSAGE_PEOPLE)), // Reverse to show oldest first
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -300,6 +325,13 @@ router.post('/chats/:chatId/messages', auth, async (req, res) => {
       });
     }
 
+    if (await chat.isBlockedFor(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot message this user'
+      });
+    }
+
     // Create message
     const message = new Message({
       chatId,
@@ -423,6 +455,13 @@ router.post('/chats/:chatId/upload', [auth, upload.single('file')], async (req,
       });
     }
 
+    if (await chat.isBlockedFor(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot message this user'
+      });
+    }
+
     const fileUrl = `${req.protocol}://${req.get('host')}/uploads/misc/${req.file.filename}`;
     
     // Determine message type based on file type
@@ -4,8 +4,10 @@ const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Event = require('../models/Event');
 const Job = require('../models/Job');
+const Skill = require('../models/Skill');
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validatePagination } = require('../middleware/validation');
+const { buildViewerContext, visibilityMatch, blockedMatch, canSearchByEmail, filterAlumnus } = require('../utils/privacy');
 
 const router = express.Router();
 
@@ -32,7 +34,8 @@ router.get('/', [optionalAuth, validatePagination], async (req, res) => {
 
     // Search alumni
     if (type === 'all' || type === 'alumni') {
-      results.alumni = await searchAlumni(searchTerm, skip, limit);
+      const viewer = await buildViewerContext(req.user);
+      results.alumni = await searchAlumni(searchTerm, skip, limit, viewer);
     }
 
     // Search events
@@ -78,6 +81,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
       degree,
       location,
       currentCompany,
+      employer, // Current or past employer
       industry,
       skills,
       employmentStatus,
@@ -89,6 +93,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
     } = req.query;
 
     const skip = (page - 1) * limit;
+    const viewer = await buildViewerContext(req.user);
 
     // Build search pipeline
     const pipeline = [];
@@ -102,12 +107,14 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
     if (q) {
       userMatch.$or = [
         { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } }
+        { lastName: { $regex: q, $options: 'i' } }
       ];
+      if (canSearchByEmail(viewer)) {
+        userMatch.$or.push({ email: { $regex: q, $options: 'i' } });
+      }
     }
 
-    pipeline.push({ $match: userMatch });
+    pipeline.push({ $match: { ...userMatch, ...blockedMatch(viewer) } });
 
     // Lookup profiles
     pipeline.push({
@@ -120,11 +127,10 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
     });
 
     pipeline.push({ $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } });
+    pipeline.push({ $match: visibilityMatch(viewer) });
 
     // Build profile match conditions
-    const profileMatch = {
-      'profile.profileVisibility': { $ne: 'private' }
-    };
+    const profileMatch = {};
 
     if (graduationYear) {
       profileMatch['profile.graduationYear'] = parseInt(graduationYear);
@@ -152,6 +158,13 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
       profileMatch['profile.currentCompany'] = { $regex: currentCompany, $options: 'i' };
     }
 
+    if (employer) {
+      profileMatch.$or = [
+        { 'profile.currentCompany': { $regex: employer, $options: 'i' } },
+        { 'profile.positions.company': { $regex: employer, $options: 'i' } }
+      ];
+    }
+
     if (industry) {
       profileMatch['profile.industry'] = { $regex: industry, $options: 'i' };
     }
@@ -174,7 +187,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
     }
 
     // Apply profile filters
-    if (Object.keys(profileMatch).length > 1) {
+    if (Object.keys(profileMatch).length > 0) {
       pipeline.push({ $match: profileMatch });
     }
 
@@ -221,8 +234,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
         resetPasswordToken: 0,
         resetPasswordExpires: 0,
         emailVerificationToken: 0,
-        emailVerificationExpires: 0,
-        'profile.connections': 0
+        emailVerificationExpires: 0
       }
     });
 
@@ -240,7 +252,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
     res.json({
       success: true,
       data: {
-        alumni,
+        alumni: alumni.map(alumnus => filterAlumnus(alumnus, viewer)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -256,6 +268,7 @@ router.get('/alumni', [optionalAuth, validatePagination], async (req, res) => {
           degree,
           location,
           currentCompany,
+          employer,
           industry,
           skills,
           employmentStatus,
@@ -468,7 +481,7 @@ router.get('/events', [optionalAuth, validatePagination], async (req, res) => {
           { $match: query },
           {
             $addFields: {
-              attendeeCount: { $size: '$attendees' }
+              attendeeCount: '$seatsTaken'
             }
           },
           { $sort: { attendeeCount: -1, startDate: 1 } },
@@ -575,18 +588,34 @@ router.get('/suggestions', optionalAuth, async (req, res) => {
     const suggestions = {};
 
     if (type === 'all' || type === 'skills') {
-      // Get skill suggestions
-      suggestions.skills = await Profile.distinct('skills', {
-        skills: { $regex: q, $options: 'i' }
-      }).limit(10);
+      // Catalogue skills first (matching on aliases too), then free-text ones in use
+      const skillRegex = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const [catalogued, used] = await Promise.all([
+        Skill.find({ $or: [{ name: skillRegex }, { aliases: skillRegex }] })
+          .select('name')
+          .sort({ name: 1 })
+          .limit(10)
+          .lean(),
+        Profile.distinct('skills', { skills: skillRegex })
+      ]);
+      suggestions.skills = Skill.dedupeNames([
+        ...catalogued.map(skill => skill.name),
+        ...used.filter(skill => skillRegex.test(skill))
+      ]).slice(0, 10);
     }
 
     if (type === 'all' || type === 'companies') {
-      // Get company suggestions
-      suggestions.companies = await Profile.distinct('currentCompany', {
-        currentCompany: { $regex: q, $options: 'i' },
-        currentCompany: { $ne: null }
-      }).limit(10);
+      // Get company suggestions - past employers included
+      const companyRegex = new RegExp(q, 'i');
+      const companies = await Profile.distinct('positions.company', {
+        'positions.company': companyRegex
+      });
+      const currentCompanies = await Profile.distinct('currentCompany', {
+        currentCompany: companyRegex
+      });
+      suggestions.companies = [...new Set([...currentCompanies, ...companies])]
+        .filter(company => companyRegex.test(company))
+        .slice(0, 10);
     }
 
     if (type === 'all' || type === 'locations') {
@@ -653,10 +682,11 @@ router.get('/stats', optionalAuth, async (req, res) => {
 });
 
 // Helper functions
-async function searchAlumni(query, skip, limit) {
+async function searchAlumni(query, skip, limit, viewer) {
   const userMatch = {
     role: 'alumni',
     isActive: true,
+    ...blockedMatch(viewer),
     $or: [
       { firstName: { $regex: query, $options: 'i' } },
       { lastName: { $regex: query, $options: 'i' } }
@@ -674,7 +704,7 @@ async function searchAlumni(query, skip, limit) {
       }
     },
     { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
-    { $match: { 'profile.profileVisibility': { $ne: 'private' } } },
+    { $match: visibilityMatch(viewer) },
     {
       $project: {
         firstName: 1,
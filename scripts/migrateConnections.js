@@ -0,0 +1,132 @@
+// scripts/migrateConnections.js
+// Moves the connections embedded in each Profile.connections array into the
+// Connection collection, then removes the arrays. Safe to run more than once -
+// pairs that already have a Connection document are left alone.
+//
+//   node scripts/migrateConnections.js             migrate and remove the arrays
+//   node scripts/migrateConnections.js --dry-run   report only, change nothing
+//   node scripts/migrateConnections.js --keep-embedded   migrate but keep the arrays
+//
+// How the two copies of a pair are merged:
+// - A pending entry on B's profile pointing at A is a request from A to B.
+// - An entry accepted on either side makes the pair accepted (the other side's
+//   save failed or was lost half way through accepting or removing).
+// - For accepted pairs the requester is the user named in the oldest entry - the
+//   addressee's entry is the original request, the requester's copy was added on accept.
+// - Entries pointing at deleted users, at the profile owner or marked blocked are dropped.
+
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+const keepEmbedded = process.argv.includes('--keep-embedded');
+
+async function migrateConnections() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The schema no longer has the field, so read the raw documents
+    const profiles = await Profile.collection
+      .find({ 'connections.0': { $exists: true } }, { projection: { user: 1, connections: 1 } })
+      .toArray();
+    console.log(`Found ${profiles.length} profiles with embedded connections`);
+
+    const entries = profiles.flatMap(profile => profile.connections.map(conn => ({
+      owner: profile.user.toString(),
+      other: conn.user?.toString(),
+      status: conn.status,
+      createdAt: conn.createdAt,
+      connectedAt: conn.connectedAt
+    })));
+
+    const referencedIds = [...new Set(entries.flatMap(entry => [entry.owner, entry.other]))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const existingUsers = await User.find({ _id: { $in: referencedIds } }).select('_id').lean();
+    const validIds = new Set(existingUsers.map(user => user._id.toString()));
+
+    const stats = { entries: entries.length, dropped: 0, oneSided: 0, pairs: 0, created: 0, existing: 0 };
+    const pairs = new Map();
+
+    entries.forEach(entry => {
+      if (!validIds.has(entry.owner) || !validIds.has(entry.other) || entry.owner === entry.other || entry.status === 'blocked') {
+        stats.dropped++;
+        return;
+      }
+
+      const key = Connection.pairKey(entry.owner, entry.other);
+      if (!pairs.has(key)) pairs.set(key, []);
+      pairs.get(key).push(entry);
+    });
+
+    const operations = [...pairs.entries()].map(([pairKey, pairEntries]) => {
+      const accepted = pairEntries.some(entry => entry.status === 'accepted');
+      const owners = new Set(pairEntries.map(entry => entry.owner));
+      if (accepted && owners.size === 1) stats.oneSided++;
+
+      const byAge = [...pairEntries].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+      const original = accepted ? byAge[0] : byAge.find(entry => entry.status === 'pending');
+      const connectedAt = pairEntries.map(entry => entry.connectedAt).filter(Boolean).sort((a, b) => a - b)[0];
+
+      const connection = {
+        pairKey,
+        requester: new mongoose.Types.ObjectId(original.other),
+        addressee: new mongoose.Types.ObjectId(original.owner),
+        status: accepted ? 'accepted' : 'pending',
+        createdAt: original.createdAt || new Date(),
+        updatedAt: new Date()
+      };
+      if (accepted) connection.connectedAt = connectedAt || connection.createdAt;
+
+      return {
+        updateOne: {
+          filter: { pairKey },
+          update: { $setOnInsert: connection },
+          upsert: true
+        }
+      };
+    });
+    stats.pairs = operations.length;
+
+    if (dryRun) {
+      console.log('\nDry run - nothing was changed');
+    } else {
+      if (operations.length > 0) {
+        // Raw bulk write: timestamps are the original ones, not "now"
+        const result = await Connection.collection.bulkWrite(operations, { ordered: false });
+        stats.created = result.upsertedCount;
+        stats.existing = operations.length - result.upsertedCount;
+      }
+
+      if (!keepEmbedded) {
+        const unset = await Profile.collection.updateMany(
+          { connections: { $exists: true } },
+          { $unset: { connections: '' } }
+        );
+        console.log(`Removed embedded connections from ${unset.modifiedCount} profiles`);
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Embedded entries read: ${stats.entries}`);
+    console.log(`Entries dropped (deleted users, self or blocked): ${stats.dropped}`);
+    console.log(`Pairs found: ${stats.pairs}`);
+    console.log(`Accepted on one side only (kept as accepted): ${stats.oneSided}`);
+    if (!dryRun) {
+      console.log(`Connections created: ${stats.created}`);
+      console.log(`Pairs already migrated: ${stats.existing}`);
+    }
+
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the migration
+migrateConnections();
@@ -0,0 +1,122 @@
+// scripts/mockOidcServer.js
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   node scripts/mockOidcServer.js
+//
+// Then point the API at it:
+//   OIDC_PROVIDERS=university
+//   OIDC_UNIVERSITY_ISSUER=http://localhost:4000
+//   OIDC_UNIVERSITY_CLIENT_ID=atu-alumni
+//
+// GET /authorize signs the user in immediately and redirects back with a code.
+// Choose who with ?login_hint=jane.doe@atu.edu.gh (defaults to MOCK_OIDC_EMAIL).
+// Add &email_verified=false to simulate an unverified address.
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'jane.doe@atu.edu.gh';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code -> pending token request
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('client_id, redirect_uri and an S256 code_challenge are required');
+  }
+
+  const email = (login_hint || DEFAULT_EMAIL).toLowerCase();
+  const [localPart] = email.split('@');
+  const [givenName, familyName = 'User'] = localPart.split('.');
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+    claims: {
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.query.email_verified !== 'false',
+      given_name: givenName.charAt(0).toUpperCase() + givenName.slice(1),
+      family_name: familyName.charAt(0).toUpperCase() + familyName.slice(1)
+    }
+  });
+
+  const location = new URL(redirect_uri);
+  location.searchParams.set('code', code);
+  if (state) location.searchParams.set('state', state);
+  res.redirect(location.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code); // Codes are single use
+
+  if (grant_type !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== pending.codeChallenge || redirect_uri !== pending.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...pending.claims, nonce: pending.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: pending.clientId, expiresIn: '5m' }
+  );
+  const accessToken = jwt.sign(
+    { sub: pending.claims.sub, claims: pending.claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, expiresIn: '5m' }
+  );
+
+  res.json({ token_type: 'Bearer', expires_in: 300, id_token: idToken, access_token: accessToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const { claims } = jwt.verify(token, publicKey, { algorithms: ['RS256'], issuer: ISSUER });
+    res.json(claims);
+  } catch (error) {
+    res.status(401).json({ error: 'invalid_token' });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
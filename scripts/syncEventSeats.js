@@ -0,0 +1,28 @@
+// scripts/syncEventSeats.js
+// Recomputes Event.seatsTaken from each event's attendees and waitlist, for when
+// the counts look wrong. Events created before seat counting are counted
+// automatically when the server starts.
+//
+//   node scripts/syncEventSeats.js
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+require('dotenv').config();
+
+async function syncEventSeats() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await Event.syncSeatCounts();
+    console.log(`Checked ${result.matchedCount} events, updated ${result.modifiedCount}`);
+
+  } catch (error) {
+    console.error('Sync error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+syncEventSeats();
@@ -0,0 +1,219 @@
+// services/connectionGraphService.js
+// Queries over the alumni connection graph: mutual connections, the shortest path
+// between two alumni and "people you may know". Adjacency lists and results are
+// cached; call invalidate() whenever a connection is made or removed.
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const { cache } = require('../config/database');
+
+const CONNECTIONS_TTL = 10 * 60; // Seconds
+const PATH_TTL = 10 * 60;
+const SUGGESTIONS_TTL = 60 * 60;
+
+const MAX_DEGREE = 3;
+const MAX_SUGGESTIONS = 50;
+const ATTRIBUTE_CANDIDATES = 500; // Profiles considered for shared program/company/skills
+
+// Points per signal. Capped signals stop counting after the cap.
+const SUGGESTION_WEIGHTS = {
+  mutualConnection: 10, // Each, up to 50
+  program: 15,
+  graduationYear: 10, // 5 for an adjacent year
+  company: 15, // Same current company
+  pastCompany: 8, // Worked at the same company at some point
+  skill: 3 // Each shared skill, up to 15
+};
+const MAX_MUTUAL_POINTS = 50;
+const MAX_SKILL_POINTS = 15;
+
+const idOf = (value) => (value?._id || value).toString();
+
+const companyKey = (company) => String(company || '').trim().toLowerCase();
+
+class ConnectionGraphService {
+  // Accepted connection ids of one user, as strings
+  async getConnectionIds(userId) {
+    const key = `connections:graph:${idOf(userId)}`;
+    const cached = await cache.get(key);
+    if (cached) return cached;
+
+    const ids = await Connection.getConnectionIds(userId);
+    await cache.set(key, ids, CONNECTIONS_TTL);
+    return ids;
+  }
+
+  async getMutualConnectionIds(userId, otherId) {
+    const [mine, theirs] = await Promise.all([
+      this.getConnectionIds(userId),
+      this.getConnectionIds(otherId)
+    ]);
+
+    const theirSet = new Set(theirs);
+    return mine.filter(id => theirSet.has(id) && id !== idOf(otherId));
+  }
+
+  // Shortest chain of user ids from one alumnus to another (both ends included),
+  // or null when they are more than maxDegree connections apart
+  async findPath(fromId, toId, maxDegree = MAX_DEGREE) {
+    const from = idOf(fromId);
+    const to = idOf(toId);
+    if (from === to) return [from];
+
+    const key = `connections:path:${from}:${to}:${maxDegree}`;
+    const cached = await cache.get(key);
+    if (cached) return cached.path;
+
+    const path = await this.searchPath(from, to, Math.min(maxDegree, MAX_DEGREE));
+    await cache.set(key, { path }, PATH_TTL);
+    return path;
+  }
+
+  // Meets in the middle: compares my network with theirs, so degree 3 costs one extra query
+  async searchPath(from, to, maxDegree) {
+    const mine = await this.getConnectionIds(from);
+    if (mine.includes(to)) return [from, to];
+    if (maxDegree < 2 || mine.length === 0) return null;
+
+    const theirs = new Set(await this.getConnectionIds(to));
+    const mutual = mine.find(id => theirs.has(id));
+    if (mutual) return [from, mutual, to];
+    if (maxDegree < 3 || theirs.size === 0) return null;
+
+    const secondDegree = await Connection.getConnectionMap(mine);
+    for (const hop of mine) {
+      const next = (secondDegree.get(hop) || []).find(id => theirs.has(id) && id !== from);
+      if (next) return [from, hop, next, to];
+    }
+
+    return null;
+  }
+
+  // Ranked "people you may know": [{ userId, score, mutualConnections, reasons }]
+  async getSuggestions(userId, { limit = 10 } = {}) {
+    const id = idOf(userId);
+    const key = `connections:suggestions:${id}`;
+
+    let suggestions = await cache.get(key);
+    if (!suggestions) {
+      suggestions = await this.rankSuggestions(id);
+      await cache.set(key, suggestions, SUGGESTIONS_TTL);
+    }
+
+    return suggestions.slice(0, Math.min(limit, MAX_SUGGESTIONS));
+  }
+
+  async rankSuggestions(userId) {
+    const [profile, mine, related, hidden] = await Promise.all([
+      Profile.findOne({ user: userId })
+        .select('program graduationYear currentCompany positions.company skills')
+        .lean(),
+      this.getConnectionIds(userId),
+      Connection.getRelatedIds(userId),
+      Block.getHiddenIds(userId)
+    ]);
+
+    // Anyone I am connected to, have a pending request with or have a block with is not a suggestion
+    const excluded = new Set([userId, ...related, ...hidden]);
+
+    // Friends of friends, with how many of my connections they share
+    const mutualCounts = new Map();
+    const secondDegree = mine.length ? await Connection.getConnectionMap(mine) : new Map();
+    secondDegree.forEach(ids => ids.forEach(candidate => {
+      if (!excluded.has(candidate)) mutualCounts.set(candidate, (mutualCounts.get(candidate) || 0) + 1);
+    }));
+
+    // Alumni who share something with me even without mutual connections
+    const myCompanies = [...new Set((profile?.positions || []).map(position => position.company).filter(Boolean))];
+    const shared = [];
+    if (profile?.program) shared.push({ program: profile.program });
+    if (profile?.graduationYear) shared.push({ graduationYear: { $gte: profile.graduationYear - 1, $lte: profile.graduationYear + 1 } });
+    if (profile?.currentCompany) shared.push({ currentCompany: profile.currentCompany });
+    if (myCompanies.length) shared.push({ 'positions.company': { $in: myCompanies } });
+    if (profile?.skills?.length) shared.push({ skills: { $in: profile.skills } });
+
+    const candidateIds = [...mutualCounts.keys()];
+    const candidates = await Profile.find({
+      user: { $nin: [...excluded] },
+      profileVisibility: { $ne: 'private' },
+      $or: [
+        { user: { $in: candidateIds } },
+        ...shared
+      ]
+    })
+      .select('user program graduationYear currentCompany positions.company skills')
+      .limit(ATTRIBUTE_CANDIDATES + candidateIds.length)
+      .lean();
+
+    const activeIds = new Set(
+      (await User.find({ _id: { $in: candidates.map(candidate => candidate.user) }, isActive: true, role: 'alumni' }).select('_id').lean())
+        .map(user => user._id.toString())
+    );
+
+    const myCompanyKeys = new Set(myCompanies.map(companyKey));
+    const mySkills = new Set(profile?.skills || []);
+
+    return candidates
+      .filter(candidate => activeIds.has(candidate.user.toString()))
+      .map(candidate => {
+        const candidateId = candidate.user.toString();
+        const reasons = [];
+        let score = 0;
+
+        const mutualConnections = mutualCounts.get(candidateId) || 0;
+        if (mutualConnections) {
+          score += Math.min(mutualConnections * SUGGESTION_WEIGHTS.mutualConnection, MAX_MUTUAL_POINTS);
+          reasons.push(`${mutualConnections} mutual connection${mutualConnections === 1 ? '' : 's'}`);
+        }
+
+        if (profile?.program && candidate.program === profile.program) {
+          score += SUGGESTION_WEIGHTS.program;
+          reasons.push(`Also studied ${candidate.program}`);
+        }
+
+        if (profile?.graduationYear && candidate.graduationYear) {
+          const gap = Math.abs(candidate.graduationYear - profile.graduationYear);
+          if (gap === 0) {
+            score += SUGGESTION_WEIGHTS.graduationYear;
+            reasons.push(`Class of ${candidate.graduationYear}`);
+          } else if (gap === 1) {
+            score += SUGGESTION_WEIGHTS.graduationYear / 2;
+          }
+        }
+
+        if (profile?.currentCompany && companyKey(candidate.currentCompany) === companyKey(profile.currentCompany)) {
+          score += SUGGESTION_WEIGHTS.company;
+          reasons.push(`Works at ${candidate.currentCompany}`);
+        } else {
+          const pastCompany = (candidate.positions || []).find(position => myCompanyKeys.has(companyKey(position.company)));
+          if (pastCompany) {
+            score += SUGGESTION_WEIGHTS.pastCompany;
+            reasons.push(`Also worked at ${pastCompany.company}`);
+          }
+        }
+
+        const sharedSkills = (candidate.skills || []).filter(skill => mySkills.has(skill));
+        if (sharedSkills.length) {
+          score += Math.min(sharedSkills.length * SUGGESTION_WEIGHTS.skill, MAX_SKILL_POINTS);
+          reasons.push(`${sharedSkills.length} shared skill${sharedSkills.length === 1 ? '' : 's'}`);
+        }
+
+        return { userId: candidateId, score, mutualConnections, reasons };
+      })
+      .filter(suggestion => suggestion.score > 0)
+      .sort((a, b) => b.score - a.score || b.mutualConnections - a.mutualConnections)
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  // Drop cached graph data for users whose connections changed. Their contacts'
+  // suggestions and cached paths expire on their own.
+  async invalidate(...userIds) {
+    await Promise.all(userIds.flatMap(userId => [
+      cache.del(`connections:graph:${idOf(userId)}`),
+      cache.del(`connections:suggestions:${idOf(userId)}`)
+    ]));
+  }
+}
+
+module.exports = new ConnectionGraphService();
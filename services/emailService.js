@@ -70,11 +70,11 @@ class EmailService {
   // FIXED: Main sendEmail method with proper parameter handling
   async sendEmail(options) {
     // Handle both object parameter and individual parameters
-    let to, subject, html, text;
+    let to, subject, html, text, attachments;
     
     if (typeof options === 'object' && !Array.isArray(options)) {
-      // Called with object parameter: sendEmail({ to, subject, html, text })
-      ({ to, subject, html, text } = options);
+      // Called with object parameter: sendEmail({ to, subject, html, text, attachments })
+      ({ to, subject, html, text, attachments } = options);
     } else {
       // Called with individual parameters: sendEmail(to, subject, html, text)
       // This is for backward compatibility
@@ -113,6 +113,7 @@ class EmailService {
         html: html || `<p>${text}</p>`, // Fallback to text wrapped in <p> if no HTML
         text: text || this.stripHtml(html) || 'No content'
       };
+      if (attachments?.length) mailOptions.attachments = attachments;
 
       console.log(`📧 Sending email to ${to}...`);
       const result = await this.transporter.sendMail(mailOptions);
@@ -156,6 +157,44 @@ class EmailService {
     return this.sendEmail({ to: user.email, subject, html });
   }
 
+  // Confirmation link sent to the new address before an email change takes effect
+  async sendEmailChangeConfirmation(user, newEmail, changeToken) {
+    const subject = 'Confirm Your New ATU Alumni Email Address';
+    const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${changeToken}`;
+    const html = this.getEmailChangeConfirmationTemplate(user, newEmail, confirmUrl);
+    return this.sendEmail({ to: newEmail, subject, html });
+  }
+
+  // Heads-up to the current address that an email change was requested
+  async sendEmailChangeRequestedNotice(user, newEmail) {
+    const subject = 'Email Change Requested on Your ATU Alumni Account';
+    const html = this.getEmailChangeRequestedTemplate(user, newEmail);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
+  // Security notice after a signed-in password change
+  async sendPasswordChangedEmail(user) {
+    const subject = 'Your ATU Alumni Password Was Changed';
+    const html = this.getPasswordChangedTemplate(user);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
+  // Account locked after repeated failed logins
+  async sendAccountLockedEmail(user, unlockToken) {
+    const subject = 'Your ATU Alumni Account Has Been Locked';
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+    const html = this.getAccountLockedTemplate(user, unlockUrl);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
+  // Passwordless sign-in link
+  async sendMagicLinkEmail(user, loginToken, expiresInMinutes) {
+    const subject = 'Your ATU Alumni Sign-In Link';
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-login?token=${loginToken}`;
+    const html = this.getMagicLinkTemplate(user, loginUrl, expiresInMinutes);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
   // Event reminder email
   async sendEventReminder(user, event, reminderType = 'upcoming') {
     let subject, html;
@@ -181,6 +220,37 @@ class EmailService {
     return this.sendEmail({ to: user.email, subject, html });
   }
 
+  // Event ticket with its QR code attached and shown inline
+  async sendEventTicket(user, event, qrPng) {
+    const subject = `Your Ticket: ${event.title} 🎟️`;
+    const ticketUrl = `${process.env.FRONTEND_URL}/events/${event._id}/ticket`;
+    const html = this.getEventTicketTemplate(user, event, ticketUrl);
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html,
+      attachments: [{ filename: 'ticket.png', content: qrPng, cid: 'event-ticket-qr' }]
+    });
+  }
+
+  // Organizer approved or rejected an event registration
+  async sendRegistrationDecision(user, event, approved, reviewMessage) {
+    const subject = approved
+      ? `Registration Approved: ${event.title} ✅`
+      : `Registration Update: ${event.title}`;
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const html = this.getRegistrationDecisionTemplate(user, event, approved, reviewMessage, eventUrl);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
+  // Waitlist spot offered
+  async sendWaitlistOffer(user, event, expiresAt) {
+    const subject = `A spot opened up: ${event.title} 🎟️`;
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const html = this.getWaitlistOfferTemplate(user, event, expiresAt, eventUrl);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
   // Job application notification
   async sendJobApplicationNotification(jobPoster, job, applicant) {
     const subject = `New Application for ${job.title} 💼`;
@@ -209,6 +279,14 @@ class EmailService {
     return this.sendEmail({ to: recipient.email, subject, html });
   }
 
+  // Reminder to finish an incomplete profile
+  async sendProfileCompletenessNudge(user, completeness) {
+    const subject = `Your ATU Alumni profile is ${completeness.score}% complete`;
+    const profileUrl = `${process.env.FRONTEND_URL}/profile/edit`;
+    const html = this.getProfileCompletenessNudgeTemplate(user, completeness, profileUrl);
+    return this.sendEmail({ to: user.email, subject, html });
+  }
+
   // Monthly newsletter
   async sendMonthlyNewsletter(user, newsletterData) {
     const subject = `ATU Alumni Monthly Update - ${new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
@@ -337,6 +415,76 @@ class EmailService {
     `;
   }
 
+  getEmailChangeConfirmationTemplate(user, newEmail, confirmUrl) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Confirm Your New Email Address</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>You asked to change your ATU Alumni email address to <strong>${newEmail}</strong>. Click below to confirm:</p>
+          <a href="${confirmUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">Confirm Email</a>
+          <p>This link expires in 24 hours. Until you confirm, you keep signing in with your current address.</p>
+        </body>
+      </html>
+    `;
+  }
+
+  getEmailChangeRequestedTemplate(user, newEmail) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Email Change Requested</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>Someone signed in to your account asked to change its email address to <strong>${newEmail}</strong>. The change only happens once the new address is confirmed.</p>
+          <p>If this wasn't you, change your password right away and sign out your other sessions.</p>
+        </body>
+      </html>
+    `;
+  }
+
+  getPasswordChangedTemplate(user) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Password Changed</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>The password for your ATU Alumni account was changed on ${new Date().toLocaleString()}. Your other sessions have been signed out.</p>
+          <p>If this wasn't you, reset your password immediately using "Forgot password" on the login page.</p>
+        </body>
+      </html>
+    `;
+  }
+
+  getAccountLockedTemplate(user, unlockUrl) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Account Locked</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>We locked your account after several failed login attempts. It will unlock automatically at ${new Date(user.lockUntil).toLocaleString()}.</p>
+          <p>If this was you, you can unlock it now:</p>
+          <a href="${unlockUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">Unlock Account</a>
+          <p>If this wasn't you, someone may be trying to guess your password. Consider resetting it once you're back in.</p>
+        </body>
+      </html>
+    `;
+  }
+
+  getMagicLinkTemplate(user, loginUrl, expiresInMinutes) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Sign In to ATU Alumni</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>Click the button below to sign in. No password needed.</p>
+          <a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">Sign In</a>
+          <p>This link works once and expires in ${expiresInMinutes} minutes.</p>
+          <p>If you didn't request this, you can safely ignore this email.</p>
+        </body>
+      </html>
+    `;
+  }
+
   getEventReminderTemplate(user, event, reminderType) {
     return `
       <html>
@@ -364,6 +512,54 @@ class EmailService {
     `;
   }
 
+  getEventTicketTemplate(user, event, ticketUrl) {
+    const venue = event.location?.isOnline ? 'Online' : (event.location?.venue || 'TBA');
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Your Ticket for ${event.title}</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>Show this QR code at the door to check in. It can only be used once.</p>
+          <img src="cid:event-ticket-qr" alt="Ticket QR code" width="240" height="240" />
+          <p>Date: ${new Date(event.startDate).toLocaleString()}</p>
+          <p>Venue: ${venue}</p>
+          <p>You can also open your ticket any time at <a href="${ticketUrl}">${ticketUrl}</a>.</p>
+        </body>
+      </html>
+    `;
+  }
+
+  getRegistrationDecisionTemplate(user, event, approved, reviewMessage, eventUrl) {
+    const note = reviewMessage ? `<p>Message from the organizer: ${reviewMessage}</p>` : '';
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>${approved ? 'Registration Approved!' : 'Registration Not Approved'}</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>${approved
+            ? `Your registration for ${event.title} has been approved. We look forward to seeing you there!`
+            : `Unfortunately your registration for ${event.title} was not approved.`}</p>
+          ${note}
+          <a href="${eventUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">View Event</a>
+        </body>
+      </html>
+    `;
+  }
+
+  getWaitlistOfferTemplate(user, event, expiresAt, eventUrl) {
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>A Spot Opened Up!</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>A spot has opened up at ${event.title} and you're next on the waitlist.</p>
+          <p>Claim it before ${new Date(expiresAt).toLocaleString()} - after that it goes to the next person in line.</p>
+          <a href="${eventUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">Claim My Spot</a>
+        </body>
+      </html>
+    `;
+  }
+
   getJobApplicationNotificationTemplate(jobPoster, job, applicant) {
     return `
       <html>
@@ -416,6 +612,23 @@ class EmailService {
     `;
   }
 
+  getProfileCompletenessNudgeTemplate(user, completeness, profileUrl) {
+    const steps = completeness.nextSteps.map(step => `<li>${step.suggestion}</li>`).join('');
+    return `
+      <html>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Finish Your Alumni Profile</h2>
+          <p>Hi ${user.firstName},</p>
+          <p>Your profile is ${completeness.score}% complete. Complete profiles show up in more searches and get more connection requests.</p>
+          <p>A few quick wins:</p>
+          <ul>${steps}</ul>
+          <a href="${profileUrl}" style="display: inline-block; padding: 10px 20px; background: #1e3a8a; color: white; text-decoration: none; border-radius: 5px;">Update My Profile</a>
+          <p>You can turn off these reminders by disabling email notifications in your settings.</p>
+        </body>
+      </html>
+    `;
+  }
+
   getNewsletterTemplate(user, newsletterData) {
     return `
       <html>
@@ -0,0 +1,312 @@
+// services/eventSeriesService.js
+// Recurring events. A series only stores its rule, exceptions and overrides;
+// occurrences are expanded when listed and become real Event documents the
+// first time someone registers for one (or a subscriber is due a seat), so
+// everything per-event - seats, waitlist, approval, tickets - keeps working.
+// Occurrences are addressed as "<seriesId>_<occurrence key>" until then.
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const eventWaitlistService = require('./eventWaitlistService');
+const eventTicketService = require('./eventTicketService');
+const notificationService = require('./notificationService');
+const { toOccurrenceKey, fromOccurrenceKey } = require('../utils/recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OCCURRENCE_ID_PATTERN = /^([a-f\d]{24})_(\d{8}T\d{6}Z)$/i;
+
+// Series fields copied onto materialized occurrences
+const SYNCED_FIELDS = [
+  'title', 'description', 'eventType', 'startDate', 'endDate', 'location',
+  'maxAttendees', 'requiresApproval', 'waitlistEnabled', 'tags', 'imageUrl'
+];
+
+class EventSeriesService {
+  constructor() {
+    // Subscribers are registered for occurrences this far ahead
+    this.horizonDays = parseInt(process.env.EVENT_SERIES_HORIZON_DAYS) || 90;
+    // How far ahead GET /events lists occurrences
+    this.listingDays = parseInt(process.env.EVENT_SERIES_LISTING_DAYS) || 180;
+    this.intervalHours = parseFloat(process.env.EVENT_SERIES_MATERIALIZE_HOURS ?? 24); // 0 disables the schedule
+    this.timer = null;
+  }
+
+  // Keep subscribers registered as new occurrences come into the horizon
+  start() {
+    if (this.timer || !this.intervalHours) return;
+
+    this.timer = setInterval(() => {
+      this.materializeUpcoming().catch(error => console.error('Event series sweep error:', error));
+    }, this.intervalHours * 60 * 60 * 1000);
+    this.timer.unref(); // Don't keep the process alive just for this
+
+    console.log(`🔁 Event series occurrences prepared every ${this.intervalHours} h`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  occurrenceId(seriesId, occurrenceStart) {
+    return `${seriesId}_${toOccurrenceKey(occurrenceStart)}`;
+  }
+
+  isOccurrenceId(id) {
+    return OCCURRENCE_ID_PATTERN.test(String(id));
+  }
+
+  // { seriesId, occurrenceStart } for an occurrence id, or null
+  parseOccurrenceId(id) {
+    const match = OCCURRENCE_ID_PATTERN.exec(String(id));
+    const occurrenceStart = match && fromOccurrenceKey(match[2]);
+    return occurrenceStart ? { seriesId: match[1], occurrenceStart } : null;
+  }
+
+  // Plain event-shaped object for an occurrence nobody has registered for yet
+  toVirtualEvent(series, occurrence) {
+    return {
+      _id: this.occurrenceId(series._id, occurrence.occurrenceStart),
+      isOccurrence: true,
+      ...occurrence,
+      status: series.status,
+      seatsTaken: 0,
+      attendees: [],
+      waitlist: []
+    };
+  }
+
+  // Resolve an occurrence of a published series.
+  // Returns { series, occurrenceStart, event } - event is null until materialized - or null.
+  async findOccurrence(id) {
+    const parsed = this.parseOccurrenceId(id);
+    if (!parsed) return null;
+
+    const series = await EventSeries.findOne({ _id: parsed.seriesId, status: 'published' });
+    if (!series || !series.hasOccurrence(parsed.occurrenceStart)) return null;
+
+    const event = await Event.findOne({ series: series._id, occurrenceStart: parsed.occurrenceStart });
+    return { series, occurrenceStart: parsed.occurrenceStart, event };
+  }
+
+  // The Event document for an occurrence, created on first use. When this call
+  // creates it, the series subscribers are registered for it.
+  async materialize(series, occurrenceStart) {
+    const existing = await Event.findOne({ series: series._id, occurrenceStart });
+    if (existing) return existing;
+
+    const { occurrenceKey, organizer, ...fields } = series.buildOccurrence(occurrenceStart);
+    let event;
+    try {
+      event = await Event.create({
+        ...fields,
+        organizer: organizer?._id || organizer,
+        status: series.status === 'published' ? 'published' : 'draft'
+      });
+    } catch (error) {
+      // Someone else materialized it first
+      if (error.code === 11000) return Event.findOne({ series: series._id, occurrenceStart });
+      throw error;
+    }
+
+    if (!series.subscribers.length) return event;
+
+    await this.registerSubscribers(event, series.subscribers.map(s => s.user));
+    return Event.findById(event._id);
+  }
+
+  // Register users for one occurrence. Returns { userId, outcome } per user.
+  async registerSubscribers(event, userIds) {
+    const results = [];
+
+    for (const userId of userIds) {
+      const { outcome } = await eventWaitlistService.register(event._id, userId);
+      results.push({ userId, outcome });
+
+      if (outcome === 'registered') {
+        eventTicketService.sendTicket(event._id, userId)
+          .catch(err => console.error('Event ticket email failed:', err.message));
+      }
+    }
+
+    return results;
+  }
+
+  // Occurrences of the series within the subscription horizon
+  upcomingOccurrences(series) {
+    const now = new Date();
+    return series.getOccurrencesStarting({ from: now, to: new Date(now.getTime() + this.horizonDays * DAY_MS) })
+      .filter(occurrence => occurrence.startDate > now);
+  }
+
+  // RSVP for the whole series: registers for every upcoming occurrence now and
+  // for later ones as they come into the horizon.
+  // Returns { outcome, occurrences } where outcome is subscribed, already_subscribed or unavailable.
+  async subscribe(seriesId, userId) {
+    const series = await EventSeries.findOneAndUpdate(
+      { _id: seriesId, status: 'published', 'subscribers.user': { $ne: userId } },
+      { $push: { subscribers: { user: userId, subscribedAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!series) {
+      const current = await EventSeries.findById(seriesId).select('status subscribers.user').lean();
+      if (!current || current.status !== 'published') return { outcome: 'unavailable' };
+      return { outcome: 'already_subscribed' };
+    }
+
+    const occurrences = [];
+    for (const occurrence of this.upcomingOccurrences(series)) {
+      // A newly created occurrence registers all subscribers, this user included
+      const event = await this.materialize(series, occurrence.occurrenceStart);
+      let outcome = this.registrationStatus(event, userId);
+      if (!outcome) [{ outcome }] = await this.registerSubscribers(event, [userId]);
+
+      occurrences.push({ eventId: event._id, startDate: event.startDate, outcome });
+    }
+
+    return { outcome: 'subscribed', series, occurrences };
+  }
+
+  // The user's current place in an event (attendee status or waitlisted), or null
+  registrationStatus(event, userId) {
+    const attendee = event.attendees.find(a => a.user.toString() === userId.toString() && a.status !== 'cancelled');
+    if (attendee) return attendee.status;
+    return event.waitlist.some(entry => entry.user.toString() === userId.toString()) ? 'waitlisted' : null;
+  }
+
+  // Leave the series and give up seats in its future occurrences.
+  // Returns false when the user wasn't subscribed.
+  async unsubscribe(seriesId, userId) {
+    const series = await EventSeries.findOneAndUpdate(
+      { _id: seriesId, 'subscribers.user': userId },
+      { $pull: { subscribers: { user: userId } } }
+    );
+    if (!series) return false;
+
+    const events = await Event.find({
+      series: series._id,
+      startDate: { $gt: new Date() },
+      $or: [{ 'attendees.user': userId }, { 'waitlist.user': userId }]
+    }).select('_id').lean();
+
+    for (const event of events) {
+      await eventWaitlistService.cancelRegistration(event._id, userId);
+      await eventWaitlistService.leaveWaitlist(event._id, userId);
+    }
+
+    return true;
+  }
+
+  // After the series changes, bring its future materialized occurrences in line:
+  // copy the template fields and cancel occurrences the rule no longer has.
+  // Returns { updated, cancelled }.
+  async syncMaterialized(series) {
+    const events = await Event.find({
+      series: series._id,
+      startDate: { $gt: new Date() },
+      status: { $ne: 'cancelled' }
+    });
+
+    let updated = 0;
+    let cancelled = 0;
+
+    for (const event of events) {
+      if (series.status === 'cancelled' || !series.hasOccurrence(event.occurrenceStart)) {
+        event.status = 'cancelled';
+        await event.save();
+        cancelled++;
+        this.notifyCancelled(event);
+        continue;
+      }
+
+      const occurrence = series.buildOccurrence(event.occurrenceStart);
+      SYNCED_FIELDS.forEach(field => event.set(field, occurrence[field]));
+      if (series.status === 'published') event.status = 'published';
+
+      if (event.isModified()) {
+        await event.save();
+        updated++;
+        // A higher capacity opens seats for the waitlist
+        await eventWaitlistService.fillOpenSeats(event._id);
+      }
+    }
+
+    return { updated, cancelled };
+  }
+
+  notifyCancelled(event) {
+    const holders = event.attendees
+      .filter(a => Event.SEAT_HOLDING_STATUSES.includes(a.status))
+      .map(a => a.user);
+    if (!holders.length) return;
+
+    notificationService.createSystemNotification(
+      holders,
+      'Event cancelled',
+      `${event.title} on ${event.startDate.toDateString()} has been cancelled`,
+      { eventId: event._id, seriesId: event.series },
+      'high'
+    ).catch(err => console.error('Occurrence cancellation notification failed:', err.message));
+  }
+
+  // Occurrences of published series starting between from and the listing
+  // horizon for GET /events, sorted by start, leaving out those already
+  // materialized (they are listed as events).
+  async listOccurrences({ eventType, search, from, to } = {}) {
+    const query = { status: 'published' };
+    if (eventType) query.eventType = eventType;
+    if (search) {
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const start = from || new Date(0);
+    const end = to || new Date(Date.now() + this.listingDays * DAY_MS);
+    const seriesList = await EventSeries.find({ ...query, startDate: { $lte: end } })
+      .select('-subscribers')
+      .populate('organizer', 'firstName lastName');
+    if (!seriesList.length) return [];
+
+    const occurrences = seriesList.flatMap(series => series.getOccurrencesStarting({ from: start, to: end })
+      .map(occurrence => this.toVirtualEvent(series, occurrence)));
+    if (!occurrences.length) return [];
+
+    const materialized = await Event.find({
+      series: { $in: seriesList.map(series => series._id) },
+      occurrenceStart: { $in: occurrences.map(occurrence => occurrence.occurrenceStart) }
+    }).select('series occurrenceStart').lean();
+    const taken = new Set(materialized.map(event => this.occurrenceId(event.series, event.occurrenceStart)));
+
+    return occurrences
+      .filter(occurrence => !taken.has(occurrence._id))
+      .sort((a, b) => a.startDate - b.startDate);
+  }
+
+  // Materialize occurrences entering the horizon for series with subscribers
+  async materializeUpcoming() {
+    const seriesList = await EventSeries.find({ status: 'published', 'subscribers.0': { $exists: true } });
+
+    let created = 0;
+    for (const series of seriesList) {
+      for (const occurrence of this.upcomingOccurrences(series)) {
+        if (await Event.exists({ series: series._id, occurrenceStart: occurrence.occurrenceStart })) continue;
+        await this.materialize(series, occurrence.occurrenceStart);
+        created++;
+      }
+    }
+
+    return { series: seriesList.length, created };
+  }
+
+  // Remove a deleted user from every series they subscribed to
+  async removeUser(userId) {
+    await EventSeries.updateMany(
+      { 'subscribers.user': userId },
+      { $pull: { subscribers: { user: userId } } }
+    );
+  }
+}
+
+module.exports = new EventSeriesService();
@@ -0,0 +1,155 @@
+// services/eventTicketService.js
+// Event tickets and check-in. A ticket is a signed token naming the event, the
+// attendee and the registration's ticketId, shown as a QR code. Checking in
+// flips the registration from registered to attended in one conditional update,
+// so each ticket is redeemed exactly once however many doors scan it.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { socketService } = require('../config/socket');
+
+const TICKET_AUDIENCE = 'event-ticket';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIRMED_STATUSES = ['registered', 'attended'];
+const CHECK_IN_METHODS = ['qr', 'manual', 'sync'];
+
+const newTicketId = () => crypto.randomBytes(12).toString('hex');
+
+class EventTicketService {
+  get secret() {
+    return process.env.TICKET_SECRET || process.env.JWT_SECRET;
+  }
+
+  // Organizer, admins and the event's door staff
+  canManageCheckIn(event, user) {
+    const userId = (user._id || user.id).toString();
+    return user.role === 'admin' ||
+      event.organizer?.toString() === userId ||
+      (event.checkInStaff || []).some(staffId => staffId.toString() === userId);
+  }
+
+  // The user's confirmed registration, given a ticket id on first use.
+  // Returns { event, attendee } or null when they have no confirmed seat.
+  async findTicketHolder(eventId, userId) {
+    await Event.updateOne(
+      { _id: eventId, attendees: { $elemMatch: { user: userId, status: { $in: CONFIRMED_STATUSES }, ticketId: null } } },
+      { $set: { 'attendees.$.ticketId': newTicketId() } }
+    );
+
+    const event = await Event.findById(eventId).select('title startDate endDate location attendees');
+    const attendee = event?.attendees.find(a => (
+      a.user.toString() === userId.toString() && CONFIRMED_STATUSES.includes(a.status)
+    ));
+
+    return attendee ? { event, attendee } : null;
+  }
+
+  // Valid until a day after the event ends
+  signToken(event, attendee) {
+    const expiresAt = new Date(event.endDate || event.startDate).getTime() + DAY_MS;
+
+    return jwt.sign(
+      { eid: event._id.toString(), uid: attendee.user.toString(), tid: attendee.ticketId },
+      this.secret,
+      { audience: TICKET_AUDIENCE, expiresIn: Math.max(Math.floor((expiresAt - Date.now()) / 1000), 60) }
+    );
+  }
+
+  // { token, event, attendee } for the user's ticket, or null
+  async getTicket(eventId, userId) {
+    const holder = await this.findTicketHolder(eventId, userId);
+    if (!holder) return null;
+
+    return { ...holder, token: this.signToken(holder.event, holder.attendee) };
+  }
+
+  // PNG buffer or SVG markup
+  renderQr(token, format = 'png') {
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+    return format === 'svg'
+      ? QRCode.toString(token, { ...options, type: 'svg' })
+      : QRCode.toBuffer(token, { ...options, type: 'png' });
+  }
+
+  // Email the ticket QR code. Called once a registration is confirmed.
+  async sendTicket(eventId, userId) {
+    const [ticket, user] = await Promise.all([
+      this.getTicket(eventId, userId),
+      User.findById(userId).select('firstName email')
+    ]);
+    if (!ticket || !user) return null;
+
+    const qrPng = await this.renderQr(ticket.token, 'png');
+    return emailService.sendEventTicket(user, ticket.event, qrPng);
+  }
+
+  // Decoded ticket payload, or null when the token is forged, expired or for another event
+  verifyToken(token, eventId) {
+    try {
+      const payload = jwt.verify(String(token), this.secret, { audience: TICKET_AUDIENCE });
+      return payload.eid === eventId.toString() ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Redeem a ticket. Returns { result, userId, checkInTime } where result is
+  // checked_in, already_checked_in, invalid or not_registered.
+  async checkIn(eventId, token, { staffId, method = 'qr', scannedAt } = {}) {
+    const payload = this.verifyToken(token, eventId);
+    if (!payload) return { result: 'invalid' };
+
+    // Offline scans keep the time they happened, but never a future one
+    const scanned = scannedAt ? new Date(scannedAt) : null;
+    const checkInTime = scanned && !isNaN(scanned) && scanned <= new Date() ? scanned : new Date();
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: eventId, attendees: { $elemMatch: { user: payload.uid, ticketId: payload.tid, status: 'registered' } } },
+      {
+        $set: {
+          'attendees.$.status': 'attended',
+          'attendees.$.checkInTime': checkInTime,
+          'attendees.$.checkedInBy': staffId,
+          'attendees.$.checkInMethod': CHECK_IN_METHODS.includes(method) ? method : 'qr'
+        }
+      },
+      { projection: { title: 1 } }
+    );
+    if (updated) return { result: 'checked_in', userId: payload.uid, checkInTime };
+
+    const event = await Event.findOne(
+      { _id: eventId },
+      { attendees: { $elemMatch: { user: payload.uid, ticketId: payload.tid } } }
+    ).lean();
+    const attendee = event?.attendees?.[0];
+
+    if (attendee?.status === 'attended') {
+      return { result: 'already_checked_in', userId: payload.uid, checkInTime: attendee.checkInTime };
+    }
+
+    // Cancelled, rejected, or registered again since the ticket was issued
+    return { result: 'not_registered', userId: payload.uid };
+  }
+
+  async getCounts(eventId) {
+    const event = await Event.findById(eventId).select('attendees.status').lean();
+    const statuses = (event?.attendees || []).map(a => a.status);
+
+    const checkedIn = statuses.filter(status => status === 'attended').length;
+    const confirmed = checkedIn + statuses.filter(status => status === 'registered').length;
+
+    return { confirmed, checkedIn, remaining: confirmed - checkedIn };
+  }
+
+  // Push the latest counts to everyone watching the event's check-in
+  async broadcastCounts(eventId, lastCheckIns = []) {
+    const counts = await this.getCounts(eventId);
+    socketService.sendEventCheckIn(eventId, { eventId: eventId.toString(), ...counts, lastCheckIns });
+    return counts;
+  }
+}
+
+module.exports = new EventTicketService();
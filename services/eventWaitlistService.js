@@ -0,0 +1,310 @@
+// services/eventWaitlistService.js
+// Seat allocation for events. Every change to attendees or the waitlist is a single
+// conditional update that moves seatsTaken with it, so concurrent RSVPs can't
+// overbook. Freed seats are offered to the waitlist in order; an offer holds the
+// seat for CLAIM_WINDOW_HOURS, then passes to the next person.
+const Event = require('../models/Event');
+const notificationService = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_PROMOTIONS_PER_RUN = 100;
+
+// Matches events with at least one free seat (no limit counts as free)
+const HAS_FREE_SEAT = {
+  $or: [
+    { maxAttendees: null },
+    { $expr: { $lt: ['$seatsTaken', '$maxAttendees'] } }
+  ]
+};
+
+class EventWaitlistService {
+  constructor() {
+    this.claimWindowHours = parseFloat(process.env.EVENT_CLAIM_WINDOW_HOURS) || 24;
+    this.sweepMinutes = parseFloat(process.env.EVENT_WAITLIST_SWEEP_MINUTES ?? 5); // 0 disables the schedule
+    this.timer = null;
+  }
+
+  // Start releasing expired offers on a schedule. Safe to call more than once.
+  start() {
+    if (this.timer || !this.sweepMinutes) return;
+
+    this.timer = setInterval(() => {
+      this.releaseExpiredOffers().catch(error => console.error('Waitlist sweep error:', error));
+    }, this.sweepMinutes * 60 * 1000);
+    this.timer.unref(); // Don't keep the process alive just for this
+
+    console.log(`🎟️  Event waitlist offers checked every ${this.sweepMinutes} min`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Events saved before seat counting have no seatsTaken, and a missing count
+  // compares as less than any limit - count their seats before taking requests
+  async backfillSeatCounts() {
+    const result = await Event.syncSeatCounts({ seatsTaken: { $exists: false } });
+    if (result.modifiedCount) {
+      console.log(`🎟️  Counted seats for ${result.modifiedCount} existing events`);
+    }
+    return result;
+  }
+
+  // A cancelled registration is removed before the user registers again, so the
+  // "not already an attendee" conditions below hold. It carries no seat.
+  async clearCancelledEntry(eventId, userId) {
+    await Event.updateOne(
+      { _id: eventId, attendees: { $elemMatch: { user: userId, status: 'cancelled' } } },
+      { $pull: { attendees: { user: userId, status: 'cancelled' } } }
+    );
+  }
+
+  // New registrations wait for the organizer when the event requires approval
+  async initialStatus(eventId) {
+    const event = await Event.findById(eventId).select('requiresApproval').lean();
+    return event?.requiresApproval ? 'pending' : 'registered';
+  }
+
+  // Take a seat, or join the waitlist when the event is full. A pending
+  // registration holds its seat until the organizer decides.
+  // Returns { outcome, event, position } where outcome is one of registered,
+  // pending, waitlisted, already_registered, already_pending, already_waitlisted,
+  // rejected, full or unavailable.
+  async register(eventId, userId) {
+    await this.releaseExpiredOffers({ _id: eventId });
+    await this.clearCancelledEntry(eventId, userId);
+
+    const now = new Date();
+    const status = await this.initialStatus(eventId);
+    const registered = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: 'published',
+        'attendees.user': { $ne: userId },
+        'waitlist.user': { $ne: userId },
+        'waitlist.status': { $ne: 'waiting' }, // Nobody jumps the queue
+        ...HAS_FREE_SEAT
+      },
+      { $push: { attendees: { user: userId, registeredAt: now, status } }, $inc: { seatsTaken: 1 } },
+      { new: true }
+    );
+    if (registered) return { outcome: status, event: registered };
+
+    const event = await Event.findById(eventId);
+    if (!event || event.status !== 'published') return { outcome: 'unavailable', event };
+    const existing = event.attendees.find(a => a.user.toString() === userId.toString());
+    if (existing) {
+      const outcomes = { pending: 'already_pending', rejected: 'rejected' };
+      return { outcome: outcomes[existing.status] || 'already_registered', event };
+    }
+    if (event.waitlist.some(entry => entry.user.toString() === userId.toString())) {
+      return { outcome: 'already_waitlisted', event, position: event.waitlistPosition(userId) };
+    }
+    if (!event.waitlistEnabled) return { outcome: 'full', event };
+
+    const waitlisted = await Event.findOneAndUpdate(
+      { _id: eventId, 'attendees.user': { $ne: userId }, 'waitlist.user': { $ne: userId } },
+      { $push: { waitlist: { user: userId, joinedAt: now } } },
+      { new: true }
+    );
+    if (!waitlisted) return this.register(eventId, userId); // Lost a race with our own earlier request
+
+    // A seat may have freed up between the two updates
+    await this.fillOpenSeats(eventId);
+    const latest = await Event.findById(eventId);
+    const entry = latest.waitlist.find(e => e.user.toString() === userId.toString());
+
+    return {
+      outcome: 'waitlisted',
+      event: latest,
+      position: latest.waitlistPosition(userId),
+      offer: entry?.status === 'offered' ? entry : undefined
+    };
+  }
+
+  // Cancel a registration (or a request still pending approval) and offer the
+  // seat to the waitlist. Returns the updated event, or null when the user had
+  // no registration to cancel.
+  async cancelRegistration(eventId, userId) {
+    const event = await Event.findOneAndUpdate(
+      { _id: eventId, attendees: { $elemMatch: { user: userId, status: { $in: ['pending', 'registered'] } } } },
+      {
+        $set: { 'attendees.$.status': 'cancelled', 'attendees.$.cancelledAt': new Date() },
+        $inc: { seatsTaken: -1 }
+      },
+      { new: true }
+    );
+    if (!event) return null;
+
+    await this.fillOpenSeats(eventId);
+    return event;
+  }
+
+  // Leave the waitlist, declining the seat if one was on offer.
+  // Returns the removed entry's status ('waiting' or 'offered'), or null.
+  async leaveWaitlist(eventId, userId) {
+    const offered = await Event.findOneAndUpdate(
+      { _id: eventId, waitlist: { $elemMatch: { user: userId, status: 'offered' } } },
+      { $pull: { waitlist: { user: userId } }, $inc: { seatsTaken: -1 } }
+    );
+    if (offered) {
+      await this.fillOpenSeats(eventId);
+      return 'offered';
+    }
+
+    const waiting = await Event.findOneAndUpdate(
+      { _id: eventId, waitlist: { $elemMatch: { user: userId, status: 'waiting' } } },
+      { $pull: { waitlist: { user: userId } } }
+    );
+    return waiting ? 'waiting' : null;
+  }
+
+  // Turn an open offer into a registration (pending when the event requires
+  // approval). The held seat carries over, so seatsTaken doesn't change.
+  // Returns { outcome, event, status }: claimed, expired or no_offer.
+  async claimOffer(eventId, userId) {
+    await this.clearCancelledEntry(eventId, userId);
+
+    const now = new Date();
+    const status = await this.initialStatus(eventId);
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: 'published',
+        'attendees.user': { $ne: userId },
+        waitlist: { $elemMatch: { user: userId, status: 'offered', offerExpiresAt: { $gt: now } } }
+      },
+      {
+        $pull: { waitlist: { user: userId } },
+        $push: { attendees: { user: userId, registeredAt: now, status } }
+      },
+      { new: true }
+    );
+    if (event) return { outcome: 'claimed', event, status };
+
+    const expired = await Event.exists({
+      _id: eventId,
+      waitlist: { $elemMatch: { user: userId, status: 'offered', offerExpiresAt: { $lte: now } } }
+    });
+    if (expired) {
+      await this.releaseExpiredOffers({ _id: eventId });
+      return { outcome: 'expired' };
+    }
+
+    return { outcome: 'no_offer' };
+  }
+
+  // Approve or reject a pending registration. Rejecting frees the seat.
+  // Returns the updated event, or null when there was no pending registration.
+  async reviewRegistration(eventId, userId, { approve, reviewerId, message }) {
+    const set = {
+      'attendees.$.status': approve ? 'registered' : 'rejected',
+      'attendees.$.reviewedAt': new Date(),
+      'attendees.$.reviewedBy': reviewerId
+    };
+    if (message) set['attendees.$.reviewMessage'] = message;
+
+    const event = await Event.findOneAndUpdate(
+      { _id: eventId, attendees: { $elemMatch: { user: userId, status: 'pending' } } },
+      approve ? { $set: set } : { $set: set, $inc: { seatsTaken: -1 } },
+      { new: true, runValidators: true }
+    );
+
+    if (event && !approve) await this.fillOpenSeats(eventId);
+    return event;
+  }
+
+  // Offer free seats to the first people waiting. Returns the user ids offered a seat.
+  async fillOpenSeats(eventId) {
+    const offered = [];
+
+    for (let i = 0; i < MAX_PROMOTIONS_PER_RUN; i++) {
+      const event = await Event.findById(eventId)
+        .select('title status startDate maxAttendees seatsTaken waitlist')
+        .lean();
+      if (!event || event.status !== 'published' || event.startDate <= new Date()) break;
+      if (event.maxAttendees && event.seatsTaken >= event.maxAttendees) break;
+
+      const next = (event.waitlist || []).find(entry => entry.status === 'waiting');
+      if (!next) break;
+
+      const now = new Date();
+      // The offer never outlives the start of the event
+      const expiresAt = new Date(Math.min(now.getTime() + this.claimWindowHours * HOUR_MS, new Date(event.startDate).getTime()));
+
+      const updated = await Event.findOneAndUpdate(
+        { _id: eventId, waitlist: { $elemMatch: { user: next.user, status: 'waiting' } }, ...HAS_FREE_SEAT },
+        {
+          $set: { 'waitlist.$.status': 'offered', 'waitlist.$.offeredAt': now, 'waitlist.$.offerExpiresAt': expiresAt },
+          $inc: { seatsTaken: 1 }
+        }
+      );
+      // Not updated: someone else took the seat or the entry left - look again
+      if (!updated) continue;
+
+      offered.push(next.user);
+      notificationService.createWaitlistOffer(event._id, event.title, next.user, expiresAt)
+        .catch(err => console.error('Waitlist offer notification failed:', err.message));
+    }
+
+    return offered;
+  }
+
+  // Drop offers whose claim window has passed and pass their seats on
+  async releaseExpiredOffers(filter = {}) {
+    const now = new Date();
+    const events = await Event.find({
+      ...filter,
+      waitlist: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: now } } }
+    })
+      .select('title waitlist')
+      .lean();
+
+    let released = 0;
+    for (const event of events) {
+      const expired = event.waitlist.filter(entry => entry.status === 'offered' && entry.offerExpiresAt <= now);
+
+      for (const entry of expired) {
+        const result = await Event.updateOne(
+          { _id: event._id, waitlist: { $elemMatch: { user: entry.user, status: 'offered', offerExpiresAt: { $lte: now } } } },
+          { $pull: { waitlist: { user: entry.user } }, $inc: { seatsTaken: -1 } }
+        );
+        if (!result.modifiedCount) continue; // Claimed or released meanwhile
+
+        released++;
+        notificationService.createWaitlistOfferExpired(event._id, event.title, entry.user)
+          .catch(err => console.error('Waitlist expiry notification failed:', err.message));
+      }
+
+      await this.fillOpenSeats(event._id);
+    }
+
+    return { events: events.length, released };
+  }
+
+  // Remove a deleted user from every event, passing on any seat they held
+  async removeUser(userId) {
+    const events = await Event.find({ $or: [{ 'attendees.user': userId }, { 'waitlist.user': userId }] })
+      .select('attendees waitlist')
+      .lean();
+
+    for (const event of events) {
+      const heldSeats =
+        event.attendees.filter(a => a.user?.toString() === userId.toString() && Event.SEAT_HOLDING_STATUSES.includes(a.status)).length +
+        event.waitlist.filter(entry => entry.user?.toString() === userId.toString() && entry.status === 'offered').length;
+
+      await Event.updateOne(
+        { _id: event._id },
+        {
+          $pull: { attendees: { user: userId }, waitlist: { user: userId } },
+          $inc: { seatsTaken: -heldSeats }
+        }
+      );
+
+      if (heldSeats) await this.fillOpenSeats(event._id);
+    }
+  }
+}
+
+module.exports = new EventWaitlistService();
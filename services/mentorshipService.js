@@ -0,0 +1,153 @@
+// services/mentorshipService.js
+// Ranks mentors for a mentee. Only alumni who are available for mentoring, have
+// room for another mentee and have no block with the mentee are considered.
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Mentorship = require('../models/Mentorship');
+const Block = require('../models/Block');
+
+const MAX_MATCHES = 50;
+const MENTOR_CANDIDATES = 500;
+
+// Points per signal. Capped signals stop counting after the cap.
+const MATCH_WEIGHTS = {
+  area: 25, // Mentors for the area the mentee asked about
+  program: 20,
+  industry: 20,
+  skill: 5, // Each shared skill, up to 25
+  interest: 5, // Each of the mentee's interests the mentor mentors in, up to 15
+  verified: 5
+};
+const MAX_SKILL_POINTS = 25;
+const MAX_INTEREST_POINTS = 15;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Case-insensitive exact match for free-text values such as mentoring areas
+const exactly = (value) => new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const CANDIDATE_FIELDS = 'user program industry skills mentoring alumniVerification.status';
+// Deterministic, most recently active first, so the cap never picks an arbitrary subset
+const CANDIDATE_SORT = { lastActiveAt: -1, _id: 1 };
+
+class MentorshipService {
+  // Profiles saved before mentee slots were counted have no activeMentees - count
+  // them before anyone can accept a request
+  async backfillActiveMentees() {
+    const result = await Mentorship.syncActiveMentees({ 'mentoring.activeMentees': { $exists: false } });
+    if (result.modifiedCount) console.log(`🤝 Counted active mentees for ${result.modifiedCount} profiles`);
+    return result;
+  }
+
+  // [{ userId, score, reasons, capacity, activeMentees, matchesArea }], best first.
+  // With an area, only mentors who list it as a mentoring area or skill are returned.
+  async findMatches(menteeId, { area, limit = 10 } = {}) {
+    const [profile, hidden, open] = await Promise.all([
+      Profile.findOne({ user: menteeId }).select('program industry skills interests').lean(),
+      Block.getHiddenIds(menteeId),
+      Mentorship.find({ mentee: menteeId, status: { $in: Mentorship.OPEN_STATUSES } }).select('mentor').lean()
+    ]);
+
+    // Mentors the mentee already has or has asked are not suggested again
+    const excluded = [menteeId.toString(), ...hidden, ...open.map(m => m.mentor.toString())];
+
+    const available = { availableForMentoring: true, profileVisibility: { $ne: 'private' } };
+    const findCandidates = (filter, skipIds, limit) => Profile.find({ ...available, ...filter, user: { $nin: skipIds } })
+      .select(CANDIDATE_FIELDS)
+      .sort(CANDIDATE_SORT)
+      .limit(limit)
+      .lean();
+
+    // Candidates sharing something with the mentee come first, so the cap only
+    // ever cuts mentors who would score nothing but the verified bonus
+    let candidates;
+    if (area) {
+      candidates = await findCandidates(
+        { $or: [{ 'mentoring.areas': exactly(area) }, { skills: exactly(area) }] },
+        excluded,
+        MENTOR_CANDIDATES
+      );
+    } else {
+      const signals = [];
+      if (profile?.program) signals.push({ program: profile.program });
+      if (profile?.industry) signals.push({ industry: exactly(profile.industry) });
+      if (profile?.skills?.length) signals.push({ skills: { $in: profile.skills } });
+      if (profile?.interests?.length) signals.push({ 'mentoring.areas': { $in: profile.interests.map(exactly) } });
+
+      candidates = signals.length ? await findCandidates({ $or: signals }, excluded, MENTOR_CANDIDATES) : [];
+      if (candidates.length < MENTOR_CANDIDATES) {
+        const seen = candidates.map(candidate => candidate.user.toString());
+        candidates = candidates.concat(
+          await findCandidates({}, [...excluded, ...seen], MENTOR_CANDIDATES - candidates.length)
+        );
+      }
+    }
+
+    const candidateIds = candidates.map(candidate => candidate.user);
+    const [activeUsers, activeCounts] = await Promise.all([
+      User.find({ _id: { $in: candidateIds }, isActive: true, role: 'alumni' }).select('_id').lean(),
+      Mentorship.getActiveCounts(candidateIds)
+    ]);
+    const activeIds = new Set(activeUsers.map(user => user._id.toString()));
+
+    const wantedArea = normalize(area);
+    const mySkills = new Set((profile?.skills || []).map(normalize));
+    const myInterests = new Set((profile?.interests || []).map(normalize));
+
+    return candidates
+      .filter(candidate => activeIds.has(candidate.user.toString()))
+      .map(candidate => {
+        const userId = candidate.user.toString();
+        const capacity = candidate.mentoring?.capacity || 2;
+        const activeMentees = activeCounts.get(userId) || 0;
+        const areas = candidate.mentoring?.areas || [];
+        const reasons = [];
+        let score = 0;
+        let matchesArea = false;
+
+        if (wantedArea) {
+          const match = areas.find(a => normalize(a) === wantedArea) ||
+            (candidate.skills || []).find(skill => normalize(skill) === wantedArea);
+          if (match) {
+            matchesArea = true;
+            score += MATCH_WEIGHTS.area;
+            reasons.push(`Mentors in ${match}`);
+          }
+        }
+
+        if (profile?.program && candidate.program === profile.program) {
+          score += MATCH_WEIGHTS.program;
+          reasons.push(`Also studied ${candidate.program}`);
+        }
+
+        if (profile?.industry && normalize(candidate.industry) === normalize(profile.industry)) {
+          score += MATCH_WEIGHTS.industry;
+          reasons.push(`Works in ${candidate.industry}`);
+        }
+
+        const sharedSkills = (candidate.skills || []).filter(skill => mySkills.has(normalize(skill)));
+        if (sharedSkills.length) {
+          score += Math.min(sharedSkills.length * MATCH_WEIGHTS.skill, MAX_SKILL_POINTS);
+          reasons.push(`${sharedSkills.length} shared skill${sharedSkills.length === 1 ? '' : 's'}`);
+        }
+
+        const sharedInterests = areas.filter(a => myInterests.has(normalize(a)));
+        if (sharedInterests.length) {
+          score += Math.min(sharedInterests.length * MATCH_WEIGHTS.interest, MAX_INTEREST_POINTS);
+          reasons.push(`Mentors in ${sharedInterests.join(', ')}`);
+        }
+
+        if (candidate.alumniVerification?.status === 'verified') {
+          score += MATCH_WEIGHTS.verified;
+        }
+
+        return { userId, score, reasons, capacity, activeMentees, matchesArea };
+      })
+      .filter(match => match.activeMentees < match.capacity)
+      .filter(match => !wantedArea || match.matchesArea)
+      .sort((a, b) => b.score - a.score || a.activeMentees - b.activeMentees)
+      .slice(0, Math.min(limit, MAX_MATCHES));
+  }
+}
+
+module.exports = new MentorshipService();
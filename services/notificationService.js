@@ -2,6 +2,8 @@
 const Notification = require('../models/Notification');
 const emailService = require('./emailService');
 
+const PROFILE_VIEW_DIGEST_HOURS = parseInt(process.env.PROFILE_VIEW_DIGEST_HOURS) || 24;
+
 class NotificationService {
   
   // Create a connection request notification
@@ -16,6 +18,7 @@ class NotificationService {
         data: { senderId },
         priority: 'medium'
       });
+      if (!notification) return null; // Sender and recipient have a block
 
       // Send email notification if user has email notifications enabled
       const User = require('../models/User');
@@ -52,6 +55,68 @@ class NotificationService {
     }
   }
 
+  // Create skill endorsement notification
+  async createSkillEndorsement(endorserId, recipientId, endorserName, skill) {
+    try {
+      return await Notification.createNotification({
+        recipient: recipientId,
+        sender: endorserId,
+        type: 'system',
+        title: 'New Skill Endorsement',
+        message: `${endorserName} endorsed you for ${skill}`,
+        data: { senderId: endorserId, skill },
+        actionUrl: '/alumni/me/profile',
+        priority: 'low'
+      });
+    } catch (error) {
+      console.error('Create skill endorsement notification error:', error);
+      throw error;
+    }
+  }
+
+  // Create mentorship request notification for the mentor
+  async createMentorshipRequest(menteeId, mentorId, menteeName, mentorshipId) {
+    try {
+      return await Notification.createNotification({
+        recipient: mentorId,
+        sender: menteeId,
+        type: 'mentorship_request',
+        title: 'New Mentorship Request',
+        message: `${menteeName} would like you to mentor them`,
+        data: { senderId: menteeId, mentorshipId },
+        priority: 'medium'
+      });
+    } catch (error) {
+      console.error('Create mentorship request notification error:', error);
+      throw error;
+    }
+  }
+
+  // Tell the other side of a mentorship that it was accepted, declined, cancelled or completed
+  async createMentorshipUpdate(senderId, recipientId, senderName, mentorshipId, status) {
+    try {
+      const messages = {
+        active: `${senderName} accepted your mentorship request`,
+        declined: `${senderName} declined your mentorship request`,
+        cancelled: `${senderName} cancelled the mentorship`,
+        completed: `${senderName} marked your mentorship as completed`
+      };
+
+      return await Notification.createNotification({
+        recipient: recipientId,
+        sender: senderId,
+        type: 'mentorship_update',
+        title: status === 'active' ? 'Mentorship Accepted' : 'Mentorship Update',
+        message: messages[status] || `${senderName} updated your mentorship`,
+        data: { senderId, mentorshipId, status },
+        priority: status === 'active' ? 'medium' : 'low'
+      });
+    } catch (error) {
+      console.error('Create mentorship update notification error:', error);
+      throw error;
+    }
+  }
+
   // Create event reminder notification
   async createEventReminder(eventId, eventTitle, attendeeIds, reminderType = 'upcoming') {
     try {
@@ -91,6 +156,7 @@ class NotificationService {
         data: { jobId, jobTitle, applicantId },
         priority: 'medium'
       });
+      if (!notification) return null; // Sender and recipient have a block
 
       // Send email notification
       const User = require('../models/User');
@@ -200,20 +266,132 @@ class NotificationService {
     }
   }
 
-  // Create profile view notification
-  async createProfileView(viewerId, viewerName, profileOwnerId) {
+  // Tell an applicant whether the organizer approved their registration
+  async createRegistrationDecision(eventId, eventTitle, userId, approved, reviewMessage, reviewerId) {
+    try {
+      const notification = await Notification.createNotification({
+        recipient: userId,
+        sender: reviewerId,
+        type: 'event_rsvp',
+        title: approved ? 'Registration Approved' : 'Registration Not Approved',
+        message: approved
+          ? `Your registration for ${eventTitle} has been approved`
+          : `Your registration for ${eventTitle} was not approved`,
+        data: { eventId, eventTitle, approved, reviewMessage },
+        priority: approved ? 'medium' : 'low'
+      });
+
+      const User = require('../models/User');
+      const recipient = await User.findById(userId).select('firstName email preferences');
+      if (recipient?.preferences?.emailNotifications) {
+        emailService.sendRegistrationDecision(recipient, { _id: eventId, title: eventTitle }, approved, reviewMessage)
+          .catch(err => console.log('Registration decision email failed:', err.message));
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Create registration decision notification error:', error);
+      throw error;
+    }
+  }
+
+  // A seat freed up for someone on the waitlist - they have until expiresAt to claim it
+  async createWaitlistOffer(eventId, eventTitle, userId, expiresAt) {
+    try {
+      const notification = await Notification.createNotification({
+        recipient: userId,
+        type: 'event_waitlist',
+        title: 'A Spot Opened Up',
+        message: `A spot opened up at ${eventTitle}. Claim it before ${expiresAt.toLocaleString()} or it goes to the next person.`,
+        data: { eventId, eventTitle, offerExpiresAt: expiresAt },
+        priority: 'high'
+      });
+
+      const User = require('../models/User');
+      const recipient = await User.findById(userId).select('firstName email preferences');
+      if (recipient?.preferences?.emailNotifications) {
+        emailService.sendWaitlistOffer(recipient, { _id: eventId, title: eventTitle }, expiresAt)
+          .catch(err => console.log('Waitlist offer email failed:', err.message));
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Create waitlist offer notification error:', error);
+      throw error;
+    }
+  }
+
+  // The claim window passed without the seat being claimed
+  async createWaitlistOfferExpired(eventId, eventTitle, userId) {
     try {
+      return await Notification.createNotification({
+        recipient: userId,
+        type: 'event_waitlist',
+        title: 'Waitlist Spot Expired',
+        message: `Your spot at ${eventTitle} was not claimed in time and has been offered to the next person`,
+        data: { eventId, eventTitle },
+        priority: 'low'
+      });
+    } catch (error) {
+      console.error('Create waitlist expiry notification error:', error);
+      throw error;
+    }
+  }
+
+  // Summarise recent profile views in one notification, at most once per
+  // PROFILE_VIEW_DIGEST_HOURS per profile owner, instead of one per view
+  async sendProfileViewDigest(profileOwnerId) {
+    try {
+      const Activity = require('../models/Activity');
+      const User = require('../models/User');
+      const Block = require('../models/Block');
+
+      const throttleMs = PROFILE_VIEW_DIGEST_HOURS * 60 * 60 * 1000;
+      const lastDigest = await Notification.findOne({ recipient: profileOwnerId, type: 'profile_view' })
+        .sort({ createdAt: -1 })
+        .select('createdAt');
+
+      if (lastDigest && Date.now() - lastDigest.createdAt < throttleMs) return null;
+
+      const since = lastDigest?.createdAt || new Date(Date.now() - throttleMs);
+      const views = await Activity.find({
+        type: 'profile_view',
+        'metadata.targetUser': profileOwnerId,
+        'metadata.targetPost': { $exists: false },
+        createdAt: { $gt: since }
+      })
+        .sort({ createdAt: -1 })
+        .select('user metadata.anonymous')
+        .lean();
+
+      if (views.length === 0) return null;
+
+      // Blocked viewers still count, but are never named
+      const hiddenIds = new Set(await Block.getHiddenIds(profileOwnerId));
+      const viewerCount = new Set(views.map(view => view.user.toString())).size;
+      const namedView = views.find(view => !view.metadata?.anonymous && !hiddenIds.has(view.user.toString()));
+      const named = namedView && await User.findById(namedView.user).select('firstName lastName');
+
+      let message;
+      if (named && viewerCount === 1) {
+        message = `${named.firstName} ${named.lastName} viewed your profile`;
+      } else if (named) {
+        const others = viewerCount - 1;
+        message = `${named.firstName} ${named.lastName} and ${others} other${others > 1 ? 's' : ''} viewed your profile`;
+      } else {
+        message = `${viewerCount} ${viewerCount === 1 ? 'person' : 'people'} viewed your profile`;
+      }
+
       return await Notification.createNotification({
         recipient: profileOwnerId,
-        sender: viewerId,
         type: 'profile_view',
-        title: 'Profile View',
-        message: `${viewerName} viewed your profile`,
-        data: { viewerId },
+        title: 'Profile Views',
+        message,
+        data: { viewerCount, viewCount: views.length, since },
         priority: 'low'
       });
     } catch (error) {
-      console.error('Create profile view notification error:', error);
+      console.error('Send profile view digest error:', error);
       throw error;
     }
   }
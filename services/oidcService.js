@@ -0,0 +1,231 @@
+// services/oidcService.js - OpenID Connect authorization code flow with PKCE
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadProviders } = require('../config/oidc');
+
+const METADATA_TTL_MS = 60 * 60 * 1000; // Re-read discovery documents and keys hourly
+const FLOW_EXPIRES_IN = '10m';
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Login failures that are the caller's or the identity provider's fault rather than ours
+class OidcError extends Error {
+  constructor(message, code = 'OIDC_ERROR') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+class OidcService {
+  constructor() {
+    this.providers = loadProviders();
+    this.metadata = new Map(); // provider key -> { discovery, jwks, fetchedAt }
+
+    const names = Object.keys(this.providers);
+    if (names.length > 0) {
+      console.log(`🔑 OIDC providers configured: ${names.join(', ')}`);
+    }
+  }
+
+  // Public description of the configured providers for the login page
+  listProviders() {
+    return Object.values(this.providers).map(({ key, name, issuer }) => ({ key, name, issuer }));
+  }
+
+  getProvider(key) {
+    const provider = this.providers[String(key).toLowerCase()];
+    if (!provider) {
+      throw new OidcError('Unknown identity provider', 'OIDC_UNKNOWN_PROVIDER');
+    }
+    return provider;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data) {
+      const detail = data?.error_description || data?.error || response.statusText;
+      throw new OidcError(`Identity provider request failed: ${detail}`, 'OIDC_PROVIDER_ERROR');
+    }
+
+    return data;
+  }
+
+  async getMetadata(provider, { refresh = false } = {}) {
+    const cached = this.metadata.get(provider.key);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached;
+    }
+
+    const discovery = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (discovery.issuer.replace(/\/+$/, '') !== provider.issuer) {
+      throw new OidcError('Identity provider issuer mismatch', 'OIDC_PROVIDER_ERROR');
+    }
+
+    const jwks = await this.fetchJson(discovery.jwks_uri);
+    const metadata = { discovery, jwks, fetchedAt: Date.now() };
+    this.metadata.set(provider.key, metadata);
+    return metadata;
+  }
+
+  // Start a login: returns the URL to send the browser to plus a signed flow token the
+  // client keeps (e.g. in sessionStorage) and hands back with the callback parameters.
+  // The PKCE verifier and nonce live in the flow token, so the server stays stateless.
+  async createAuthorizationRequest(providerKey) {
+    const provider = this.getProvider(providerKey);
+    const { discovery } = await this.getMetadata(provider);
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    const flowToken = jwt.sign(
+      { type: 'oidc_flow', provider: provider.key, state, nonce, codeVerifier },
+      process.env.JWT_SECRET,
+      { expiresIn: FLOW_EXPIRES_IN }
+    );
+
+    return {
+      authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`,
+      state,
+      flowToken
+    };
+  }
+
+  async exchangeCode(provider, discovery, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (provider.clientSecret) {
+      const methods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', provider.clientSecret);
+      }
+    }
+
+    const tokens = await this.fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new OidcError('Identity provider did not return an ID token', 'OIDC_PROVIDER_ERROR');
+    }
+
+    return tokens;
+  }
+
+  async getSigningKey(provider, kid) {
+    let { jwks } = await this.getMetadata(provider);
+    let jwk = jwks.keys.find(key => !kid || key.kid === kid);
+
+    // Unknown key id - the provider may have rotated its keys
+    if (!jwk) {
+      ({ jwks } = await this.getMetadata(provider, { refresh: true }));
+      jwk = jwks.keys.find(key => !kid || key.kid === kid);
+    }
+
+    if (!jwk) {
+      throw new OidcError('ID token signing key not found', 'OIDC_INVALID_TOKEN');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new OidcError('Invalid ID token', 'OIDC_INVALID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SIGNING_ALGORITHMS,
+        issuer: [provider.issuer, `${provider.issuer}/`],
+        audience: provider.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new OidcError(`Invalid ID token: ${error.message}`, 'OIDC_INVALID_TOKEN');
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce mismatch', 'OIDC_INVALID_TOKEN');
+    }
+
+    return claims;
+  }
+
+  // Finish a login from the callback parameters; returns the verified ID token claims
+  async completeAuthorization(providerKey, { code, state, flowToken }) {
+    const provider = this.getProvider(providerKey);
+
+    let flow;
+    try {
+      flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new OidcError('Login session expired. Please try again.', 'OIDC_FLOW_EXPIRED');
+    }
+
+    if (flow.type !== 'oidc_flow' || flow.provider !== provider.key || flow.state !== state) {
+      throw new OidcError('Login state mismatch. Please try again.', 'OIDC_STATE_MISMATCH');
+    }
+
+    const { discovery } = await this.getMetadata(provider);
+    const tokens = await this.exchangeCode(provider, discovery, code, flow.codeVerifier);
+    const claims = await this.verifyIdToken(provider, tokens.id_token, flow.nonce);
+
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this.fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (userInfo.sub === claims.sub) {
+        Object.assign(claims, {
+          email: userInfo.email,
+          email_verified: userInfo.email_verified,
+          given_name: claims.given_name || userInfo.given_name,
+          family_name: claims.family_name || userInfo.family_name,
+          name: claims.name || userInfo.name
+        });
+      }
+    }
+
+    return claims;
+  }
+}
+
+const oidcService = new OidcService();
+oidcService.OidcError = OidcError;
+
+module.exports = oidcService;
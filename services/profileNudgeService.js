@@ -0,0 +1,100 @@
+// services/profileNudgeService.js
+// Periodically emails alumni whose profiles are below the completeness threshold,
+// listing the next steps that would raise their score the most.
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const emailService = require('./emailService');
+const { getCompletenessWeights, scoreProfile } = require('../utils/profileCompleteness');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProfileNudgeService {
+  constructor() {
+    this.intervalHours = parseFloat(process.env.PROFILE_NUDGE_INTERVAL_HOURS ?? 24); // 0 disables the schedule
+    this.threshold = parseInt(process.env.PROFILE_NUDGE_THRESHOLD) || 60; // Nudge below this score
+    this.repeatDays = parseInt(process.env.PROFILE_NUDGE_REPEAT_DAYS) || 14; // Minimum gap between nudges
+    this.graceDays = 3; // Leave new accounts alone for a few days
+    this.batchSize = 200;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Start the schedule. Safe to call more than once.
+  start() {
+    if (this.timer || !this.intervalHours) return;
+
+    this.timer = setInterval(() => {
+      this.sendNudges().catch(error => console.error('Profile nudge run error:', error));
+    }, this.intervalHours * 60 * 60 * 1000);
+    this.timer.unref(); // Don't keep the process alive just for this
+
+    console.log(`📝 Profile completeness nudges scheduled every ${this.intervalHours}h`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Send one batch of nudges. Returns counts of what happened.
+  async sendNudges({ threshold = this.threshold } = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A nudge run is already in progress' };
+    }
+
+    this.running = true;
+    const summary = { candidates: 0, sent: 0, failed: 0, alreadyComplete: 0 };
+
+    try {
+      const now = Date.now();
+      const users = await User.find({
+        role: 'alumni',
+        isActive: true,
+        isVerified: true,
+        'preferences.emailNotifications': { $ne: false },
+        profileCompletion: { $lt: threshold },
+        createdAt: { $lt: new Date(now - this.graceDays * DAY_MS) },
+        $or: [
+          { profileNudgeSentAt: { $exists: false } },
+          { profileNudgeSentAt: { $lt: new Date(now - this.repeatDays * DAY_MS) } }
+        ]
+      })
+        .select('firstName lastName email profileCompletion')
+        .sort({ profileNudgeSentAt: 1 })
+        .limit(this.batchSize);
+
+      summary.candidates = users.length;
+      if (users.length === 0) return summary;
+
+      const weights = await getCompletenessWeights();
+      const profiles = await Profile.find({ user: { $in: users.map(user => user._id) } });
+      const profileByUser = new Map(profiles.map(profile => [profile.user.toString(), profile]));
+
+      for (const user of users) {
+        const completeness = scoreProfile(profileByUser.get(user._id.toString()), weights);
+
+        // Stored score was stale (e.g. weights changed) - correct it instead of nudging
+        if (completeness.score >= threshold) {
+          await User.updateOne({ _id: user._id }, { profileCompletion: completeness.score });
+          summary.alreadyComplete++;
+          continue;
+        }
+
+        const result = await emailService.sendProfileCompletenessNudge(user, completeness);
+        if (result.success) {
+          await User.updateOne({ _id: user._id }, { profileNudgeSentAt: new Date() });
+          summary.sent++;
+        } else {
+          summary.failed++;
+        }
+      }
+
+      console.log(`📝 Profile nudges: ${summary.sent} sent, ${summary.failed} failed of ${summary.candidates}`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new ProfileNudgeService();
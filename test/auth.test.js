@@ -0,0 +1,118 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { connectTestDatabase, disconnectTestDatabase, NO_DATABASE } = require('./helpers/db');
+const { startApp, createUser, signIn } = require('./helpers/api');
+const { TOKEN_AUDIENCES, verifyAccessToken } = require('../utils/authHelpers');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth.routes');
+
+const sign = (payload, audience) => jwt.sign(payload, process.env.JWT_SECRET, { audience, expiresIn: '1h' });
+
+describe('verifyAccessToken', () => {
+  const sid = '65f000000000000000000001';
+
+  test('accepts an access token bound to a session', () => {
+    const decoded = verifyAccessToken(sign({ userId: 'u1', sid }, TOKEN_AUDIENCES.access));
+    assert.equal(decoded.sid, sid);
+  });
+
+  test('rejects refresh and login challenge tokens', () => {
+    assert.throws(() => verifyAccessToken(sign({ userId: 'u1', sid, type: 'refresh' }, TOKEN_AUDIENCES.refresh)));
+    assert.throws(() => verifyAccessToken(sign({ userId: 'u1', type: '2fa_challenge' }, TOKEN_AUDIENCES.twoFactorChallenge)));
+    // Right audience, but still typed as another kind of token
+    assert.throws(() => verifyAccessToken(sign({ userId: 'u1', sid, type: 'refresh' }, TOKEN_AUDIENCES.access)), /Not an access token/);
+  });
+
+  test('rejects tokens issued before sessions existed', () => {
+    assert.throws(() => verifyAccessToken(sign({ userId: 'u1' }, TOKEN_AUDIENCES.access)), /Not an access token/);
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const forged = jwt.sign({ userId: 'u1', sid }, 'not-the-secret', { audience: TOKEN_AUDIENCES.access });
+    assert.throws(() => verifyAccessToken(forged), /invalid signature/);
+  });
+});
+
+describe('refresh token rotation', () => {
+  let db;
+  let api;
+
+  before(async () => {
+    db = await connectTestDatabase();
+    if (db) api = await startApp({ '/api/auth': authRoutes });
+  });
+
+  after(async () => {
+    if (api) await api.close();
+    await disconnectTestDatabase();
+  });
+
+  const refresh = (refreshToken) => fetch(`${api.url}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+
+  const refreshTokenFor = (user, session) => sign(
+    { userId: user._id, sid: session._id, jti: session.jti, type: 'refresh' },
+    TOKEN_AUDIENCES.refresh
+  );
+
+  test('a refresh token works once, and replaying it revokes the session', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const user = await createUser();
+    const { session } = await signIn(user);
+    const first = refreshTokenFor(user, session);
+
+    const rotated = await refresh(first);
+    assert.equal(rotated.status, 200);
+    const { tokens } = (await rotated.json()).data;
+    assert.notEqual(jwt.decode(tokens.refreshToken).jti, session.jti);
+
+    const replayed = await refresh(first);
+    assert.equal(replayed.status, 401);
+    assert.equal((await replayed.json()).code, 'REFRESH_TOKEN_REUSED');
+
+    // The whole family is gone, including the token handed out by the rotation
+    const revoked = await Session.findById(session._id);
+    assert.equal(revoked.revokedReason, 'reuse_detected');
+    assert.equal((await refresh(tokens.refreshToken)).status, 401);
+  });
+
+  test('concurrent refreshes with the same token rotate only once', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const user = await createUser();
+    const { session } = await signIn(user);
+    const token = refreshTokenFor(user, session);
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => refresh(token)));
+    const statuses = responses.map(response => response.status);
+
+    assert.equal(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+  });
+
+  test('a refresh token from before sessions is refused', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const user = await createUser();
+    const legacy = sign({ userId: user._id, type: 'refresh' }, TOKEN_AUDIENCES.refresh);
+
+    assert.equal((await refresh(legacy)).status, 401);
+    assert.equal(await Session.countDocuments({ user: user._id }), 0);
+  });
+
+  test('the access token stops working once its session is revoked', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const user = await createUser();
+    const { session, headers } = await signIn(user);
+    const me = () => fetch(`${api.url}/api/auth/me`, { headers });
+
+    assert.equal((await me()).status, 200);
+    await session.revoke('logout');
+    assert.equal((await me()).status, 401);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectTestDatabase, disconnectTestDatabase, NO_DATABASE } = require('./helpers/db');
+const { startApp, createUser, signIn } = require('./helpers/api');
+const Connection = require('../models/Connection');
+const Profile = require('../models/Profile');
+const Activity = require('../models/Activity');
+const alumniRoutes = require('../routes/alumni.routes');
+
+describe('connection requests', () => {
+  let db;
+  let api;
+
+  before(async () => {
+    db = await connectTestDatabase();
+    if (!db) return;
+
+    await Connection.init(); // The unique pair index must exist before requests race
+    api = await startApp({ '/api/alumni': alumniRoutes });
+  });
+
+  after(async () => {
+    if (api) await api.close();
+    await disconnectTestDatabase();
+  });
+
+  // Two alumni with profiles, each signed in
+  const createPair = async () => {
+    const [requester, addressee] = await Promise.all([createUser(), createUser()]);
+    await Profile.create([{ user: requester._id }, { user: addressee._id }]);
+    const [requesterAuth, addresseeAuth] = await Promise.all([signIn(requester), signIn(addressee)]);
+
+    return {
+      requester: { user: requester, headers: requesterAuth.headers },
+      addressee: { user: addressee, headers: addresseeAuth.headers }
+    };
+  };
+
+  const request = (from, to) => fetch(`${api.url}/api/alumni/${to.user._id}/connect`, {
+    method: 'POST',
+    headers: from.headers,
+    body: JSON.stringify({ message: 'We were in the same class' })
+  });
+
+  const answer = (by, connectionId, action) => fetch(`${api.url}/api/alumni/connections/${connectionId}/${action}`, {
+    method: 'PUT',
+    headers: by.headers
+  });
+
+  const acceptedActivities = (connectionId) => Activity.countDocuments({
+    type: 'connection_accepted',
+    'metadata.connectionId': connectionId
+  });
+
+  test('requests sent both ways at once create a single connection', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const { requester, addressee } = await createPair();
+    const responses = await Promise.all([
+      request(requester, addressee),
+      request(addressee, requester),
+      request(requester, addressee)
+    ]);
+
+    assert.equal(responses.filter(response => response.status === 200).length, 1);
+    assert.equal(await Connection.countDocuments({ pairKey: Connection.pairKey(requester.user._id, addressee.user._id) }), 1);
+  });
+
+  test('accepting the same request twice at once connects once', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const { requester, addressee } = await createPair();
+    const { connectionId } = (await (await request(requester, addressee)).json()).data;
+
+    const responses = await Promise.all(Array.from({ length: 4 }, () => answer(addressee, connectionId, 'accept')));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 404, 404, 404]);
+    assert.ok(await Connection.areConnected(requester.user._id, addressee.user._id));
+    // One activity for each side, not one per click
+    assert.equal(await acceptedActivities(connectionId), 2);
+  });
+
+  test('an accept racing a reject leaves one consistent outcome', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const { requester, addressee } = await createPair();
+    const { connectionId } = (await (await request(requester, addressee)).json()).data;
+
+    const [accepted, rejected] = await Promise.all([
+      answer(addressee, connectionId, 'accept'),
+      answer(addressee, connectionId, 'reject')
+    ]);
+    assert.deepEqual([accepted.status, rejected.status].sort(), [200, 404]);
+
+    const connection = await Connection.findById(connectionId);
+    if (accepted.status === 200) {
+      assert.equal(connection.status, 'accepted');
+      assert.equal(await acceptedActivities(connectionId), 2);
+    } else {
+      assert.equal(connection, null);
+      assert.equal(await acceptedActivities(connectionId), 0);
+    }
+  });
+
+  test('only the addressee can answer a request', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const { requester, addressee } = await createPair();
+    const { connectionId } = (await (await request(requester, addressee)).json()).data;
+
+    assert.equal((await answer(requester, connectionId, 'accept')).status, 404);
+    assert.equal((await Connection.findById(connectionId)).status, 'pending');
+  });
+});
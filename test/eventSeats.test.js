@@ -0,0 +1,131 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { connectTestDatabase, disconnectTestDatabase, NO_DATABASE } = require('./helpers/db');
+const Event = require('../models/Event');
+const eventWaitlistService = require('../services/eventWaitlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const createEvent = (overrides = {}) => Event.create({
+  title: 'Alumni mixer',
+  description: 'Drinks and introductions',
+  eventType: 'Networking',
+  startDate: new Date(Date.now() + 7 * DAY_MS),
+  endDate: new Date(Date.now() + 7 * DAY_MS + 2 * 60 * 60 * 1000),
+  organizer: newId(),
+  status: 'published',
+  ...overrides
+});
+
+const countBy = (values) => values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+
+// seatsTaken must always equal a fresh recount of the arrays it accounts for
+const assertSeatsConsistent = async (eventId) => {
+  const event = await Event.findById(eventId).lean();
+  const held = event.attendees.filter(a => Event.SEAT_HOLDING_STATUSES.includes(a.status)).length +
+    event.waitlist.filter(entry => entry.status === 'offered').length;
+
+  assert.equal(event.seatsTaken, held, 'seatsTaken drifted from the registrations');
+  if (event.maxAttendees) assert.ok(event.seatsTaken <= event.maxAttendees, 'event is overbooked');
+  return event;
+};
+
+describe('event seat allocation', () => {
+  let db;
+
+  before(async () => {
+    db = await connectTestDatabase();
+  });
+
+  after(() => disconnectTestDatabase());
+
+  test('concurrent RSVPs for the last seat register exactly one person', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const event = await createEvent({ maxAttendees: 1 });
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => eventWaitlistService.register(event._id, newId()))
+    );
+
+    assert.deepEqual(countBy(results.map(r => r.outcome)), { registered: 1, waitlisted: 9 });
+    const saved = await assertSeatsConsistent(event._id);
+    assert.equal(saved.waitlist.length, 9);
+  });
+
+  test('without a waitlist, RSVPs beyond capacity are turned away', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const event = await createEvent({ maxAttendees: 3, waitlistEnabled: false });
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => eventWaitlistService.register(event._id, newId()))
+    );
+
+    assert.deepEqual(countBy(results.map(r => r.outcome)), { registered: 3, full: 7 });
+    await assertSeatsConsistent(event._id);
+  });
+
+  test('the same person registering twice at once gets one seat', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const event = await createEvent({ maxAttendees: 5 });
+    const userId = newId();
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => eventWaitlistService.register(event._id, userId))
+    );
+
+    assert.equal(results.filter(r => r.outcome === 'registered').length, 1);
+    const saved = await assertSeatsConsistent(event._id);
+    assert.equal(saved.attendees.length, 1);
+  });
+
+  test('a cancelled seat is offered to the first person waiting, once', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const event = await createEvent({ maxAttendees: 1 });
+    const [attendee, first, second] = [newId(), newId(), newId()];
+    await eventWaitlistService.register(event._id, attendee);
+    await eventWaitlistService.register(event._id, first);
+    await eventWaitlistService.register(event._id, second);
+
+    // A double-clicked cancel must not free two seats
+    const cancelled = await Promise.all([
+      eventWaitlistService.cancelRegistration(event._id, attendee),
+      eventWaitlistService.cancelRegistration(event._id, attendee)
+    ]);
+    assert.equal(cancelled.filter(Boolean).length, 1);
+
+    const saved = await assertSeatsConsistent(event._id);
+    assert.deepEqual(
+      saved.waitlist.map(entry => [entry.user.toString(), entry.status]),
+      [[first.toString(), 'offered'], [second.toString(), 'waiting']]
+    );
+
+    // Only the person offered the seat can claim it
+    assert.equal((await eventWaitlistService.claimOffer(event._id, second)).outcome, 'no_offer');
+    assert.equal((await eventWaitlistService.claimOffer(event._id, first)).outcome, 'claimed');
+    await assertSeatsConsistent(event._id);
+  });
+
+  test('an expired offer passes the seat on', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const event = await createEvent({ maxAttendees: 1 });
+    const [attendee, first, second] = [newId(), newId(), newId()];
+    await eventWaitlistService.register(event._id, attendee);
+    await eventWaitlistService.register(event._id, first);
+    await eventWaitlistService.register(event._id, second);
+    await eventWaitlistService.cancelRegistration(event._id, attendee);
+
+    await Event.updateOne(
+      { _id: event._id, 'waitlist.user': first },
+      { $set: { 'waitlist.$.offerExpiresAt': new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal((await eventWaitlistService.claimOffer(event._id, first)).outcome, 'expired');
+    const saved = await assertSeatsConsistent(event._id);
+    assert.deepEqual(saved.waitlist.map(entry => [entry.user.toString(), entry.status]), [[second.toString(), 'offered']]);
+  });
+});
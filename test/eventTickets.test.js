@@ -0,0 +1,117 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { connectTestDatabase, disconnectTestDatabase, NO_DATABASE } = require('./helpers/db');
+const Event = require('../models/Event');
+const eventTicketService = require('../services/eventTicketService');
+const eventWaitlistService = require('../services/eventWaitlistService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const createEvent = (overrides = {}) => Event.create({
+  title: 'Careers evening',
+  description: 'Meet employers',
+  eventType: 'Career Development',
+  startDate: new Date(Date.now() + DAY_MS),
+  endDate: new Date(Date.now() + DAY_MS + 3 * 60 * 60 * 1000),
+  organizer: newId(),
+  status: 'published',
+  ...overrides
+});
+
+describe('ticket tokens', () => {
+  const event = { _id: newId(), startDate: new Date(Date.now() + DAY_MS) };
+  const attendee = { user: newId(), ticketId: 'a1b2c3' };
+
+  test('a ticket verifies for its own event only', () => {
+    const token = eventTicketService.signToken(event, attendee);
+
+    assert.equal(eventTicketService.verifyToken(token, event._id).tid, 'a1b2c3');
+    assert.equal(eventTicketService.verifyToken(token, newId()), null);
+  });
+
+  test('forged and malformed tickets are rejected', () => {
+    const token = eventTicketService.signToken(event, attendee);
+    const [header, payload] = token.split('.');
+
+    assert.equal(eventTicketService.verifyToken(`${header}.${payload}.forged`, event._id), null);
+    assert.equal(eventTicketService.verifyToken('not-a-ticket', event._id), null);
+    assert.equal(eventTicketService.verifyToken(undefined, event._id), null);
+  });
+});
+
+describe('ticket check-in', () => {
+  let db;
+
+  before(async () => {
+    db = await connectTestDatabase();
+  });
+
+  after(() => disconnectTestDatabase());
+
+  const ticketFor = async (userId) => {
+    const event = await createEvent({ maxAttendees: 10 });
+    await eventWaitlistService.register(event._id, userId);
+    const ticket = await eventTicketService.getTicket(event._id, userId);
+    return { event, token: ticket.token };
+  };
+
+  test('a ticket scanned at several doors at once checks in once', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const userId = newId();
+    const { event, token } = await ticketFor(userId);
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => eventTicketService.checkIn(event._id, token, { staffId: event.organizer }))
+    );
+
+    assert.deepEqual(results.map(r => r.result).sort(), [
+      'already_checked_in', 'already_checked_in', 'already_checked_in', 'already_checked_in', 'checked_in'
+    ]);
+    // Everyone is told the time of the scan that counted
+    const checkInTimes = new Set(results.map(r => new Date(r.checkInTime).getTime()));
+    assert.equal(checkInTimes.size, 1);
+  });
+
+  test('a ticket is refused after its registration is cancelled, even when re-registered', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const userId = newId();
+    const { event, token } = await ticketFor(userId);
+
+    await eventWaitlistService.cancelRegistration(event._id, userId);
+    assert.equal((await eventTicketService.checkIn(event._id, token)).result, 'not_registered');
+
+    // Registering again issues a new ticket; the old one stays dead
+    await eventWaitlistService.register(event._id, userId);
+    const { token: newToken } = await eventTicketService.getTicket(event._id, userId);
+    assert.equal((await eventTicketService.checkIn(event._id, token)).result, 'not_registered');
+    assert.equal((await eventTicketService.checkIn(event._id, newToken)).result, 'checked_in');
+  });
+
+  test('a ticket for another event is invalid', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const { token } = await ticketFor(newId());
+    const other = await createEvent();
+
+    assert.equal((await eventTicketService.checkIn(other._id, token)).result, 'invalid');
+  });
+
+  test('ticket ids are not loaded unless asked for', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const userId = newId();
+    const { event } = await ticketFor(userId);
+
+    const [attendee] = (await Event.findById(event._id).lean()).attendees;
+    assert.equal(attendee.ticketId, undefined);
+    const [withTicket] = (await Event.findById(event._id).select('+attendees.ticketId').lean()).attendees;
+    assert.ok(withTicket.ticketId);
+  });
+});
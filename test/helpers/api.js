@@ -0,0 +1,64 @@
+// test/helpers/api.js
+// Mount routers on a throwaway Express app and call them over HTTP, signed in
+// the way the auth middleware expects (an access token bound to a live session).
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { TOKEN_AUDIENCES } = require('../../utils/authHelpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// { url, close } for an app serving each router at its path, e.g. { '/api/auth': authRoutes }
+const startApp = async (routers) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+let userCount = 0;
+
+// An active, verified user
+const createUser = (overrides = {}) => {
+  userCount++;
+  return User.create({
+    email: `alumnus${userCount}.${process.pid}@example.com`,
+    password: 'Correct-Horse-Battery-9',
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    isVerified: true,
+    ...overrides
+  });
+};
+
+// Authorization header for a new session of the user
+const signIn = async (user) => {
+  const session = await Session.create({
+    user: user._id,
+    jti: crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+
+  const token = jwt.sign({ userId: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    audience: TOKEN_AUDIENCES.access,
+    expiresIn: '1h'
+  });
+
+  return { session, headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } };
+};
+
+module.exports = {
+  startApp,
+  createUser,
+  signIn
+};
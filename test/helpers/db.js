@@ -0,0 +1,45 @@
+// test/helpers/db.js
+// MongoDB for tests that need a real database. Uses MONGODB_TEST_URI when set,
+// otherwise an in-memory server (a replica set, so transactions run as in
+// production). Resolves to null when neither is available - callers skip.
+const mongoose = require('mongoose');
+
+let server = null;
+
+const connectTestDatabase = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+
+  if (!uri) {
+    try {
+      const { MongoMemoryReplSet } = require('mongodb-memory-server');
+      server = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+      uri = server.getUri();
+    } catch (error) {
+      console.warn(`MongoDB not available for tests (${error.message}) - set MONGODB_TEST_URI to run them`);
+      return null;
+    }
+  }
+
+  await mongoose.connect(uri, { dbName: `atu-test-${process.pid}`, serverSelectionTimeoutMS: 5000 });
+  return mongoose.connection;
+};
+
+const disconnectTestDatabase = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+// Skip message for tests that need the database
+const NO_DATABASE = 'MongoDB not available';
+
+module.exports = {
+  connectTestDatabase,
+  disconnectTestDatabase,
+  NO_DATABASE
+};
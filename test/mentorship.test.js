@@ -0,0 +1,106 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectTestDatabase, disconnectTestDatabase, NO_DATABASE } = require('./helpers/db');
+const { startApp, createUser, signIn } = require('./helpers/api');
+const Mentorship = require('../models/Mentorship');
+const Profile = require('../models/Profile');
+const mentorshipRoutes = require('../routes/mentorship.routes');
+
+describe('mentee capacity', () => {
+  let db;
+  let api;
+
+  before(async () => {
+    db = await connectTestDatabase();
+    if (db) api = await startApp({ '/api/mentorship': mentorshipRoutes });
+  });
+
+  after(async () => {
+    if (api) await api.close();
+    await disconnectTestDatabase();
+  });
+
+  const createMentor = async (capacity) => {
+    const user = await createUser();
+    await Profile.create({ user: user._id, mentoring: { capacity } });
+    return { user, headers: (await signIn(user)).headers };
+  };
+
+  const activeMentees = async (mentor) => (await Profile.findOne({ user: mentor.user._id }).lean()).mentoring.activeMentees;
+
+  const respond = (mentor, mentorshipId, action) => fetch(`${api.url}/api/mentorship/requests/${mentorshipId}/${action}`, {
+    method: 'PUT',
+    headers: mentor.headers
+  });
+
+  test('concurrent claims never take more slots than the capacity', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const mentor = await createMentor(2);
+    const claims = await Promise.all(Array.from({ length: 6 }, () => Mentorship.claimMenteeSlot(mentor.user._id)));
+
+    assert.equal(claims.filter(Boolean).length, 2);
+    assert.equal(await activeMentees(mentor), 2);
+  });
+
+  test('accepting requests at once stops at the capacity', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const mentor = await createMentor(1);
+    const mentees = await Promise.all([createUser(), createUser(), createUser()]);
+    const requests = await Mentorship.create(mentees.map(mentee => ({ mentor: mentor.user._id, mentee: mentee._id })));
+
+    const responses = await Promise.all(requests.map(request => respond(mentor, request._id, 'accept')));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 400, 400]);
+    assert.equal(await Mentorship.countDocuments({ mentor: mentor.user._id, status: 'active' }), 1);
+    assert.equal(await activeMentees(mentor), 1);
+  });
+
+  test('a double-clicked accept takes one slot', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const mentor = await createMentor(3);
+    const mentee = await createUser();
+    const request = await Mentorship.create({ mentor: mentor.user._id, mentee: mentee._id });
+
+    const responses = await Promise.all([respond(mentor, request._id, 'accept'), respond(mentor, request._id, 'accept')]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 404]);
+    assert.equal(await activeMentees(mentor), 1);
+  });
+
+  test('ending a mentorship gives the slot back once', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const mentor = await createMentor(1);
+    const [first, second] = await Promise.all([createUser(), createUser()]);
+    const [current, waiting] = await Mentorship.create([
+      { mentor: mentor.user._id, mentee: first._id },
+      { mentor: mentor.user._id, mentee: second._id }
+    ]);
+
+    assert.equal((await respond(mentor, current._id, 'accept')).status, 200);
+    assert.equal((await respond(mentor, waiting._id, 'accept')).status, 400);
+
+    const end = () => fetch(`${api.url}/api/mentorship/${current._id}/end`, { method: 'PUT', headers: mentor.headers });
+    const ended = await Promise.all([end(), end()]);
+    assert.deepEqual(ended.map(response => response.status).sort(), [200, 404]);
+    assert.equal(await activeMentees(mentor), 0);
+
+    assert.equal((await respond(mentor, waiting._id, 'accept')).status, 200);
+    assert.equal(await activeMentees(mentor), 1);
+  });
+
+  test('syncActiveMentees recounts from the mentorships', async (t) => {
+    if (!db) return t.skip(NO_DATABASE);
+
+    const mentor = await createMentor(5);
+    const mentees = await Promise.all([createUser(), createUser()]);
+    await Mentorship.create(mentees.map(mentee => ({ mentor: mentor.user._id, mentee: mentee._id, status: 'active' })));
+    await Profile.updateOne({ user: mentor.user._id }, { $set: { 'mentoring.activeMentees': 4 } });
+
+    await Mentorship.syncActiveMentees({ user: mentor.user._id });
+    assert.equal(await activeMentees(mentor), 2);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  getRelationship,
+  canViewProfile,
+  viewableProfileMatch,
+  blockedMatch,
+  filterUser,
+  filterProfile,
+  filterPeople,
+  filterAlumnus
+} = require('../utils/privacy');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const viewer = id();
+const friend = id();
+const stranger = id();
+const blocked = id();
+
+const memberContext = {
+  userId: viewer,
+  isAdmin: false,
+  connectionIds: new Set([friend]),
+  hiddenIds: new Set([blocked])
+};
+const adminContext = { userId: id(), isAdmin: true, connectionIds: new Set(), hiddenIds: new Set() };
+const anonymousContext = { userId: null, isAdmin: false, connectionIds: new Set(), hiddenIds: new Set() };
+
+const user = (overrides = {}) => ({
+  _id: stranger,
+  firstName: 'Ada',
+  lastName: 'Byrne',
+  email: 'ada@example.com',
+  role: 'alumni',
+  password: 'hash',
+  resetPasswordToken: 'reset',
+  lastLoginAt: new Date('2026-01-01'),
+  twoFactor: { enabled: true, enabledAt: new Date('2026-01-01'), secret: 'totp-secret' },
+  ...overrides
+});
+
+const profile = (overrides = {}) => ({
+  _id: id(),
+  user: stranger,
+  profileVisibility: 'alumni-only',
+  phone: '+353 1 234 5678',
+  showPhone: false,
+  gpa: 3.9,
+  resumeUrl: '/uploads/resumes/ada.pdf',
+  browseAnonymously: true,
+  alumniVerification: { status: 'verified', verifiedAt: new Date('2026-01-01'), documents: ['id.pdf'] },
+  connections: [{ user: friend, status: 'accepted' }, { user: viewer, status: 'pending' }],
+  ...overrides
+});
+
+describe('getRelationship', () => {
+  test('tells self, admin, connection, member and anonymous apart', () => {
+    assert.equal(getRelationship(memberContext, viewer), 'self');
+    assert.equal(getRelationship(memberContext, friend), 'connection');
+    assert.equal(getRelationship(memberContext, stranger), 'member');
+    assert.equal(getRelationship(adminContext, stranger), 'admin');
+    assert.equal(getRelationship(anonymousContext, stranger), 'anonymous');
+  });
+});
+
+describe('canViewProfile', () => {
+  test('public profiles are open to everyone', () => {
+    assert.ok(canViewProfile('public', 'anonymous'));
+  });
+
+  test('alumni-only profiles (the default) need a signed-in viewer', () => {
+    assert.ok(!canViewProfile('alumni-only', 'anonymous'));
+    assert.ok(!canViewProfile(undefined, 'anonymous'));
+    assert.ok(canViewProfile('alumni-only', 'member'));
+  });
+
+  test('private profiles are for connections, the owner and admins', () => {
+    assert.ok(!canViewProfile('private', 'member'));
+    assert.ok(canViewProfile('private', 'connection'));
+    assert.ok(canViewProfile('private', 'self'));
+    assert.ok(canViewProfile('private', 'admin'));
+  });
+});
+
+describe('filterUser', () => {
+  test('never returns secrets, even to the owner', () => {
+    const data = filterUser(user(), 'self');
+
+    assert.equal(data.password, undefined);
+    assert.equal(data.resetPasswordToken, undefined);
+    assert.deepEqual(Object.keys(data.twoFactor).sort(), ['enabled', 'enabledAt']);
+    assert.equal(data.email, 'ada@example.com');
+  });
+
+  test('hides the email unless the owner opted in and the viewer is signed in', () => {
+    assert.equal(filterUser(user(), 'member', { showEmail: false }).email, undefined);
+    assert.equal(filterUser(user(), 'member', { showEmail: true }).email, 'ada@example.com');
+    assert.equal(filterUser(user(), 'anonymous', { showEmail: true }).email, undefined);
+  });
+
+  test('shows the last login only to connections', () => {
+    assert.equal(filterUser(user(), 'member').lastLoginAt, undefined);
+    assert.ok(filterUser(user(), 'connection').lastLoginAt);
+  });
+});
+
+describe('filterProfile', () => {
+  test('a profile the viewer may not see is reduced to a stub', () => {
+    const data = filterProfile(profile({ profileVisibility: 'private' }), 'member');
+
+    assert.equal(data.restricted, true);
+    assert.equal(data.phone, undefined);
+    assert.equal(data.isVerifiedAlumnus, true);
+  });
+
+  test('members get no private fields and only a connection count', () => {
+    const data = filterProfile(profile(), 'member');
+
+    assert.equal(data.phone, undefined);
+    assert.equal(data.gpa, undefined);
+    assert.equal(data.resumeUrl, undefined);
+    assert.equal(data.browseAnonymously, undefined);
+    assert.equal(data.connections, undefined);
+    assert.equal(data.connectionCount, 1);
+    assert.deepEqual(Object.keys(data.alumniVerification).sort(), ['status', 'verifiedAt']);
+  });
+
+  test('connections see the resume and, when shared, the phone number', () => {
+    const data = filterProfile(profile({ showPhone: true }), 'connection');
+
+    assert.equal(data.resumeUrl, '/uploads/resumes/ada.pdf');
+    assert.equal(data.phone, '+353 1 234 5678');
+    assert.equal(data.gpa, undefined);
+  });
+
+  test('the owner sees everything', () => {
+    const data = filterProfile(profile({ profileVisibility: 'private' }), 'self');
+
+    assert.equal(data.gpa, 3.9);
+    assert.equal(data.connections.length, 2);
+  });
+});
+
+describe('filterPeople and filterAlumnus', () => {
+  test('filters populated people by each one\'s relationship to the viewer', () => {
+    const post = {
+      author: user({ _id: friend }),
+      participants: [{ user: user() }, { user: stranger }]
+    };
+
+    const data = filterPeople(post, memberContext, ['author', 'participants.user']);
+
+    assert.ok(data.author.lastLoginAt, 'a connection sees the last login');
+    assert.equal(data.participants[0].user.lastLoginAt, undefined);
+    assert.equal(data.participants[0].user.password, undefined);
+    assert.equal(data.participants[1].user, stranger, 'unpopulated ids are left alone');
+  });
+
+  test('directory rows get the user and profile filtered together', () => {
+    const data = filterAlumnus({ ...user(), profile: profile({ profileVisibility: 'public' }) }, anonymousContext);
+
+    assert.equal(data.email, undefined);
+    assert.equal(data.profile.phone, undefined);
+    assert.equal(data.profile.gpa, undefined);
+  });
+});
+
+describe('aggregation matches', () => {
+  test('anonymous viewers only match public profiles', () => {
+    assert.deepEqual(viewableProfileMatch(anonymousContext), { 'profile.profileVisibility': 'public' });
+  });
+
+  test('members match open profiles and their connections\' private ones', () => {
+    const match = viewableProfileMatch(memberContext, 'viewer.profileVisibility', 'viewer._id');
+    const [open, missing, connections] = match.$or;
+
+    assert.deepEqual(open, { 'viewer.profileVisibility': { $in: ['public', 'alumni-only'] } });
+    assert.deepEqual(missing, { 'viewer.profileVisibility': { $exists: false } });
+    assert.deepEqual(connections['viewer._id'].$in.map(String), [friend]);
+  });
+
+  test('admins match everyone', () => {
+    assert.deepEqual(viewableProfileMatch(adminContext), {});
+    assert.deepEqual(blockedMatch(adminContext), {});
+  });
+
+  test('blocked people are excluded', () => {
+    assert.deepEqual(blockedMatch(memberContext, 'user')['user'].$nin.map(String), [blocked]);
+  });
+});
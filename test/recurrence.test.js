@@ -0,0 +1,149 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  MAX_OCCURRENCES,
+  WINDOW_YEARS,
+  toOccurrenceKey,
+  fromOccurrenceKey,
+  parseRule,
+  expandRule,
+  assertOccurs,
+  isRuleOccurrence
+} = require('../utils/recurrence');
+const EventSeries = require('../models/EventSeries');
+
+const start = new Date('2026-01-06T18:00:00Z'); // First Tuesday of January
+const NEVER = 'FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30';
+
+const series = (overrides = {}) => new EventSeries({
+  title: 'Alumni breakfast',
+  description: 'First Tuesday of the month',
+  eventType: 'Networking',
+  startDate: start,
+  durationMinutes: 90,
+  recurrenceRule: 'FREQ=MONTHLY;BYDAY=1TU',
+  organizer: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+describe('parseRule', () => {
+  test('accepts a rule with or without the RRULE: prefix', () => {
+    assert.doesNotThrow(() => parseRule('RRULE:FREQ=WEEKLY', start));
+    assert.doesNotThrow(() => parseRule('FREQ=WEEKLY', start));
+  });
+
+  test('rejects sub-daily frequencies and embedded start dates', () => {
+    assert.throws(() => parseRule('FREQ=HOURLY', start), /daily, weekly, monthly or yearly/);
+    assert.throws(() => parseRule('DTSTART:20260101T000000Z\nRRULE:FREQ=DAILY', start), /only the RRULE part/);
+    assert.throws(() => parseRule('', start), /required/);
+  });
+});
+
+describe('occurrence keys', () => {
+  test('round-trip through the compact UTC form', () => {
+    assert.equal(toOccurrenceKey(start), '20260106T180000Z');
+    assert.equal(fromOccurrenceKey('20260106T180000Z').getTime(), start.getTime());
+    assert.equal(fromOccurrenceKey('2026-01-06'), null);
+  });
+});
+
+describe('expandRule', () => {
+  test('expands a monthly rule between two dates', () => {
+    const starts = expandRule('FREQ=MONTHLY;BYDAY=1TU', start, { from: start, to: new Date('2026-04-30T00:00:00Z') });
+
+    assert.deepEqual(starts.map(toOccurrenceKey), [
+      '20260106T180000Z', '20260203T180000Z', '20260303T180000Z', '20260407T180000Z'
+    ]);
+  });
+
+  test('without an end date it looks only WINDOW_YEARS ahead', () => {
+    const starts = expandRule('FREQ=MONTHLY', start);
+    const last = starts[starts.length - 1];
+
+    assert.equal(starts.length, WINDOW_YEARS * 12 + 1);
+    assert.ok(last <= new Date(Date.UTC(2026 + WINDOW_YEARS, 0, 6, 18)));
+  });
+
+  test('never returns more than MAX_OCCURRENCES', () => {
+    const starts = expandRule('FREQ=DAILY', start, { limit: 10000 });
+    assert.equal(starts.length, MAX_OCCURRENCES);
+  });
+
+  test('skipped starts do not count towards the limit', () => {
+    const skipped = new Set(['20260106T180000Z', '20260203T180000Z']);
+    const starts = expandRule('FREQ=MONTHLY;BYDAY=1TU', start, {
+      limit: 2,
+      skip: date => skipped.has(toOccurrenceKey(date))
+    });
+
+    assert.deepEqual(starts.map(toOccurrenceKey), ['20260303T180000Z', '20260407T180000Z']);
+  });
+
+  test('a rule that never matches returns quickly instead of walking to the year 9999', () => {
+    const began = Date.now();
+    const starts = expandRule(NEVER, start, { from: start, to: new Date('2030-01-01T00:00:00Z') });
+
+    assert.deepEqual(starts, []);
+    assert.ok(Date.now() - began < 1000, `took ${Date.now() - began}ms`);
+  });
+
+  test('a range far after the start still finds its occurrences', () => {
+    const from = new Date('2040-01-01T00:00:00Z');
+    const starts = expandRule('FREQ=YEARLY', start, { from, to: new Date('2042-12-31T00:00:00Z') });
+
+    assert.deepEqual(starts.map(toOccurrenceKey), ['20400106T180000Z', '20410106T180000Z', '20420106T180000Z']);
+  });
+});
+
+describe('assertOccurs and isRuleOccurrence', () => {
+  test('rules with no occurrence in the window are rejected', () => {
+    assert.throws(() => assertOccurs(NEVER, start), /no occurrence/);
+    assert.throws(() => assertOccurs(`FREQ=YEARLY;INTERVAL=${WINDOW_YEARS + 1};BYMONTH=1;BYMONTHDAY=1`, start), /no occurrence/);
+    assert.doesNotThrow(() => assertOccurs('FREQ=YEARLY', start));
+  });
+
+  test('matches exact occurrence starts only', () => {
+    assert.ok(isRuleOccurrence('FREQ=MONTHLY;BYDAY=1TU', start, '2026-02-03T18:00:00Z'));
+    assert.ok(!isRuleOccurrence('FREQ=MONTHLY;BYDAY=1TU', start, '2026-02-03T19:00:00Z'));
+    assert.ok(!isRuleOccurrence('FREQ=MONTHLY;BYDAY=1TU', start, '2026-02-10T18:00:00Z'));
+  });
+});
+
+describe('EventSeries occurrences', () => {
+  test('validation rejects a rule that never occurs', async () => {
+    await assert.rejects(series({ recurrenceRule: NEVER }).validate(), /no occurrence/);
+    await assert.doesNotReject(series().validate());
+  });
+
+  test('exceptions are left out and overrides applied', () => {
+    const doc = series({
+      exceptions: [new Date('2026-02-03T18:00:00Z')],
+      overrides: [{ occurrenceStart: new Date('2026-03-03T18:00:00Z'), title: 'Spring breakfast' }]
+    });
+
+    const occurrences = doc.getOccurrences({ from: start, to: new Date('2026-03-31T00:00:00Z') });
+
+    assert.deepEqual(occurrences.map(o => o.occurrenceKey), ['20260106T180000Z', '20260303T180000Z']);
+    assert.equal(occurrences[1].title, 'Spring breakfast');
+  });
+
+  test('getOccurrencesStarting lists occurrences by where they were moved to', () => {
+    const doc = series({
+      overrides: [
+        // Moved from March into the range
+        { occurrenceStart: new Date('2026-03-03T18:00:00Z'), startDate: new Date('2026-02-20T18:00:00Z') },
+        // Moved from February out of the range
+        { occurrenceStart: new Date('2026-02-03T18:00:00Z'), startDate: new Date('2026-04-20T18:00:00Z') }
+      ]
+    });
+
+    const occurrences = doc.getOccurrencesStarting({
+      from: new Date('2026-02-01T00:00:00Z'),
+      to: new Date('2026-02-28T00:00:00Z')
+    });
+
+    assert.deepEqual(occurrences.map(o => o.occurrenceKey), ['20260303T180000Z']);
+    assert.equal(occurrences[0].startDate.toISOString(), '2026-02-20T18:00:00.000Z');
+  });
+});
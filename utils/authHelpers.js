@@ -1,4 +1,29 @@
 // utils/authHelpers.js
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const Profile = require('../models/Profile');
+const { grantsPermission } = require('../config/permissions');
+
+// Audience claims keep tokens signed with the same secret from standing in for each other
+const TOKEN_AUDIENCES = {
+  access: 'api',
+  refresh: 'refresh',
+  twoFactorChallenge: '2fa-challenge'
+};
+
+// Decode an access token, throwing when it is invalid or not an access token.
+// Access tokens always carry the session id they belong to and never a type -
+// refresh and login challenge tokens do.
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCES.access });
+
+  if (!decoded.sid || decoded.type) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+
+  return decoded;
+};
 
 const isOwnerOrAdmin = (resource, userId, userRole) => {
   const resourceOwnerId = resource.owner || resource.organizer || resource.postedBy || resource.createdBy;
@@ -9,7 +34,41 @@ const hasModeratorAccess = (forum, userId, userRole) => {
   return userRole === 'admin' || forum.moderators.some(mod => mod.toString() === userId.toString());
 };
 
+// Whether admins have made two-factor authentication mandatory for the user's role
+const isTwoFactorRequired = async (user) => {
+  const requiredRoles = await Setting.getValue('twoFactorRequiredRoles', []);
+  return requiredRoles.includes(user.role);
+};
+
+// All permissions a user holds through their role and individual grants
+const getUserPermissions = async (user) => {
+  const rolePermissions = await Role.getPermissions(user.role);
+  return [...new Set([...rolePermissions, ...(user.permissions || [])])];
+};
+
+// Whether the user holds a named permission such as "events:moderate"
+const hasPermission = async (user, permission) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return grantsPermission(await getUserPermissions(user), permission);
+};
+
+// Whether the user has proven they graduated (verified against the graduation register)
+const isVerifiedAlumnus = async (user) => {
+  if (!user) return false;
+  return !!(await Profile.exists({
+    user: user._id || user.id,
+    'alumniVerification.status': 'verified'
+  }));
+};
+
 module.exports = {
+  TOKEN_AUDIENCES,
+  verifyAccessToken,
   isOwnerOrAdmin,
-  hasModeratorAccess
-};
\ No newline at end of file
+  hasModeratorAccess,
+  isTwoFactorRequired,
+  getUserPermissions,
+  hasPermission,
+  isVerifiedAlumnus
+};
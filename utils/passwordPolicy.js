@@ -0,0 +1,133 @@
+// utils/passwordPolicy.js
+// Password rules are stored in the `passwordPolicy` setting (editable by admins) and
+// fall back to the defaults below.
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Setting = require('../models/Setting');
+
+const DEFAULT_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  historySize: 5, // Last N passwords that can't be reused (0 disables)
+  maxAgeDays: 90, // For roles in maxAgeRoles (0 disables)
+  maxAgeRoles: ['admin'],
+  blockCommonPasswords: true
+};
+
+// Below this the policy can't be configured - keeps the floor sane
+const MIN_ALLOWED_LENGTH = 8;
+const MAX_LENGTH = 128; // bcrypt only looks at the first 72 bytes anyway
+
+// Loaded once; lines starting with # are comments
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+const getPasswordPolicy = async () => {
+  const stored = await Setting.getValue('passwordPolicy', {});
+  return { ...DEFAULT_POLICY, ...stored };
+};
+
+// "Password123!" is as guessable as "password" - check the bare word too
+const isCommonPassword = (password) => {
+  const lower = String(password).toLowerCase();
+  const stripped = lower.replace(/[\d\W_]+$/, '').replace(/^[\d\W_]+/, '');
+  return COMMON_PASSWORDS.has(lower) || (stripped.length >= 3 && COMMON_PASSWORDS.has(stripped));
+};
+
+// Returns a list of human readable problems (empty when the password is acceptable).
+// `user` may be a User document or plain { email, firstName, lastName } for registration.
+const checkPassword = (password, policy, user = {}) => {
+  const errors = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (value.length > MAX_LENGTH) {
+    errors.push(`Password cannot exceed ${MAX_LENGTH} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.blockCommonPasswords && isCommonPassword(value)) {
+    errors.push('This password is too common. Please choose something harder to guess');
+  }
+
+  const lower = value.toLowerCase();
+  const personal = [
+    user.email?.split('@')[0],
+    user.firstName,
+    user.lastName
+  ].filter(part => part && part.length >= 3).map(part => part.toLowerCase());
+
+  if (personal.some(part => lower.includes(part))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  return errors;
+};
+
+// Whether the password matches the current one or one of the last `historySize`.
+// Needs a user loaded with +password +passwordHistory.
+const isPasswordReused = async (user, password, policy) => {
+  if (!policy.historySize) return false;
+
+  const hashes = [
+    user.password,
+    ...(user.passwordHistory || []).slice(-policy.historySize).map(entry => entry.hash)
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Full check for a new password: rules plus reuse. Returns the list of problems.
+const validateNewPassword = async (password, user = {}) => {
+  const policy = await getPasswordPolicy();
+  const errors = checkPassword(password, policy, user);
+
+  if (errors.length === 0 && user._id && await isPasswordReused(user, password, policy)) {
+    errors.push(`You cannot reuse any of your last ${policy.historySize} passwords`);
+  }
+
+  return errors;
+};
+
+// Whether the user's role has a maximum password age that has passed
+const isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays || !(policy.maxAgeRoles || []).includes(user.role)) return false;
+
+  const changedAt = new Date(user.passwordChangedAt || user.createdAt || 0);
+  return Date.now() - changedAt.getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  MIN_ALLOWED_LENGTH,
+  MAX_LENGTH,
+  getPasswordPolicy,
+  isCommonPassword,
+  checkPassword,
+  isPasswordReused,
+  validateNewPassword,
+  isPasswordExpired
+};
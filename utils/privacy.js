@@ -0,0 +1,252 @@
+// utils/privacy.js
+// Field-level privacy for alumni data. Any response that returns another person's
+// user or profile data should pass it through here so `profileVisibility`,
+// `showEmail` and `showPhone` are honoured the same way everywhere.
+//
+// Relationship of the viewer to the owner of the data:
+//   self       - the owner
+//   admin      - holds users:view (staff and admins)
+//   connection - accepted connection of the owner
+//   member     - any other signed-in user
+//   anonymous  - not signed in
+const mongoose = require('mongoose');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const { hasPermission } = require('./authHelpers');
+
+// User fields that are safe to populate into any response
+const PUBLIC_USER_FIELDS = 'firstName lastName profilePicture';
+
+// Never leave the API, whoever is asking
+const SECRET_USER_FIELDS = [
+  'password', 'passwordHistory', 'resetPasswordToken', 'resetPasswordExpires',
+  'emailVerificationToken', 'emailVerificationExpires', 'unlockToken', 'unlockTokenExpires',
+  'loginToken', 'loginTokenMethod', 'loginTokenExpires', 'emailChangeToken', 'emailChangeExpires'
+];
+
+// Shown to anyone allowed to see the person at all
+const BASIC_USER_FIELDS = ['_id', 'firstName', 'lastName', 'fullName', 'role', 'profilePicture', 'isVerified', 'createdAt'];
+
+// Viewer-specific fields added by list endpoints (connection state, search score)
+const CONTEXT_FIELDS = ['connectionStatus', 'isConnected', 'receivedConnectionId', 'searchScore'];
+
+const toPlain = (doc) => {
+  if (!doc) return doc;
+  if (typeof doc.toJSON === 'function') return doc.toJSON({ virtuals: true });
+  return { ...doc };
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Everything needed to decide what a viewer may see. Build once per request.
+const buildViewerContext = async (viewer) => {
+  if (!viewer) {
+    return { userId: null, isAdmin: false, connectionIds: new Set(), hiddenIds: new Set() };
+  }
+
+  const userId = idOf(viewer);
+  const [isAdmin, connectionIds, hiddenIds] = await Promise.all([
+    hasPermission(viewer, 'users:view'),
+    Connection.getConnectionIds(userId),
+    Block.getHiddenIds(userId)
+  ]);
+
+  return { userId, isAdmin, connectionIds: new Set(connectionIds), hiddenIds: new Set(hiddenIds) };
+};
+
+const getRelationship = (context, ownerId) => {
+  const owner = idOf(ownerId);
+  if (context.userId && context.userId === owner) return 'self';
+  if (context.isAdmin) return 'admin';
+  if (!context.userId) return 'anonymous';
+  if (context.connectionIds.has(owner)) return 'connection';
+  return 'member';
+};
+
+const isPrivileged = (relationship) => relationship === 'self' || relationship === 'admin';
+
+// Profiles without a visibility (or without a profile at all) default to alumni-only
+const canViewProfile = (visibility = 'alumni-only', relationship) => {
+  if (isPrivileged(relationship)) return true;
+  if (visibility === 'public') return true;
+  if (visibility === 'alumni-only') return relationship !== 'anonymous';
+  return relationship === 'connection';
+};
+
+// Contact details need a signed-in viewer and the owner's opt-in
+const canSeeContact = (flag, relationship) => {
+  return isPrivileged(relationship) || (!!flag && relationship !== 'anonymous');
+};
+
+// $match stage for directory listings (aggregations joining users to `profile`).
+// Private profiles only show up in directories for admins.
+const visibilityMatch = (context, path = 'profile.profileVisibility') => {
+  if (context.isAdmin) return {};
+  if (!context.userId) return { [path]: 'public' };
+
+  return {
+    $or: [
+      { [path]: { $in: ['public', 'alumni-only'] } },
+      { [path]: { $exists: false } }
+    ]
+  };
+};
+
+// $match stage keeping the people whose profile the viewer may open - canViewProfile
+// for rows keyed by user id, so private profiles of connections are kept
+const viewableProfileMatch = (context, path = 'profile.profileVisibility', idPath = '_id') => {
+  if (context.isAdmin) return {};
+  if (!context.userId) return { [path]: 'public' };
+
+  return {
+    $or: [
+      { [path]: { $in: ['public', 'alumni-only'] } },
+      { [path]: { $exists: false } },
+      { [idPath]: { $in: [...context.connectionIds].map(id => new mongoose.Types.ObjectId(id)) } }
+    ]
+  };
+};
+
+// People the viewer blocked or was blocked by. Admins still see them so reports can be
+// investigated.
+const isHidden = (context, ownerId) => {
+  return !context.isAdmin && context.hiddenIds.has(idOf(ownerId));
+};
+
+// $match stage dropping blocked users from directory listings (rows keyed by user id)
+const blockedMatch = (context, path = '_id') => {
+  if (context.isAdmin || context.hiddenIds.size === 0) return {};
+  return { [path]: { $nin: [...context.hiddenIds].map(id => new mongoose.Types.ObjectId(id)) } };
+};
+
+// Only admins may search by email address - otherwise search confirms hidden emails
+const canSearchByEmail = (context) => context.isAdmin;
+
+const filterUser = (user, relationship, profile = null) => {
+  const data = toPlain(user);
+  if (!data) return data;
+
+  // Aggregation rows never went through the User toJSON transform
+  SECRET_USER_FIELDS.forEach(field => delete data[field]);
+  if (data.twoFactor) {
+    data.twoFactor = { enabled: data.twoFactor.enabled, enabledAt: data.twoFactor.enabledAt };
+  }
+  if (isPrivileged(relationship)) return data;
+
+  const filtered = {};
+  [...BASIC_USER_FIELDS, ...CONTEXT_FIELDS].forEach(field => {
+    if (data[field] !== undefined) filtered[field] = data[field];
+  });
+
+  if (data.email !== undefined && canSeeContact(profile?.showEmail, relationship)) {
+    filtered.email = data.email;
+  }
+  if (data.lastLoginAt !== undefined && relationship === 'connection') {
+    filtered.lastLoginAt = data.lastLoginAt;
+  }
+
+  return filtered;
+};
+
+const filterProfile = (profile, relationship) => {
+  const data = toPlain(profile);
+  if (!data) return data;
+
+  if (!canViewProfile(data.profileVisibility, relationship)) {
+    return {
+      _id: data._id,
+      user: data.user,
+      profilePicture: data.profilePicture,
+      isVerifiedAlumnus: data.isVerifiedAlumnus ?? data.alumniVerification?.status === 'verified',
+      restricted: true
+    };
+  }
+
+  if (isPrivileged(relationship)) {
+    if (Array.isArray(data.connections)) {
+      // Populated connections are other people - the owner sees them as any member would
+      const connectionRelationship = relationship === 'admin' ? 'admin' : 'member';
+      data.connections = data.connections.map(conn => ({
+        ...conn,
+        user: conn.user?.firstName !== undefined ? filterUser(conn.user, connectionRelationship) : conn.user
+      }));
+    }
+    return data;
+  }
+
+  if (!canSeeContact(data.showPhone, relationship)) delete data.phone;
+  delete data.gpa;
+  delete data.browseAnonymously;
+  delete data.profilePicturePath;
+  delete data.resumePath;
+  if (relationship !== 'connection') {
+    delete data.resumeUrl;
+    delete data.resumeFilename;
+    delete data.resumeUploadedAt;
+  }
+  if (data.alumniVerification) {
+    data.alumniVerification = { status: data.alumniVerification.status, verifiedAt: data.alumniVerification.verifiedAt };
+  }
+
+  // Who someone is connected to is their business; the count is enough
+  if (Array.isArray(data.connections)) {
+    data.connectionCount = data.connectionCount ?? data.connections.filter(conn => conn.status === 'accepted').length;
+    delete data.connections;
+  }
+
+  return data;
+};
+
+// Filter the people populated into another document (post authors, forum
+// moderators, chat participants...). Each path names a field holding a user or an
+// array of users; "participants.user" reaches into an array of objects.
+// Unpopulated ids are left as they are.
+const filterPeople = (doc, context, paths) => {
+  const data = toPlain(doc);
+  if (!data) return data;
+
+  const filterPerson = (user) => (
+    user?.firstName !== undefined ? filterUser(user, getRelationship(context, user._id)) : user
+  );
+  const filterValue = (value, nested) => {
+    if (!nested) return filterPerson(value);
+    return value ? { ...value, [nested]: filterPerson(value[nested]) } : value;
+  };
+
+  paths.forEach(path => {
+    const [field, nested] = path.split('.');
+    if (data[field] == null) return;
+    data[field] = Array.isArray(data[field])
+      ? data[field].map(value => filterValue(value, nested))
+      : filterValue(data[field], nested);
+  });
+
+  return data;
+};
+
+// For directory/search rows shaped { ...user, profile }
+const filterAlumnus = (alumnus, context) => {
+  const relationship = getRelationship(context, alumnus._id);
+  const profile = alumnus.profile || null;
+
+  return {
+    ...filterUser(alumnus, relationship, profile),
+    profile: profile ? filterProfile(profile, relationship) : null
+  };
+};
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  buildViewerContext,
+  getRelationship,
+  canViewProfile,
+  visibilityMatch,
+  viewableProfileMatch,
+  isHidden,
+  blockedMatch,
+  canSearchByEmail,
+  filterUser,
+  filterProfile,
+  filterAlumnus,
+  filterPeople
+};
@@ -0,0 +1,175 @@
+// utils/profileCompleteness.js
+// Weighted profile completeness. Each criterion carries a weight; weights can be
+// overridden by admins through the `profileCompletenessWeights` setting. The score is
+// the share of the total weight a profile earns, so a complete profile always reaches 100.
+const Setting = require('../models/Setting');
+
+const SETTING_KEY = 'profileCompletenessWeights';
+
+// Ordered by default weight - ties in next steps follow this order
+const CRITERIA = [
+  {
+    key: 'bio',
+    label: 'Bio',
+    weight: 15,
+    suggestion: 'Write a short bio so classmates know what you have been up to',
+    check: profile => !!profile.bio
+  },
+  {
+    key: 'alumniVerification',
+    label: 'Verified alumnus',
+    weight: 15,
+    suggestion: 'Verify your graduation against the ATU register to get the verified badge',
+    check: profile => profile.alumniVerification?.status === 'verified'
+  },
+  {
+    key: 'profilePicture',
+    label: 'Profile photo',
+    weight: 10,
+    suggestion: 'Upload a profile photo so people recognise you',
+    check: profile => !!profile.profilePicture
+  },
+  {
+    key: 'graduation',
+    label: 'Graduation details',
+    weight: 10,
+    suggestion: 'Add your program and graduation year',
+    check: profile => !!(profile.graduationYear && profile.program)
+  },
+  {
+    key: 'employment',
+    label: 'Work history',
+    weight: 10,
+    suggestion: 'Add your current or most recent position',
+    check: profile => (profile.positions || []).length > 0 || !!profile.currentPosition
+  },
+  {
+    key: 'skills',
+    label: 'Skills',
+    weight: 10,
+    suggestion: 'List at least 3 skills to show up in skill searches',
+    check: profile => (profile.skills || []).length >= 3
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    weight: 5,
+    suggestion: 'Add your location to connect with alumni nearby',
+    check: profile => !!profile.location
+  },
+  {
+    key: 'phone',
+    label: 'Phone number',
+    weight: 5,
+    suggestion: 'Add a phone number (you choose who can see it)',
+    check: profile => !!profile.phone
+  },
+  {
+    key: 'education',
+    label: 'Education history',
+    weight: 5,
+    suggestion: 'Add your qualifications, including any further study',
+    check: profile => (profile.education || []).length > 0
+  },
+  {
+    key: 'interests',
+    label: 'Interests',
+    weight: 5,
+    suggestion: 'Add a few interests to find alumni who share them',
+    check: profile => (profile.interests || []).length > 0
+  },
+  {
+    key: 'socialLinks',
+    label: 'Social links',
+    weight: 5,
+    suggestion: 'Link your LinkedIn, GitHub, Twitter or website',
+    check: profile => !!(profile.linkedIn || profile.github || profile.twitter || profile.website)
+  },
+  {
+    key: 'resume',
+    label: 'Resume',
+    weight: 5,
+    suggestion: 'Upload your resume for recruiters posting on the job board',
+    check: profile => !!profile.resumeUrl
+  }
+];
+
+const DEFAULT_WEIGHTS = CRITERIA.reduce((weights, criterion) => {
+  weights[criterion.key] = criterion.weight;
+  return weights;
+}, {});
+
+const MAX_WEIGHT = 100;
+const NEXT_STEPS_COUNT = 3;
+
+const getCompletenessWeights = async () => {
+  const stored = await Setting.getValue(SETTING_KEY, {});
+  return { ...DEFAULT_WEIGHTS, ...stored };
+};
+
+// Returns a list of problems with a proposed weights object (empty when valid)
+const validateWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['weights must be an object of criterion keys to numbers'];
+  }
+
+  const errors = [];
+  Object.entries(weights).forEach(([key, weight]) => {
+    if (DEFAULT_WEIGHTS[key] === undefined) {
+      errors.push(`Unknown criterion: ${key}`);
+    } else if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      errors.push(`Weight for ${key} must be a whole number between 0 and ${MAX_WEIGHT}`);
+    }
+  });
+
+  const merged = { ...DEFAULT_WEIGHTS, ...weights };
+  if (errors.length === 0 && Object.values(merged).every(weight => weight === 0)) {
+    errors.push('At least one criterion must carry weight');
+  }
+
+  return errors;
+};
+
+// Score a profile (document or plain object; null for users without one).
+// Criteria weighted 0 are ignored entirely.
+const scoreProfile = (profile, weights = DEFAULT_WEIGHTS) => {
+  const completed = [];
+  const missing = [];
+  let earned = 0;
+  let total = 0;
+
+  CRITERIA.forEach(criterion => {
+    const weight = weights[criterion.key] ?? criterion.weight;
+    if (!weight) return;
+
+    total += weight;
+    const entry = { key: criterion.key, label: criterion.label, weight };
+
+    if (profile && criterion.check(profile)) {
+      earned += weight;
+      completed.push(entry);
+    } else {
+      missing.push({ ...entry, suggestion: criterion.suggestion });
+    }
+  });
+
+  const score = total ? Math.round((earned / total) * 100) : 0;
+  const nextSteps = [...missing]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, NEXT_STEPS_COUNT);
+
+  return { score, completed, missing, nextSteps };
+};
+
+const evaluateProfile = async (profile) => {
+  return scoreProfile(profile, await getCompletenessWeights());
+};
+
+module.exports = {
+  CRITERIA,
+  DEFAULT_WEIGHTS,
+  getCompletenessWeights,
+  validateWeights,
+  scoreProfile,
+  evaluateProfile
+};
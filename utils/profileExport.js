@@ -0,0 +1,231 @@
+// utils/profileExport.js
+// Turns a profile into vCard, JSON Resume (https://jsonresume.org/schema) or PDF.
+// Expects user/profile data that has already been through utils/privacy.js, so
+// whatever the viewer may not see (email, phone, resume...) is simply absent.
+const PDFDocument = require('pdfkit');
+
+const INSTITUTION_NAME = 'Accra Technical University';
+
+const SOCIAL_NETWORKS = [
+  { field: 'linkedIn', network: 'LinkedIn' },
+  { field: 'github', network: 'GitHub' },
+  { field: 'twitter', network: 'Twitter' }
+];
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const headline = (profile) => [profile.currentPosition, profile.currentCompany].filter(Boolean).join(' at ');
+
+// "2021-03-01T00:00:00Z" -> "2021-03-01"
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+// Last path segment of a social profile URL, e.g. the GitHub handle
+const usernameFromUrl = (url) => String(url).replace(/\/+$/, '').split('/').pop();
+
+// Profiles that predate education history still have the ATU degree in the flat fields
+const educationEntries = (profile) => {
+  if (profile.education?.length) return profile.education;
+  if (!profile.program && !profile.graduationYear) return [];
+  return [{
+    institution: INSTITUTION_NAME,
+    program: profile.program,
+    degree: profile.degree,
+    endYear: profile.graduationYear
+  }];
+};
+
+// ===================== vCard =====================
+
+// RFC 6350 text escaping
+const escapeVCard = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line, 'utf8');
+  let limit = 75;
+
+  while (rest.length > limit) {
+    let cut = limit;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // Don't split a UTF-8 character
+    parts.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+    limit = 74; // Continuation lines start with a space
+  }
+  parts.push(rest.toString('utf8'));
+
+  return parts.join('\r\n ');
+};
+
+const toVCard = (user, profile, { profileUrl } = {}) => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeVCard(user.lastName)};${escapeVCard(user.firstName)};;;`,
+    `FN:${escapeVCard(fullName(user))}`
+  ];
+
+  if (profile.currentCompany) lines.push(`ORG:${escapeVCard(profile.currentCompany)}`);
+  if (profile.currentPosition) lines.push(`TITLE:${escapeVCard(profile.currentPosition)}`);
+  if (user.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVCard(user.email)}`);
+  if (profile.phone) lines.push(`TEL;TYPE=CELL:${escapeVCard(profile.phone)}`);
+  if (profile.location) lines.push(`ADR;TYPE=HOME:;;;${escapeVCard(profile.location)};;;`);
+  if (profile.profilePicture) lines.push(`PHOTO;VALUE=URI:${profile.profilePicture}`);
+  if (profileUrl) lines.push(`URL:${profileUrl}`);
+  if (profile.website) lines.push(`URL:${profile.website}`);
+
+  SOCIAL_NETWORKS.forEach(({ field, network }) => {
+    if (profile[field]) lines.push(`X-SOCIALPROFILE;TYPE=${network.toLowerCase()}:${profile[field]}`);
+  });
+
+  if (profile.skills?.length) lines.push(`CATEGORIES:${profile.skills.map(escapeVCard).join(',')}`);
+  if (profile.bio) lines.push(`NOTE:${escapeVCard(profile.bio)}`);
+  if (profile.resumeUrl) lines.push(`X-RESUME:${profile.resumeUrl}`);
+
+  lines.push(`REV:${new Date().toISOString()}`, 'END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ===================== JSON Resume =====================
+
+const toJsonResume = (user, profile, { profileUrl } = {}) => {
+  const basics = {
+    name: fullName(user),
+    label: headline(profile) || undefined,
+    image: profile.profilePicture || undefined,
+    email: user.email || undefined,
+    phone: profile.phone || undefined,
+    url: profile.website || profileUrl,
+    summary: profile.bio || undefined,
+    location: profile.location ? { city: profile.location } : undefined,
+    profiles: SOCIAL_NETWORKS
+      .filter(({ field }) => profile[field])
+      .map(({ field, network }) => ({
+        network,
+        username: usernameFromUrl(profile[field]),
+        url: profile[field]
+      }))
+  };
+
+  // Without a work history fall back to the single current position
+  const positions = profile.positions?.length
+    ? profile.positions
+    : (profile.currentPosition ? [{ title: profile.currentPosition, company: profile.currentCompany, current: true }] : []);
+
+  const work = positions.map(position => ({
+    name: position.company,
+    position: position.title,
+    location: position.location,
+    startDate: isoDate(position.startDate),
+    endDate: position.current ? undefined : isoDate(position.endDate),
+    summary: position.description
+  }));
+
+  const education = educationEntries(profile).map(entry => ({
+    institution: entry.institution,
+    area: entry.program,
+    studyType: entry.degree,
+    startDate: entry.startYear ? String(entry.startYear) : undefined,
+    endDate: entry.current || !entry.endYear ? undefined : String(entry.endYear)
+  }));
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics,
+    work,
+    education,
+    skills: (profile.skills || []).map(name => ({
+      name,
+      level: (profile.skillLevels || []).find(entry => entry.skill === name)?.proficiency
+    })),
+    interests: (profile.interests || []).map(name => ({ name })),
+    meta: {
+      canonical: profileUrl,
+      version: 'v1.0.0',
+      lastModified: isoDate(profile.updatedAt)
+    }
+  };
+};
+
+// ===================== PDF =====================
+
+const formatPeriod = (start, end, current) => {
+  const format = date => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  if (!start) return '';
+  return `${format(start)} - ${current ? 'Present' : (end ? format(end) : '')}`;
+};
+
+// Returns a PDFDocument stream - pipe it to the response, it is already ended
+const toPdf = (user, profile, { profileUrl } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: fullName(user), Author: 'ATU Alumni Network' } });
+
+  const section = (title) => {
+    doc.moveDown(1).fontSize(13).fillColor('#1e3a8a').font('Helvetica-Bold').text(title.toUpperCase());
+    doc.moveTo(doc.x, doc.y + 2).lineTo(doc.page.width - 50, doc.y + 2).strokeColor('#1e3a8a').stroke();
+    doc.moveDown(0.5).fillColor('black').font('Helvetica').fontSize(10);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(22).text(fullName(user));
+  if (headline(profile)) doc.font('Helvetica').fontSize(12).fillColor('#444444').text(headline(profile));
+
+  const contact = [user.email, profile.phone, profile.location].filter(Boolean).join('  |  ');
+  if (contact) doc.moveDown(0.3).fontSize(10).fillColor('black').text(contact);
+
+  if (profile.bio) {
+    section('Summary');
+    doc.text(profile.bio);
+  }
+
+  if (profile.positions?.length || profile.currentPosition) {
+    section('Experience');
+    const positions = profile.positions?.length
+      ? profile.positions
+      : [{ title: profile.currentPosition, company: profile.currentCompany }];
+
+    positions.forEach(position => {
+      doc.font('Helvetica-Bold').text(position.title, { continued: !!position.company });
+      if (position.company) doc.font('Helvetica').text(` - ${position.company}`);
+      const period = formatPeriod(position.startDate, position.endDate, position.current);
+      if (period) doc.fillColor('#666666').text(period).fillColor('black');
+      if (position.description) doc.text(position.description);
+      doc.moveDown(0.5);
+    });
+  }
+
+  const education = educationEntries(profile);
+  if (education.length) {
+    section('Education');
+    education.forEach(entry => {
+      doc.font('Helvetica-Bold').text(entry.institution);
+      const details = [entry.degree, entry.program].filter(Boolean).join(', ');
+      const years = [entry.startYear, entry.current ? 'Present' : entry.endYear].filter(Boolean).join(' - ');
+      doc.font('Helvetica').text([details, years].filter(Boolean).join('  |  '));
+      doc.moveDown(0.5);
+    });
+  }
+
+  if (profile.skills?.length) {
+    section('Skills');
+    doc.text(profile.skills.join(', '));
+  }
+
+  const links = [profileUrl, profile.website, ...SOCIAL_NETWORKS.map(({ field }) => profile[field]), profile.resumeUrl].filter(Boolean);
+  if (links.length) {
+    section('Links');
+    links.forEach(link => doc.fillColor('#1e3a8a').text(link, { link, underline: true }));
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  INSTITUTION_NAME,
+  toVCard,
+  toJsonResume,
+  toPdf
+};
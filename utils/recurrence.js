@@ -0,0 +1,133 @@
+// utils/recurrence.js
+// RFC 5545 recurrence rules (RRULE) for event series, e.g. "FREQ=MONTHLY;BYDAY=1TU"
+// for the first Tuesday of every month. Times are UTC - the rule repeats the
+// series start time as is.
+const { RRule, rrulestr } = require('rrule');
+
+// Sub-daily frequencies make no sense for events and would expand to thousands
+const ALLOWED_FREQUENCIES = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY];
+const MAX_OCCURRENCES = 500; // Per expansion
+// Expansions without an end date look this far ahead, and a rule must have an
+// occurrence this soon after its start to be accepted
+const WINDOW_YEARS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Shortest length of one period of each frequency, in days
+const PERIOD_DAYS = {
+  [RRule.YEARLY]: 365,
+  [RRule.MONTHLY]: 28,
+  [RRule.WEEKLY]: 7,
+  [RRule.DAILY]: 1
+};
+
+// Occurrences are identified by their original start: 2026-11-03T18:00:00Z -> "20261103T180000Z"
+const OCCURRENCE_KEY_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+const toOccurrenceKey = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Date for a key, or null when the key is malformed
+const fromOccurrenceKey = (key) => {
+  const match = OCCURRENCE_KEY_PATTERN.exec(String(key));
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return isNaN(date) ? null : date;
+};
+
+// "RRULE:FREQ=..." or "FREQ=..." -> RRule starting at dtstart. Throws with a
+// user-facing message when the rule is invalid or not allowed.
+const parseRule = (rule, dtstart) => {
+  const text = String(rule || '').trim().replace(/^RRULE:/i, '');
+  if (!text) throw new Error('Recurrence rule is required');
+  if (/DTSTART|EXDATE|RDATE/i.test(text)) {
+    throw new Error('Give only the RRULE part - the start date and exceptions are set separately');
+  }
+
+  let parsed;
+  try {
+    parsed = rrulestr(`RRULE:${text}`, { dtstart: new Date(dtstart) });
+  } catch (error) {
+    throw new Error(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  if (!ALLOWED_FREQUENCIES.includes(parsed.options.freq)) {
+    throw new Error('Recurrence must be daily, weekly, monthly or yearly');
+  }
+
+  return parsed;
+};
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  return result;
+};
+
+// rrule only compares the end date with occurrences it finds, so a rule whose
+// filters never match (FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30) walks period by
+// period to the year 9999 and blocks the event loop for seconds. Its iterator
+// reads the interval twice per period and stops when it reads 0, so hand out
+// the real interval only for as many periods as fit between dtstart and end.
+const stopWalkingAt = (parsed, dtstart, end) => {
+  const { freq, interval } = parsed.options;
+  const periods = Math.ceil((end - dtstart) / (PERIOD_DAYS[freq] * DAY_MS * interval)) + 1;
+  let reads = 2 * Math.max(periods, 0) + 4;
+
+  Object.defineProperty(parsed.options, 'interval', {
+    get: () => (reads-- > 0 ? interval : 0),
+    configurable: true
+  });
+};
+
+// Occurrence starts between from and to (inclusive), at most limit of them.
+// Without to, looks WINDOW_YEARS ahead of from. Starts matching skip (e.g.
+// exceptions) are left out and don't count towards the limit.
+const expandRule = (rule, dtstart, { from, to, limit = MAX_OCCURRENCES, skip } = {}) => {
+  const parsed = parseRule(rule, dtstart);
+  const max = Math.min(limit, MAX_OCCURRENCES);
+  const start = new Date(from || dtstart);
+  const end = to ? new Date(to) : addYears(start, WINDOW_YEARS);
+  const starts = [];
+
+  const collect = (date) => {
+    if (skip && skip(date)) return true;
+    starts.push(date);
+    return starts.length < max;
+  };
+
+  stopWalkingAt(parsed, new Date(dtstart), end);
+  parsed.between(start, end, true, collect);
+
+  return starts;
+};
+
+// Throws when the rule has no occurrence within WINDOW_YEARS of dtstart - it
+// either never repeats or too rarely to be an event series
+const assertOccurs = (rule, dtstart) => {
+  if (!expandRule(rule, dtstart, { from: dtstart, to: addYears(dtstart, WINDOW_YEARS), limit: 1 }).length) {
+    throw new Error(`Recurrence rule has no occurrence in the ${WINDOW_YEARS} years after the start date`);
+  }
+};
+
+// Whether a date is one of the rule's occurrences
+const isRuleOccurrence = (rule, dtstart, date) => {
+  const target = new Date(date);
+  return expandRule(rule, dtstart, { from: target, to: target, limit: 1 })
+    .some(start => start.getTime() === target.getTime());
+};
+
+// "every month on the 1st Tuesday" - for display
+const describeRule = (rule, dtstart) => parseRule(rule, dtstart).toText();
+
+module.exports = {
+  MAX_OCCURRENCES,
+  WINDOW_YEARS,
+  toOccurrenceKey,
+  fromOccurrenceKey,
+  parseRule,
+  expandRule,
+  assertOccurs,
+  isRuleOccurrence,
+  describeRule
+};